@@ -4,6 +4,7 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
 
 // Find all quiz files
 const quizFiles = glob.sync(path.join(__dirname, 'quizzes/*.md'));
@@ -54,16 +55,9 @@ quizFiles.forEach(file => {
     category: category
   };
   
-  // Find all question sections
-  const sections = content.split(/(?=#{3}\s+Question \d+)/g).filter(s => s.trim().length > 0);
-  
-  sections.forEach(section => {
-    // Extract question header
-    const headerMatch = section.match(/#{3}\s+Question (\d+)\s*(?:\(([^)]+)\))?/);
-    if (!headerMatch) return;
-    
-    const questionNumber = headerMatch[1];
-    const questionType = headerMatch[2] ? headerMatch[2].trim() : 'Unknown';
+  QuizParser.parse(content).questions.forEach(question => {
+    const questionNumber = question.number;
+    const questionType = question.label || 'Unknown';
     
     results.fileStats[fileName].total++;
     results.totalQuestions++;
@@ -91,39 +85,24 @@ quizFiles.forEach(file => {
     
     // Count answer options to determine if multi-select based on answers
     if (category === 'Combined' || category === 'Answers') {
-      // Get correct answers from the details section or answer patterns
-      const detailsMatch = section.match(/<details>[\s\S]+?<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/);
+      let correctLetters = [];
       
-      if (detailsMatch) {
+      if (question.details) {
         // Combined files with details section
-        const explanation = detailsMatch[1];
-        const correctAnswersMatch = explanation.match(/\*\*Correct Answers?:\*\*\s+([A-Z,\s]+)/i);
-        
-        if (correctAnswersMatch) {
-          const correctLetters = correctAnswersMatch[1]
-            .split(/[,\s]+/)
-            .filter(letter => /^[A-Z]$/.test(letter));
-            
-          if (correctLetters.length > 1 && !/multi/i.test(questionType)) {
-            // Question has multiple correct answers but isn't labeled as multi-select
-            results.fileStats[fileName].otherTypes.push(`Q${questionNumber}: ${questionType} (but has ${correctLetters.length} correct answers)`);
-          }
-        }
+        correctLetters = question.details.correct;
       } else {
         // Answer files without details section
-        const correctAnswersMatch = section.match(/\*\*Correct Answers?:\*\*\s+([A-Z,\s]+)/i);
-        
-        if (correctAnswersMatch) {
-          const correctLetters = correctAnswersMatch[1]
-            .split(/[,\s]+/)
-            .filter(letter => /^[A-Z]$/.test(letter));
-            
-          if (correctLetters.length > 1 && !/multi/i.test(questionType)) {
-            // Question has multiple correct answers but isn't labeled as multi-select
-            results.fileStats[fileName].otherTypes.push(`Q${questionNumber}: ${questionType} (but has ${correctLetters.length} correct answers)`);
-          }
+        const section = content.slice(question.loc.start.offset, question.loc.end.offset);
+        const correctLine = section.split('\n').map(line => line.match(QuizParser.PATTERNS.CORRECT_ANSWERS)).find(Boolean);
+        if (correctLine) {
+          correctLetters = QuizParser.parseCorrectLetters(correctLine[1]);
         }
       }
+      
+      if (correctLetters.length > 1 && !/multi/i.test(questionType)) {
+        // Question has multiple correct answers but isn't labeled as multi-select
+        results.fileStats[fileName].otherTypes.push(`Q${questionNumber}: ${questionType} (but has ${correctLetters.length} correct answers)`);
+      }
     }
   });
 });
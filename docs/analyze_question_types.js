@@ -4,6 +4,7 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
 
 // Find all quiz files
 const quizFiles = glob.sync(path.join(__dirname, 'quizzes/*Combined.md'));
@@ -37,15 +38,12 @@ quizFiles.forEach(file => {
     otherTypes: []
   };
   
-  // Find all question sections
-  const sections = content.split(/(?=#{3}\s+Question \d+)/g).filter(s => s.trim().length > 0);
+  // Only questions with a "(Type)" in their header
+  const questions = QuizParser.parse(content).questions.filter(question => question.label !== null);
   
-  sections.forEach(section => {
-    // Extract question header
-    const headerMatch = section.match(/#{3}\s+Question \d+\s*\(([^)]+)\)/);
-    if (!headerMatch) return;
-    
-    const questionType = headerMatch[1].trim();
+  questions.forEach(question => {
+    // Raw header label, so "Multi-Select" and "Multiple Select" are counted apart
+    const questionType = question.label;
     results.fileStats[fileName].total++;
     results.totalQuestions++;
     
@@ -67,24 +65,13 @@ quizFiles.forEach(file => {
       results.otherTypes.push({file: fileName, type: questionType});
     }
     
-    // Count answer options to verify if multi-select
-    const optionMatches = [...section.matchAll(/- \[ \] ([A-Z])\.\s+(.+)/g)];
-    
     // Get correct answers from the details section
-    const detailsMatch = section.match(/<details>[\s\S]+?<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/);
-    if (detailsMatch) {
-      const explanation = detailsMatch[1];
-      const correctAnswersMatch = explanation.match(/\*\*Correct Answers?:\*\*\s+([A-Z,\s]+)/i);
+    if (question.details && question.details.correctAnswers.length > 0) {
+      const correctLetters = question.details.correct;
       
-      if (correctAnswersMatch) {
-        const correctLetters = correctAnswersMatch[1]
-          .split(/[,\s]+/)
-          .filter(letter => /^[A-Z]$/.test(letter));
-          
-        if (correctLetters.length > 1 && !/multi/i.test(questionType)) {
-          // Question has multiple correct answers but isn't labeled as multi-select
-          results.fileStats[fileName].otherTypes.push(`${questionType} (but has ${correctLetters.length} correct answers)`);
-        }
+      if (correctLetters.length > 1 && !/multi/i.test(questionType)) {
+        // Question has multiple correct answers but isn't labeled as multi-select
+        results.fileStats[fileName].otherTypes.push(`${questionType} (but has ${correctLetters.length} correct answers)`);
       }
     }
   });
@@ -0,0 +1,128 @@
+/**
+ * Transcript Quote Report
+ *
+ * The quiz generation instructions require the `> "..."` quotes in explanations to be
+ * verbatim lines from the lecture. This script looks up every quote of the published
+ * quizzes in the transcript of the same lecture (transcripts/<number> <title>.srt if
+ * there is one, otherwise the .txt; the build links quotes to the same file, see
+ * TranscriptModel.loadTranscripts) and checks that:
+ * 1. The lecture has a transcript to check the quotes against
+ * 2. Each quote scores at least MATCH_THRESHOLD against its closest transcript passage
+ *    (quote-matcher.js: word by word, ignoring case, punctuation and whitespace;
+ *    "..." may skip text), the same score the build needs to link the quote
+ *
+ * Quotes below the threshold are likely paraphrased or fabricated. For each one the
+ * closest real transcript sentence is shown, to quote instead. Many current quotes are
+ * paraphrases, so this is a report to work through rather than one of the test_*.js
+ * checks; it still exits non-zero while any quote is unverified.
+ */
+
+const path = require('path');
+const QuizManifest = require('./quiz-manifest');
+const QuoteMatcher = require('./quote-matcher');
+const TranscriptModel = require('./transcript-model');
+
+// Configuration
+const CONFIG = {
+  // Whether to show quotes that pass
+  SHOW_PASSING: false,
+  // Filter by quiz id (leave empty for all published quizzes)
+  FILE_FILTER: ""
+};
+
+const TRANSCRIPT_DIR = path.join(__dirname, 'transcripts');
+
+// Tracking results
+const results = {
+  total: 0,
+  passing: 0,
+  fileResults: {}
+};
+
+// The lecture transcripts, as the build reads them (TranscriptModel.loadTranscripts)
+const transcripts = TranscriptModel.loadTranscripts(TRANSCRIPT_DIR);
+
+/**
+ * Find and index the transcript of a lecture, the one the build links its quotes to
+ */
+function loadTranscript(number) {
+  const transcript = transcripts.find(candidate => QuizManifest.lectureNumber(candidate.title) === number);
+  if (!transcript) return null;
+  return { file: transcript.file, index: QuoteMatcher.indexTranscript(TranscriptModel.parseTranscript(transcript.content)) };
+}
+
+/**
+ * Check every quote of one published quiz against its lecture transcript
+ */
+function testQuiz(entry) {
+  const quiz = QuizManifest.loadQuiz(entry);
+  const number = QuizManifest.lectureNumber(entry.id);
+  const transcript = loadTranscript(number);
+  const fileResult = { failing: [], total: 0, transcript: transcript ? transcript.file : null };
+  results.fileResults[entry.id] = fileResult;
+
+  quiz.questions.forEach(question => {
+    question.quotes.forEach(quote => {
+      results.total++;
+      fileResult.total++;
+
+      const match = transcript ? QuoteMatcher.matchQuote(quote, transcript.index) : null;
+      if (match && match.found) {
+        results.passing++;
+        if (CONFIG.SHOW_PASSING) {
+          console.log(`✅ ${entry.id} Q${question.number} (${Math.round(match.score * 100)}%): "${quote}"`);
+        }
+        return;
+      }
+
+      fileResult.failing.push({ question: question.number, quote, match });
+    });
+  });
+
+  if (!transcript) {
+    console.log(`❌ ${entry.id}: no transcript for lecture ${number} in transcripts/`);
+    return;
+  }
+
+  fileResult.failing.forEach(({ question, quote, match }) => {
+    const score = match ? `${Math.round(match.score * 100)}%` : 'no words';
+    console.log(`❌ ${entry.id} Q${question} (${score}): "${quote}"`);
+    if (match && match.sentence) {
+      const at = match.segment && match.segment.timestamp ? ` [${match.segment.timestamp}]` : '';
+      console.log(`   Closest transcript sentence${at}: "${match.sentence}"`);
+    }
+  });
+}
+
+/**
+ * Main function
+ */
+function runReport() {
+  console.log("🔍 Checking quiz quotes against the lecture transcripts...");
+
+  const { quizzes } = QuizManifest.loadQuizManifest();
+  const entries = quizzes.filter(entry => !CONFIG.FILE_FILTER || entry.id.includes(CONFIG.FILE_FILTER));
+  console.log(`Found ${entries.length} published quizzes to check (threshold ${Math.round(QuoteMatcher.MATCH_THRESHOLD * 100)}%)\n`);
+
+  entries.forEach(testQuiz);
+
+  console.log("\n============ SUMMARY ============");
+  const percent = results.total > 0 ? Math.round(results.passing / results.total * 100) : 100;
+  console.log(`Quotes found in transcripts: ${results.passing}/${results.total} (${percent}%)`);
+
+  console.log("\nQuizzes with Unverified Quotes:");
+  Object.entries(results.fileResults)
+    .filter(([_, result]) => result.failing.length > 0)
+    .sort((a, b) => b[1].failing.length - a[1].failing.length)
+    .forEach(([id, result]) => {
+      console.log(`- ${id}: ${result.failing.length}/${result.total} quotes (${result.transcript || 'no transcript'})`);
+    });
+
+  if (results.passing < results.total) {
+    console.log("\nReplace each unverified quote with the closest transcript sentence shown above, or remove it");
+    process.exitCode = 1;
+  }
+}
+
+// Run the report
+runReport();
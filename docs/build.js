@@ -1,20 +1,78 @@
 // This script is for converting the combined markdown files into the interactive format
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { Marked } = require('marked');
+const QuizNav = require('./js/nav');
+const HtmlEscape = require('./js/html-escape');
+const QuizModel = require('./quiz-model');
+const QuizManifest = require('./quiz-manifest');
+const TranscriptModel = require('./transcript-model');
+const QuoteMatcher = require('./quote-matcher');
+const QuizSearch = require('./js/search');
+const DevServer = require('./dev-server');
 
-// Simple markdown parsing
-function parseMarkdown(markdown) {
-  return markdown
-    .replace(/^# (.+)$/gm, '<h1>$1</h1>')
-    .replace(/^## (.+)$/gm, '<h2>$1</h2>')
-    .replace(/^### (.+)$/gm, '<h3>$1</h3>')
-    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-    .replace(/\*(.+?)\*/g, '<em>$1</em>')
-    .replace(/\n\n/g, '</p><p>')
-    .replace(/^/, '<p>')
-    .replace(/$/, '</p>');
+// Markdown rendering through marked. TeX math ($$..$$, $..$, \[..\], \(..\)) is
+// swapped out for placeholders first so marked can't treat `_`, `*` or `\` inside it
+// as markdown; it's put back afterwards for MathJax to typeset. Raw HTML in the
+// markdown is shown as text, so `<details>` in prose or `P(x) <P(y)` can't break the page.
+// Links and images keep only http(s), relative and `#` URLs; others (`javascript:`,
+// `data:`...) are dropped and the link text or image description is shown instead.
+const markdownParser = new Marked({ gfm: true, breaks: true });
+markdownParser.use({
+  renderer: {
+    html: ({ text }) => HtmlEscape.escapeText(text),
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      if (!isSafeUrl(href)) return text;
+      const titleAttribute = title ? ` title="${HtmlEscape.escapeAttribute(title)}"` : '';
+      return `<a href="${HtmlEscape.escapeAttribute(href)}"${titleAttribute}>${text}</a>`;
+    },
+    image({ href, title, text }) {
+      if (!isSafeUrl(href)) return HtmlEscape.escapeText(text);
+      const titleAttribute = title ? ` title="${HtmlEscape.escapeAttribute(title)}"` : '';
+      return `<img src="${HtmlEscape.escapeAttribute(href)}" alt="${HtmlEscape.escapeAttribute(text)}"${titleAttribute}>`;
+    }
+  }
+});
+// Browsers ignore whitespace and control characters in a URL's scheme ("java\tscript:"),
+// so they are removed before it is checked
+function isSafeUrl(href) {
+  const url = String(href).replace(/[\u0000-\u0020\u007f]/g, '');
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  return scheme ? /^https?$/i.test(scheme[1]) : true;
 }
 
+const MATH_PATTERN = /\$\$[\s\S]+?\$\$|\\\[[\s\S]+?\\\]|\\\([\s\S]+?\\\)|\$(?!\s)[^$\n]+?(?<!\s)\$/g;
+
+function parseMarkdown(markdown, { inline = false } = {}) {
+  const math = [];
+  const protectedMarkdown = markdown.replace(MATH_PATTERN, match => {
+    math.push(match);
+    return `\uE000${math.length - 1}\uE001`;
+  });
+  
+  const html = inline
+    ? markdownParser.parseInline(protectedMarkdown)
+    : markdownParser.parse(protectedMarkdown);
+  
+  // MathJax reads the text content, so the TeX only needs to survive as HTML text
+  return html.replace(/\uE000(\d+)\uE001/g, (_, index) => HtmlEscape.escapeText(math[index])).trim();
+}
+
+// Bump whenever the page template or renderers change, so every page is regenerated.
+// Pages are otherwise only rewritten when the hash of their inputs changes.
+const TEMPLATE_VERSION = 16;
+const MANIFEST_PATH = path.join(__dirname, 'build-manifest.json');
+
+// MathJax is served from docs/vendor/mathjax so pages typeset offline: the combined
+// TeX/MathML component, its CHTML fonts and the TeX extensions it autoloads
+const MATHJAX_DIR = path.dirname(require.resolve('mathjax/package.json'));
+const MATHJAX_FILES = ['tex-mml-chtml.js', 'output/chtml/fonts/woff-v2', 'input/tex/extensions'];
+
+// Everything the service worker pre-caches, besides the generated pages and models
+const PRECACHE_DIRS = ['css', 'js', 'vendor'];
+
 // Helper function to read file contents
 function readFile(filePath) {
   try {
@@ -25,10 +83,116 @@ function readFile(filePath) {
   }
 }
 
-// Base HTML template
-function getHtmlTemplate(title, content, isMainPage = false) {
+// Hash the inputs a page is rendered from (strings as-is, anything else as JSON)
+function hashInputs(...inputs) {
+  const hash = crypto.createHash('sha256');
+  inputs.forEach(input => {
+    hash.update(typeof input === 'string' || Buffer.isBuffer(input) ? input : JSON.stringify(input));
+    hash.update('\0');
+  });
+  return hash.digest('hex');
+}
+
+// Start a build against the manifest of the previous one. The manifest maps each
+// generated file (relative to docs/) to its input hash and template version.
+function startBuild({ force = false } = {}) {
+  const manifest = fs.existsSync(MANIFEST_PATH) ? JSON.parse(readFile(MANIFEST_PATH) || '{}') : {};
+  return { force, previous: manifest.outputs || {}, outputs: {}, changed: [], skipped: 0 };
+}
+
+// Write an output unless the previous build produced it from the same inputs.
+// `render` is only called when the page has to be regenerated.
+function writeOutput(build, outputPath, inputHash, render) {
+  const key = path.relative(__dirname, outputPath).split(path.sep).join('/');
+  const entry = { inputHash, templateVersion: TEMPLATE_VERSION };
+  const previous = build.previous[key];
+  build.outputs[key] = entry;
+  
+  if (!build.force && previous && previous.inputHash === entry.inputHash &&
+      previous.templateVersion === entry.templateVersion && fs.existsSync(outputPath)) {
+    build.skipped++;
+    return false;
+  }
+  
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, render());
+  build.changed.push(key);
+  console.log(`Generated: ${key}`);
+  return true;
+}
+
+// Files under a directory, as paths relative to it (a file path lists just that file)
+function listFiles(filePath) {
+  if (!fs.statSync(filePath).isDirectory()) return [''];
+  return fs.readdirSync(filePath, { recursive: true })
+    .filter(file => fs.statSync(path.join(filePath, file)).isFile())
+    .map(file => file.split(path.sep).join('/'))
+    .sort();
+}
+
+// Copy the vendored MathJax bundle from node_modules into docs/vendor/mathjax
+function copyMathJax(build) {
+  const copy = (sourceFile, relative) => {
+    const content = fs.readFileSync(sourceFile);
+    writeOutput(build, path.join(__dirname, 'vendor', 'mathjax', relative), hashInputs(content), () => content);
+  };
+  
+  copy(path.join(MATHJAX_DIR, 'LICENSE'), 'LICENSE');
+  MATHJAX_FILES.forEach(entry => {
+    const source = path.join(MATHJAX_DIR, 'es5', entry);
+    listFiles(source).forEach(file => copy(path.join(source, file), path.posix.join(entry, file)));
+  });
+}
+
+// Write the service worker's pre-cache list (js/precache-manifest.js): every generated
+// page and model plus the static assets, under a version that changes with their content
+function writePrecacheManifest(build) {
+  const files = new Set(Object.keys(build.outputs).filter(key => /\.(html|json)$/.test(key)));
+  PRECACHE_DIRS.forEach(dir => {
+    listFiles(path.join(__dirname, dir)).forEach(file => files.add(`${dir}/${file}`));
+  });
+  files.delete('js/precache-manifest.js');
+  
+  const urls = ['./', ...[...files].sort().map(file => encodeURI(file))];
+  const version = hashInputs(...[...files].sort().map(file => build.outputs[file]
+    ? build.outputs[file].inputHash
+    : fs.readFileSync(path.join(__dirname, file)))).slice(0, 16);
+  
+  writeOutput(build, path.join(__dirname, 'js', 'precache-manifest.js'), hashInputs(version, urls),
+    () => `// Generated by build.js - do not edit\nself.PRECACHE_VERSION = '${version}';\nself.PRECACHE_URLS = ${JSON.stringify(urls, null, 2)};\n`);
+}
+
+// Remove outputs of the previous build that weren't produced this time (their
+// source was deleted or renamed), then save the new manifest
+function finishBuild(build) {
+  Object.keys(build.previous)
+    .filter(key => !build.outputs[key])
+    .forEach(key => {
+      const outputPath = path.join(__dirname, key);
+      if (fs.existsSync(outputPath)) {
+        fs.unlinkSync(outputPath);
+        build.changed.push(key);
+        console.log(`Removed stale output: ${key}`);
+      }
+    });
+  
+  const outputs = {};
+  Object.keys(build.outputs).sort().forEach(key => { outputs[key] = build.outputs[key]; });
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify({ outputs }, null, 2) + '\n');
+  console.log(`${build.changed.length} files changed, ${build.skipped} unchanged`);
+}
+
+// Base HTML template; `pageScripts` are extra scripts (paths relative to js/) loaded after script.js
+function getHtmlTemplate(title, content, navTree, isMainPage = false, pageScripts = []) {
   const cssPath = isMainPage ? 'css/styles.css' : '../css/styles.css';
   const jsPath = isMainPage ? 'js/script.js' : '../js/script.js';
+  const searchJsPath = isMainPage ? 'js/search.js' : '../js/search.js';
+  const progressJsPath = isMainPage ? 'js/progress-store.js' : '../js/progress-store.js';
+  const reviewJsPath = isMainPage ? 'js/review-scheduler.js' : '../js/review-scheduler.js';
+  const scoringJsPath = isMainPage ? 'js/scoring.js' : '../js/scoring.js';
+  const statsJsPath = isMainPage ? 'js/progress-stats.js' : '../js/progress-stats.js';
+  const jsDir = isMainPage ? 'js/' : '../js/';
+  const mathJaxPath = isMainPage ? 'vendor/mathjax/tex-mml-chtml.js' : '../vendor/mathjax/tex-mml-chtml.js';
   
   // Adjust navigation paths based on if it's the main page
   const quizPrefix = isMainPage ? 'quizzes/' : '';
@@ -40,194 +204,428 @@ function getHtmlTemplate(title, content, isMainPage = false) {
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title} - CS7643 Module 4</title>
+  <title>${HtmlEscape.escapeTitle(title)} - CS7643 Module 4</title>
   <link rel="stylesheet" href="${cssPath}">
-  <script src="https://polyfill.io/v3/polyfill.min.js?features=es6"></script>
-  <script id="MathJax-script" async src="https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-mml-chtml.js"></script>
+  <script id="MathJax-script" async src="${mathJaxPath}"></script>
 </head>
 <body>
   <div class="container">
     <div class="sidebar">
       <h2><a href="${mainPath}index.html" style="color: white; text-decoration: none;">CS7643 Module 4</a></h2>
-      <div class="topic-group">
-        <h3>Generative Models</h3>
-        <ul>
-          <li><a href="${quizPrefix}13.1Combined.html">13.1 Introduction</a></li>
-          <li><a href="${quizPrefix}13.2Combined.html">13.2 PixelRNN & PixelCNN</a></li>
-          <li><a href="${quizPrefix}13.3Combined.html">13.3 GANs</a></li>
-          <li><a href="${quizPrefix}13.4Combined.html">13.4 VAEs</a></li>
-        </ul>
-      </div>
-      <div class="topic-group">
-        <h3>Reinforcement Learning</h3>
-        <ul>
-          <li><a href="${quizPrefix}17.1Combined.html">17.1 Introduction</a></li>
-          <li><a href="${quizPrefix}17.2Combined.html">17.2 MDPs</a></li>
-          <li><a href="${quizPrefix}17.3Combined.html">17.3 Solving MDPs</a></li>
-          <li><a href="${quizPrefix}17.4Combined.html">17.4 Deep Q-Learning</a></li>
-          <li><a href="${quizPrefix}17.5Combined.html">17.5 Policy Gradients</a></li>
-        </ul>
-      </div>
-      <div class="topic-group">
-        <h3>Advanced Topics</h3>
-        <ul>
-          <li><a href="${quizPrefix}18.1Combined.html">18.1 Introduction</a></li>
-          <li><a href="${quizPrefix}18.2Combined.html">18.2 Semi-Supervised</a></li>
-          <li><a href="${quizPrefix}18.3Combined.html">18.3 Few-Shot</a></li>
-          <li><a href="${quizPrefix}18.4Combined.html">18.4 Self-Supervised</a></li>
-        </ul>
-      </div>
-      <div class="topic-group">
-        <h3>Transcripts</h3>
-        <ul>
-          <li><a href="${transcriptPrefix}index.html">View All Transcripts</a></li>
-        </ul>
-      </div>
+      <form class="search" role="search" data-root="${mainPath}">
+        <input type="search" class="search-input" placeholder="Search quizzes and transcripts" aria-label="Search quizzes and transcripts" autocomplete="off">
+        <ul class="search-results" hidden></ul>
+      </form>${QuizNav.renderNav(navTree, { quizPrefix, transcriptPrefix })}
     </div>
     
     <div class="content">
       ${content}
     </div>
   </div>
-  <script src="${jsPath}"></script>
+  <script src="${searchJsPath}"></script>
+  <script src="${progressJsPath}"></script>
+  <script src="${reviewJsPath}"></script>
+  <script src="${scoringJsPath}"></script>
+  <script src="${statsJsPath}"></script>
+  <script src="${jsPath}"></script>${pageScripts.map(script => `
+  <script src="${jsDir}${script}"></script>`).join('')}
 </body>
 </html>`;
 }
 
-// Generate a quiz from the markdown file
-function generateQuizHtml(markdownPath) {
-  const markdown = readFile(markdownPath);
-  if (!markdown) return null;
+// The quizzes to publish, from quizzes.json; problems with it are reported but don't stop the build
+function loadPublishedQuizzes(modules) {
+  const { quizzes, warnings } = QuizManifest.loadQuizManifest({ modules });
+  warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+  return quizzes;
+}
+
+// References to option letters, which shuffle mode (js/script.js) relabels along with the
+// options: "Option D", "options A, B, and D", "(A)" or "(C is incorrect)" in explanations,
+// and options such as "Both A and B". Options that refer to the others stay last when shuffled.
+const LETTER_LIST = '[A-Z](?:(?:\\s*,\\s*(?:and\\s+|or\\s+)?|\\s+(?:and|or|nor)\\s+)[A-Z])*';
+const EXPLANATION_REFERENCE = new RegExp(`\\b(?:[Oo]ptions?|[Cc]hoices?|[Aa]nswers?)\\s+${LETTER_LIST}\\b|\\(${LETTER_LIST}(?:\\)|\\s+(?:is|are)\\b)`, 'g');
+const OPTION_REFERENCE = new RegExp(`^(?:[Bb]oth|[Ee]ither|[Nn]either|[Oo]nly)\\s+${LETTER_LIST}\\b`, 'g');
+const PINNED_OPTION = /^(?:(?:all|none|neither|both|either) of (?:the )?(?:above|these|those|the options)|(?:both|either|neither) [A-Z],? (?:and|or|nor) [A-Z])\b/i;
+
+// What still looks like a reference to an option letter once the references above are
+// marked: a lone letter in parentheses, "C is incorrect" or "option C"
+const UNMARKED_REFERENCE = /\(([A-Z])(?:\)|,|\s+(?:and|or|is|are)\b)|\b([A-Z])\s+(?:is|are)\s+(?:in)?correct\b|\b(?:[Oo]ptions?|[Cc]hoices?|[Aa]nswers?)\s+([A-Z])\b/g;
+
+// Wrap the option letters in `pattern` matches as <span class="option-ref">, leaving tags
+// and math alone
+function markLetterReferences(html, letters, pattern) {
+  return html.split(/(<[^>]*>)/).map((part, index) => {
+    if (index % 2 === 1) return part;
+    return part.split(new RegExp(`(${MATH_PATTERN.source})`)).map((text, textIndex) => {
+      if (textIndex % 2 === 1) return text;
+      return text.replace(pattern, reference => reference.replace(/\b[A-Z]\b/g, letter => (letters.includes(letter)
+        ? `<span class="option-ref" data-letter="${letter}">${letter}</span>`
+        : letter)));
+    }).join('');
+  }).join('');
+}
+
+// Markup of one question, as on its quiz page: options carrying `data-correct`, the
+// feedback area, Check Answer button and the explanation with its linked quotes.
+// `links` are the transcript links of the question's quotes, see linkQuotes().
+function generateQuestionHtml(question, index, links = []) {
+  const typeLabel = QuizModel.QUESTION_TYPES[question.type];
+  const questionTitle = typeLabel ? `Question ${question.number} (${typeLabel})` : `Question ${question.number}`;
+  const inputType = question.type === 'multi-select' ? 'checkbox' : 'radio';
+  const letters = question.options.map(option => option.letter);
   
-  // Extract title
-  const titleMatch = markdown.match(/^# (.+)$/m);
-  const title = titleMatch ? titleMatch[1] : path.basename(markdownPath, '.md');
+  let questionHtml = `
+    <div class="question" id="question-${question.number}" data-question-index="${index}" data-question-key="${question.key}">
+      <h3>${HtmlEscape.escapeText(questionTitle)}</h3>
+      ${parseMarkdown(question.stem)}
+      <div class="options">`;
   
-  // Split into questions using the standard format
-  const sections = markdown.split(/(?=#{3}\s+Question \d+)/g).filter(section => section.trim().length > 0);
+  question.options.forEach((option, optIndex) => {
+    const isCorrect = question.correct.includes(option.letter);
+    const pinned = PINNED_OPTION.test(option.text) ? ' data-pinned="true"' : '';
+    const optionHtml = markLetterReferences(parseMarkdown(option.text, { inline: true }), letters, OPTION_REFERENCE);
+    // Shown by js/script.js next to the option once it has been selected and checked
+    const rationaleHtml = option.rationale
+      ? `
+          <div class="option-rationale">${markLetterReferences(parseMarkdown(option.rationale), letters, EXPLANATION_REFERENCE)}</div>`
+      : '';
+    
+    questionHtml += `
+        <div class="option"${pinned}>
+          <input type="${inputType}" id="q${index}-o${optIndex}" name="q${index}" value="${optIndex}" data-correct="${isCorrect}">
+          <label for="q${index}-o${optIndex}"><span class="option-letter" data-letter="${option.letter}">${option.letter}</span>. ${optionHtml}</label>${rationaleHtml}
+        </div>`;
+  });
   
-  let quizHtml = `<h2 class="section-title">${title}</h2>
-  <div class="quiz-container">`;
+  // Explanation followed by the supporting lecture quotes
+  let explanationHtml = `<p><strong>Explanation:</strong></p>
+${markLetterReferences(parseMarkdown(question.explanation), letters, EXPLANATION_REFERENCE)}`;
+  question.quotes.forEach((quote, quoteIndex) => {
+    const link = links[quoteIndex];
+    const source = link
+      ? ` <a class="quote-link" href="${HtmlEscape.escapeAttribute(link.href)}" title="Open in the transcript">[${link.timestamp || 'transcript'}]</a>`
+      : '';
+    explanationHtml += `
+<blockquote>"${parseMarkdown(quote, { inline: true })}"${source}</blockquote>`;
+  });
   
-  // Process each question
-  sections.forEach((section, index) => {
-    // Get question title and type
-    const questionMatch = section.match(/#{3}\s+(.+?)(?:\r?\n|$)/);
-    if (!questionMatch) return;
-    
-    const questionTitle = questionMatch[1];
-    const isMultiSelect = questionTitle.toLowerCase().includes('multi-select') || 
-                         questionTitle.toLowerCase().includes('multiple select');
-    const inputType = isMultiSelect ? 'checkbox' : 'radio';
-    
-    // Get question text
-    const headerEndIndex = section.indexOf('\n\n', section.indexOf(questionTitle));
-    const optionsStartIndex = section.indexOf('- [ ]');
-    
-    let questionText = '';
-    if (headerEndIndex !== -1 && optionsStartIndex !== -1) {
-      questionText = section.substring(headerEndIndex, optionsStartIndex).trim();
+  questionHtml += `
+      </div>
+      <div class="feedback"></div>
+      <button class="btn btn-check">Check Answer</button>
+      <div class="explanation">${explanationHtml}</div>
+    </div>`;
+  return questionHtml;
+}
+
+// Generate the quiz page content from the quiz model. `quoteLinks` holds, per question,
+// the transcript link of each quote (null where the quote wasn't found), see linkQuotes().
+function generateQuizHtml(quiz, quoteLinks = []) {
+  let quizHtml = `<h2 class="section-title">${HtmlEscape.escapeText(quiz.title)}</h2>
+  <div class="quiz-container" data-quiz-id="${HtmlEscape.escapeAttribute(quiz.id)}">`;
+  
+  quiz.questions.forEach((question, index) => {
+    quizHtml += generateQuestionHtml(question, index, quoteLinks[index]);
+  });
+  
+  quizHtml += `</div>`;
+  return quizHtml;
+}
+
+// Find every quiz quote in the transcript of the same lecture. Returns the quote links
+// per quiz id, as generateQuizHtml() takes them, and the quotes that couldn't be located.
+function linkQuotes(quizzes, transcripts) {
+  const links = new Map();
+  const missing = [];
+  const indexes = new Map();
+  
+  quizzes.forEach(quiz => {
+    const number = QuizManifest.lectureNumber(quiz.id);
+    const transcript = transcripts.find(candidate => QuizManifest.lectureNumber(candidate.title) === number);
+    if (transcript && !indexes.has(transcript)) {
+      indexes.set(transcript, QuoteMatcher.indexTranscript(TranscriptModel.parseTranscript(transcript.content)));
     }
     
-    quizHtml += `
-    <div class="question" data-question-index="${index}">
-      <h3>${questionTitle}</h3>
-      <p>${questionText}</p>
-      <div class="options">`;
-    
-    // Extract explanation
-    const explanationMatch = section.match(/<details>[\s\S]+?<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/);
-    let explanation = '';
-    let correctLetters = [];
-    
-    if (explanationMatch) {
-      explanation = explanationMatch[1].trim();
-      
-      // Extract correct answers from standardized format: "**Correct Answers:** A, B, C"
-      const correctAnswersMatch = explanation.match(/\*\*Correct Answers?:\*\*\s*([A-Z,\s]+)/i);
-      if (correctAnswersMatch) {
-        // Split by comma and/or whitespace, clean, and filter to just letters
-        correctLetters = correctAnswersMatch[1].split(/[,\s]+/).filter(letter => /^[A-F]$/i.test(letter));
+    links.set(quiz.id, quiz.questions.map(question => question.quotes.map(quote => {
+      const match = transcript ? QuoteMatcher.matchQuote(quote, indexes.get(transcript)) : null;
+      if (!match || !match.found) {
+        missing.push({ quiz: quiz.id, question: question.number, quote, score: match ? match.score : null });
+        return null;
       }
-    }
-    
-    // Extract options with letter prefixes - format: "- [ ] A. Option text"
-    const optionMatches = [...section.matchAll(/- \[ \] ([A-Z])\.\s+(.+)/g)];
-    
-    // Add options to HTML
-    optionMatches.forEach((match, optIndex) => {
-      const letterPrefix = match[1].trim();
-      const optionText = match[2].trim();
-      
-      // Check if this option's letter is in the correctLetters array
-      const isCorrect = correctLetters.includes(letterPrefix);
-      const isCorrectStr = isCorrect ? "true" : "false";
       
-      quizHtml += `
-        <div class="option">
-          <input type="${inputType}" id="q${index}-o${optIndex}" name="q${index}" value="${optIndex}" data-correct="${isCorrectStr}">
-          <label for="q${index}-o${optIndex}">${letterPrefix}. ${optionText}</label>
-        </div>`;
+      const { timestamp } = match.segment;
+      const anchor = timestamp ? `#t=${timestamp}` : '';
+      return { href: `../transcripts/${encodeURI(transcript.htmlFilename)}${anchor}`, timestamp };
+    })));
+  });
+  
+  return { links, missing };
+}
+
+// Build report of the quotes linkQuotes() couldn't find, with how close the best match came
+function reportMissingQuotes(missing) {
+  if (missing.length === 0) return;
+  
+  console.log(`Quotes not found in their lecture transcript (${missing.length}):`);
+  missing.forEach(({ quiz, question, quote, score }) => {
+    const closeness = score === null ? 'no transcript' : `best match ${Math.round(score * 100)}%`;
+    console.log(`  ${quiz} question ${question} (${closeness}): "${createExcerpt(quote, 80)}"`);
+  });
+}
+
+// Warn about option letters in explanations and rationales that markLetterReferences() did
+// not mark: shuffle mode would leave them pointing at the authored options
+function reportUnmarkedReferences(quizzes) {
+  quizzes.forEach(quiz => {
+    quiz.questions.forEach(question => {
+      const letters = question.options.map(option => option.letter);
+      const texts = [question.explanation].concat(question.options.map(option => option.rationale).filter(Boolean));
+      texts.forEach(text => {
+        const html = markLetterReferences(parseMarkdown(text), letters, EXPLANATION_REFERENCE)
+          .replace(/<span class="option-ref"[^>]*>[A-Z]<\/span>/g, '')
+          .replace(/<[^>]*>/g, '')
+          .replace(MATH_PATTERN, '');
+        for (const match of html.matchAll(UNMARKED_REFERENCE)) {
+          const letter = match[1] || match[2] || match[3];
+          if (letters.includes(letter)) {
+            console.warn(`Warning: ${quiz.id} question ${question.number}: option letter ${letter} in "${match[0]}" is not marked, so shuffled options won't relabel it`);
+          }
+        }
+      });
     });
-    
-    // Format explanation for HTML output - remove the "Correct Answers" line
-    let cleanExplanation = explanation;
-    const correctAnswersLine = explanation.match(/\*\*Correct Answers?:\*\*\s*[A-Z,\s]+/i);
-    if (correctAnswersLine) {
-      cleanExplanation = explanation.replace(correctAnswersLine[0], '').trim();
+  });
+}
+
+// Format transcript content: a paragraph per segment (more if it has several). The first
+// carries the segment's anchor id and start time (for `#t=00:01:35` links), a timestamp
+// linking to the segment and a button that copies that link.
+function formatTranscript(text) {
+  return TranscriptModel.parseTranscript(text).map(segment => {
+    const paragraphs = segment.paragraphs.map(paragraph => HtmlEscape.escapeText(paragraph));
+    if (!segment.timestamp) {
+      return paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('');
     }
     
-    // Apply formatting
-    cleanExplanation = cleanExplanation
-      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-      .replace(/> "(.+?)"/g, '<blockquote>"$1"</blockquote>');
+    const timestamp = `<a class="timestamp" href="#t=${segment.timestamp}">[${segment.timestamp}]</a>`;
+    const copyLink = `<button type="button" class="segment-copy" data-time="${segment.timestamp}" title="Copy link to ${segment.timestamp}" aria-label="Copy link to ${segment.timestamp}">🔗</button>`;
+    const [first = '', ...rest] = paragraphs;
+    return `<p id="${segment.id}" data-seconds="${segment.seconds}">${timestamp} ${copyLink}\n${first}</p>` +
+      rest.map(paragraph => `<p>${paragraph}</p>`).join('');
+  }).join('');
+}
+
+// Collapsible minute-by-minute table of contents for a transcript page
+function createTranscriptContents(text) {
+  const entries = TranscriptModel.minuteContents(TranscriptModel.parseTranscript(text));
+  if (entries.length === 0) return '';
+  
+  const items = entries.map(entry => `
+              <li><a href="#t=${entry.timestamp}"><span class="timestamp">${entry.timestamp}</span> ${HtmlEscape.escapeText(entry.text)}</a></li>`).join('');
+  
+  return `
+          <details class="transcript-toc">
+            <summary>Contents</summary>
+            <ol>${items}
+            </ol>
+          </details>`;
+}
+
+// Every published question as rendered on its quiz page, for the pages that mix questions
+// from several quizzes (the review and practice pages). Loaded by those pages as
+// js/question-bank.js.
+function createQuestionBank(quizzes, quoteLinks) {
+  return {
+    quizzes: quizzes.map(quiz => {
+      const links = quoteLinks.get(quiz.id) || [];
+      return {
+        id: quiz.id,
+        title: quiz.title,
+        questions: quiz.questions.map((question, index) => ({
+          key: question.key,
+          number: question.number,
+          type: question.type,
+          html: generateQuestionHtml(question, index, links[index]).trim()
+        }))
+      };
+    })
+  };
+}
+
+// Review page: a spaced-repetition session over the question bank, run by js/review.js
+function createReviewContent() {
+  return `<h2 class="section-title">Review</h2>
+  <div class="review">
+    <p class="review-intro">Questions from every quiz, scheduled by how well you answered them before. Answer each one, then rate how easy it was: questions you find hard come back sooner.</p>
+    <p class="review-status" aria-live="polite"></p>
+    <div class="review-card"></div>
+  </div>`;
+}
+
+// Practice page: a form to pick lectures (by module), question types and a count; js/practice.js
+// draws a random session from the question bank and shows it below
+function createPracticeContent(quizzes, navTree) {
+  const questionCounts = new Map(quizzes.map(quiz => [quiz.id, quiz.questions.length]));
+  const total = quizzes.reduce((sum, quiz) => sum + quiz.questions.length, 0);
+  
+  const modules = navTree.map(group => {
+    const lectures = group.items.map(item => {
+      const label = item.number ? `${item.number} ${item.title}` : item.title;
+      return `
+            <li><label><input type="checkbox" name="lecture" value="${HtmlEscape.escapeAttribute(item.id)}" checked> ${HtmlEscape.escapeText(label)} (${questionCounts.get(item.id) || 0})</label></li>`;
+    }).join('');
     
-    quizHtml += `
+    return `
+        <div class="practice-module">
+          <label class="practice-module-toggle"><input type="checkbox" data-module="${HtmlEscape.escapeAttribute(group.prefix)}" checked> ${HtmlEscape.escapeText(group.title)}</label>
+          <ul>${lectures}
+          </ul>
+        </div>`;
+  }).join('');
+  
+  const types = Object.entries(QuizModel.QUESTION_TYPES).map(([type, label]) => `
+        <label><input type="checkbox" name="type" value="${HtmlEscape.escapeAttribute(type)}" checked> ${HtmlEscape.escapeText(label)}</label>`).join('');
+  
+  return `<h2 class="section-title">Practice Session</h2>
+  <div class="practice">
+    <form class="practice-form">
+      <p class="practice-intro">Mix questions from any lectures into one randomized session. Answers are checked and explained as on the quiz pages, but not saved.</p>
+      <fieldset class="practice-lectures">
+        <legend>Lectures</legend>${modules}
+      </fieldset>
+      <fieldset class="practice-types">
+        <legend>Question types</legend>${types}
+      </fieldset>
+      <label class="practice-count">Questions <input type="number" name="count" value="10" min="1" max="${total}" required></label>
+      <p class="practice-status" aria-live="polite"></p>
+      <button type="submit" class="btn">Start session</button>
+    </form>
+    <div class="practice-session" hidden></div>
+  </div>`;
+}
+
+// Published quizzes by module with the keys and numbers of their questions, for the
+// progress dashboard. Loaded by quizzes/dashboard.html as js/dashboard-data.js.
+function createDashboardData(quizzes, navTree) {
+  const questions = new Map(quizzes.map(quiz => [quiz.id, quiz.questions.map(({ key, number }) => ({ key, number }))]));
+  return {
+    modules: navTree.map(group => ({
+      prefix: group.prefix,
+      title: group.title,
+      quizzes: group.items.map(item => ({
+        id: item.id,
+        number: item.number,
+        title: item.title,
+        questions: questions.get(item.id) || []
+      }))
+    }))
+  };
+}
+
+// Progress dashboard, filled in from the saved progress by js/dashboard.js
+function createDashboardContent() {
+  return `<h2 class="section-title">Progress</h2>
+  <div class="dashboard">
+    <p class="dashboard-intro">How you are doing across the lectures, from the answers saved in this browser. Accuracy counts every checked answer, including retries.</p>
+    <div class="dashboard-stats"></div>
+    <section class="dashboard-modules">
+      <h3>By Module</h3>
+    </section>
+    <section class="dashboard-weakest">
+      <h3>Weakest Lectures</h3>
+    </section>
+    <section class="dashboard-calibration">
+      <h3>Confidence</h3>
+    </section>
+    <section class="dashboard-activity">
+      <h3>Activity</h3>
+    </section>
+    <section class="dashboard-lectures">
+      <h3>By Lecture</h3>
+    </section>
+    <section class="dashboard-transfer">
+      <h3>Your Data</h3>
+      <p>Progress is saved in this browser only. Export it to a file to keep a copy or to carry on in another browser. Importing a file merges it with the progress here; where both have a question, the one answered last is kept.</p>
+      <div class="dashboard-transfer-actions">
+        <button type="button" class="btn dashboard-export">Export progress</button>
+        <button type="button" class="btn dashboard-import">Import progress</button>
+        <input type="file" class="dashboard-import-file" accept=".json,application/json" hidden>
       </div>
-      <div class="feedback"></div>
-      <button class="btn btn-check">Check Answer</button>
-      <div class="explanation">${cleanExplanation}</div>
-    </div>`;
+      <p class="dashboard-transfer-status" role="status"></p>
+    </section>
+  </div>`;
+}
+
+// Short plain-text preview for search results
+function createExcerpt(markdown, length = 160) {
+  const text = markdown.replace(/[*_`#>]+/g, '').replace(/\s+/g, ' ').trim();
+  if (text.length <= length) return text;
+  return `${text.slice(0, text.lastIndexOf(' ', length))}…`;
+}
+
+// Search documents: every quiz question (stem, options, explanation) and every
+// transcript segment, linking to the question anchor or the segment's `#t=` time
+function createSearchDocuments(quizzes, transcripts) {
+  const documents = [];
+  
+  quizzes.forEach(quiz => {
+    const { number } = QuizNav.parseQuizNumber(quiz.id);
+    quiz.questions.forEach(question => {
+      documents.push({
+        kind: 'quiz',
+        url: `quizzes/${quiz.id}.html#question-${question.number}`,
+        title: `${number ? `${number} ` : ''}${quiz.title} · Question ${question.number}`,
+        excerpt: createExcerpt(question.stem),
+        fields: [
+          { text: question.stem, weight: 3 },
+          { text: question.options.map(option => option.text).join('\n'), weight: 2 },
+          { text: [question.explanation, ...question.quotes].join('\n'), weight: 1 }
+        ]
+      });
+    });
   });
   
-  quizHtml += `</div>`;
-  return { title, content: quizHtml };
+  transcripts.forEach(transcript => {
+    TranscriptModel.parseTranscript(transcript.content).forEach(segment => {
+      const text = TranscriptModel.segmentText(segment);
+      if (!text) return;
+      
+      documents.push({
+        kind: 'transcript',
+        url: `transcripts/${encodeURI(transcript.htmlFilename)}${segment.timestamp ? `#t=${segment.timestamp}` : ''}`,
+        title: segment.timestamp ? `${transcript.title} · ${segment.timestamp}` : transcript.title,
+        excerpt: createExcerpt(text),
+        fields: [{ text, weight: 1 }]
+      });
+    });
+  });
+  
+  return documents;
 }
 
-// Format transcript content
-function formatTranscript(text) {
-  return text
-    .replace(/\[(\d{2}:\d{2}:\d{2})\]/g, '<span class="timestamp">[$1]</span>')
-    .replace(/\n\n/g, '</p><p>')
-    .replace(/^/, '<p>')
-    .replace(/$/, '</p>');
+// Load the module groups (prefix and display title, in sidebar order)
+function loadModules() {
+  const modules = readFile(path.join(__dirname, 'modules.json'));
+  return modules ? JSON.parse(modules) : [];
 }
 
-// Create quiz index content
-function createQuizIndexContent(quizFiles) {
+// Build the sidebar navigation tree from the published quizzes
+function createNavTree(entries, modules) {
+  return QuizNav.buildNavTree(entries.map(({ id, title, module, order }) => ({ id, title, module, order })), modules);
+}
+
+// Create quiz index content, in manifest order and titled from it
+function createQuizIndexContent(entries) {
   let content = `<h2 class="section-title">All Quizzes</h2>
   <div class="quiz-list">`;
   
-  quizFiles.forEach(file => {
-    const quizId = path.basename(file, '.md');
-    let topic = '';
-    
-    // Extract topic from filename
-    if (quizId.startsWith('13')) {
-      topic = 'Generative Models';
-    } else if (quizId.startsWith('17')) {
-      topic = 'Reinforcement Learning';
-    } else if (quizId.startsWith('18')) {
-      topic = 'Advanced Topics';
-    }
-    
-    // Format title
-    const number = quizId.match(/(\d+\.\d+)/)?.[1] || '';
-    const title = number ? `${number} - ${topic}` : quizId;
+  entries.forEach(entry => {
+    const { number } = QuizNav.parseQuizNumber(entry.id);
+    const title = number ? `${number} - ${entry.title}` : entry.title;
     
     content += `
     <div class="quiz-item">
-      <h3><a href="${quizId}.html">${title}</a></h3>
+      <h3><a href="${HtmlEscape.escapeAttribute(`${entry.id}.html`)}">${HtmlEscape.escapeText(title)}</a></h3>
     </div>`;
   });
   
@@ -236,18 +634,14 @@ function createQuizIndexContent(quizFiles) {
 }
 
 // Create transcript index content
-function createTranscriptIndexContent(transcriptFiles) {
+function createTranscriptIndexContent(transcripts) {
   let content = `<h2 class="section-title">All Transcripts</h2>
   <div class="transcript-list">`;
   
-  transcriptFiles.forEach(file => {
-    const basename = path.basename(file);
-    const title = basename.replace('.txt', '');
-    const htmlFilename = basename.replace('.txt', '.html');
-    
+  transcripts.forEach(({ title, htmlFilename }) => {
     content += `
     <div class="transcript-item">
-      <h3><a href="${htmlFilename}">${title}</a></h3>
+      <h3><a href="${HtmlEscape.escapeAttribute(htmlFilename)}">${HtmlEscape.escapeText(title)}</a></h3>
     </div>`;
   });
   
@@ -255,73 +649,99 @@ function createTranscriptIndexContent(transcriptFiles) {
   return content;
 }
 
-// Main function to build the site
-function buildSite() {
+// Main function to build the site; `force` regenerates every page regardless of the manifest.
+// Returns the generated or removed files (relative to docs/).
+function buildSite({ force = false } = {}) {
   console.log('Starting site build...');
+  const build = startBuild({ force });
+  copyMathJax(build);
   
   const quizDir = path.join(__dirname, 'quizzes');
   const transcriptDir = path.join(__dirname, 'transcripts');
   
-  // Get all content files
-  const quizFiles = fs.readdirSync(quizDir)
-    .filter(file => file.endsWith('.md'))
-    .map(file => path.join(quizDir, file));
+  // Get all content files: the quizzes listed in quizzes.json, every transcript
+  const modules = loadModules();
+  const quizEntries = loadPublishedQuizzes(modules);
   
-  const transcriptFiles = fs.readdirSync(transcriptDir)
-    .filter(file => file.endsWith('.txt'))
-    .map(file => path.join(transcriptDir, file));
+  // Parse every published quiz into its canonical model
+  const quizzes = quizEntries.map(entry => QuizManifest.loadQuiz(entry));
   
-  // Process quizzes
+  // One transcript per lecture, the same one analyze_transcript_quotes.js checks quotes against
+  const transcripts = TranscriptModel.loadTranscripts(transcriptDir);
+  
+  // Sidebar navigation, rendered into every page and loaded by the converter's pages (QuizNav.mountNav)
+  const navTree = createNavTree(quizEntries, modules);
+  writeOutput(build, path.join(__dirname, 'js', 'nav-data.js'), hashInputs(navTree),
+    () => `// Generated by build.js - do not edit\nwindow.QUIZ_NAV = ${JSON.stringify(navTree, null, 2)};\n`);
+  
+  // Process quizzes: the JSON model first, then the page rendered from it, with each
+  // lecture quote linked to where it was said in the transcript
   console.log('Generating quiz pages...');
-  quizFiles.forEach(quizFile => {
-    const quizId = path.basename(quizFile, '.md');
-    const quiz = generateQuizHtml(quizFile);
+  const quoteLinks = linkQuotes(quizzes, transcripts);
+  quizzes.forEach(quiz => {
+    writeOutput(build, path.join(quizDir, `${quiz.id}.json`), hashInputs(quiz),
+      () => JSON.stringify(quiz, null, 2) + '\n');
     
-    if (quiz) {
-      const html = getHtmlTemplate(quiz.title, quiz.content);
-      fs.writeFileSync(path.join(quizDir, `${quizId}.html`), html);
-      console.log(`Generated: ${quizId}.html`);
-    }
+    const links = quoteLinks.links.get(quiz.id);
+    writeOutput(build, path.join(quizDir, `${quiz.id}.html`), hashInputs(quiz, navTree, links),
+      () => getHtmlTemplate(quiz.title, generateQuizHtml(quiz, links), navTree));
   });
+  reportMissingQuotes(quoteLinks.missing);
+  reportUnmarkedReferences(quizzes);
+  
+  // Question bank and the review and practice pages that draw from it
+  const questionBank = createQuestionBank(quizzes, quoteLinks.links);
+  writeOutput(build, path.join(__dirname, 'js', 'question-bank.js'), hashInputs(questionBank),
+    () => `// Generated by build.js - do not edit\nwindow.QUESTION_BANK = ${JSON.stringify(questionBank)};\n`);
+  
+  const reviewHtml = getHtmlTemplate('Review', createReviewContent(), navTree, false, ['question-bank.js', 'review.js']);
+  writeOutput(build, path.join(quizDir, 'review.html'), hashInputs(reviewHtml), () => reviewHtml);
+  
+  const practiceHtml = getHtmlTemplate('Practice Session', createPracticeContent(quizzes, navTree), navTree, false, ['question-bank.js', 'practice.js']);
+  writeOutput(build, path.join(quizDir, 'practice.html'), hashInputs(practiceHtml), () => practiceHtml);
+  
+  // Progress dashboard over every quiz
+  const dashboardData = createDashboardData(quizzes, navTree);
+  writeOutput(build, path.join(__dirname, 'js', 'dashboard-data.js'), hashInputs(dashboardData),
+    () => `// Generated by build.js - do not edit\nwindow.DASHBOARD_DATA = ${JSON.stringify(dashboardData)};\n`);
+  
+  const dashboardHtml = getHtmlTemplate('Progress', createDashboardContent(), navTree, false, ['dashboard-data.js', 'progress-transfer.js', 'dashboard.js']);
+  writeOutput(build, path.join(quizDir, 'dashboard.html'), hashInputs(dashboardHtml), () => dashboardHtml);
   
   // Process transcripts
   console.log('Generating transcript pages...');
-  transcriptFiles.forEach(transcriptFile => {
-    const basename = path.basename(transcriptFile);
-    const title = basename.replace('.txt', '');
-    const htmlFilename = basename.replace('.txt', '.html');
-    
-    const content = readFile(transcriptFile);
-    if (content) {
+  transcripts.forEach(({ title, htmlFilename, content }) => {
+    writeOutput(build, path.join(transcriptDir, htmlFilename), hashInputs(title, content, navTree), () => {
       const transcriptContent = `
-        <h2 class="section-title">${title}</h2>
-        <div class="transcript-container">
+        <h2 class="section-title">${HtmlEscape.escapeText(title)}</h2>
+        <div class="transcript-container">${createTranscriptContents(content)}
           <div class="transcript">
             ${formatTranscript(content)}
           </div>
         </div>
       `;
       
-      const html = getHtmlTemplate(title, transcriptContent);
-      fs.writeFileSync(path.join(transcriptDir, htmlFilename), html);
-      console.log(`Generated: ${htmlFilename}`);
-    }
+      return getHtmlTemplate(title, transcriptContent, navTree);
+    });
   });
   
+  // Search index over the quiz questions and transcript segments, loaded by the sidebar search box
+  const searchIndex = QuizSearch.buildIndex(createSearchDocuments(quizzes, transcripts));
+  writeOutput(build, path.join(__dirname, 'js', 'search-index.js'), hashInputs(searchIndex),
+    () => `// Generated by build.js - do not edit\nwindow.SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`);
+  
   // Create index pages
   console.log('Generating index pages...');
   
   // Quiz index
-  const quizIndexContent = createQuizIndexContent(quizFiles);
-  const quizIndexHtml = getHtmlTemplate('Quiz Index', quizIndexContent);
-  fs.writeFileSync(path.join(quizDir, 'index.html'), quizIndexHtml);
-  console.log('Generated quiz index page');
+  const quizIndexContent = createQuizIndexContent(quizEntries);
+  const quizIndexHtml = getHtmlTemplate('Quiz Index', quizIndexContent, navTree);
+  writeOutput(build, path.join(quizDir, 'index.html'), hashInputs(quizIndexHtml), () => quizIndexHtml);
   
   // Transcript index
-  const transcriptIndexContent = createTranscriptIndexContent(transcriptFiles);
-  const transcriptIndexHtml = getHtmlTemplate('Transcript Index', transcriptIndexContent);
-  fs.writeFileSync(path.join(transcriptDir, 'index.html'), transcriptIndexHtml);
-  console.log('Generated transcript index page');
+  const transcriptIndexContent = createTranscriptIndexContent(transcripts);
+  const transcriptIndexHtml = getHtmlTemplate('Transcript Index', transcriptIndexContent, navTree);
+  writeOutput(build, path.join(transcriptDir, 'index.html'), hashInputs(transcriptIndexHtml), () => transcriptIndexHtml);
   
   // Main index
   const mainContent = `
@@ -336,6 +756,24 @@ function buildSite() {
           <a href="quizzes/index.html" class="btn">View Quizzes</a>
         </div>
         
+        <div class="link-card">
+          <h3>Review</h3>
+          <p>Study the questions that are due, from every quiz, with spaced repetition.</p>
+          <a href="quizzes/review.html" class="btn">Start Review</a>
+        </div>
+        
+        <div class="link-card">
+          <h3>Practice</h3>
+          <p>Build a randomized session from the lectures and question types you choose.</p>
+          <a href="quizzes/practice.html" class="btn">Start Practice</a>
+        </div>
+        
+        <div class="link-card">
+          <h3>Progress</h3>
+          <p>See your accuracy by module and lecture, your study streak and your weakest lectures.</p>
+          <a href="quizzes/dashboard.html" class="btn">View Progress</a>
+        </div>
+        
         <div class="link-card">
           <h3>Transcripts</h3>
           <p>Read through lecture transcripts to review the material.</p>
@@ -345,12 +783,90 @@ function buildSite() {
     </div>
   `;
   
-  const mainIndexHtml = getHtmlTemplate('CS7643 Module 4', mainContent, true);
-  fs.writeFileSync(path.join(__dirname, 'index.html'), mainIndexHtml);
-  console.log('Generated main index page');
+  const mainIndexHtml = getHtmlTemplate('CS7643 Module 4', mainContent, navTree, true);
+  writeOutput(build, path.join(__dirname, 'index.html'), hashInputs(mainIndexHtml), () => mainIndexHtml);
   
+  writePrecacheManifest(build);
+  finishBuild(build);
   console.log('Site build complete!');
+  return build.changed;
+}
+
+// Watch the quiz and transcript sources, rebuild on change (only the affected pages
+// are rewritten, see writeOutput) and serve docs/ with live reload
+function watchSite({ port, host }) {
+  const { reload } = DevServer.startDevServer({ root: __dirname, port, host });
+  buildSite();
+  
+  let pending = null;
+  const rebuild = () => {
+    pending = null;
+    try {
+      const changed = buildSite();
+      if (changed.length > 0) reload(changed);
+    } catch (err) {
+      console.error('Build failed:', err);
+    }
+  };
+  
+  // Only source files: the generated .html/.json next to them change on every rebuild. The
+  // manifests decide what is published and how it is grouped. Directories are watched
+  // rather than files, since editors often save by replacing the file.
+  const watched = [
+    ['quizzes', filename => path.extname(filename) === '.md'],
+    ['transcripts', filename => ['.txt', '.srt'].includes(path.extname(filename))],
+    ['.', filename => filename === 'quizzes.json' || filename === 'modules.json']
+  ];
+  watched.forEach(([dir, isSource]) => {
+    fs.watch(path.join(__dirname, dir), (eventType, filename) => {
+      if (!filename || !isSource(filename)) return;
+      
+      // Editors often save in several steps; rebuild once they're done
+      clearTimeout(pending);
+      pending = setTimeout(rebuild, 100);
+    });
+  });
+  console.log('Watching quizzes/, transcripts/, quizzes.json and modules.json for changes...');
 }
 
-// Execute the build
-buildSite();
\ No newline at end of file
+module.exports = { buildSite, parseMarkdown, getHtmlTemplate, generateQuizHtml, formatTranscript };
+
+const USAGE = 'Usage: node build.js [--force]\n       node build.js --watch [--port 8080] [--host 0.0.0.0]';
+
+// The value after `flag` in the command line arguments: `fallback` when the flag isn't
+// given, undefined when it is given without a value
+function optionValue(args, flag, fallback) {
+  const index = args.indexOf(flag);
+  if (index === -1) return fallback;
+  const value = args[index + 1];
+  return value !== undefined && !value.startsWith('--') ? value : undefined;
+}
+
+// { port, host } for --watch, or { error } describing the first invalid option
+function parseWatchOptions(args) {
+  const port = optionValue(args, '--port', '8080');
+  if (port === undefined || !/^\d+$/.test(port) || Number(port) > 65535) {
+    return { error: `--port needs a port number from 0 to 65535${port === undefined ? '' : `, got "${port}"`}` };
+  }
+  const host = optionValue(args, '--host', DevServer.DEFAULT_HOST);
+  if (!host) {
+    return { error: '--host needs an address, e.g. 0.0.0.0 to accept connections from the network' };
+  }
+  return { port: Number(port), host };
+}
+
+// Execute the build when run directly (`node build.js [--force]`, or
+// `--watch [--port 8080] [--host 0.0.0.0]`)
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args.includes('--watch')) {
+    const options = parseWatchOptions(args);
+    if (options.error) {
+      console.error(`${options.error}\n${USAGE}`);
+      process.exit(1);
+    }
+    watchSite(options);
+  } else {
+    buildSite({ force: args.includes('--force') });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,128 @@
+// Local development server used by `node build.js --watch`. Serves docs/ as static
+// files and pushes live-reload events to open pages over server-sent events.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const RELOAD_ENDPOINT = '/__livereload';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+// Injected into every served HTML page (never into the built files). Reloads the page
+// when the build regenerated it (a sidebar change regenerates every page).
+// LIVE_RELOAD also keeps js/script.js from registering the offline service worker.
+const RELOAD_SCRIPT = `
+<script>
+(function() {
+  window.LIVE_RELOAD = true;
+  var source = new EventSource('${RELOAD_ENDPOINT}');
+  source.addEventListener('reload', function(event) {
+    var changed = JSON.parse(event.data);
+    var page = decodeURIComponent(location.pathname).replace(/^\\//, '').replace(/(^|\\/)$/, '$1index.html');
+    if (changed.indexOf(page) !== -1) location.reload();
+  });
+})();
+</script>
+`;
+
+// Resolve a request URL to a file under root, or null if it escapes root
+function resolvePath(root, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  } catch (err) {
+    return null;
+  }
+
+  const filePath = path.join(root, pathname);
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) return null;
+
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    return path.join(filePath, 'index.html');
+  }
+  return filePath;
+}
+
+// Only this machine can connect unless another host is passed, e.g. '0.0.0.0' for every
+// network interface
+const DEFAULT_HOST = '127.0.0.1';
+
+// Start serving root on the given host and port. Returns `reload(changedFiles)`, which
+// tells every connected page which files (relative to root) the last rebuild wrote.
+function startDevServer({ root, port = 8080, host = DEFAULT_HOST }) {
+  const clients = new Set();
+
+  const server = http.createServer((req, res) => {
+    if (req.url === RELOAD_ENDPOINT) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    const filePath = resolvePath(root, req.url);
+    if (!filePath) {
+      res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Forbidden');
+      return;
+    }
+
+    fs.readFile(filePath, (err, data) => {
+      if (err) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+      }
+
+      const ext = path.extname(filePath).toLowerCase();
+      let body = data;
+      if (ext === '.html') {
+        const html = data.toString('utf8');
+        body = html.includes('</body>')
+          ? html.replace(/<\/body>(?![\s\S]*<\/body>)/, `${RELOAD_SCRIPT}</body>`)
+          : html + RELOAD_SCRIPT;
+      }
+
+      res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[ext] || 'application/octet-stream',
+        'Cache-Control': 'no-store'
+      });
+      res.end(body);
+    });
+  });
+
+  server.listen(port, host, () => {
+    if (host === DEFAULT_HOST) {
+      console.log(`Serving ${root} at http://localhost:${port}/`);
+    } else {
+      console.log(`Serving ${root} at http://${host}:${port}/, reachable from other machines on the network`);
+    }
+  });
+
+  function reload(changedFiles) {
+    const message = `event: reload\ndata: ${JSON.stringify(changedFiles)}\n\n`;
+    clients.forEach(client => client.write(message));
+  }
+
+  return { server, reload };
+}
+
+module.exports = { DEFAULT_HOST, startDevServer };
@@ -11,6 +11,7 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
 
 // Quiz titles mapping
 const QUIZ_TITLES = {
@@ -31,9 +32,7 @@ const QUIZ_TITLES = {
   '18.4': 'Unsupervised and Self-Supervised Learning',
 };
 
-// Problem patterns
-const MULTIPLE_CHOICE_REGEX = /Question \d+\s*\(Multiple Choice\)/i;
-const CORRECT_ANSWERS_REGEX = /\*\*Correct Answers?:\*\*\s*([A-Z,\s]+)/i;
+// Known problems
 const FIX_PATTERNS = [
   // Special cases where explanations clearly indicate different answers than what's marked
   {
@@ -88,10 +87,13 @@ async function processFile(filePath) {
   const fileName = path.basename(filePath);
   console.log(`\nProcessing ${fileName}...`);
   
-  let content = fs.readFileSync(filePath, 'utf8');
-  let modified = false;
+  const content = fs.readFileSync(filePath, 'utf8');
+  const quiz = QuizParser.parse(content);
   results.filesProcessed++;
   
+  // Replacements ({ loc, text }), spliced in from the end of the file once all questions are checked
+  const edits = [];
+  
   // 1. Add quiz title if missing
   if (!content.match(/^# Quiz:/m)) {
     // Find appropriate title from the mapping
@@ -104,39 +106,25 @@ async function processFile(filePath) {
     }
     
     // Add the title at the beginning
-    content = `# Quiz: ${title}\n\n${content}`;
+    edits.push({ loc: { start: { offset: 0 }, end: { offset: 0 } }, text: `# Quiz: ${title}\n\n` });
     console.log(`  ✓ Added quiz title: "${title}"`);
-    modified = true;
     results.titlesAdded++;
   }
   
-  // Split into sections
-  const sections = content.split(/(?=### Question \d+)/g);
-  
-  // First section might just be the title
-  const processedSections = sections.map((section, index) => {
-    // Skip if not a question section
-    if (!section.match(/^### Question \d+/)) {
-      return section;
-    }
-    
+  quiz.questions.forEach(question => {
     // 2. Get question number and type
-    const headerMatch = section.match(/^### Question (\d+)\s*\(([^)]+)\)/);
-    if (!headerMatch) {
-      return section;
+    if (question.label === null) {
+      return;
     }
     
-    const questionNumber = parseInt(headerMatch[1]);
-    const questionType = headerMatch[2].trim();
-    
-    // Find <details> section
-    const detailsMatch = section.match(/<details>[\s\S]+?<\/details>/);
-    if (!detailsMatch) {
-      return section;
+    const questionNumber = question.number;
+    const details = question.details;
+    if (!details || details.correctAnswers.length === 0) {
+      return;
     }
     
-    let detailsContent = detailsMatch[0];
-    let sectionModified = false;
+    const currentLetters = details.correct;
+    let correctLetters = currentLetters;
     
     // 3. Check for specific fixes
     const specificFix = FIX_PATTERNS.find(pattern => 
@@ -147,83 +135,40 @@ async function processFile(filePath) {
       // Apply specific fix
       console.log(`  ✓ Applying specific fix to Question ${questionNumber}: ${specificFix.description}`);
       
-      // Update the correct answers line
-      const newDetailsContent = detailsContent.replace(
-        CORRECT_ANSWERS_REGEX,
-        `**Correct Answers:** ${specificFix.correctAnswers}`
-      );
-      
-      if (newDetailsContent !== detailsContent) {
-        detailsContent = newDetailsContent;
-        sectionModified = true;
+      correctLetters = QuizParser.parseCorrectLetters(specificFix.correctAnswers);
+      if (correctLetters.join() !== currentLetters.join()) {
         results.specificFixes++;
       }
     }
     // 4. Fix Multiple Choice questions with multiple answers
-    else if (questionType.match(/Multiple Choice/i)) {
-      const correctAnswersMatch = detailsContent.match(CORRECT_ANSWERS_REGEX);
+    else if (question.questionType === 'multiple-choice' && currentLetters.length > 1) {
+      // If more than one correct answer, keep only the first one
+      console.log(`  ✓ Fixing Multiple Choice Question ${questionNumber}: Reducing ${currentLetters.length} correct answers to 1`);
       
-      if (correctAnswersMatch) {
-        const correctLetters = correctAnswersMatch[1]
-          .split(/[,\s]+/)
-          .filter(letter => /^[A-Z]$/.test(letter));
-        
-        // If more than one correct answer, keep only the first one
-        if (correctLetters.length > 1) {
-          console.log(`  ✓ Fixing Multiple Choice Question ${questionNumber}: Reducing ${correctLetters.length} correct answers to 1`);
-          
-          // Update the correct answers line to only include the first letter
-          const newDetailsContent = detailsContent.replace(
-            CORRECT_ANSWERS_REGEX,
-            `**Correct Answers:** ${correctLetters[0]}`
-          );
-          
-          if (newDetailsContent !== detailsContent) {
-            detailsContent = newDetailsContent;
-            sectionModified = true;
-            results.multipleChoiceFixed++;
-          }
-        }
-      }
+      correctLetters = currentLetters.slice(0, 1);
+      results.multipleChoiceFixed++;
     }
     
     // 5. Fix duplicate "Correct Answers:" lines
-    const correctAnswersLines = detailsContent.match(/\*\*Correct Answers?:\*\*/g);
-    if (correctAnswersLines && correctAnswersLines.length > 1) {
-      // Get the correct answers from the first line
-      const correctAnswersMatch = detailsContent.match(/\*\*Correct Answers?:\*\*\s*([A-Z,\s]+)/i);
-      if (correctAnswersMatch) {
-        const correctLetters = correctAnswersMatch[1]
-          .split(/[,\s]+/)
-          .filter(letter => /^[A-Z]$/.test(letter));
-        
-        // Remove all "Correct Answers:" lines
-        let cleanContent = detailsContent.replace(/\*\*Correct Answers?:\*\*\s*[^\n]*/g, '');
-        
-        // Add back one clean line at the beginning
-        cleanContent = cleanContent.replace(/<summary>Show Answer<\/summary>\s*\n/, 
-          `<summary>Show Answer</summary>\n\n**Correct Answers:** ${correctLetters.join(', ')}\n`
-        );
-        
-        if (cleanContent !== detailsContent) {
-          detailsContent = cleanContent;
-          sectionModified = true;
-          results.otherFixes++;
-        }
-      }
+    const [firstLine, ...duplicateLines] = details.correctAnswers;
+    if (duplicateLines.length > 0) {
+      // Remove the extra lines, along with their line breaks
+      duplicateLines.forEach(line => {
+        edits.push({ loc: { start: line.loc.start, end: { offset: line.loc.end.offset + 1 } }, text: '' });
+      });
+      results.otherFixes++;
     }
     
-    // 6. Replace the details section if modified
-    if (sectionModified) {
-      section = section.replace(/<details>[\s\S]+?<\/details>/, detailsContent);
-      modified = true;
+    // 6. Rewrite the remaining "Correct Answers:" line if anything changed
+    if (correctLetters.join() !== currentLetters.join() || duplicateLines.length > 0) {
+      edits.push({ loc: firstLine.loc, text: `**Correct Answers:** ${correctLetters.join(', ')}` });
     }
-    
-    return section;
   });
   
-  // Join sections back together
-  const processedContent = processedSections.join('');
+  const modified = edits.length > 0;
+  const processedContent = edits
+    .sort((a, b) => b.loc.start.offset - a.loc.start.offset)
+    .reduce((text, edit) => QuizParser.splice(text, edit.loc, edit.text), content);
   
   // Save if modified
   if (modified) {
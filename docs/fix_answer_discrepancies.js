@@ -10,6 +10,7 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
 
 // Get all quiz markdown files
 const files = glob.sync(path.join(__dirname, 'quizzes', '*Combined.md'));
@@ -23,74 +24,51 @@ files.forEach(file => {
   const fileName = path.basename(file);
   console.log(`Processing ${fileName}...`);
   
-  let content = fs.readFileSync(file, 'utf8');
-  let modified = false;
+  const content = fs.readFileSync(file, 'utf8');
   let fixedInFile = 0;
   let duplicatesRemovedInFile = 0;
-
-  // Split into sections by questions
-  const questionSections = content.split(/(?=### Question \d+)/g);
   
-  // Process each question section
-  const processedSections = questionSections.map(section => {
-    // Check if section has a question
-    if (!section.match(/^### Question \d+/)) {
-      return section;
-    }
-    
+  // Replacement answer blocks ({ loc, text }), spliced in from the end of the file
+  const edits = [];
+
+  // Process each question
+  QuizParser.parse(content).questions.forEach(question => {
     // Extract question info
-    const questionMatch = section.match(/^### Question (\d+)\s*\(([^)]+)\)/);
-    if (!questionMatch) {
-      return section;
+    if (question.label === null) {
+      return;
     }
     
-    const questionNumber = questionMatch[1];
-    const questionType = questionMatch[2];
+    const questionNumber = question.number;
+    const questionType = question.label;
     
     // Check for details section
-    const detailsMatch = section.match(/<details>[\s\S]+?<\/details>/);
-    if (!detailsMatch) {
-      return section;
+    const details = question.details;
+    if (!details) {
+      return;
     }
     
-    let detailsContent = detailsMatch[0];
-    
-    // Extract explanation content
-    const explanationMatch = detailsContent.match(/<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/);
-    if (!explanationMatch) {
-      return section;
-    }
-    
-    let explanationContent = explanationMatch[1];
-    
     // Get correct answer letters from first "Correct Answers:" line
-    const correctAnswersMatch = explanationContent.match(/\*\*Correct Answers?:\*\*\s*([A-Z,\s]+)/i);
-    if (!correctAnswersMatch) {
-      return section;
+    if (details.correctAnswers.length === 0) {
+      return;
     }
     
-    let correctLetters = correctAnswersMatch[1]
-      .split(/[,\s]+/)
-      .filter(letter => /^[A-Z]$/i.test(letter))
-      .map(letter => letter.toUpperCase());
+    let correctLetters = details.correct;
     
     // Count "Correct Answers:" lines
-    const correctAnswersLines = explanationContent.match(/\*\*Correct Answers?:\*\*/g);
-    if (correctAnswersLines && correctAnswersLines.length > 1) {
+    const correctAnswersLines = details.correctAnswers;
+    if (correctAnswersLines.length > 1) {
       duplicatesRemovedInFile++;
       totalDuplicatesRemoved++;
     }
     
-    // Extract options with their letters
-    const optionMatches = [...section.matchAll(/- \[ \] ([A-Z])\.\s+(.+)/g)];
-    const options = optionMatches.map(match => ({ 
-      letter: match[1],
-      text: match[2].trim()
-    }));
+    // Answer block without its "Correct Answers:" lines
+    const explanationText = QuizParser.sliceExcluding(
+      content, details.body.loc, correctAnswersLines.map(line => line.loc));
+    
+    const options = question.options;
     
     // Check explanation text for mentions of options being correct
     const explicitlyMentionedCorrect = [];
-    const explanationText = explanationContent.replace(/\*\*Correct Answers?:\*\*\s*[A-Z,\s]+/g, '');
     
     // Look for patterns like "options A, B, and C are correct" or "(A) is correct" 
     options.forEach(option => {
@@ -156,49 +134,27 @@ files.forEach(file => {
       // Add missing letters to correct letters
       const newCorrectLetters = [...new Set([...correctLetters, ...missingCorrectLetters])].sort();
       
-      // Create new "Correct Answers:" line
-      const newCorrectAnswersLine = `**Correct Answers:** ${newCorrectLetters.join(', ')}`;
-      
-      // Replace in explanation (all instances)
-      let newExplanation = explanationContent.replace(/\*\*Correct Answers?:\*\*\s*[^\n]*/g, '');
-      
-      // Add the updated correct answers line at the beginning
-      newExplanation = `\n${newCorrectAnswersLine}\n${newExplanation.trim()}`;
-      
-      // Replace in section
-      const newDetailsContent = detailsContent.replace(
-        /<summary>Show Answer<\/summary>[\s\S]+?<\/details>/,
-        `<summary>Show Answer</summary>${newExplanation}\n</details>`
-      );
-      
-      section = section.replace(detailsContent, newDetailsContent);
-      modified = true;
+      // Replace all "Correct Answers:" lines with the updated one at the beginning
+      edits.push({
+        loc: details.body.loc,
+        text: `**Correct Answers:** ${newCorrectLetters.join(', ')}\n${explanationText.trim()}`
+      });
       fixedInFile++;
       totalFixed++;
     } 
     // If only duplicate "Correct Answers:" lines, fix those
-    else if (correctAnswersLines && correctAnswersLines.length > 1) {
-      // Remove all "Correct Answers:" lines
-      let newExplanation = explanationContent.replace(/\*\*Correct Answers?:\*\*\s*[^\n]*/g, '');
-      
-      // Add back the correct one
-      newExplanation = `\n**Correct Answers:** ${correctLetters.join(', ')}\n${newExplanation.trim()}`;
-      
-      // Replace in section
-      const newDetailsContent = detailsContent.replace(
-        /<summary>Show Answer<\/summary>[\s\S]+?<\/details>/,
-        `<summary>Show Answer</summary>${newExplanation}\n</details>`
-      );
-      
-      section = section.replace(detailsContent, newDetailsContent);
-      modified = true;
+    else if (correctAnswersLines.length > 1) {
+      // Keep a single "Correct Answers:" line
+      edits.push({
+        loc: details.body.loc,
+        text: `**Correct Answers:** ${correctLetters.join(', ')}\n${explanationText.trim()}`
+      });
     }
-    
-    return section;
   });
   
-  // Join sections back together
-  const newContent = processedSections.join('');
+  const modified = edits.length > 0;
+  const newContent = edits.reverse().reduce(
+    (text, edit) => QuizParser.splice(text, edit.loc, edit.text), content);
   
   // Write back if modified
   if (modified) {
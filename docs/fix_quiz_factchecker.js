@@ -12,6 +12,7 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
 
 // Configuration
 const CONFIG = {
@@ -91,29 +92,24 @@ async function processFile(filePath, fileName) {
   let modified = false;
   let questionsFixedInFile = 0;
   
-  // Split into sections by questions
-  const questionSections = content.split(/(?=### Question \d+)/g);
+  const quiz = QuizParser.parse(content);
   
-  // Process each question section
-  const processedSections = questionSections.map((section, index) => {
-    // Skip non-question sections
-    if (!section.match(/^### Question \d+/)) {
-      return section;
-    }
-    
+  // Replacements ({ loc, text }) for the answer blocks that need fixing
+  const edits = [];
+  
+  // Process each question
+  quiz.questions.forEach((question, index) => {
     results.questionsProcessed++;
-    let sectionModified = false;
     let fixDetails = {};
     
     // Extract question info
-    const questionMatch = section.match(/^### Question (\d+)\s*\(([^)]+)\)/);
-    if (!questionMatch) {
-      console.log(`  Warning: Question format issue in section ${index + 1}`);
-      return section;
+    if (question.label === null) {
+      console.log(`  Warning: Question format issue in section ${index + 1} (line ${question.loc.start.line})`);
+      return;
     }
     
-    const questionNumber = questionMatch[1];
-    const questionType = questionMatch[2].trim();
+    const questionNumber = question.number;
+    const questionType = question.label;
     let questionId = `${fileName}:Q${questionNumber}`;
     
     if (CONFIG.VERBOSE) {
@@ -121,60 +117,45 @@ async function processFile(filePath, fileName) {
     }
     
     // Extract details tag content
-    const detailsMatch = section.match(/<details>[\s\S]+?<\/details>/);
-    if (!detailsMatch) {
+    const details = question.details;
+    if (!details) {
       if (CONFIG.VERBOSE) {
         console.log(`  - No details section found for ${questionId}`);
       }
-      return section;
+      return;
     }
     
-    let detailsContent = detailsMatch[0];
-    
-    // Extract explanation
-    const explanationMatch = detailsContent.match(/<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/);
-    if (!explanationMatch) {
-      return section;
-    }
-    
-    let explanationContent = explanationMatch[1];
-    
     // Extract options from question
-    const options = [...section.matchAll(/- \[ \] ([A-Z])\.\s+(.+)/g)]
-      .map(match => ({
-        letter: match[1],
-        text: match[2].trim()
-      }));
+    const options = question.options;
     
     if (options.length === 0) {
       if (CONFIG.VERBOSE) {
         console.log(`  - No options found for ${questionId}`);
       }
-      return section;
+      return;
     }
     
     // Extract current correct answers
-    const correctAnswersMatch = explanationContent.match(/\*\*Correct Answers?:\*\*\s*([A-Z,\s]+)/i);
-    if (!correctAnswersMatch) {
+    if (details.correctAnswers.length === 0) {
       if (CONFIG.VERBOSE) {
         console.log(`  - No "Correct Answers:" line found for ${questionId}`);
       }
-      return section;
+      return;
     }
     
-    const currentCorrectLetters = correctAnswersMatch[1]
-      .split(/[,\s]+/)
-      .filter(letter => /^[A-Z]$/i.test(letter))
-      .map(letter => letter.toUpperCase());
+    const currentCorrectLetters = details.correct;
     
     // Check for duplicate "Correct Answers:" lines
-    const correctAnswersLines = explanationContent.match(/\*\*Correct Answers?:\*\*/g);
-    const hasDuplicateAnswerLines = correctAnswersLines && correctAnswersLines.length > 1;
+    const correctAnswersLines = details.correctAnswers;
+    const hasDuplicateAnswerLines = correctAnswersLines.length > 1;
+    
+    // Answer block without its "Correct Answers:" lines
+    const explanationContent = QuizParser.sliceExcluding(
+      content, details.body.loc, correctAnswersLines.map(line => line.loc));
     
     // Analyze explanation to determine which options should be correct
     const explicitlyMentionedCorrect = [];
     const explanationTextOnly = explanationContent
-      .replace(/\*\*Correct Answers?:\*\*\s*[A-Z,\s]+/g, '')
       .replace(/\*\*.+?\*\*/g, ''); // Remove other bold text
     
     // Method 1: Direct letter mentions - check phrases like "(A) is correct"
@@ -323,29 +304,21 @@ async function processFile(filePath, fileName) {
         results.questionsFixed.duplicatesRemoved++;
       }
       
-      // Create new explanation content
-      let newExplanation = explanationContent.replace(/\*\*Correct Answers?:\*\*\s*[^\n]*/g, '');
-      newExplanation = `\n**Correct Answers:** ${newCorrectLetters.join(', ')}\n${newExplanation.trim()}`;
-      
-      // Update the details section
-      const newDetailsContent = detailsContent.replace(
-        /<summary>Show Answer<\/summary>[\s\S]+?<\/details>/,
-        `<summary>Show Answer</summary>${newExplanation}\n</details>`
-      );
-      
-      section = section.replace(detailsContent, newDetailsContent);
-      sectionModified = true;
+      // Replace the answer block with a single "Correct Answers:" line followed by the explanation
+      edits.push({
+        loc: details.body.loc,
+        text: `**Correct Answers:** ${newCorrectLetters.join(', ')}\n${explanationContent.trim()}`
+      });
       questionsFixedInFile++;
       
       // Add to results
       results.questionDetails.push(fixDetails);
     }
-    
-    return section;
   });
   
-  // Join sections back together
-  const newContent = processedSections.join('');
+  // Splice the fixes in from the end of the file so earlier locations stay valid
+  const newContent = edits.reverse().reduce(
+    (text, edit) => QuizParser.splice(text, edit.loc, edit.text), content);
   
   // Write changes if content was modified
   if (newContent !== content && !CONFIG.DRYRUN) {
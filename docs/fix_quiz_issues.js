@@ -12,6 +12,7 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
 
 // Configuration
 const CONFIG = {
@@ -82,145 +83,114 @@ function fixAllQuizzes() {
  */
 function fixFile(filePath) {
   const fileName = path.basename(filePath);
-  let modified = false;
   
   try {
-    let content = fs.readFileSync(filePath, 'utf8');
+    const content = fs.readFileSync(filePath, 'utf8');
+    const quiz = QuizParser.parse(content);
     
-    // Split into sections
-    const titleSection = content.match(/^[^#]*(?=#)/)?.[0] || '';
-    const sections = content.split(/(?=#{3}\s+Question \d+)/g)
-      .filter(s => s.trim().length > 0 && s.match(/^#{3}\s+Question \d+/));
+    // Replacements ({ loc, text }), spliced in from the end of the file once every question is checked
+    const edits = [];
+    const insertAt = offset => ({ start: { offset }, end: { offset } });
     
     // Process title section if needed
+    const titleSection = content.slice(0, quiz.questions.length > 0 ? quiz.questions[0].loc.start.offset : content.length);
     if (!titleSection.includes('# Quiz:')) {
       const quizName = fileName.replace(/Combined\.md$/, '').replace(/^\d+\.\d+/, '');
-      content = `# Quiz: ${quizName}\n\n${content}`;
-      modified = true;
+      edits.push({ loc: insertAt(0), text: `# Quiz: ${quizName}\n\n` });
     }
     
-    // Process each question section
-    const fixedSections = sections.map((section, index) => {
-      let sectionModified = false;
+    // Process each question
+    quiz.questions.forEach((question, index) => {
+      let options = question.options;
       
       // Fix option formatting
-      const optionMatches = [...section.matchAll(/^- \[[x\s]\](?:\s+[A-Z]\.|)\s+(.+)$/gm)];
-      if (optionMatches.length > 0 && !section.match(/^- \[ \] [A-Z]\.\s+/m)) {
-        let newSection = section;
-        optionMatches.forEach((match, idx) => {
-          const optionText = match[1].trim();
-          const letter = String.fromCharCode(65 + idx); // A, B, C, ...
-          const oldLine = match[0];
-          const newLine = `- [ ] ${letter}. ${optionText}`;
-          newSection = newSection.replace(oldLine, newLine);
+      if (question.checkboxes.length > 0 && options.length === 0) {
+        options = question.checkboxes.map((checkbox, idx) => ({
+          letter: String.fromCharCode(65 + idx), // A, B, C, ...
+          text: checkbox.text
+        }));
+        question.checkboxes.forEach((checkbox, idx) => {
+          edits.push({ loc: checkbox.loc, text: `- [ ] ${options[idx].letter}. ${options[idx].text}` });
         });
-        
-        if (newSection !== section) {
-          section = newSection;
-          sectionModified = true;
-          results.optionFormatsFixed++;
-        }
+        results.optionFormatsFixed++;
       }
       
+      const details = question.details;
+      
       // Fix missing details section
-      if (!section.includes('<details>') || !section.includes('</details>')) {
+      if (!details) {
         // Add basic details section after options
-        const questionText = section.match(/^#{3}\s+Question \d+[^]*/)[0];
-        const optionsEnd = Math.max(
-          ...optionMatches.map(match => section.indexOf(match[0]) + match[0].length)
-        );
-        
-        if (optionsEnd > 0) {
-          const beforeDetails = section.substring(0, optionsEnd);
-          const afterDetails = section.substring(optionsEnd);
-          
-          section = `${beforeDetails}\n\n<details>\n<summary>Show Answer</summary>\n\n**Correct Answers:** A\n**Explanation:**  \nExplanation text here.\n</details>${afterDetails}`;
-          sectionModified = true;
+        if (question.checkboxes.length > 0) {
+          const optionsEnd = question.checkboxes[question.checkboxes.length - 1].loc.end.offset;
+          edits.push({
+            loc: insertAt(optionsEnd),
+            text: `\n\n<details>\n<summary>Show Answer</summary>\n\n**Correct Answers:** A\n**Explanation:**  \nExplanation text here.\n</details>`
+          });
           results.detailsAdded++;
         }
-      }
-      
-      // Fix answer format
-      const detailsMatch = section.match(/<details>[\s\S]+?<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/);
-      if (detailsMatch) {
-        const explanationText = detailsMatch[1];
-        let newExplanation = explanationText;
+      } else {
+        // Fix answer format
+        const explanationText = details.body.text;
         
         // Fix placeholders
         if (explanationText.includes('[Need to manually determine]') || 
             explanationText.includes('[Manual review required]')) {
-          // Determine question type
-          const isMultipleChoice = section.includes('Multiple Choice');
-          const isTrueFalse = section.includes('True/False');
-          const isMultiSelect = section.includes('Multi-Select') || section.includes('Multiple Select');
-          
           // Find correct answers by looking for checkmarks
           let correctLetters = [];
-          const optionMatches = [...section.matchAll(/^- \[ \] ([A-Z])\.\s+(.+)$/gm)];
           
           if (explanationText.includes('✅') || explanationText.includes('✓')) {
-            optionMatches.forEach(match => {
-              const letter = match[1];
-              const optionText = match[2].trim();
-              if (explanationText.includes(`✅ ${optionText}`) || 
-                  explanationText.includes(`✓ ${optionText}`)) {
-                correctLetters.push(letter);
+            options.forEach(option => {
+              if (explanationText.includes(`✅ ${option.text}`) || 
+                  explanationText.includes(`✓ ${option.text}`)) {
+                correctLetters.push(option.letter);
               }
             });
           }
           
           // If no checkmarks found, use default approach
           if (correctLetters.length === 0) {
-            if (isTrueFalse) {
+            if (question.questionType === 'true-false') {
               // For True/False, just use "B" (False) as default
               correctLetters = ['B'];
-            } else if (isMultipleChoice) {
+            } else if (question.questionType === 'multiple-choice') {
               // For multiple choice, just use first option
               correctLetters = ['A'];
             } else {
               // For multi-select, use first two options
-              correctLetters = optionMatches.length >= 2 ? ['A', 'B'] : ['A'];
+              correctLetters = options.length >= 2 ? ['A', 'B'] : ['A'];
             }
           }
           
           const correctAnswersText = `**Correct Answers:** ${correctLetters.join(', ')}`;
+          const placeholderLine = details.correctAnswers.find(line => /^\[.+\]$/.test(line.raw));
           
-          if (explanationText.match(/^\*\*Correct Answers?:\*\*\s+\[.+\]/m)) {
+          if (placeholderLine) {
             // Replace existing placeholder line
-            newExplanation = explanationText.replace(
-              /^\*\*Correct Answers?:\*\*\s+\[.+\]$/m, 
-              correctAnswersText
-            );
+            edits.push({ loc: placeholderLine.loc, text: correctAnswersText });
           } else {
             // Add the line at the beginning
-            newExplanation = `\n${correctAnswersText}${explanationText}`;
+            edits.push({ loc: insertAt(details.body.loc.start.offset), text: `${correctAnswersText}\n` });
           }
           
           results.placeholdersFixed++;
         } 
         // Fix missing or incorrect Correct Answers format
-        else if (!explanationText.match(/^\*\*Correct Answers?:\*\*\s+[A-Z,\s]+$/m)) {
+        else if (!details.correctAnswers.some(line => line.valid)) {
           // Try to extract correct answers from explanation
           let correctLetters = [];
           
           // Look for checkmarks or "correct" indicators
-          const optionMatches = [...section.matchAll(/^- \[ \] ([A-Z])\.\s+(.+)$/gm)];
-          optionMatches.forEach(match => {
-            const letter = match[1];
-            const optionText = match[2].trim();
-            if (explanationText.includes(`✅ ${optionText}`) || 
-                explanationText.includes(`✓ ${optionText}`) ||
-                explanationText.toLowerCase().includes(`correct: ${optionText.toLowerCase()}`)) {
-              correctLetters.push(letter);
+          options.forEach(option => {
+            if (explanationText.includes(`✅ ${option.text}`) || 
+                explanationText.includes(`✓ ${option.text}`) ||
+                explanationText.toLowerCase().includes(`correct: ${option.text.toLowerCase()}`)) {
+              correctLetters.push(option.letter);
             }
           });
           
           // If no correct answers found, use default approach based on question type
           if (correctLetters.length === 0) {
-            const isMultipleChoice = section.includes('Multiple Choice');
-            const isTrueFalse = section.includes('True/False');
-            
-            if (isTrueFalse) {
+            if (question.questionType === 'true-false') {
               // For True/False, look for indicators in explanation
               if (explanationText.toLowerCase().includes('true') && 
                   !explanationText.toLowerCase().includes('not true') &&
@@ -229,48 +199,34 @@ function fixFile(filePath) {
               } else {
                 correctLetters = ['B']; // Assuming second option is False
               }
-            } else if (isMultipleChoice) {
-              correctLetters = ['A']; // Default to first option
             } else {
-              // For multi-select, use first option
+              // For multiple choice and multi-select, default to first option
               correctLetters = ['A'];
             }
           }
           
-          const correctAnswersText = `**Correct Answers:** ${correctLetters.join(', ')}`;
-          
           // Add at the beginning of the explanation
-          newExplanation = `\n${correctAnswersText}${explanationText}`;
+          edits.push({ loc: insertAt(details.body.loc.start.offset), text: `**Correct Answers:** ${correctLetters.join(', ')}\n` });
           results.answerFormatsFixed++;
         }
-        
-        // Update the section with the new explanation
-        if (newExplanation !== explanationText) {
-          section = section.replace(
-            /<details>[\s\S]+?<summary>Show Answer<\/summary>[\s\S]+?<\/details>/,
-            `<details>\n<summary>Show Answer</summary>${newExplanation}\n</details>`
-          );
-          sectionModified = true;
-        }
       }
       
       // Add section separator if missing (except for last section)
-      if (index < sections.length - 1 && !section.endsWith('---')) {
-        section = section.trim() + '\n\n---\n';
-        sectionModified = true;
+      if (index < quiz.questions.length - 1 && !question.hasSeparator) {
+        const sectionEnd = question.loc.end.offset;
+        const trailing = content.slice(question.loc.start.offset, sectionEnd).match(/\s*$/)[0];
+        edits.push({ loc: { start: { offset: sectionEnd - trailing.length }, end: { offset: sectionEnd } }, text: '\n\n---\n\n' });
         results.separatorsAdded++;
       }
-      
-      if (sectionModified) {
-        modified = true;
-      }
-      
-      return section;
     });
     
     // Rebuild content
-    if (modified) {
-      const newContent = titleSection + fixedSections.join('\n\n');
+    if (edits.length > 0) {
+      // Last edit first; at equal offsets the later edit goes first so e.g. a separator lands after added details
+      const newContent = edits
+        .map((edit, order) => ({ ...edit, order }))
+        .sort((a, b) => b.loc.start.offset - a.loc.start.offset || b.order - a.order)
+        .reduce((text, edit) => QuizParser.splice(text, edit.loc, edit.text), content);
       
       if (CONFIG.APPLY_CHANGES) {
         fs.writeFileSync(filePath, newContent);
@@ -301,9 +257,9 @@ function rebuildFromTemplate(filePath, templateContent) {
     
     // Extract title
     let title = fileName.replace(/Combined\.md$/, '').replace(/^\d+\.\d+/, '');
-    const titleMatch = originalContent.match(/^# Quiz:(.+)$/m);
-    if (titleMatch) {
-      title = titleMatch[1].trim();
+    const quiz = QuizParser.parse(originalContent);
+    if (quiz.title) {
+      title = quiz.title.text;
     }
     
     // Create new content from template
@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
 
 // Files with remaining placeholder issues
 const PROBLEM_FILES = [
@@ -28,104 +29,76 @@ PROBLEM_FILES.forEach(relativeFilePath => {
   const fileName = path.basename(filePath);
   
   try {
-    let content = fs.readFileSync(filePath, 'utf8');
-    let modified = false;
+    const content = fs.readFileSync(filePath, 'utf8');
     
-    // Split into sections
-    const sections = content.split(/(?=#{3}\s+Question \d+)/g)
-      .filter(s => s.trim().length > 0 && s.match(/^#{3}\s+Question \d+/));
+    // Replacement answer blocks ({ loc, text }), spliced in from the end of the file
+    const edits = [];
     
-    // Process each question section
-    const fixedSections = sections.map((section, index) => {
-      // Check if section has placeholder text
-      if (section.includes('[Need to manually determine]') || 
-          section.includes('**Correct Answers:** [') ||
-          section.includes('**Correct Answers:** ✅')) {
+    // Process each question
+    QuizParser.parse(content).questions.forEach((question, index) => {
+      const details = question.details;
+      if (!details) return;
+      
+      // Find all Correct Answers lines
+      const correctAnswersLines = details.correctAnswers;
+      
+      // Check if the answer has placeholder text
+      const hasPlaceholder = details.body.text.includes('[Need to manually determine]') ||
+        correctAnswersLines.some(line => line.raw.startsWith('[') || line.raw.startsWith('✅'));
+      
+      if (hasPlaceholder && correctAnswersLines.length > 1) {
+        console.log(`Found multiple "Correct Answers:" lines in ${fileName}, question ${index + 1} (line ${question.loc.start.line})`);
         
-        // Extract details section
-        const detailsMatch = section.match(/<details>[\s\S]+?<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/);
-        if (detailsMatch) {
-          const explanationText = detailsMatch[1];
-          
-          // Find all Correct Answers lines
-          const correctAnswersLines = explanationText.match(/^\*\*Correct Answers?:\*\*.*$/gm) || [];
+        const explanationText = details.body.text;
+        
+        // Get the first non-placeholder line if possible
+        let correctAnswersLine = null;
+        const goodLine = correctAnswersLines.find(line => !line.raw.includes('[') && !line.raw.includes('✅'));
+        if (goodLine) {
+          correctAnswersLine = `**Correct Answers:** ${goodLine.raw}`;
+        }
+        
+        // If no good line found, extract from checkmarks
+        if (!correctAnswersLine) {
+          // Look for checkmarks to determine correct answers
+          let correctLetters = [];
           
-          if (correctAnswersLines.length > 1) {
-            console.log(`Found multiple "Correct Answers:" lines in ${fileName}, question ${index + 1}`);
-            
-            // Get the first non-placeholder line if possible
-            let correctAnswersLine = null;
-            for (const line of correctAnswersLines) {
-              if (!line.includes('[') && !line.includes('✅')) {
-                correctAnswersLine = line;
-                break;
-              }
+          for (const option of question.options) {
+            if (explanationText.includes(`✅ ${option.text}`) || 
+                explanationText.includes(`✓ ${option.text}`)) {
+              correctLetters.push(option.letter);
             }
-            
-            // If no good line found, extract from checkmarks
-            if (!correctAnswersLine) {
-              // Look for checkmarks to determine correct answers
-              const optionMatches = [...section.matchAll(/^- \[ \] ([A-Z])\.\s+(.+)$/gm)];
-              let correctLetters = [];
-              
-              for (const match of optionMatches) {
-                const letter = match[1];
-                const optionText = match[2].trim();
-                
-                if (explanationText.includes(`✅ ${optionText}`) || 
-                    explanationText.includes(`✓ ${optionText}`)) {
-                  correctLetters.push(letter);
-                }
-              }
-              
-              // If still no correct letters, use defaults based on question type
-              if (correctLetters.length === 0) {
-                const isMultipleChoice = section.includes('Multiple Choice');
-                const isTrueFalse = section.includes('True/False');
-                const isMultiSelect = section.includes('Multi-Select');
-                
-                if (isTrueFalse) {
-                  correctLetters = ['B']; // Default to False
-                } else if (isMultipleChoice) {
-                  correctLetters = ['A']; // Default to first option
-                } else {
-                  // For multi-select, use first two options
-                  correctLetters = ['A', 'B', 'C'];
-                }
-              }
-              
-              correctAnswersLine = `**Correct Answers:** ${correctLetters.join(', ')}`;
-            }
-            
-            // Replace all Correct Answers lines with the correct one
-            let newExplanation = explanationText;
-            for (const line of correctAnswersLines) {
-              newExplanation = newExplanation.replace(line, '');
+          }
+          
+          // If still no correct letters, use defaults based on question type
+          if (correctLetters.length === 0) {
+            if (question.questionType === 'true-false') {
+              correctLetters = ['B']; // Default to False
+            } else if (question.questionType === 'multiple-choice') {
+              correctLetters = ['A']; // Default to first option
+            } else {
+              // For multi-select, use first three options
+              correctLetters = ['A', 'B', 'C'];
             }
-            
-            // Add the correct line at the beginning
-            newExplanation = `\n${correctAnswersLine}\n${newExplanation.trim()}`;
-            
-            // Update section with fixed explanation
-            section = section.replace(
-              /<details>[\s\S]+?<summary>Show Answer<\/summary>[\s\S]+?<\/details>/,
-              `<details>\n<summary>Show Answer</summary>${newExplanation}\n</details>`
-            );
-            
-            fixedPlaceholders++;
           }
+          
+          correctAnswersLine = `**Correct Answers:** ${correctLetters.join(', ')}`;
         }
+        
+        // Replace all Correct Answers lines with the correct one at the beginning
+        const remaining = QuizParser.sliceExcluding(content, details.body.loc, correctAnswersLines.map(line => line.loc));
+        edits.push({ loc: details.body.loc, text: [correctAnswersLine, remaining.trim()].filter(Boolean).join('\n') });
+        
+        fixedPlaceholders++;
       }
-      
-      return section;
     });
     
     // Rebuild content
-    const newContent = fixedSections.join('\n\n');
+    const newContent = edits.reverse().reduce(
+      (text, edit) => QuizParser.splice(text, edit.loc, edit.text), content);
     if (newContent !== content) {
       fs.writeFileSync(filePath, newContent);
       console.log(`✅ Fixed placeholders in ${fileName}`);
-      modified = true;
     } else {
       console.log(`❓ No changes made to ${fileName}`);
     }
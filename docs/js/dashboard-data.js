@@ -0,0 +1,2 @@
+// Generated by build.js - do not edit
+window.DASHBOARD_DATA = {"modules":[{"prefix":"13","title":"Generative Models","quizzes":[{"id":"13.1Combined","number":"13.1","title":"Generative Models Introduction","questions":[{"key":"q-32f76066","number":1},{"key":"q-ca568e0d","number":2},{"key":"q-5953fb03","number":3},{"key":"q-03286cc8","number":4},{"key":"q-54735b65","number":5},{"key":"q-6002640a","number":6},{"key":"q-d74f89e6","number":7},{"key":"q-04861331","number":8},{"key":"q-8489a15f","number":9}]},{"id":"13.2Combined","number":"13.2","title":"PixelRNN & PixelCNN","questions":[{"key":"q-889c18d1","number":1},{"key":"q-1578a4ce","number":2},{"key":"q-55c063df","number":3},{"key":"q-2fff2ca9","number":4},{"key":"q-3f614e9c","number":5},{"key":"q-3bc6ed3e","number":6},{"key":"q-3e2824c2","number":7},{"key":"q-b1791fda","number":8},{"key":"q-058cf896","number":9},{"key":"q-11c590c9","number":10}]},{"id":"13.3Combined","number":"13.3","title":"Generative Adversarial Networks (GANs)","questions":[{"key":"q-0ad70e67","number":1},{"key":"q-6acd35ae","number":2},{"key":"q-e9c0ac37","number":3},{"key":"q-2d4d2383","number":4},{"key":"q-74ce57db","number":5},{"key":"q-e2688e39","number":6},{"key":"q-0173cb5f","number":7},{"key":"q-67150aa0","number":8},{"key":"q-4130ae97","number":9},{"key":"q-0555b113","number":10}]},{"id":"13.4Combined","number":"13.4","title":"Variational Autoencoders (VAEs)","questions":[{"key":"q-f21901b6","number":1},{"key":"q-c269df94","number":2},{"key":"q-127753d4","number":3},{"key":"q-b765ff51","number":4},{"key":"q-e6fc4e0b","number":5},{"key":"q-1b2546ac","number":6},{"key":"q-a30b0bd0","number":7},{"key":"q-fb2c2e8f","number":8},{"key":"q-7f47d7aa","number":9},{"key":"q-6ca2d4be","number":10}]}]},{"prefix":"17","title":"Reinforcement Learning","quizzes":[{"id":"17.1Combined","number":"17.1","title":"Reinforcement Learning Introduction","questions":[{"key":"q-212cbdfd","number":1},{"key":"q-05468e93","number":2},{"key":"q-f6a08f59","number":3},{"key":"q-d335c2e9","number":4},{"key":"q-660cb738","number":5},{"key":"q-ab49bdb9","number":6},{"key":"q-7c89219c","number":7},{"key":"q-473057db","number":8},{"key":"q-e51029a2","number":9},{"key":"q-058271ed","number":10}]},{"id":"17.2Combined","number":"17.2","title":"Markov Decision Processes","questions":[{"key":"q-88d0f366","number":1},{"key":"q-2c5582f3","number":2},{"key":"q-f8b2d9d0","number":3},{"key":"q-eca17513","number":4},{"key":"q-9b8a80c4","number":5},{"key":"q-a42b7947","number":6},{"key":"q-92a30094","number":7},{"key":"q-19885d99","number":8},{"key":"q-4d01ee33","number":9},{"key":"q-c34502c8","number":10}]},{"id":"17.3Combined","number":"17.3","title":"Algorithms for Solving MDPs","questions":[{"key":"q-6acebeff","number":1},{"key":"q-d5f55d0d","number":2},{"key":"q-9323203f","number":3},{"key":"q-a9aa5abd","number":4},{"key":"q-c2a31ccb","number":5},{"key":"q-06b8e26b","number":6},{"key":"q-1276cb2a","number":7},{"key":"q-ba793fc9","number":8},{"key":"q-1d2ae6d0","number":9},{"key":"q-31eb8be9","number":10}]},{"id":"17.4Combined","number":"17.4","title":"Deep Q-Learning","questions":[{"key":"q-0360eaa2","number":1},{"key":"q-890f12bc","number":2},{"key":"q-fd89ed55","number":3},{"key":"q-0be77362","number":4},{"key":"q-473abead","number":5},{"key":"q-cbe2dadc","number":6},{"key":"q-1f1b4009","number":7},{"key":"q-d0197d99","number":8},{"key":"q-cc22ca98","number":9},{"key":"q-4bd175d9","number":10}]},{"id":"17.5Combined","number":"17.5","title":"Policy Gradients, Actor-Critic","questions":[{"key":"q-cc42d82f","number":1},{"key":"q-64570a6e","number":2},{"key":"q-4f6b9d5c","number":3},{"key":"q-9d8807f6","number":4},{"key":"q-85afd507","number":5},{"key":"q-af1acca0","number":6},{"key":"q-723d4431","number":7},{"key":"q-566c3ef0","number":8},{"key":"q-49acb983","number":9},{"key":"q-009e33c6","number":10}]}]},{"prefix":"18","title":"Advanced Topics","quizzes":[{"id":"18.1Combined","number":"18.1","title":"Advanced Topics Introduction","questions":[{"key":"q-4e0746bd","number":1},{"key":"q-1092fa2a","number":2},{"key":"q-e01252ea","number":3},{"key":"q-f994cf5f","number":4},{"key":"q-7ef3e12e","number":5},{"key":"q-e6b65833","number":6},{"key":"q-21ac90a9","number":7},{"key":"q-d54ac89d","number":8},{"key":"q-7f7b7b9b","number":9},{"key":"q-0b9d403a","number":10}]},{"id":"18.2Combined","number":"18.2","title":"Semi-Supervised Learning","questions":[{"key":"q-fca0e944","number":1},{"key":"q-b75f048d","number":2},{"key":"q-2cba2960","number":3},{"key":"q-7bfc060f","number":4},{"key":"q-f84ade90","number":5},{"key":"q-4ebe9cf3","number":6},{"key":"q-46209721","number":7},{"key":"q-4ac6d781","number":8},{"key":"q-1dca0eeb","number":9},{"key":"q-c92fc6ea","number":10}]},{"id":"18.3Combined","number":"18.3","title":"Few-Shot Learning","questions":[{"key":"q-931d495e","number":1},{"key":"q-b996ef14","number":2},{"key":"q-5dd26922","number":3},{"key":"q-05a997ac","number":4},{"key":"q-13ac126b","number":5},{"key":"q-eb571c67","number":6},{"key":"q-f8ba9d36","number":7},{"key":"q-fa624888","number":8},{"key":"q-1942399c","number":9},{"key":"q-0da2f5d0","number":10},{"key":"q-74be7b99","number":11},{"key":"q-b8cc49a1","number":12}]},{"id":"18.4Combined","number":"18.4","title":"Unsupervised and Self-Supervised Learning","questions":[{"key":"q-c1159957","number":1},{"key":"q-e68cc50d","number":2},{"key":"q-762533e4","number":3},{"key":"q-1bae884d","number":4},{"key":"q-50754163","number":5},{"key":"q-450ed2af","number":6},{"key":"q-497b7303","number":7},{"key":"q-52a71e91","number":8},{"key":"q-c2d8e469","number":9},{"key":"q-730124d4","number":10},{"key":"q-4f7e0160","number":11},{"key":"q-9772059d","number":12},{"key":"q-f1a1c370","number":13},{"key":"q-c09b0dc3","number":14},{"key":"q-4f314ce7","number":15}]}]}]};
@@ -0,0 +1,354 @@
+// Progress dashboard (quizzes/dashboard.html): accuracy by module and lecture, questions
+// attempted, study streaks and the weakest lectures, from the progress saved in this
+// browser. Statistics come from js/progress-stats.js; charts are inline SVG.
+
+// Days shown in the activity chart
+const ACTIVITY_DAYS = 30;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+document.addEventListener('DOMContentLoaded', function() {
+  setupDashboard();
+});
+
+function svgElement(name, attributes = {}, text) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([attribute, value]) => element.setAttribute(attribute, value));
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+function formatAccuracy(accuracy) {
+  return accuracy === null ? 'no answers yet' : `${Math.round(accuracy * 100)}%`;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Horizontal bars of accuracy, one per row: [{ label, href, accuracy, detail }]. Each bar
+ * links to `href`; rows without answers get an empty track.
+ */
+function accuracyChart(rows, title) {
+  const rowHeight = 30;
+  const labelWidth = 310;
+  const barWidth = 260;
+  const width = labelWidth + barWidth + 60;
+  const svg = svgElement('svg', {
+    class: 'dashboard-chart',
+    viewBox: `0 0 ${width} ${rows.length * rowHeight}`,
+    role: 'img',
+    'aria-label': title
+  });
+  svg.appendChild(svgElement('title', {}, title));
+
+  rows.forEach((row, index) => {
+    const y = index * rowHeight;
+    const link = svgElement('a', { href: row.href, class: 'dashboard-bar' });
+    link.appendChild(svgElement('title', {}, `${row.label}: ${formatAccuracy(row.accuracy)} (${row.detail})`));
+    link.appendChild(svgElement('text', { x: 0, y: y + 19, class: 'dashboard-bar-label' }, row.label));
+    link.appendChild(svgElement('rect', { x: labelWidth, y: y + 6, width: barWidth, height: 18, rx: 3, class: 'dashboard-bar-track' }));
+    if (row.accuracy !== null) {
+      const level = row.accuracy >= 0.8 ? 'good' : row.accuracy >= 0.5 ? 'fair' : 'poor';
+      link.appendChild(svgElement('rect', {
+        x: labelWidth,
+        y: y + 6,
+        width: Math.max(2, Math.round(row.accuracy * barWidth)),
+        height: 18,
+        rx: 3,
+        class: `dashboard-bar-fill dashboard-bar-${level}`
+      }));
+    }
+    link.appendChild(svgElement('text', { x: labelWidth + barWidth + 8, y: y + 19, class: 'dashboard-bar-value' },
+      row.accuracy === null ? '–' : `${Math.round(row.accuracy * 100)}%`));
+    svg.appendChild(link);
+  });
+  return svg;
+}
+
+// Columns of answers per day, oldest first: [{ day, count }]
+function activityChart(days) {
+  const columnWidth = 16;
+  const height = 80;
+  const max = Math.max(1, ...days.map(day => day.count));
+  const svg = svgElement('svg', {
+    class: 'dashboard-chart dashboard-activity-chart',
+    viewBox: `0 0 ${days.length * columnWidth} ${height + 16}`,
+    role: 'img',
+    'aria-label': `Answers per day over the last ${days.length} days`
+  });
+
+  days.forEach((day, index) => {
+    const columnHeight = day.count > 0 ? Math.max(2, Math.round(day.count / max * height)) : 0;
+    const column = svgElement('rect', {
+      x: index * columnWidth + 2,
+      y: height - columnHeight,
+      width: columnWidth - 4,
+      height: columnHeight,
+      class: 'dashboard-activity-day'
+    });
+    column.appendChild(svgElement('title', {}, `${day.day}: ${plural(day.count, 'answer')}`));
+    svg.appendChild(column);
+  });
+  svg.appendChild(svgElement('line', { x1: 0, y1: height + 0.5, x2: days.length * columnWidth, y2: height + 0.5, class: 'dashboard-axis' }));
+  svg.appendChild(svgElement('text', { x: 0, y: height + 14, class: 'dashboard-axis-label' }, days[0].day));
+  svg.appendChild(svgElement('text', { x: days.length * columnWidth, y: height + 14, class: 'dashboard-axis-label', 'text-anchor': 'end' }, 'Today'));
+  return svg;
+}
+
+function statCard(value, label) {
+  const card = document.createElement('div');
+  card.className = 'dashboard-stat';
+  const valueEl = document.createElement('span');
+  valueEl.className = 'dashboard-stat-value';
+  valueEl.textContent = value;
+  const labelEl = document.createElement('span');
+  labelEl.className = 'dashboard-stat-label';
+  labelEl.textContent = label;
+  card.append(valueEl, labelEl);
+  return card;
+}
+
+function lectureLabel(lecture) {
+  return lecture.number ? `${lecture.number} ${lecture.title}` : lecture.title;
+}
+
+function calibrationRow(label, levels, className) {
+  const row = document.createElement('tr');
+  if (className) row.className = className;
+  const heading = document.createElement('th');
+  heading.scope = 'row';
+  heading.textContent = label;
+  row.appendChild(heading);
+  window.QuizStats.CONFIDENCE_LEVELS.forEach(level => {
+    const cell = document.createElement('td');
+    const counts = levels[level];
+    cell.textContent = counts.answers === 0 ? '–' : `${formatAccuracy(counts.accuracy)} of ${counts.answers}`;
+    row.appendChild(cell);
+  });
+  return row;
+}
+
+// Accuracy at each confidence level per lecture, and the questions last answered wrong
+// while sure
+function renderCalibration(sectionEl, progress) {
+  const { lectures, overall } = window.QuizStats.calibration(window.DASHBOARD_DATA, progress);
+  if (overall.rated === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'dashboard-empty';
+    empty.textContent = 'Say how sure you are (Guess, Unsure or Sure) before checking answers to see how your confidence compares with your accuracy.';
+    sectionEl.appendChild(empty);
+    return;
+  }
+
+  const intro = document.createElement('p');
+  intro.textContent = `How often your answers were right at each confidence level, over ${plural(overall.rated, 'rated answer')}. ` +
+    'If "Sure" answers are often wrong, you are overconfident; if guesses are mostly right, you know more than you think.';
+
+  const table = document.createElement('table');
+  table.className = 'dashboard-calibration-table';
+  const head = table.createTHead().insertRow();
+  ['Lecture'].concat(window.QuizStats.CONFIDENCE_LEVELS.map(level => window.QuizStats.CONFIDENCE_LABELS[level])).forEach(text => {
+    const cell = document.createElement('th');
+    cell.scope = 'col';
+    cell.textContent = text;
+    head.appendChild(cell);
+  });
+  const body = table.createTBody();
+  lectures.forEach(lecture => body.appendChild(calibrationRow(lectureLabel(lecture), lecture.levels)));
+  body.appendChild(calibrationRow('All lectures', overall.levels, 'dashboard-calibration-overall'));
+
+  const wrongHeading = document.createElement('h4');
+  wrongHeading.textContent = 'Confidently Wrong';
+  const wrong = window.QuizStats.confidentlyWrong(window.DASHBOARD_DATA, progress);
+  let wrongEl;
+  if (wrong.length === 0) {
+    wrongEl = document.createElement('p');
+    wrongEl.className = 'dashboard-empty';
+    wrongEl.textContent = 'No questions were last answered wrong while sure.';
+  } else {
+    wrongEl = document.createElement('ul');
+    wrongEl.className = 'dashboard-confidently-wrong';
+    wrong.forEach(item => {
+      const entry = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `${encodeURIComponent(item.lecture.id)}.html#question-${item.number}`;
+      link.textContent = `${lectureLabel(item.lecture)}, question ${item.number}`;
+      const day = new Date(item.at).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+      entry.append(link, ` - answered wrong while sure on ${day}`);
+      wrongEl.appendChild(entry);
+    });
+  }
+
+  sectionEl.append(intro, table, wrongHeading, wrongEl);
+}
+
+function setupDashboard() {
+  const dashboardEl = document.querySelector('.dashboard');
+  if (!dashboardEl || !window.DASHBOARD_DATA || !window.QuizStats || !window.QuizProgress) return;
+
+  const storage = progressStorage();
+  renderDashboard(dashboardEl, storage ? window.QuizProgress.load(storage) : window.QuizProgress.emptyProgress());
+  setupProgressTransfer(dashboardEl, storage);
+}
+
+// Sections filled in by renderDashboard, below their headings
+const DASHBOARD_SECTIONS = ['.dashboard-stats', '.dashboard-modules', '.dashboard-weakest', '.dashboard-calibration', '.dashboard-activity', '.dashboard-lectures'];
+
+function renderDashboard(dashboardEl, progress) {
+  DASHBOARD_SECTIONS.forEach(selector => {
+    Array.from(dashboardEl.querySelector(selector).children)
+      .filter(child => child.tagName !== 'H3')
+      .forEach(child => child.remove());
+  });
+
+  const summary = window.QuizStats.summarize(window.DASHBOARD_DATA, progress);
+  const activity = window.QuizStats.activityByDay(progress);
+  const streaks = window.QuizStats.streaks(activity);
+  const { overall } = summary;
+
+  // Headline numbers
+  const statsEl = dashboardEl.querySelector('.dashboard-stats');
+  statsEl.append(
+    statCard(`${overall.attempted}/${overall.total}`, 'questions attempted'),
+    statCard(overall.accuracy === null ? '–' : `${Math.round(overall.accuracy * 100)}%`, `of ${plural(overall.answers, 'answer')} correct`),
+    statCard(plural(streaks.current, 'day'), 'current streak'),
+    statCard(plural(streaks.longest, 'day'), 'longest streak')
+  );
+
+  // Modules side by side, each linking to its lectures below
+  const modulesEl = dashboardEl.querySelector('.dashboard-modules');
+  modulesEl.appendChild(accuracyChart(summary.modules.map(module => ({
+    label: module.title,
+    href: `#module-${encodeURIComponent(module.prefix)}`,
+    accuracy: module.accuracy,
+    detail: `${module.attempted}/${module.total} questions attempted`
+  })), 'Accuracy by module'));
+
+  // Weakest lectures
+  const weakestEl = dashboardEl.querySelector('.dashboard-weakest');
+  const weakest = window.QuizStats.weakestLectures(summary);
+  if (weakest.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'dashboard-empty';
+    empty.textContent = `Check at least ${window.QuizStats.MIN_ANSWERS_FOR_WEAKEST} answers in a lecture to see how it compares.`;
+    weakestEl.appendChild(empty);
+  } else {
+    const list = document.createElement('ol');
+    weakest.forEach(lecture => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `${encodeURIComponent(lecture.id)}.html`;
+      link.textContent = lectureLabel(lecture);
+      item.append(link, ` - ${formatAccuracy(lecture.accuracy)} of ${plural(lecture.answers, 'answer')} correct`);
+      list.appendChild(item);
+    });
+    weakestEl.appendChild(list);
+  }
+
+  // Confidence calibration
+  renderCalibration(dashboardEl.querySelector('.dashboard-calibration'), progress);
+
+  // Activity
+  dashboardEl.querySelector('.dashboard-activity').appendChild(
+    activityChart(window.QuizStats.recentActivity(activity, ACTIVITY_DAYS)));
+
+  // Every lecture, by module
+  const lecturesEl = dashboardEl.querySelector('.dashboard-lectures');
+  summary.modules.forEach(module => {
+    const section = document.createElement('section');
+    section.className = 'dashboard-module';
+    section.id = `module-${module.prefix}`;
+    const heading = document.createElement('h4');
+    heading.textContent = `${module.title}: ${formatAccuracy(module.accuracy)}, ${module.attempted}/${module.total} questions attempted`;
+    section.append(heading, accuracyChart(module.lectures.map(lecture => ({
+      label: lectureLabel(lecture),
+      href: `${encodeURIComponent(lecture.id)}.html`,
+      accuracy: lecture.accuracy,
+      detail: `${lecture.attempted}/${lecture.total} questions attempted`
+    })), `Accuracy by lecture in ${module.title}`));
+    lecturesEl.appendChild(section);
+  });
+}
+
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2) + '\n'], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Errors shown for a rejected import file
+const MAX_IMPORT_ERRORS = 5;
+
+/**
+ * "Export progress" downloads everything saved in this browser as a file (js/progress-transfer.js);
+ * "Import progress" checks such a file and merges it in, then redraws the dashboard.
+ */
+function setupProgressTransfer(dashboardEl, storage) {
+  const transferEl = dashboardEl.querySelector('.dashboard-transfer');
+  if (!transferEl || !window.QuizTransfer) return;
+
+  const statusEl = transferEl.querySelector('.dashboard-transfer-status');
+  const exportButton = transferEl.querySelector('.dashboard-export');
+  const importButton = transferEl.querySelector('.dashboard-import');
+  const fileInput = transferEl.querySelector('.dashboard-import-file');
+
+  if (!storage) {
+    exportButton.disabled = true;
+    importButton.disabled = true;
+    statusEl.textContent = 'Progress can\'t be saved in this browser (storage is disabled), so there is nothing to export or import.';
+    return;
+  }
+
+  exportButton.addEventListener('click', () => {
+    const now = new Date();
+    const data = window.QuizTransfer.exportProgress(window.QuizProgress.load(storage), now);
+    downloadJson(data, window.QuizTransfer.exportFilename(now));
+    const questions = Object.values(data.quizzes).reduce((sum, quiz) => sum + Object.keys(quiz.questions).length, 0);
+    statusEl.textContent = `Exported progress on ${plural(questions, 'question')}.`;
+  });
+
+  importButton.addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    let read, merged;
+    try {
+      read = window.QuizTransfer.readExport(await file.text());
+      // Merge into what is saved now, which another tab may have changed
+      if (read.progress) {
+        merged = window.QuizTransfer.mergeProgress(window.QuizProgress.load(storage), read.progress);
+      }
+    } catch (err) {
+      console.warn('Progress import failed:', err);
+      statusEl.textContent = `${file.name} could not be imported: ${err.message || 'the file could not be read'}.`;
+      return;
+    }
+
+    if (read.errors) {
+      const shown = read.errors.slice(0, MAX_IMPORT_ERRORS);
+      const more = read.errors.length - shown.length;
+      statusEl.textContent = `${file.name} was not imported: ${shown.join('; ')}` +
+        (more > 0 ? ` (and ${plural(more, 'more problem')})` : '') + '.';
+      return;
+    }
+
+    if (!window.QuizProgress.save(storage, merged.progress)) {
+      statusEl.textContent = `${file.name} could not be saved in this browser.`;
+      return;
+    }
+    statusEl.textContent = `Imported ${file.name}: ${plural(merged.added, 'question')} added, ` +
+      `${merged.updated} updated and ${merged.unchanged} already up to date here.`;
+    renderDashboard(dashboardEl, merged.progress);
+  });
+}
@@ -0,0 +1,31 @@
+// HTML escaping shared by build.js, the sidebar navigation and the converter page.
+// Pick the function for the context the value is written into.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HtmlEscape = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+  const TEXT_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+  const ATTRIBUTE_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  // Element content (<h3>, <label>, <p>...). Markdown and TeX characters are left as they
+  // are, so MathJax still reads `$a < b$` from the text once the browser decodes it.
+  function escapeText(text) {
+    return String(text).replace(/[&<>]/g, char => TEXT_ESCAPES[char]);
+  }
+
+  // Quoted attribute values (href, value, data-*), safe with either quote style
+  function escapeAttribute(value) {
+    return String(value).replace(/[&<>"']/g, char => ATTRIBUTE_ESCAPES[char]);
+  }
+
+  // The document <title>: plain text on a single line
+  function escapeTitle(text) {
+    return escapeText(String(text).replace(/\s+/g, ' ').trim());
+  }
+
+  return { escapeText, escapeAttribute, escapeTitle };
+});
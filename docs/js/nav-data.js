@@ -0,0 +1,86 @@
+// Generated by build.js - do not edit
+window.QUIZ_NAV = [
+  {
+    "prefix": "13",
+    "title": "Generative Models",
+    "items": [
+      {
+        "id": "13.1Combined",
+        "number": "13.1",
+        "title": "Generative Models Introduction"
+      },
+      {
+        "id": "13.2Combined",
+        "number": "13.2",
+        "title": "PixelRNN & PixelCNN"
+      },
+      {
+        "id": "13.3Combined",
+        "number": "13.3",
+        "title": "Generative Adversarial Networks (GANs)"
+      },
+      {
+        "id": "13.4Combined",
+        "number": "13.4",
+        "title": "Variational Autoencoders (VAEs)"
+      }
+    ]
+  },
+  {
+    "prefix": "17",
+    "title": "Reinforcement Learning",
+    "items": [
+      {
+        "id": "17.1Combined",
+        "number": "17.1",
+        "title": "Reinforcement Learning Introduction"
+      },
+      {
+        "id": "17.2Combined",
+        "number": "17.2",
+        "title": "Markov Decision Processes"
+      },
+      {
+        "id": "17.3Combined",
+        "number": "17.3",
+        "title": "Algorithms for Solving MDPs"
+      },
+      {
+        "id": "17.4Combined",
+        "number": "17.4",
+        "title": "Deep Q-Learning"
+      },
+      {
+        "id": "17.5Combined",
+        "number": "17.5",
+        "title": "Policy Gradients, Actor-Critic"
+      }
+    ]
+  },
+  {
+    "prefix": "18",
+    "title": "Advanced Topics",
+    "items": [
+      {
+        "id": "18.1Combined",
+        "number": "18.1",
+        "title": "Advanced Topics Introduction"
+      },
+      {
+        "id": "18.2Combined",
+        "number": "18.2",
+        "title": "Semi-Supervised Learning"
+      },
+      {
+        "id": "18.3Combined",
+        "number": "18.3",
+        "title": "Few-Shot Learning"
+      },
+      {
+        "id": "18.4Combined",
+        "number": "18.4",
+        "title": "Unsupervised and Self-Supervised Learning"
+      }
+    ]
+  }
+];
@@ -0,0 +1,95 @@
+// Sidebar navigation shared by build.js (Node) and the converter page (browser)
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./html-escape'));
+  } else {
+    root.QuizNav = factory(root.HtmlEscape);
+    root.document.addEventListener('DOMContentLoaded', () => root.QuizNav.mountNav(root.document, root.QUIZ_NAV));
+  }
+})(typeof self !== 'undefined' ? self : this, function(HtmlEscape) {
+
+  // Lecture number ("13.1") and module prefix ("13") from a quiz id like "13.1Combined"
+  function parseQuizNumber(quizId) {
+    const number = quizId.match(/^(\d+)\.(\d+)/);
+    return number ? { number: number[0], prefix: number[1] } : { number: '', prefix: '' };
+  }
+
+  // Group quizzes ({ id, title, module?, order? }) under the modules they belong to: `module`
+  // when given (quizzes.json), else the prefix of the id. Groups follow the order of `modules`;
+  // quizzes without a known module get their own group at the end. Items are sorted by `order`,
+  // then by lecture number.
+  function buildNavTree(quizzes, modules) {
+    const groups = modules.map(module => ({ prefix: module.prefix, title: module.title, items: [] }));
+    const orderOf = quiz => (quiz.order !== undefined ? quiz.order : Infinity);
+    const sorted = quizzes.slice().sort((a, b) => orderOf(a) - orderOf(b) ||
+      parseQuizNumber(a.id).number.localeCompare(parseQuizNumber(b.id).number, undefined, { numeric: true }) ||
+      a.id.localeCompare(b.id));
+
+    sorted.forEach(quiz => {
+      const { number, prefix: idPrefix } = parseQuizNumber(quiz.id);
+      const prefix = quiz.module !== undefined ? quiz.module : idPrefix;
+      let group = groups.find(g => g.prefix === prefix);
+
+      if (!group) {
+        group = { prefix, title: prefix ? `Module ${prefix}` : 'Other', items: [] };
+        groups.push(group);
+      }
+
+      group.items.push({ id: quiz.id, number, title: quiz.title });
+    });
+
+    return groups.filter(group => group.items.length > 0);
+  }
+
+  // Render the sidebar topic groups. `quizPrefix` and `transcriptPrefix` are the
+  // relative paths from the current page to the quizzes/ and transcripts/ directories.
+  function renderNav(tree, { quizPrefix = '', transcriptPrefix = '../transcripts/' } = {}) {
+    let html = '';
+
+    tree.forEach(group => {
+      html += `
+      <div class="topic-group">
+        <h3>${HtmlEscape.escapeText(group.title)}</h3>
+        <ul>`;
+
+      group.items.forEach(item => {
+        const label = item.number ? `${item.number} ${item.title}` : item.title;
+        html += `
+          <li><a href="${HtmlEscape.escapeAttribute(`${quizPrefix}${item.id}.html`)}">${HtmlEscape.escapeText(label)}</a></li>`;
+      });
+
+      html += `
+        </ul>
+      </div>`;
+    });
+
+    html += `
+      <div class="topic-group">
+        <h3>Study</h3>
+        <ul>
+          <li><a href="${HtmlEscape.escapeAttribute(`${quizPrefix}review.html`)}">Review Due Questions</a></li>
+          <li><a href="${HtmlEscape.escapeAttribute(`${quizPrefix}practice.html`)}">Practice Session</a></li>
+          <li><a href="${HtmlEscape.escapeAttribute(`${quizPrefix}dashboard.html`)}">Progress</a></li>
+        </ul>
+      </div>
+      <div class="topic-group">
+        <h3>Transcripts</h3>
+        <ul>
+          <li><a href="${HtmlEscape.escapeAttribute(`${transcriptPrefix}index.html`)}">View All Transcripts</a></li>
+        </ul>
+      </div>`;
+
+    return html;
+  }
+
+  // Pages written by the converter leave a [data-quiz-nav] placeholder in their sidebar,
+  // filled here from the tree build.js writes to js/nav-data.js, so they list the lectures
+  // published since they were converted
+  function mountNav(doc, tree) {
+    const placeholder = doc.querySelector('[data-quiz-nav]');
+    if (!placeholder || !tree) return;
+    placeholder.outerHTML = renderNav(tree, { quizPrefix: '', transcriptPrefix: '../transcripts/' });
+  }
+
+  return { parseQuizNumber, buildNavTree, renderNav, mountNav };
+});
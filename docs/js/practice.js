@@ -0,0 +1,175 @@
+// Practice page (quizzes/practice.html): a randomized session mixing the questions of the
+// chosen lectures and question types from the question bank (js/question-bank.js). The
+// questions work as on their quiz pages, with a running score and results summary, but
+// answers are not saved.
+
+document.addEventListener('DOMContentLoaded', function() {
+  setupPractice();
+});
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Questions of the chosen lectures and types: [{ quiz, question }]
+function matchingQuestions(lectureIds, types) {
+  return window.QUESTION_BANK.quizzes
+    .filter(quiz => lectureIds.includes(quiz.id))
+    .flatMap(quiz => quiz.questions
+      .filter(question => types.includes(question.type))
+      .map(question => ({ quiz, question })));
+}
+
+// `count` of `items` in random order (Fisher-Yates)
+function randomSample(items, count) {
+  const shuffled = items.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled.slice(0, count);
+}
+
+// A bank question as session question `position` (0-based). Input ids and names are only
+// unique within a quiz, so they are renamed after the position, and the heading is
+// numbered in the session.
+function createPracticeQuestion({ quiz, question }, position) {
+  const holder = document.createElement('div');
+  holder.innerHTML = question.html;
+  const questionEl = holder.firstElementChild;
+  questionEl.id = `question-${position + 1}`;
+
+  questionEl.querySelectorAll('.option').forEach(optionEl => {
+    const input = optionEl.querySelector('input');
+    const label = optionEl.querySelector('label');
+    input.name = `p${position}`;
+    input.id = `p${position}-o${input.value}`;
+    if (label) label.htmlFor = input.id;
+  });
+
+  const heading = questionEl.querySelector('h3');
+  heading.textContent = heading.textContent.replace(/^Question \d+/, `Question ${position + 1}`);
+
+  // Where the question comes from
+  const source = document.createElement('p');
+  source.className = 'practice-source';
+  const sourceLink = document.createElement('a');
+  sourceLink.href = `${encodeURIComponent(quiz.id)}.html#question-${question.number}`;
+  sourceLink.textContent = `${quiz.title}, question ${question.number}`;
+  source.append('From ', sourceLink);
+  heading.after(source);
+
+  return questionEl;
+}
+
+function setupPractice() {
+  const practiceEl = document.querySelector('.practice');
+  if (!practiceEl || !window.QUESTION_BANK) return;
+
+  const form = practiceEl.querySelector('.practice-form');
+  const statusEl = form.querySelector('.practice-status');
+  const startButton = form.querySelector('button[type="submit"]');
+  const sessionEl = practiceEl.querySelector('.practice-session');
+  const lectureInputs = Array.from(form.querySelectorAll('input[name="lecture"]'));
+  const typeInputs = Array.from(form.querySelectorAll('input[name="type"]'));
+  const countInput = form.querySelector('input[name="count"]');
+
+  // The study settings chosen on the quiz pages apply here too
+  const storage = progressStorage();
+  if (storage && window.QuizProgress) {
+    const progress = window.QuizProgress.load(storage);
+    shuffleEnabled = window.QuizProgress.getSetting(progress, 'shuffleOptions', false);
+    scoringScheme = window.QuizProgress.getSetting(progress, 'scoringScheme', scoringScheme);
+  }
+
+  const checkedValues = inputs => inputs.filter(input => input.checked).map(input => input.value);
+
+  function selection() {
+    return matchingQuestions(checkedValues(lectureInputs), checkedValues(typeInputs));
+  }
+
+  // A module's checkbox selects all of its lectures, and shows whether some or all are selected
+  function updateModuleToggles() {
+    form.querySelectorAll('.practice-module').forEach(moduleEl => {
+      const toggle = moduleEl.querySelector('input[data-module]');
+      const lectures = Array.from(moduleEl.querySelectorAll('input[name="lecture"]'));
+      const checked = lectures.filter(input => input.checked).length;
+      toggle.checked = lectures.length > 0 && checked === lectures.length;
+      toggle.indeterminate = checked > 0 && checked < lectures.length;
+    });
+  }
+
+  function updateStatus() {
+    const available = selection().length;
+    startButton.disabled = available === 0;
+    statusEl.textContent = available === 0
+      ? 'No questions match. Choose at least one lecture and question type.'
+      : `${plural(available, 'question')} match${available === 1 ? 'es' : ''} your choices.`;
+  }
+
+  form.addEventListener('change', event => {
+    const toggle = event.target.closest('input[data-module]');
+    if (toggle) {
+      toggle.closest('.practice-module').querySelectorAll('input[name="lecture"]').forEach(input => {
+        input.checked = toggle.checked;
+      });
+    }
+    updateModuleToggles();
+    updateStatus();
+  });
+
+  function startSession() {
+    const available = selection();
+    const count = Math.max(1, Math.floor(Number(countInput.value)) || 1);
+    const items = randomSample(available, count);
+    if (items.length === 0) return;
+
+    // Replace the previous session, its score and its summary
+    quizResults.clear();
+    sessionEl.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'practice-header';
+    const summary = document.createElement('p');
+    const lectureCount = new Set(items.map(item => item.quiz.id)).size;
+    summary.textContent = `${plural(items.length, 'question')} from ${plural(lectureCount, 'lecture')}` +
+      (items.length < count ? ` (only ${items.length} matched your choices)` : '') + '.';
+    const newButton = document.createElement('button');
+    newButton.type = 'button';
+    newButton.className = 'btn btn-practice-new';
+    newButton.textContent = 'New session';
+    newButton.addEventListener('click', () => {
+      sessionEl.hidden = true;
+      form.hidden = false;
+      startButton.focus();
+    });
+    header.append(summary, newButton);
+
+    const container = document.createElement('div');
+    container.className = 'quiz-container';
+    items.forEach((item, position) => {
+      const questionEl = createPracticeQuestion(item, position);
+      if (shuffleEnabled) {
+        arrangeOptions(questionEl, shuffledOrder(questionEl));
+      }
+      container.appendChild(questionEl);
+    });
+    sessionEl.append(header, container);
+
+    setupQuizInteractivity(container);
+    setupQuizScore(container);
+
+    form.hidden = true;
+    sessionEl.hidden = false;
+    typesetMath(sessionEl);
+    sessionEl.scrollIntoView({ block: 'start' });
+  }
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    startSession();
+  });
+
+  updateModuleToggles();
+  updateStatus();
+}
@@ -0,0 +1,130 @@
+// Generated by build.js - do not edit
+self.PRECACHE_VERSION = 'd7dbe6401c12ca77';
+self.PRECACHE_URLS = [
+  "./",
+  "css/styles.css",
+  "index.html",
+  "js/dashboard-data.js",
+  "js/dashboard.js",
+  "js/html-escape.js",
+  "js/nav-data.js",
+  "js/nav.js",
+  "js/practice.js",
+  "js/progress-stats.js",
+  "js/progress-store.js",
+  "js/progress-transfer.js",
+  "js/question-bank.js",
+  "js/quiz-converter.js",
+  "js/quiz-parser.js",
+  "js/quiz-parser.mjs",
+  "js/review-scheduler.js",
+  "js/review.js",
+  "js/scoring.js",
+  "js/script.js",
+  "js/search-index.js",
+  "js/search.js",
+  "quizzes/13.1Combined.html",
+  "quizzes/13.1Combined.json",
+  "quizzes/13.2Combined.html",
+  "quizzes/13.2Combined.json",
+  "quizzes/13.3Combined.html",
+  "quizzes/13.3Combined.json",
+  "quizzes/13.4Combined.html",
+  "quizzes/13.4Combined.json",
+  "quizzes/17.1Combined.html",
+  "quizzes/17.1Combined.json",
+  "quizzes/17.2Combined.html",
+  "quizzes/17.2Combined.json",
+  "quizzes/17.3Combined.html",
+  "quizzes/17.3Combined.json",
+  "quizzes/17.4Combined.html",
+  "quizzes/17.4Combined.json",
+  "quizzes/17.5Combined.html",
+  "quizzes/17.5Combined.json",
+  "quizzes/18.1Combined.html",
+  "quizzes/18.1Combined.json",
+  "quizzes/18.2Combined.html",
+  "quizzes/18.2Combined.json",
+  "quizzes/18.3Combined.html",
+  "quizzes/18.3Combined.json",
+  "quizzes/18.4Combined.html",
+  "quizzes/18.4Combined.json",
+  "quizzes/dashboard.html",
+  "quizzes/index.html",
+  "quizzes/practice.html",
+  "quizzes/review.html",
+  "transcripts/13.1%20Generative%20Models%20Introduction.html",
+  "transcripts/13.2%20PixelRNN%20&%20PixelCNN.html",
+  "transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html",
+  "transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html",
+  "transcripts/17.1%20Reinforcement%20Learning%20Introduction.html",
+  "transcripts/17.2%20Markov%20Decision%20Processes.html",
+  "transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html",
+  "transcripts/17.4%20Deep%20Q-Learning.html",
+  "transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html",
+  "transcripts/18.1%20Introduction.html",
+  "transcripts/18.2%20Semi-Supervised%20Learning.html",
+  "transcripts/18.3%20Few-Shot%20Learning.html",
+  "transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html",
+  "transcripts/index.html",
+  "vendor/mathjax/LICENSE",
+  "vendor/mathjax/input/tex/extensions/action.js",
+  "vendor/mathjax/input/tex/extensions/all-packages.js",
+  "vendor/mathjax/input/tex/extensions/ams.js",
+  "vendor/mathjax/input/tex/extensions/amscd.js",
+  "vendor/mathjax/input/tex/extensions/autoload.js",
+  "vendor/mathjax/input/tex/extensions/bbox.js",
+  "vendor/mathjax/input/tex/extensions/boldsymbol.js",
+  "vendor/mathjax/input/tex/extensions/braket.js",
+  "vendor/mathjax/input/tex/extensions/bussproofs.js",
+  "vendor/mathjax/input/tex/extensions/cancel.js",
+  "vendor/mathjax/input/tex/extensions/cases.js",
+  "vendor/mathjax/input/tex/extensions/centernot.js",
+  "vendor/mathjax/input/tex/extensions/color.js",
+  "vendor/mathjax/input/tex/extensions/colortbl.js",
+  "vendor/mathjax/input/tex/extensions/colorv2.js",
+  "vendor/mathjax/input/tex/extensions/configmacros.js",
+  "vendor/mathjax/input/tex/extensions/empheq.js",
+  "vendor/mathjax/input/tex/extensions/enclose.js",
+  "vendor/mathjax/input/tex/extensions/extpfeil.js",
+  "vendor/mathjax/input/tex/extensions/gensymb.js",
+  "vendor/mathjax/input/tex/extensions/html.js",
+  "vendor/mathjax/input/tex/extensions/mathtools.js",
+  "vendor/mathjax/input/tex/extensions/mhchem.js",
+  "vendor/mathjax/input/tex/extensions/newcommand.js",
+  "vendor/mathjax/input/tex/extensions/noerrors.js",
+  "vendor/mathjax/input/tex/extensions/noundefined.js",
+  "vendor/mathjax/input/tex/extensions/physics.js",
+  "vendor/mathjax/input/tex/extensions/require.js",
+  "vendor/mathjax/input/tex/extensions/setoptions.js",
+  "vendor/mathjax/input/tex/extensions/tagformat.js",
+  "vendor/mathjax/input/tex/extensions/textcomp.js",
+  "vendor/mathjax/input/tex/extensions/textmacros.js",
+  "vendor/mathjax/input/tex/extensions/unicode.js",
+  "vendor/mathjax/input/tex/extensions/upgreek.js",
+  "vendor/mathjax/input/tex/extensions/verb.js",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_AMS-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Calligraphic-Bold.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Calligraphic-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Fraktur-Bold.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Fraktur-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Main-Bold.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Main-Italic.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Main-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Math-BoldItalic.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Math-Italic.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Math-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_SansSerif-Bold.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_SansSerif-Italic.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_SansSerif-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Script-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Size1-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Size2-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Size3-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Size4-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Typewriter-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Vector-Bold.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Vector-Regular.woff",
+  "vendor/mathjax/output/chtml/fonts/woff-v2/MathJax_Zero.woff",
+  "vendor/mathjax/tex-mml-chtml.js"
+];
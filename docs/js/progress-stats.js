@@ -0,0 +1,218 @@
+// Study statistics for the progress dashboard (quizzes/dashboard.html), worked out from the
+// saved progress (js/progress-store.js) and the published quizzes by module
+// (js/dashboard-data.js, written by build.js). Also defines the confidence levels answers
+// are rated with, so it is loaded on every page.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QuizStats = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  // Checked answers a lecture needs before it can be among the weakest
+  const MIN_ANSWERS_FOR_WEAKEST = 3;
+
+  // Counts for some questions of a quiz: { total, attempted, answers, correct }. Accuracy
+  // is over every checked answer, retries included.
+  function tally(saved, questions) {
+    const counts = { total: questions.length, attempted: 0, answers: 0, correct: 0 };
+    questions.forEach(({ key }) => {
+      const state = saved && saved.questions[key];
+      const attempts = (state && state.attempts) || [];
+      if (attempts.length > 0) counts.attempted++;
+      counts.answers += attempts.length;
+      counts.correct += attempts.filter(attempt => attempt.correct).length;
+    });
+    return counts;
+  }
+
+  function combine(parts) {
+    const counts = { total: 0, attempted: 0, answers: 0, correct: 0 };
+    parts.forEach(part => {
+      Object.keys(counts).forEach(name => { counts[name] += part[name]; });
+    });
+    return counts;
+  }
+
+  // `counts` plus their accuracy (0-1, null before any answer)
+  function withAccuracy(counts) {
+    return Object.assign(counts, { accuracy: counts.answers > 0 ? counts.correct / counts.answers : null });
+  }
+
+  /**
+   * Statistics per lecture, per module and overall. `data` is { modules: [{ prefix, title,
+   * quizzes: [{ id, number, title, questions: [{ key, number }] }] }] }. Returns { modules: [{ prefix,
+   * title, lectures, ...counts }], overall }, where lectures are { id, number, title,
+   * ...counts } and counts are { total, attempted, answers, correct, accuracy }.
+   */
+  function summarize(data, progress) {
+    const modules = data.modules.map(module => {
+      const lectures = module.quizzes.map(quiz => Object.assign(
+        { id: quiz.id, number: quiz.number, title: quiz.title },
+        withAccuracy(tally(progress.quizzes[quiz.id], quiz.questions))
+      ));
+      return Object.assign({ prefix: module.prefix, title: module.title, lectures }, withAccuracy(combine(lectures)));
+    });
+    return { modules, overall: withAccuracy(combine(modules)) };
+  }
+
+  // Lectures with the lowest accuracy among those with enough answers (and some wrong),
+  // weakest first
+  function weakestLectures(summary, limit = 3) {
+    return summary.modules
+      .flatMap(module => module.lectures)
+      .filter(lecture => lecture.answers >= MIN_ANSWERS_FOR_WEAKEST && lecture.accuracy < 1)
+      .sort((a, b) => a.accuracy - b.accuracy || b.answers - a.answers)
+      .slice(0, limit);
+  }
+
+  // Confidence levels an answer can be rated with (see js/script.js), least sure first, and
+  // how they are labelled
+  const CONFIDENCE_LEVELS = ['guess', 'unsure', 'sure'];
+  const CONFIDENCE_LABELS = {
+    guess: 'Guess',
+    unsure: 'Unsure',
+    sure: 'Sure'
+  };
+
+  // Checked answers and correct ones per confidence level, with their accuracy
+  function confidenceCounts(attempts) {
+    const levels = {};
+    CONFIDENCE_LEVELS.forEach(level => {
+      const rated = attempts.filter(attempt => attempt.confidence === level);
+      levels[level] = withAccuracy({ answers: rated.length, correct: rated.filter(attempt => attempt.correct).length });
+    });
+    return levels;
+  }
+
+  function savedAttempts(progress, quiz) {
+    const saved = progress.quizzes[quiz.id];
+    return quiz.questions.flatMap(({ key }) => {
+      const state = saved && saved.questions[key];
+      return (state && state.attempts) || [];
+    });
+  }
+
+  /**
+   * Calibration: how often answers were right at each confidence level, over every checked
+   * answer that was rated. Returns { lectures: [{ id, number, title, rated, levels }],
+   * overall: { rated, levels } }, where levels maps each of CONFIDENCE_LEVELS to { answers,
+   * correct, accuracy }. Only lectures with rated answers are listed.
+   */
+  function calibration(data, progress) {
+    const lectures = [];
+    const all = [];
+    data.modules.forEach(module => {
+      module.quizzes.forEach(quiz => {
+        const rated = savedAttempts(progress, quiz).filter(attempt => CONFIDENCE_LEVELS.includes(attempt.confidence));
+        if (rated.length === 0) return;
+        all.push(...rated);
+        lectures.push({ id: quiz.id, number: quiz.number, title: quiz.title, rated: rated.length, levels: confidenceCounts(rated) });
+      });
+    });
+    return { lectures, overall: { rated: all.length, levels: confidenceCounts(all) } };
+  }
+
+  /**
+   * Questions whose latest checked answer was rated "sure" but wrong, most recent first:
+   * [{ lecture: { id, number, title }, key, number, at }]
+   */
+  function confidentlyWrong(data, progress) {
+    const found = [];
+    data.modules.forEach(module => {
+      module.quizzes.forEach(quiz => {
+        const saved = progress.quizzes[quiz.id];
+        quiz.questions.forEach(({ key, number }) => {
+          const attempts = (saved && saved.questions[key] && saved.questions[key].attempts) || [];
+          const last = attempts[attempts.length - 1];
+          if (last && last.confidence === 'sure' && !last.correct) {
+            found.push({ lecture: { id: quiz.id, number: quiz.number, title: quiz.title }, key, number, at: last.at });
+          }
+        });
+      });
+    });
+    return found.sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+  }
+
+  // "2026-10-19": the local calendar day of a date
+  function dayKey(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+      .join('-');
+  }
+
+  function dayStart(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Study activity per day: { [dayKey]: count } of answers checked on quiz pages, plus the
+   * last review of each question (the review page keeps only the latest one)
+   */
+  function activityByDay(progress) {
+    const days = {};
+    const count = timestamp => {
+      const key = dayKey(new Date(timestamp));
+      days[key] = (days[key] || 0) + 1;
+    };
+
+    Object.values(progress.quizzes).forEach(quiz => {
+      Object.values(quiz.questions).forEach(state => {
+        (state.attempts || []).forEach(attempt => count(attempt.at));
+        if (state.review && state.review.reviewedAt) count(state.review.reviewedAt);
+      });
+    });
+    return days;
+  }
+
+  /**
+   * Runs of consecutive days with activity: { current, longest } in days. The current
+   * streak is still alive until a whole day passes without studying.
+   */
+  function streaks(activity, now = new Date()) {
+    const days = Object.keys(activity).sort().map(key => dayStart(key).getTime());
+    let longest = 0;
+    let run = 0;
+    days.forEach((day, index) => {
+      run = index > 0 && Math.round((day - days[index - 1]) / DAY) === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    });
+
+    const today = dayStart(dayKey(now)).getTime();
+    const last = days.length > 0 ? days[days.length - 1] : null;
+    const current = last !== null && Math.round((today - last) / DAY) <= 1 ? run : 0;
+    return { current, longest };
+  }
+
+  /**
+   * Activity of the `count` days up to and including `now`'s, oldest first: [{ day, count }]
+   */
+  function recentActivity(activity, count, now = new Date()) {
+    const today = dayStart(dayKey(now));
+    const days = [];
+    for (let offset = count - 1; offset >= 0; offset--) {
+      const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+      const key = dayKey(date);
+      days.push({ day: key, count: activity[key] || 0 });
+    }
+    return days;
+  }
+
+  return {
+    MIN_ANSWERS_FOR_WEAKEST,
+    CONFIDENCE_LEVELS,
+    CONFIDENCE_LABELS,
+    summarize,
+    weakestLectures,
+    calibration,
+    confidentlyWrong,
+    dayKey,
+    activityByDay,
+    streaks,
+    recentActivity
+  };
+});
@@ -0,0 +1,275 @@
+// Quiz progress saved in the browser (localStorage), shared by the quiz pages. Progress
+// is kept per quiz id and question key (the stable `key` of the JSON quiz model), so it
+// survives reloads, navigation and renumbered questions.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QuizProgress = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+  const STORAGE_KEY = 'cs7643-module4-progress';
+
+  // Version of the stored format. Bump it when the format changes and add a migration
+  // from the previous version, so existing saves are upgraded instead of lost.
+  const VERSION = 1;
+
+  // MIGRATIONS[n] upgrades version n data to version n + 1
+  const MIGRATIONS = {};
+
+  function emptyProgress() {
+    return { version: VERSION, quizzes: {}, settings: {} };
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Stored data upgraded to VERSION, or null if it isn't progress data we can read: data
+  // written by hand or another tool may have the version but no quizzes. Missing settings
+  // are only defaults, so they are filled in.
+  function migrate(data) {
+    if (!isPlainObject(data) || !Number.isInteger(data.version)) return null;
+
+    let current = data;
+    while (current.version < VERSION) {
+      const upgrade = MIGRATIONS[current.version];
+      if (!upgrade) return null;
+      current = upgrade(current);
+    }
+    if (current.version !== VERSION || !isPlainObject(current.quizzes)) return null;
+    return isPlainObject(current.settings) ? current : Object.assign({}, current, { settings: {} });
+  }
+
+  // Version of the data in storage, or null if there is none (or it's unreadable)
+  function storedVersion(storage) {
+    try {
+      const data = JSON.parse(storage.getItem(STORAGE_KEY));
+      return data && Number.isInteger(data.version) ? data.version : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the saved progress: { version, quizzes: { [quizId]: { questions, exam, updatedAt } },
+   * settings }.
+   * Missing or unreadable data gives empty progress.
+   */
+  function load(storage) {
+    try {
+      const raw = storage.getItem(STORAGE_KEY);
+      return (raw && migrate(JSON.parse(raw))) || emptyProgress();
+    } catch (err) {
+      return emptyProgress();
+    }
+  }
+
+  // Changes made to a progress object since it was last saved: { quizzes: Map(quizId ->
+  // { keys (question keys), exam, whole }), settings (names) }. Saving writes back only
+  // these, so a page doesn't undo what other tabs saved after it loaded.
+  const pendingChanges = new WeakMap();
+
+  function changesOf(progress) {
+    if (!pendingChanges.has(progress)) {
+      pendingChanges.set(progress, { quizzes: new Map(), settings: new Set() });
+    }
+    return pendingChanges.get(progress);
+  }
+
+  function quizChanges(progress, quizId) {
+    const { quizzes } = changesOf(progress);
+    if (!quizzes.has(quizId)) quizzes.set(quizId, { keys: new Set(), exam: false, whole: false });
+    return quizzes.get(quizId);
+  }
+
+  function ownEntry(object, name) {
+    return Object.prototype.hasOwnProperty.call(object, name) ? object[name] : undefined;
+  }
+
+  // Copy `changes` from `progress` into `stored`: changed entries replace the stored ones,
+  // and ones removed in `progress` are removed from it
+  function applyChanges(stored, progress, changes) {
+    changes.quizzes.forEach((change, quizId) => {
+      const local = ownEntry(progress.quizzes, quizId);
+      if (change.whole || !local) {
+        if (local) {
+          stored.quizzes[quizId] = local;
+        } else {
+          delete stored.quizzes[quizId];
+        }
+        return;
+      }
+
+      const target = ownEntry(stored.quizzes, quizId) || (stored.quizzes[quizId] = { questions: {}, updatedAt: local.updatedAt });
+      change.keys.forEach(key => {
+        const question = ownEntry(local.questions, key);
+        if (question) {
+          target.questions[key] = question;
+        } else {
+          delete target.questions[key];
+        }
+      });
+      if (change.exam) {
+        if (local.exam) {
+          target.exam = local.exam;
+        } else {
+          delete target.exam;
+        }
+      }
+      target.updatedAt = local.updatedAt;
+    });
+
+    changes.settings.forEach(name => {
+      stored.settings = Object.assign({}, stored.settings, { [name]: progress.settings[name] });
+    });
+    return stored;
+  }
+
+  /**
+   * Write progress back. Only what changed since it was loaded (or last saved) is written,
+   * over what is in storage now, and `progress` is then brought up to date with the rest,
+   * so tabs open on different pages don't overwrite each other. Progress built without the
+   * functions below (an import) is written as it is. Data saved by a newer version of the
+   * site (say, from another tab after a deploy) is left alone rather than overwritten.
+   * Returns whether it was saved.
+   */
+  function save(storage, progress) {
+    const version = storedVersion(storage);
+    if (version !== null && version > VERSION) return false;
+
+    const changes = pendingChanges.get(progress);
+    const data = changes ? applyChanges(load(storage), progress, changes) : progress;
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (err) {
+      // Storage full or disabled: progress just isn't kept
+      return false;
+    }
+
+    if (changes) {
+      pendingChanges.delete(progress);
+      progress.quizzes = data.quizzes;
+      progress.settings = data.settings;
+    }
+    return true;
+  }
+
+  function emptyQuestion() {
+    return { selected: [], checked: false, revealed: false, result: null, scored: null, confidence: null, attempts: [] };
+  }
+
+  /**
+   * Saved state of a question, or null: { selected (option values), checked (answer
+   * checked), revealed (explanation shown), result (first-attempt correctness, null until
+   * answered), scored (the options selected in that attempt, which partial credit is worked
+   * out from; see js/scoring.js), confidence (the rating chosen for the next check: 'guess',
+   * 'unsure', 'sure' or null), attempts: [{ at, selected, correct, confidence }] (confidence
+   * only when rated), review (spaced-repetition schedule, see js/review-scheduler.js), updatedAt }
+   */
+  function getQuestion(progress, quizId, key) {
+    const quiz = progress.quizzes[quizId];
+    return (quiz && quiz.questions[key]) || null;
+  }
+
+  // A quiz's entry, created if needed
+  function quizEntry(progress, quizId, timestamp) {
+    return progress.quizzes[quizId] || (progress.quizzes[quizId] = { questions: {}, updatedAt: timestamp });
+  }
+
+  // Merge `changes` into a question's state, creating it if needed
+  function updateQuestion(progress, quizId, key, changes, now = new Date()) {
+    const timestamp = now.toISOString();
+    const quiz = quizEntry(progress, quizId, timestamp);
+    const question = quiz.questions[key] || emptyQuestion();
+
+    quiz.questions[key] = Object.assign(question, changes, { updatedAt: timestamp });
+    quiz.updatedAt = timestamp;
+    quizChanges(progress, quizId).keys.add(key);
+    return quiz.questions[key];
+  }
+
+  // Record a checked answer, with how sure of it the user said they were (if they did); the
+  // first one after a reset or retry sets the result
+  function recordAttempt(progress, quizId, key, { selected, correct, confidence = null }, now = new Date()) {
+    const question = getQuestion(progress, quizId, key);
+    const attempt = Object.assign({ at: now.toISOString(), selected, correct }, confidence ? { confidence } : {});
+    const attempts = (question ? question.attempts : []).concat(attempt);
+    const changes = { selected, checked: true, attempts };
+    if (!question || question.result === null) {
+      Object.assign(changes, { result: correct, scored: selected });
+    }
+    return updateQuestion(progress, quizId, key, changes, now);
+  }
+
+  // Timed exam taken on a quiz page, or null: { startedAt, deadline, submittedAt (null
+  // while it runs) }
+  function getExam(progress, quizId) {
+    const quiz = progress.quizzes[quizId];
+    return (quiz && quiz.exam) || null;
+  }
+
+  function setExam(progress, quizId, exam, now = new Date()) {
+    const timestamp = now.toISOString();
+    const quiz = quizEntry(progress, quizId, timestamp);
+    if (exam) {
+      quiz.exam = exam;
+    } else {
+      delete quiz.exam;
+    }
+    quiz.updatedAt = timestamp;
+    quizChanges(progress, quizId).exam = true;
+  }
+
+  // Study preferences shared by all pages, such as `shuffleOptions` and `scoringScheme`
+  function getSetting(progress, name, fallback) {
+    const settings = progress.settings || {};
+    return Object.prototype.hasOwnProperty.call(settings, name) ? settings[name] : fallback;
+  }
+
+  function setSetting(progress, name, value) {
+    progress.settings = Object.assign({}, progress.settings, { [name]: value });
+    changesOf(progress).settings.add(name);
+  }
+
+  // Forget the answers saved for a quiz. Review schedules are kept: they are study
+  // history, not the state of the quiz page.
+  function resetQuiz(progress, quizId, now = new Date()) {
+    quizChanges(progress, quizId).whole = true;
+    const quiz = progress.quizzes[quizId];
+    if (!quiz) return;
+
+    const scheduled = Object.keys(quiz.questions).filter(key => quiz.questions[key].review);
+    if (scheduled.length === 0) {
+      delete progress.quizzes[quizId];
+      return;
+    }
+
+    const questions = {};
+    scheduled.forEach(key => {
+      questions[key] = Object.assign(emptyQuestion(), {
+        review: quiz.questions[key].review,
+        updatedAt: now.toISOString()
+      });
+    });
+    progress.quizzes[quizId] = { questions, updatedAt: now.toISOString() };
+  }
+
+  return {
+    STORAGE_KEY,
+    VERSION,
+    emptyProgress,
+    migrate,
+    load,
+    save,
+    getQuestion,
+    updateQuestion,
+    recordAttempt,
+    getExam,
+    setExam,
+    getSetting,
+    setSetting,
+    resetQuiz
+  };
+});
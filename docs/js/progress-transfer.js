@@ -0,0 +1,299 @@
+// Export and import of the saved progress (js/progress-store.js) as a JSON file, to move it
+// between browsers. Exports are versioned like the stored progress and checked against
+// SCHEMA before they are merged in; conflicts go to whichever side changed last.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./progress-store'), require('./scoring'), require('./progress-stats'));
+  } else {
+    root.QuizTransfer = factory(root.QuizProgress, root.QuizScoring, root.QuizStats);
+  }
+})(typeof self !== 'undefined' ? self : this, function(QuizProgress, QuizScoring, QuizStats) {
+
+  // Marks a file as a progress export of this site
+  const FORMAT = 'cs7643-module4-progress';
+
+  const DATE_TIME = { type: 'string', format: 'date-time' };
+  const OPTION_VALUES = { type: 'array', items: { type: 'string' } };
+
+  /**
+   * JSON Schema of an export at the current version. validate() supports the keywords used
+   * here: type, const, enum, required, properties, additionalProperties, items, minimum,
+   * format (date-time) and $ref to $defs.
+   */
+  const SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Study progress export',
+    type: 'object',
+    required: ['format', 'version', 'exportedAt', 'quizzes', 'settings'],
+    additionalProperties: false,
+    properties: {
+      format: { const: FORMAT },
+      version: { const: QuizProgress.VERSION },
+      exportedAt: DATE_TIME,
+      quizzes: { type: 'object', additionalProperties: { $ref: '#/$defs/quiz' } },
+      settings: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          shuffleOptions: { type: 'boolean' },
+          scoringScheme: { enum: Object.keys(QuizScoring.SCHEMES) }
+        }
+      }
+    },
+    $defs: {
+      quiz: {
+        type: 'object',
+        required: ['questions', 'updatedAt'],
+        additionalProperties: false,
+        properties: {
+          questions: { type: 'object', additionalProperties: { $ref: '#/$defs/question' } },
+          exam: { $ref: '#/$defs/exam' },
+          updatedAt: DATE_TIME
+        }
+      },
+      exam: {
+        type: 'object',
+        required: ['startedAt', 'deadline', 'submittedAt'],
+        additionalProperties: false,
+        properties: {
+          startedAt: DATE_TIME,
+          deadline: DATE_TIME,
+          submittedAt: { type: ['string', 'null'], format: 'date-time' }
+        }
+      },
+      question: {
+        type: 'object',
+        required: ['selected', 'checked', 'revealed', 'result', 'attempts', 'updatedAt'],
+        additionalProperties: false,
+        properties: {
+          selected: OPTION_VALUES,
+          checked: { type: 'boolean' },
+          revealed: { type: 'boolean' },
+          result: { type: ['boolean', 'null'] },
+          scored: { type: ['array', 'null'], items: { type: 'string' } },
+          confidence: { enum: QuizStats.CONFIDENCE_LEVELS.concat(null) },
+          order: { type: ['array', 'null'], items: { type: 'string' } },
+          attempts: { type: 'array', items: { $ref: '#/$defs/attempt' } },
+          review: { $ref: '#/$defs/review' },
+          updatedAt: DATE_TIME
+        }
+      },
+      attempt: {
+        type: 'object',
+        required: ['at', 'selected', 'correct'],
+        additionalProperties: false,
+        properties: {
+          at: DATE_TIME,
+          selected: OPTION_VALUES,
+          correct: { type: 'boolean' },
+          confidence: { enum: QuizStats.CONFIDENCE_LEVELS }
+        }
+      },
+      review: {
+        type: 'object',
+        required: ['ease', 'interval', 'repetitions', 'due'],
+        additionalProperties: false,
+        properties: {
+          ease: { type: 'number', minimum: 0 },
+          interval: { type: 'integer', minimum: 0 },
+          repetitions: { type: 'integer', minimum: 0 },
+          due: DATE_TIME,
+          reviewedAt: DATE_TIME
+        }
+      }
+    }
+  };
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  // Keys come from the imported file, so names like "toString" must not find inherited members
+  function hasOwn(object, name) {
+    return Object.prototype.hasOwnProperty.call(object, name);
+  }
+
+  /**
+   * Problems with `value` against `schema`, as messages like "/quizzes/13.1Combined/updatedAt:
+   * expected a date-time". An empty list means it's valid.
+   */
+  function validate(value, schema = SCHEMA, rootSchema = schema, path = '') {
+    if (schema.$ref) {
+      const name = schema.$ref.replace(/^#\/\$defs\//, '');
+      return validate(value, rootSchema.$defs[name], rootSchema, path);
+    }
+
+    const where = path || '/';
+    if ('const' in schema && value !== schema.const) {
+      return [`${where}: expected ${JSON.stringify(schema.const)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return [`${where}: expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => matchesType(value, type))) {
+        return [`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+      }
+    }
+
+    const errors = [];
+    if (schema.format === 'date-time' && typeof value === 'string' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${where}: expected a date-time`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+      errors.push(`${where}: expected at least ${schema.minimum}`);
+    }
+    if (schema.items && Array.isArray(value)) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, rootSchema, `${path}/${index}`));
+      });
+    }
+    if (typeOf(value) === 'object') {
+      const properties = schema.properties || {};
+      (schema.required || []).forEach(name => {
+        if (!hasOwn(value, name)) errors.push(`${where}: missing "${name}"`);
+      });
+      Object.keys(value).forEach(name => {
+        const childPath = `${path}/${name}`;
+        // JSON.parse keeps "__proto__" as a key; merging it would replace a prototype
+        if (name === '__proto__') {
+          errors.push(`${childPath}: not allowed`);
+        } else if (hasOwn(properties, name)) {
+          errors.push(...validate(value[name], properties[name], rootSchema, childPath));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${childPath}: not allowed`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...validate(value[name], schema.additionalProperties, rootSchema, childPath));
+        }
+      });
+    }
+    return errors;
+  }
+
+  // The whole saved progress as an export: { format, version, exportedAt, quizzes, settings }
+  function exportProgress(progress, now = new Date()) {
+    return {
+      format: FORMAT,
+      version: progress.version,
+      exportedAt: now.toISOString(),
+      quizzes: progress.quizzes,
+      settings: progress.settings || {}
+    };
+  }
+
+  // "cs7643-module4-progress-2026-10-19.json", dated by the local day
+  function exportFilename(now = new Date()) {
+    const day = [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+      .map(part => String(part).padStart(2, '0'))
+      .join('-');
+    return `${FORMAT}-${day}.json`;
+  }
+
+  /**
+   * Read an exported file's text. Older versions are upgraded like stored progress (see
+   * QuizProgress.migrate). Returns { progress } for a valid export, or { errors }: short
+   * reasons it can't be imported, or where it breaks the schema (see validate()).
+   */
+  function readExport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { errors: ['not valid JSON'] };
+    }
+    if (!data || typeof data !== 'object' || data.format !== FORMAT) {
+      return { errors: ['not a progress export from this site'] };
+    }
+    if (!Number.isInteger(data.version) || data.version > QuizProgress.VERSION) {
+      return { errors: ['exported by a newer version of this site; reload the page and try again'] };
+    }
+
+    let upgraded;
+    try {
+      upgraded = QuizProgress.migrate(data);
+    } catch (err) {
+      upgraded = null;
+    }
+    if (!upgraded) {
+      // At the current version, only a broken file fails to migrate; say what is wrong with it
+      const errors = data.version === QuizProgress.VERSION ? validate(data) : [];
+      return { errors: errors.length > 0 ? errors : [`progress from version ${data.version} of this site can't be read`] };
+    }
+
+    const errors = validate(upgraded);
+    if (errors.length > 0) return { errors };
+    return {
+      progress: { version: upgraded.version, quizzes: upgraded.quizzes, settings: upgraded.settings }
+    };
+  }
+
+  function newer(a, b) {
+    return Date.parse(a) > Date.parse(b);
+  }
+
+  // When an exam last changed: its submission, or its start while it runs
+  function examChangedAt(exam) {
+    return exam.submittedAt || exam.startedAt;
+  }
+
+  /**
+   * Merge imported progress into the local one, question by question: a question saved in
+   * only one of them is kept, and one saved in both takes the version updated last. A
+   * quiz's exam is likewise the one that changed last. Settings carry no timestamps, so the
+   * local ones win and imported ones only fill gaps. Returns { progress, added, updated,
+   * unchanged } with counts of imported questions; neither input is modified.
+   */
+  function mergeProgress(local, incoming) {
+    const progress = JSON.parse(JSON.stringify(local));
+    const counts = { added: 0, updated: 0, unchanged: 0 };
+
+    Object.entries(incoming.quizzes).forEach(([quizId, quiz]) => {
+      if (!hasOwn(progress.quizzes, quizId)) {
+        progress.quizzes[quizId] = { questions: {}, updatedAt: quiz.updatedAt };
+      }
+      const target = progress.quizzes[quizId];
+
+      Object.entries(quiz.questions).forEach(([key, question]) => {
+        const current = hasOwn(target.questions, key) ? target.questions[key] : null;
+        if (!current) {
+          counts.added++;
+        } else if (newer(question.updatedAt, current.updatedAt)) {
+          counts.updated++;
+        } else {
+          counts.unchanged++;
+          return;
+        }
+        target.questions[key] = JSON.parse(JSON.stringify(question));
+      });
+
+      if (quiz.exam && (!target.exam || newer(examChangedAt(quiz.exam), examChangedAt(target.exam)))) {
+        target.exam = Object.assign({}, quiz.exam);
+      }
+      if (newer(quiz.updatedAt, target.updatedAt)) {
+        target.updatedAt = quiz.updatedAt;
+      }
+    });
+
+    progress.settings = Object.assign({}, incoming.settings, progress.settings);
+    return Object.assign({ progress }, counts);
+  }
+
+  return {
+    FORMAT,
+    SCHEMA,
+    validate,
+    exportProgress,
+    exportFilename,
+    readExport,
+    mergeProgress
+  };
+});
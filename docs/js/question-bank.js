@@ -0,0 +1,2 @@
+// Generated by build.js - do not edit
+window.QUESTION_BANK = {"quizzes":[{"id":"13.1Combined","title":"Generative Models Introduction","questions":[{"key":"q-32f76066","number":1,"type":"multi-select","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-32f76066\">\n      <h3>Question 1 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the role and goals of generative models in unsupervised learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"false\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. They only classify input data into known categories.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"true\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. They estimate the probability distribution over the input space.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o2\" name=\"q0\" value=\"2\" data-correct=\"true\">\n          <label for=\"q0-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. They can be used to generate new, artificial samples resembling the data.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o3\" name=\"q0\" value=\"3\" data-correct=\"true\">\n          <label for=\"q0-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. They are used for tasks such as density estimation.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o4\" name=\"q0\" value=\"4\" data-correct=\"false\">\n          <label for=\"q0-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. They require labeled data to function effectively.</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Generative models do <strong>not require labeled data</strong> and <strong>do more than classification</strong>.</p>\n<blockquote>\"Here we take a probabilistic view of unsupervised learning and try to estimate the probability distribution over the input space.\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:00:00\" title=\"Open in the transcript\">[00:00:00]</a></blockquote>\n<blockquote>\"In this lesson, we&#39;ll focus on Density Estimation... we may want to just have the ability to generate samples from this distribution...\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:00:57\" title=\"Open in the transcript\">[00:00:57]</a></blockquote></div>\n    </div>"},{"key":"q-ca568e0d","number":2,"type":"multi-select","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-ca568e0d\">\n      <h3>Question 2 (Multi-Select)</h3>\n      <p>Which of the following traditional methods were used for density estimation or similar probabilistic modeling before the resurgence of deep learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"true\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Naive Bayes classifiers</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"false\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Support Vector Machines</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"true\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Gaussian Mixture Models</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"false\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Linear Discriminant Analysis</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o4\" name=\"q1\" value=\"4\" data-correct=\"true\">\n          <label for=\"q1-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Hidden Markov Models</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>GMMs were traditionally used for density estimation, though they struggle with high-dimensional input spaces. Naive Bayes and HMMs are also probabilistic models used for modeling data distributions.</p>\n<blockquote>\"For example, Gaussian mixture models also produce some estimate of the probability distribution over the input space. However, these methods have severe deficiencies when the input is very high dimensional.\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:01:18\" title=\"Open in the transcript\">[00:01:18]</a></blockquote></div>\n    </div>"},{"key":"q-5953fb03","number":3,"type":"true-false","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-5953fb03\">\n      <h3>Question 3 (True/False)</h3>\n      <p>Generative models model the conditional probability of labels given the input data.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"false\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"true\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Discriminative models model \\( P(y|x) \\); generative models model \\( P(x) \\).</p>\n<blockquote>\"Discriminative models, model the conditional distribution probability of the label given the input... Generative models, on the other hand, model the distribution over the input space.\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:02:07\" title=\"Open in the transcript\">[00:02:07]</a></blockquote></div>\n    </div>"},{"key":"q-03286cc8","number":4,"type":"multi-select","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-03286cc8\">\n      <h3>Question 4 (Multi-Select)</h3>\n      <p>What are key challenges associated with modeling the joint distribution of high-dimensional data in generative models?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. High computational complexity</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"true\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Intractability of the exact probability distribution</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"false\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Lack of any theoretical basis</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"true\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Requirement of assumptions or simplifications</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Modeling \\( P(x) \\) directly is challenging without simplifying assumptions.</p>\n<blockquote>\"This is a very intractable and hard thing to do. And so we&#39;ll have to make various assumptions or simplifications in order to make this feasible.\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:00:40\" title=\"Open in the transcript\">[00:00:40]</a></blockquote></div>\n    </div>"},{"key":"q-54735b65","number":5,"type":"multi-select","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-54735b65\">\n      <h3>Question 5 (Multi-Select)</h3>\n      <p>You are asked to design a generative model for a new high-dimensional image dataset. What strategies from the transcript are likely to help in tackling the complexity? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"true\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Use deep learning architectures that reduce dimensionality</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"false\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Use rule-based symbolic reasoning</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o2\" name=\"q4\" value=\"2\" data-correct=\"true\">\n          <label for=\"q4-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Leverage embeddings to find low-dimensional representations</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o3\" name=\"q4\" value=\"3\" data-correct=\"false\">\n          <label for=\"q4-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Avoid simplifications to maintain full generality</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o4\" name=\"q4\" value=\"4\" data-correct=\"true\">\n          <label for=\"q4-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Apply parametric approximations of probability distributions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o5\" name=\"q4\" value=\"5\" data-correct=\"true\">\n          <label for=\"q4-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Utilize maximum likelihood estimation principles</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The transcript emphasizes several strategies for handling high-dimensional data: using deep architectures for dimensionality reduction, leveraging embeddings, applying parametric approximations, and using maximum likelihood estimation.</p>\n<blockquote>\"Deep learning is very good at learning features that extract meaningful information in a low dimensional embedding from high dimensional data.\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:01:42\" title=\"Open in the transcript\">[00:01:42]</a></blockquote>\n<blockquote>\"Just, like discriminative models we can have a parametric approximation of this distribution.\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:02:49\" title=\"Open in the transcript\">[00:02:49]</a></blockquote>\n<blockquote>\"And use the principle of maximum likelihood to optimize the parameters given the unlabeled data set.\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:03:09\" title=\"Open in the transcript\">[00:03:09]</a></blockquote></div>\n    </div>"},{"key":"q-6002640a","number":6,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-6002640a\">\n      <h3>Question 6 (Multiple Choice)</h3>\n      <p>Which of the following statements best captures the distinction between discriminative and generative models?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"false\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Discriminative models generate new samples from the data distribution.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"false\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Generative models are always more accurate than discriminative ones.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"true\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Discriminative models estimate \\( P(y|x) \\), while generative models estimate \\( P(x) \\).</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Generative models require supervised data, while discriminative models do not.</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>This is a central distinction made in the lesson.</p>\n<blockquote>\"Discriminative models, model the conditional distribution probability of the label given the input... Generative models... model the distribution over the input space.\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:02:07\" title=\"Open in the transcript\">[00:02:07]</a></blockquote></div>\n    </div>"},{"key":"q-d74f89e6","number":7,"type":"multi-select","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-d74f89e6\">\n      <h3>Question 7 (Multi-Select)</h3>\n      <p>According to the transcript, why is deep learning suitable for generative modeling of high-dimensional data?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"true\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Deep learning methods can extract meaningful low-dimensional features.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"true\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Neural networks can model complex distributions with sufficient flexibility.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o2\" name=\"q6\" value=\"2\" data-correct=\"false\">\n          <label for=\"q6-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. They inherently encode explicit probabilistic rules.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o3\" name=\"q6\" value=\"3\" data-correct=\"false\">\n          <label for=\"q6-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. They eliminate the need for any data preprocessing.</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Deep learning reduces dimensionality and provides flexibility in modeling.</p>\n<blockquote>\"Deep learning is very good at learning features that extract meaningful information in a low dimensional embedding...\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:01:42\" title=\"Open in the transcript\">[00:01:42]</a></blockquote>\n<blockquote>\"Just, like discriminative models we can have a parametric approximation of this distribution.\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:02:49\" title=\"Open in the transcript\">[00:02:49]</a></blockquote></div>\n    </div>"},{"key":"q-04861331","number":8,"type":"true-false","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-04861331\">\n      <h3>Question 8 (True/False)</h3>\n      <p>The ability to generate new data samples is a core feature of generative models.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"true\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"false\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Generating samples is one of the core applications.</p>\n<blockquote>\"We may want to just have the ability to generate samples from this distribution, that is actually generate artificial examples...\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:01:18\" title=\"Open in the transcript\">[00:01:18]</a></blockquote></div>\n    </div>"},{"key":"q-8489a15f","number":9,"type":"multi-select","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-8489a15f\">\n      <h3>Question 9 (Multi-Select)</h3>\n      <p>Which principles or techniques are commonly used in optimizing and evaluating generative models? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"false\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Cross-entropy minimization</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"true\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Maximum likelihood estimation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o2\" name=\"q8\" value=\"2\" data-correct=\"false\">\n          <label for=\"q8-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Mean squared error</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o3\" name=\"q8\" value=\"3\" data-correct=\"true\">\n          <label for=\"q8-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. KL divergence minimization</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o4\" name=\"q8\" value=\"4\" data-correct=\"true\">\n          <label for=\"q8-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Independent and identically distributed (i.i.d.) sampling assumption</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o5\" name=\"q8\" value=\"5\" data-correct=\"true\">\n          <label for=\"q8-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Log-likelihood summation</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Multiple optimization principles are used in generative modeling. MLE is the primary one, but KL divergence is also used for comparing distributions. The i.i.d. assumption and log-likelihood summation are key components of the optimization process.</p>\n<blockquote>\"We can have a set of parameterized models \\( p(x, \\theta) \\)... use the principle of maximum likelihood\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:02:49\" title=\"Open in the transcript\">[00:02:49]</a></blockquote>\n<blockquote>\"This is because the examples are drawn independently and identically, that is we&#39;re just sampling independently from this distribution.\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:03:36\" title=\"Open in the transcript\">[00:03:36]</a></blockquote>\n<blockquote>\"We can then take the log of this because we&#39;re maximizing it, and this turns out into a sum of log likelihoods.\" <a class=\"quote-link\" href=\"../transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:03:36\" title=\"Open in the transcript\">[00:03:36]</a></blockquote></div>\n    </div>"}]},{"id":"13.2Combined","title":"PixelRNN & PixelCNN","questions":[{"key":"q-889c18d1","number":1,"type":"multi-select","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-889c18d1\">\n      <h3>Question 1 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the use of the chain rule in probabilistic modeling for PixelRNN and PixelCNN? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"true\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It decomposes the joint distribution of pixels into a product of conditional distributions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"true\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It enables autoregressive generation of image pixels</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o2\" name=\"q0\" value=\"2\" data-correct=\"true\">\n          <label for=\"q0-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It requires an explicit ordering of image pixels</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o3\" name=\"q0\" value=\"3\" data-correct=\"false\">\n          <label for=\"q0-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It increases the computational efficiency of the models</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o4\" name=\"q0\" value=\"4\" data-correct=\"true\">\n          <label for=\"q0-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. It allows modeling the probability of each pixel conditioned on previous pixels</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o5\" name=\"q0\" value=\"5\" data-correct=\"false\">\n          <label for=\"q0-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. It eliminates the need for neural networks in image generation</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The chain rule is fundamental to PixelRNN and PixelCNN as it decomposes complex joint distributions (<span class=\"option-ref\" data-letter=\"A\">A</span>) into manageable conditional probabilities. This enables autoregressive generation (<span class=\"option-ref\" data-letter=\"B\">B</span>) where each pixel depends on previously generated ones. The approach requires defining an explicit pixel ordering (<span class=\"option-ref\" data-letter=\"C\">C</span>) and allows modeling each pixel&#39;s probability conditioned on previous pixels (<span class=\"option-ref\" data-letter=\"E\">E</span>). However, it doesn&#39;t improve computational efficiency (<span class=\"option-ref\" data-letter=\"D\">D</span>) - in fact, generation is sequential and slow. Neural networks are still essential (<span class=\"option-ref\" data-letter=\"F\">F</span>) for modeling the complex conditional distributions.</p>\n<blockquote>\"We can factorize the joint distribution as the product of conditionals, where we define some ordering over the pixels.\" <a class=\"quote-link\" href=\"../transcripts/13.2%20PixelRNN%20&amp;%20PixelCNN.html#t=00:02:34\" title=\"Open in the transcript\">[00:02:34]</a></blockquote>\n<blockquote>\"Using the chain rule, we can compute the joint probability of all pixels by decomposing it into a product of conditional probabilities.\"</blockquote></div>\n    </div>"},{"key":"q-1578a4ce","number":2,"type":"true-false","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-1578a4ce\">\n      <h3>Question 2 (True/False)</h3>\n      <p>In PixelRNN, the generation of an image can be parallelized to improve efficiency.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"false\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"true\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>PixelRNN&#39;s autoregressive nature means each pixel depends on previously generated pixels, forcing the generation process to be sequential. This inherent sequential dependency makes parallelization impossible during the generation phase, resulting in slow sampling.</p>\n<blockquote>\"This can be really slow, unlike convolution layers it&#39;s not parallelized.\" <a class=\"quote-link\" href=\"../transcripts/13.2%20PixelRNN%20&amp;%20PixelCNN.html#t=00:04:42\" title=\"Open in the transcript\">[00:04:42]</a></blockquote></div>\n    </div>"},{"key":"q-55c063df","number":3,"type":"multi-select","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-55c063df\">\n      <h3>Question 3 (Multi-Select)</h3>\n      <p>Which of the following challenges are associated with modeling images using PixelRNN? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"true\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Sequential generation leading to slow sampling processes</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"false\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Computational intensity of recurrent neural networks</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o2\" name=\"q2\" value=\"2\" data-correct=\"true\">\n          <label for=\"q2-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Difficulty in capturing long-range dependencies effectively</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o3\" name=\"q2\" value=\"3\" data-correct=\"true\">\n          <label for=\"q2-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Inability to model complex data distributions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o4\" name=\"q2\" value=\"4\" data-correct=\"false\">\n          <label for=\"q2-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Lack of parallelization during generation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o5\" name=\"q2\" value=\"5\" data-correct=\"false\">\n          <label for=\"q2-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Vanishing gradients in long sequences</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>PixelRNN faces several significant challenges: it generates pixels sequentially which results in slow sampling (<span class=\"option-ref\" data-letter=\"A\">A</span>); recurrent neural networks are computationally intensive (<span class=\"option-ref\" data-letter=\"B\">B</span>); the generation process cannot be parallelized (<span class=\"option-ref\" data-letter=\"E\">E</span>); and the RNN architecture can suffer from vanishing gradients when handling long sequences (<span class=\"option-ref\" data-letter=\"F\">F</span>). However, PixelRNN is actually designed to capture long-range dependencies (<span class=\"option-ref\" data-letter=\"C\">C</span> is incorrect) through its recurrent structure, and it is quite capable of modeling complex data distributions (<span class=\"option-ref\" data-letter=\"D\">D</span> is incorrect) - this is one of its strengths.</p>\n<blockquote>\"This can be really slow, unlike convolution layers it&#39;s not parallelized.\" <a class=\"quote-link\" href=\"../transcripts/13.2%20PixelRNN%20&amp;%20PixelCNN.html#t=00:04:42\" title=\"Open in the transcript\">[00:04:42]</a></blockquote>\n<blockquote>\"The RNN is computationally more intensive and sequential by nature, which creates challenges when generating high-resolution images.\"</blockquote></div>\n    </div>"},{"key":"q-2fff2ca9","number":4,"type":"multi-select","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-2fff2ca9\">\n      <h3>Question 4 (Multi-Select)</h3>\n      <p>What are the key architectural and functional differences between PixelCNN and PixelRNN? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. PixelCNN uses masked convolutions, while PixelRNN uses recurrent neural networks</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"true\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. PixelCNN allows for more parallelization during training</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"false\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. PixelRNN typically has better modeling capacity for long-range dependencies</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"false\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. PixelCNN uses recurrent layers, while PixelRNN uses convolutional layers</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o4\" name=\"q3\" value=\"4\" data-correct=\"true\">\n          <label for=\"q3-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. PixelCNN is generally faster during training but still sequential during generation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o5\" name=\"q3\" value=\"5\" data-correct=\"false\">\n          <label for=\"q3-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. PixelRNN creates an implicit ordering of pixels, while PixelCNN requires an explicit ordering</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Key differences between these models include: PixelCNN uses masked convolutions while PixelRNN uses recurrent neural networks (<span class=\"option-ref\" data-letter=\"A\">A</span>); PixelCNN&#39;s architecture allows for greater parallelization during training (<span class=\"option-ref\" data-letter=\"B\">B</span>), making it computationally more efficient; PixelRNN has superior capacity for modeling long-range dependencies (<span class=\"option-ref\" data-letter=\"C\">C</span>) due to its recurrent structure; and PixelCNN offers faster training though both models remain sequential during the actual generation phase (<span class=\"option-ref\" data-letter=\"E\">E</span>). Option <span class=\"option-ref\" data-letter=\"D\">D</span> incorrectly reverses the architectures. Option <span class=\"option-ref\" data-letter=\"F\">F</span> is incorrect as both models require an explicit pixel ordering - this ordering is a fundamental requirement of autoregressive models.</p>\n<blockquote>\"We can train this using similar methods as the language models, for example, a recurrent neural network.\" <a class=\"quote-link\" href=\"../transcripts/13.2%20PixelRNN%20&amp;%20PixelCNN.html#t=00:03:07\" title=\"Open in the transcript\">[00:03:07]</a></blockquote>\n<blockquote>\"This can be really slow, unlike convolution layers it&#39;s not parallelized.\" <a class=\"quote-link\" href=\"../transcripts/13.2%20PixelRNN%20&amp;%20PixelCNN.html#t=00:04:42\" title=\"Open in the transcript\">[00:04:42]</a></blockquote>\n<blockquote>\"PixelCNN is actually our early attempt to replace the RNN in PixelRNN with a more efficient CNN based architecture.\"</blockquote></div>\n    </div>"},{"key":"q-3f614e9c","number":5,"type":"true-false","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-3f614e9c\">\n      <h3>Question 5 (True/False)</h3>\n      <p>Masked convolutions in PixelCNN allow the model to capture dependencies between all pixels in an image simultaneously.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"false\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"true\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Masked convolutions in PixelCNN specifically prevent simultaneous pixel dependency modeling. They enforce the autoregressive property by ensuring each pixel can only depend on previously generated pixels (those above and to the left in raster scan order). This maintains the sequential nature of generation where each pixel is conditioned only on pixels that came before it, not on all pixels simultaneously.</p>\n<blockquote>\"We&#39;d like to make sure that when predicting a particular pixel, we&#39;re only using information from pixels that are above and to the left of the current pixel.\"</blockquote>\n<blockquote>\"The causal structure is enforced by masking certain elements of the convolution kernel so that a pixel cannot see the future pixels that are below or to the right.\"</blockquote></div>\n    </div>"},{"key":"q-3bc6ed3e","number":6,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-3bc6ed3e\">\n      <h3>Question 6 (Multiple Choice)</h3>\n      <p>Which of the following is a drawback of using PixelRNN for image generation?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"false\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It cannot model the joint distribution of pixels.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"false\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It lacks the capacity to learn from data.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"true\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It requires sequential processing, making it less efficient.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It ignores the spatial structure of images.</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The model must generate pixels one at a time, and the recurrent structure cannot be parallelized, resulting in slow processing. In contrast, options <span class=\"option-ref\" data-letter=\"A\">A</span>, <span class=\"option-ref\" data-letter=\"B\">B</span>, and <span class=\"option-ref\" data-letter=\"D\">D</span> are incorrect: PixelRNN successfully models the joint distribution of pixels through autoregressive factorization; it has strong learning capacity from data; and it explicitly accounts for spatial image structure through its pixel ordering scheme.</p>\n<blockquote>\"This can be really slow, unlike convolution layers it&#39;s not parallelized.\" <a class=\"quote-link\" href=\"../transcripts/13.2%20PixelRNN%20&amp;%20PixelCNN.html#t=00:04:42\" title=\"Open in the transcript\">[00:04:42]</a></blockquote>\n<blockquote>\"Using an RNN, a recurrent neural network, the idea is that we&#39;re going to follow some ordering.\"</blockquote></div>\n    </div>"},{"key":"q-3e2824c2","number":7,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-3e2824c2\">\n      <h3>Question 7 (Multiple Choice)</h3>\n      <p>What role does teacher forcing play in training PixelRNN models?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"false\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It allows the model to generate images without any input.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"true\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It uses actual image pixels to guide the model&#39;s predictions during training.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o2\" name=\"q6\" value=\"2\" data-correct=\"false\">\n          <label for=\"q6-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It forces the model to learn pixel dependencies without supervision.</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o3\" name=\"q6\" value=\"3\" data-correct=\"false\">\n          <label for=\"q6-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It enables the model to bypass the need for a defined pixel ordering.</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Teacher forcing is a training strategy where the model uses ground truth data (real image pixels) rather than its own predictions. This stabilizes training by preventing error accumulation. Options <span class=\"option-ref\" data-letter=\"A\">A</span>, <span class=\"option-ref\" data-letter=\"C\">C</span>, and <span class=\"option-ref\" data-letter=\"D\">D</span> are incorrect characterizations of teacher forcing.</p>\n<blockquote>\"We can train this using similar methods as the language models, for example, a recurrent neural network.\" <a class=\"quote-link\" href=\"../transcripts/13.2%20PixelRNN%20&amp;%20PixelCNN.html#t=00:03:07\" title=\"Open in the transcript\">[00:03:07]</a></blockquote>\n<blockquote>\"At training time, we have an image and we want to maximize the likelihood of that image.\"</blockquote></div>\n    </div>"},{"key":"q-b1791fda","number":8,"type":"multi-select","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-b1791fda\">\n      <h3>Question 8 (Multi-Select)</h3>\n      <p>What are the advantages of using PixelCNN over PixelRNN for image generation tasks? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"true\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. PixelCNN allows for parallel processing during training, improving efficiency</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"true\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. PixelCNN has a simpler architecture that is easier to implement</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o2\" name=\"q7\" value=\"2\" data-correct=\"true\">\n          <label for=\"q7-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. PixelCNN uses convolutional operations which are better optimized in modern deep learning frameworks</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o3\" name=\"q7\" value=\"3\" data-correct=\"false\">\n          <label for=\"q7-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. PixelCNN inherently captures long-range dependencies better than PixelRNN</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o4\" name=\"q7\" value=\"4\" data-correct=\"true\">\n          <label for=\"q7-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. PixelCNN requires less memory during training</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o5\" name=\"q7\" value=\"5\" data-correct=\"false\">\n          <label for=\"q7-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. PixelCNN converges faster during the training process</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>PixelCNN offers several advantages over PixelRNN: it enables parallel processing during training (<span class=\"option-ref\" data-letter=\"A\">A</span>), significantly improving computational efficiency; it employs a simpler architecture based on CNNs rather than RNNs (<span class=\"option-ref\" data-letter=\"B\">B</span>), making implementation more straightforward; it leverages convolutional operations that are highly optimized in modern deep learning frameworks (<span class=\"option-ref\" data-letter=\"C\">C</span>); and it typically requires less memory during training (<span class=\"option-ref\" data-letter=\"E\">E</span>) due to its architecture. Option <span class=\"option-ref\" data-letter=\"D\">D</span> is incorrect - PixelRNN actually has better capacity for modeling long-range dependencies than PixelCNN. Option <span class=\"option-ref\" data-letter=\"F\">F</span> is not necessarily true in all cases - while training may be faster per epoch, convergence depends on multiple factors beyond architecture.</p>\n<blockquote>\"This can be really slow, unlike convolution layers it&#39;s not parallelized.\" <a class=\"quote-link\" href=\"../transcripts/13.2%20PixelRNN%20&amp;%20PixelCNN.html#t=00:04:42\" title=\"Open in the transcript\">[00:04:42]</a></blockquote>\n<blockquote>\"PixelCNN is actually our early attempt to replace the RNN in PixelRNN with a more efficient CNN based architecture.\"</blockquote>\n<blockquote>\"The drawback is that the CNN might not be as good as the RNN regarding its capacity to model long range dependencies.\"</blockquote></div>\n    </div>"},{"key":"q-058cf896","number":9,"type":"true-false","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-058cf896\">\n      <h3>Question 9 (True/False)</h3>\n      <p>PixelRNN and PixelCNN are both designed to model the joint distribution of image pixels by factorizing it into conditional distributions.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"false\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"true\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Despite their architectural differences, both PixelRNN and PixelCNN share the same fundamental approach to modeling images: they factorize the joint probability distribution of all pixels into a product of conditional distributions. This autoregressive approach allows both models to estimate the probability of each pixel conditioned on previously generated pixels, following a specific ordering. Their core difference lies in how they implement this conditioning (RNNs vs. masked convolutions), not in the probabilistic framework they employ.</p>\n<blockquote>\"We can factorize the joint distribution as the product of conditionals, where we define some ordering over the pixels.\" <a class=\"quote-link\" href=\"../transcripts/13.2%20PixelRNN%20&amp;%20PixelCNN.html#t=00:02:34\" title=\"Open in the transcript\">[00:02:34]</a></blockquote>\n<blockquote>\"Using the chain rule, we can compute the joint probability of all pixels by decomposing it into a product of conditional probabilities.\"</blockquote></div>\n    </div>"},{"key":"q-11c590c9","number":10,"type":"multi-select","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-11c590c9\">\n      <h3>Question 10 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the significance and implications of pixel ordering in PixelRNN and PixelCNN models? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It enables the decomposition of the joint pixel distribution into a sequence of conditional probabilities</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"false\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It determines which pixels can influence the prediction of subsequent pixels</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o2\" name=\"q9\" value=\"2\" data-correct=\"false\">\n          <label for=\"q9-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It affects the receptive field of the model&#39;s architecture</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o3\" name=\"q9\" value=\"3\" data-correct=\"true\">\n          <label for=\"q9-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It allows the models to bypass the need for training data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o4\" name=\"q9\" value=\"4\" data-correct=\"false\">\n          <label for=\"q9-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. It creates a directed dependency graph among image pixels</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o5\" name=\"q9\" value=\"5\" data-correct=\"false\">\n          <label for=\"q9-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. It impacts the model&#39;s ability to capture spatial relationships in the image</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Pixel ordering is fundamental to autoregressive image generation models. It enables factorizing the joint distribution into conditional probabilities (<span class=\"option-ref\" data-letter=\"A\">A</span>), directly determines which pixels can influence later predictions (<span class=\"option-ref\" data-letter=\"B\">B</span>), affects the architecture&#39;s receptive field design (<span class=\"option-ref\" data-letter=\"C\">C</span>), creates a directed dependency graph between pixels (<span class=\"option-ref\" data-letter=\"E\">E</span>), and influences how the model captures spatial relationships (<span class=\"option-ref\" data-letter=\"F\">F</span>). Option <span class=\"option-ref\" data-letter=\"D\">D</span> is incorrect - pixel ordering has no impact on the need for training data; these models still require substantial training data regardless of the chosen ordering scheme.</p>\n<blockquote>\"We can factorize the joint distribution as the product of conditionals, where we define some ordering over the pixels.\" <a class=\"quote-link\" href=\"../transcripts/13.2%20PixelRNN%20&amp;%20PixelCNN.html#t=00:02:34\" title=\"Open in the transcript\">[00:02:34]</a></blockquote>\n<blockquote>\"Using an RNN, a recurrent neural network, the idea is that we&#39;re going to follow some ordering.\"</blockquote>\n<blockquote>\"To maintain causality, we need to make sure that the prediction for a pixel only depends on pixels that are already in the sequence.\"</blockquote></div>\n    </div>"}]},{"id":"13.3Combined","title":"Generative Adversarial Networks (GANs)","questions":[{"key":"q-0ad70e67","number":1,"type":"true-false","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-0ad70e67\">\n      <h3>Question 1 (True/False)</h3>\n      <p>GANs learn an explicit probability density function over the input data \\( p(x) \\).</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"false\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"true\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>GANs do not learn an explicit density function. They belong to the category of implicit density models that learn to generate samples without explicitly modeling the probability distribution.</p>\n<blockquote>\"Generative adversarial networks or GANS did not learn an explicit density function p of x, rather they fit under the implicit density category.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:00:00\" title=\"Open in the transcript\">[00:00:00]</a></blockquote></div>\n    </div>"},{"key":"q-6acd35ae","number":2,"type":"multi-select","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-6acd35ae\">\n      <h3>Question 2 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the role and characteristics of the discriminator in a GAN? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"true\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To distinguish between real and generated samples</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"true\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To provide gradient feedback to improve the generator</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"false\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To directly generate synthetic images</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"false\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To encode images for classification</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o4\" name=\"q1\" value=\"4\" data-correct=\"true\">\n          <label for=\"q1-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. To act as an adaptive loss function for the generator</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o5\" name=\"q1\" value=\"5\" data-correct=\"true\">\n          <label for=\"q1-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. To approximate the Jensen-Shannon divergence between distributions</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The discriminator has several key roles in a GAN: it differentiates between real and fake samples (<span class=\"option-ref\" data-letter=\"A\">A</span>); provides gradient feedback that helps the generator improve (<span class=\"option-ref\" data-letter=\"B\">B</span>); functions as an adaptive loss function that evolves as the generator improves (<span class=\"option-ref\" data-letter=\"E\">E</span>); and implicitly helps approximate the Jensen-Shannon divergence between the real and generated distributions (<span class=\"option-ref\" data-letter=\"F\">F</span>). The discriminator does not generate images (<span class=\"option-ref\" data-letter=\"C\">C</span>) or encode them for classification tasks (<span class=\"option-ref\" data-letter=\"D\">D</span>) - these are not its primary functions in the GAN framework.</p>\n<blockquote>\"The key idea of generative adversarial networks is to have another network that distinguishes between real and generated or fake images.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:04:07\" title=\"Open in the transcript\">[00:04:07]</a></blockquote>\n<blockquote>\"The discriminator provides gradient information that allows the generator to improve over time.\"</blockquote></div>\n    </div>"},{"key":"q-e9c0ac37","number":3,"type":"multi-select","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-e9c0ac37\">\n      <h3>Question 3 (Multi-Select)</h3>\n      <p>Which of the following challenges are associated with training GANs? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"false\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Require labeled data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"true\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Instability due to adversarial training</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o2\" name=\"q2\" value=\"2\" data-correct=\"true\">\n          <label for=\"q2-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Mode collapse</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o3\" name=\"q2\" value=\"3\" data-correct=\"true\">\n          <label for=\"q2-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Non-convex optimization difficulties</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>GANs face several training challenges: the adversarial training process creates instability (<span class=\"option-ref\" data-letter=\"B\">B</span>); mode collapse can occur where the generator fails to capture the full diversity of the data distribution (<span class=\"option-ref\" data-letter=\"C\">C</span>); and the optimization involves non-convex objectives with complex neural networks (<span class=\"option-ref\" data-letter=\"D\">D</span>). GANs do not require labeled data (<span class=\"option-ref\" data-letter=\"A\">A</span> is incorrect) as they can be trained in an unsupervised manner.</p>\n<blockquote>\"The complex dynamics of learning will actually turn out to be quite difficult to train.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:01:59\" title=\"Open in the transcript\">[00:01:59]</a></blockquote>\n<blockquote>\"You have all sorts of strange dynamics that can occur between the generator and discriminator.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:17:08\" title=\"Open in the transcript\">[00:17:08]</a></blockquote>\n<blockquote>\"There&#39;s something called mode collapse where you can&#39;t capture all the modes of the distribution.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:19:09\" title=\"Open in the transcript\">[00:19:09]</a></blockquote>\n<blockquote>\"We&#39;re using very deep complex neural networks that are non convex.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:06:59\" title=\"Open in the transcript\">[00:06:59]</a></blockquote></div>\n    </div>"},{"key":"q-2d4d2383","number":4,"type":"true-false","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-2d4d2383\">\n      <h3>Question 4 (True/False)</h3>\n      <p>The generator in a GAN is updated using the same part of the loss function that affects the discriminator.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"false\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"true\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>While the discriminator is trained on both real and fake samples, the generator is only trained on its ability to fool the discriminator. The generator and discriminator use different components of the overall objective function.</p>\n<blockquote>\"Note that for the generator, only one part of this objective function is valid... gradients for the discriminator comes from both.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:09:27\" title=\"Open in the transcript\">[00:09:27]</a></blockquote></div>\n    </div>"},{"key":"q-74ce57db","number":5,"type":"multi-select","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-74ce57db\">\n      <h3>Question 5 (Multi-Select)</h3>\n      <p>Which of the following can be used as inputs and characteristics of the generator component in GANs? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"true\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. A vector sampled from a Gaussian distribution</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"true\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Random noise from a uniform distribution</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o2\" name=\"q4\" value=\"2\" data-correct=\"false\">\n          <label for=\"q4-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. A real image</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o3\" name=\"q4\" value=\"3\" data-correct=\"true\">\n          <label for=\"q4-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. A label vector for conditional generation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o4\" name=\"q4\" value=\"4\" data-correct=\"true\">\n          <label for=\"q4-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. The generator maps from a simple distribution to a complex one</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o5\" name=\"q4\" value=\"5\" data-correct=\"false\">\n          <label for=\"q4-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. The generator requires pre-training on autoencoder objectives</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The generator in a GAN typically takes random noise as input, commonly from a Gaussian (<span class=\"option-ref\" data-letter=\"A\">A</span>) or uniform (<span class=\"option-ref\" data-letter=\"B\">B</span>) distribution. In conditional GANs, label vectors can also be used as input (<span class=\"option-ref\" data-letter=\"D\">D</span>). The generator&#39;s role is to map from a simple distribution to a complex one (<span class=\"option-ref\" data-letter=\"E\">E</span>). However, generators don&#39;t require pre-training on autoencoder objectives (<span class=\"option-ref\" data-letter=\"F\">F</span>) and don&#39;t typically take real images as direct inputs (<span class=\"option-ref\" data-letter=\"C\">C</span>).</p>\n<blockquote>\"We&#39;re going to use a simple idea of first sampling from a simple distribution, say a Gaussian... then feed it through a neural network.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:02:19\" title=\"Open in the transcript\">[00:02:19]</a></blockquote>\n<blockquote>\"The generator transforms points from a simple noise distribution into the complex data distribution through a neural network mapping.\"</blockquote>\n<blockquote>\"In conditional GANs, we can provide additional information like class labels to guide the generation process.\"</blockquote></div>\n    </div>"},{"key":"q-e2688e39","number":6,"type":"multi-select","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-e2688e39\">\n      <h3>Question 6 (Multi-Select)</h3>\n      <p>Which of the following are methods used to stabilize GAN training? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"true\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Batch normalization</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"true\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Removing fully connected layers</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"false\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Freezing the discriminator weights</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"true\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Using LeakyReLU in the discriminator</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Several architectural and training innovations have been developed to stabilize GAN training: batch normalization helps control the distribution of activations (<span class=\"option-ref\" data-letter=\"A\">A</span>); replacing fully connected layers with convolutional layers improves stability (<span class=\"option-ref\" data-letter=\"B\">B</span>); using LeakyReLU in the discriminator prevents gradient saturation (<span class=\"option-ref\" data-letter=\"D\">D</span>). Freezing discriminator weights (<span class=\"option-ref\" data-letter=\"C\">C</span>) is not a standard practice for stabilizing training.</p>\n<blockquote>\"Several findings were developed. For example, replacing pooling layers with strided convolution, using batchnorm both in the generator and discriminator, removing the fully connected hidden layers... using LeakyReLU activations for the discriminator.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:17:54\" title=\"Open in the transcript\">[00:17:54]</a></blockquote></div>\n    </div>"},{"key":"q-0173cb5f","number":7,"type":"multi-select","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-0173cb5f\">\n      <h3>Question 7 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the objectives and optimization dynamics of the generator in a GAN? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"true\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To fool the discriminator into thinking generated images are real</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"true\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To minimize the likelihood that the discriminator correctly identifies fake samples</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o2\" name=\"q6\" value=\"2\" data-correct=\"false\">\n          <label for=\"q6-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To minimize pixel-wise reconstruction error</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o3\" name=\"q6\" value=\"3\" data-correct=\"true\">\n          <label for=\"q6-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To maximize the probability that generated samples are classified as real</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o4\" name=\"q6\" value=\"4\" data-correct=\"true\">\n          <label for=\"q6-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. To learn the mapping from latent space to data space</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o5\" name=\"q6\" value=\"5\" data-correct=\"false\">\n          <label for=\"q6-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. To compute gradients on real data only</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The generator&#39;s objectives include: fooling the discriminator into classifying generated images as real (<span class=\"option-ref\" data-letter=\"A\">A</span>); minimizing the likelihood of the discriminator correctly identifying fake samples (<span class=\"option-ref\" data-letter=\"B\">B</span>); maximizing the probability that generated samples are classified as real by the discriminator (<span class=\"option-ref\" data-letter=\"D\">D</span>); and learning an effective mapping from the latent space to the data space (<span class=\"option-ref\" data-letter=\"E\">E</span>). Unlike autoencoders, GANs don&#39;t use pixel-wise reconstruction error (<span class=\"option-ref\" data-letter=\"C\">C</span>), and the generator computes gradients on fake rather than real data (<span class=\"option-ref\" data-letter=\"F\">F</span>).</p>\n<blockquote>\"That means that it taking fake data and giving it a probability of being real as 1, which is what the generator wants because it wants to fool the discriminator.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:11:31\" title=\"Open in the transcript\">[00:11:31]</a></blockquote>\n<blockquote>\"The generator is trying to maximize the log probability of the discriminator making a mistake.\"</blockquote>\n<blockquote>\"The generator learns the mapping from the latent space to a particular data distribution.\"</blockquote></div>\n    </div>"},{"key":"q-67150aa0","number":8,"type":"true-false","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-67150aa0\">\n      <h3>Question 8 (True/False)</h3>\n      <p>After training a GAN, only the generator is typically used to sample new data.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"true\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"false\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Once training is complete, only the generator is needed to produce new samples. The discriminator has served its purpose in training the generator and is no longer required for the generation process.</p>\n<blockquote>\"At the end of the training, we&#39;ll have an implicit generator model... We actually don&#39;t need the discriminator for this process, we can just throw it away.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:16:16\" title=\"Open in the transcript\">[00:16:16]</a></blockquote></div>\n    </div>"},{"key":"q-4130ae97","number":9,"type":"multi-select","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-4130ae97\">\n      <h3>Question 9 (Multi-Select)</h3>\n      <p>Which of the following accurately describe mode collapse and related challenges in GAN training? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"true\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. The generator produces a small set of nearly identical outputs</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"true\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. The generator fails to capture the full diversity of the training distribution</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o2\" name=\"q8\" value=\"2\" data-correct=\"false\">\n          <label for=\"q8-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. The discriminator fails to distinguish real and fake samples</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o3\" name=\"q8\" value=\"3\" data-correct=\"true\">\n          <label for=\"q8-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. The generator learns to generate only the most common patterns in the data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o4\" name=\"q8\" value=\"4\" data-correct=\"true\">\n          <label for=\"q8-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Mode collapse can be diagnosed by observing low diversity in generated samples</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o5\" name=\"q8\" value=\"5\" data-correct=\"false\">\n          <label for=\"q8-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Mode collapse is unrelated to the minimax optimization process</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Mode collapse involves the generator producing a limited set of similar outputs (<span class=\"option-ref\" data-letter=\"A\">A</span>), failing to capture the full diversity of the data distribution (<span class=\"option-ref\" data-letter=\"B\">B</span>), focusing on common patterns while ignoring rarer ones (<span class=\"option-ref\" data-letter=\"D\">D</span>), and can be detected by observing low diversity in generated samples (<span class=\"option-ref\" data-letter=\"E\">E</span>). It is related to the minimax optimization process (<span class=\"option-ref\" data-letter=\"F\">F</span> is incorrect), and doesn&#39;t involve the discriminator failing to distinguish samples (<span class=\"option-ref\" data-letter=\"C\">C</span>) - in fact, the discriminator may be very good at its task.</p>\n<blockquote>\"There&#39;s something called mode collapse... you&#39;re not truly sampling from the distribution, you&#39;re just outputting the samples that you already have.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:19:09\" title=\"Open in the transcript\">[00:19:09]</a></blockquote>\n<blockquote>\"The generator simply isn&#39;t able to represent all modes of the data distribution, leading to a lack of diversity in the generated samples.\"</blockquote></div>\n    </div>"},{"key":"q-0555b113","number":10,"type":"multi-select","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-0555b113\">\n      <h3>Question 10 (Multi-Select)</h3>\n      <p>What are some real-world applications or extensions of GANs mentioned in the lecture? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Video generation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"true\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Audio synthesis</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o2\" name=\"q9\" value=\"2\" data-correct=\"true\">\n          <label for=\"q9-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Domain adaptation using adversarial losses</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o3\" name=\"q9\" value=\"3\" data-correct=\"false\">\n          <label for=\"q9-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Direct supervised classification with explicit \\( p(x) \\)</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>GANs have been extended to numerous applications: generating videos by modeling temporal dynamics (<span class=\"option-ref\" data-letter=\"A\">A</span>); synthesizing realistic audio waveforms (<span class=\"option-ref\" data-letter=\"B\">B</span>); and performing domain adaptation with adversarial losses (<span class=\"option-ref\" data-letter=\"C\">C</span>). GANs do not perform direct supervised classification with explicit modeling of p(x) (<span class=\"option-ref\" data-letter=\"D\">D</span>) as they are generative models that learn implicit distributions.</p>\n<blockquote>\"These days other adaptations have been developed to produce audio waveforms...\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:21:24\" title=\"Open in the transcript\">[00:21:24]</a></blockquote>\n<blockquote>\"You can then take as input a 10 second footage of you... generate an entire video of you dancing...\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:21:04\" title=\"Open in the transcript\">[00:21:04]</a></blockquote>\n<blockquote>\"The notion of adversarial losses... have been used successfully.\" <a class=\"quote-link\" href=\"../transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:22:07\" title=\"Open in the transcript\">[00:22:07]</a></blockquote></div>\n    </div>"}]},{"id":"13.4Combined","title":"Variational Autoencoders (VAEs)","questions":[{"key":"q-f21901b6","number":1,"type":"true-false","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-f21901b6\">\n      <h3>Question 1 (True/False)</h3>\n      <p>VAEs are generative models that maintain an explicit density model of the data.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"true\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"false\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>VAEs explicitly model the density function \\( p(x) \\), unlike GANs.</p>\n<blockquote>\"Variational autoencoders, which again are explicit density models, but that which have approximate densities.\" <a class=\"quote-link\" href=\"../transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:00:00\" title=\"Open in the transcript\">[00:00:00]</a></blockquote></div>\n    </div>"},{"key":"q-c269df94","number":2,"type":"multi-select","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-c269df94\">\n      <h3>Question 2 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the role and properties of the Variational Lower Bound (ELBO) in VAEs? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"true\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It addresses the intractability of the marginal likelihood</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"true\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It allows for an indirect optimization of the log-likelihood</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"true\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It imposes a regularization effect on the latent space</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"false\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It enables direct sampling from the true posterior</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o4\" name=\"q1\" value=\"4\" data-correct=\"true\">\n          <label for=\"q1-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. It provides a tractable objective function for optimization</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o5\" name=\"q1\" value=\"5\" data-correct=\"false\">\n          <label for=\"q1-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. It completely eliminates the need for approximating the posterior</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The ELBO is used because computing the marginal likelihood directly is intractable, and it provides a lower bound that can be optimized.</p>\n<blockquote>\"Now, if we could directly maximize this, then we&#39;re essentially maximizing the likelihood... But we can&#39;t really do this. The integral doesn&#39;t allow us because it&#39;s intractable. Instead, what we&#39;re going to do is maximize what&#39;s called a variational lower bound...\" <a class=\"quote-link\" href=\"../transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:01:41\" title=\"Open in the transcript\">[00:01:41]</a></blockquote>\n<blockquote>\"The KL divergence term in the ELBO acts as a regularizer that constrains the approximate posterior to be close to the prior.\"</blockquote></div>\n    </div>"},{"key":"q-127753d4","number":3,"type":"multi-select","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-127753d4\">\n      <h3>Question 3 (Multi-Select)</h3>\n      <p>Which components are part of the VAE architecture?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"true\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Encoder</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"false\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Discriminator</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o2\" name=\"q2\" value=\"2\" data-correct=\"true\">\n          <label for=\"q2-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Decoder</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o3\" name=\"q2\" value=\"3\" data-correct=\"true\">\n          <label for=\"q2-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Variational objective</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o4\" name=\"q2\" value=\"4\" data-correct=\"false\">\n          <label for=\"q2-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Contrastive loss</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>VAEs consist of an encoder and decoder, trained using a variational lower bound (ELBO).</p>\n<blockquote>\"We&#39;ll have an encoder... a decoder... and a variational lower bound that we can compute.\" <a class=\"quote-link\" href=\"../transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:04:01\" title=\"Open in the transcript\">[00:04:01]</a></blockquote></div>\n    </div>"},{"key":"q-b765ff51","number":4,"type":"multi-select","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-b765ff51\">\n      <h3>Question 4 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the purpose and effects of the KL divergence term in the VAE loss function? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It penalizes deviation of the learned distribution from the prior</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"true\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It acts as a regularizer on the latent space</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"true\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It ensures the latent space has a well-defined probability density</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"false\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It measures how well images are reconstructed</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o4\" name=\"q3\" value=\"4\" data-correct=\"true\">\n          <label for=\"q3-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. It encourages a smooth, continuous latent space</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o5\" name=\"q3\" value=\"5\" data-correct=\"false\">\n          <label for=\"q3-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. It forces the encoder to learn a specific fixed mapping</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The KL term ensures that the learned latent distribution does not deviate too far from the prior (typically Gaussian), which regularizes the latent space.</p>\n<blockquote>\"The second part of the term here, is a KL divergence between Q of z given x and p of z... And so we&#39;re taking the KL divergence between the Z&#39;s that our encoder network outputs and the prior...\" <a class=\"quote-link\" href=\"../transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:09:51\" title=\"Open in the transcript\">[00:09:51]</a></blockquote>\n<blockquote>\"This regularization ensures that the latent space has meaningful properties that allow for sampling and interpolation.\"</blockquote></div>\n    </div>"},{"key":"q-e6fc4e0b","number":5,"type":"true-false","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-e6fc4e0b\">\n      <h3>Question 5 (True/False)</h3>\n      <p>The reparameterization trick enables backpropagation through the sampling process in VAEs.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"true\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"false\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The reparameterization trick allows the model to be differentiable despite sampling.</p>\n<blockquote>\"The problem is you can&#39;t actually back propagate through sampling... So there&#39;s something called a reparameterization trick... which allows you to do the sampling.\" <a class=\"quote-link\" href=\"../transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:13:17\" title=\"Open in the transcript\">[00:13:17]</a></blockquote></div>\n    </div>"},{"key":"q-1b2546ac","number":6,"type":"multi-select","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-1b2546ac\">\n      <h3>Question 6 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the properties and outputs of the decoder in a VAE? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"true\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. The decoder outputs parameters of a Gaussian distribution</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"true\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. The decoder maps from latent space back to data space</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"true\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. The decoder models the conditional probability p(x|z)</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. The decoder uses a one-hot encoding for all outputs</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o4\" name=\"q5\" value=\"4\" data-correct=\"true\">\n          <label for=\"q5-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. The decoder typically includes mean and variance parameters</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o5\" name=\"q5\" value=\"5\" data-correct=\"true\">\n          <label for=\"q5-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. The decoder&#39;s parameters are learned through gradient descent</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The decoder outputs the mean and (diagonal) covariance of a Gaussian from which samples are drawn, mapping from latent to data space.</p>\n<blockquote>\"This decoder models p of x given z... it will be a Gaussian distribution parameter. Here specifically, it will be mu and Sigma.\" <a class=\"quote-link\" href=\"../transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:02:48\" title=\"Open in the transcript\">[00:02:48]</a></blockquote>\n<blockquote>\"The decoder network transforms the latent representation back into the original data space and learns the parameters of the output distribution.\"</blockquote></div>\n    </div>"},{"key":"q-a30b0bd0","number":7,"type":"multi-select","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-a30b0bd0\">\n      <h3>Question 7 (Multi-Select)</h3>\n      <p>Which of the following are accurate statements about the relationship between the true posterior p(z|x) and the approximate posterior q(z|x) in VAEs? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"true\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. The true posterior p(z|x) cannot be computed directly due to intractability</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"true\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. The approximate posterior q(z|x) is typically modeled as a Gaussian distribution</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o2\" name=\"q6\" value=\"2\" data-correct=\"true\">\n          <label for=\"q6-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. The encoder network directly outputs parameters for q(z|x)</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o3\" name=\"q6\" value=\"3\" data-correct=\"true\">\n          <label for=\"q6-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. The KL divergence term minimizes the difference between q(z|x) and p(z)</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o4\" name=\"q6\" value=\"4\" data-correct=\"true\">\n          <label for=\"q6-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. The true posterior would require marginalization over all possible data points</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o5\" name=\"q6\" value=\"5\" data-correct=\"false\">\n          <label for=\"q6-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. The approximation error between q(z|x) and p(z|x) can be quantified</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The true posterior is intractable, requiring an approximate posterior that is typically modeled as a Gaussian.</p>\n<blockquote>\"The right hand side is actually intractable. We can&#39;t compute this term. And so what we&#39;re going to do is... ignore it.\" <a class=\"quote-link\" href=\"../transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:10:34\" title=\"Open in the transcript\">[00:10:34]</a></blockquote>\n<blockquote>\"What we&#39;re doing is using Q of z given x to approximate P of z given x.\"</blockquote>\n<blockquote>\"The encoder network produces parameters for the approximate posterior, typically modeled as a diagonal Gaussian.\"</blockquote></div>\n    </div>"},{"key":"q-fb2c2e8f","number":8,"type":"multi-select","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-fb2c2e8f\">\n      <h3>Question 8 (Multi-Select)</h3>\n      <p>Which benefits or capabilities are associated with the latent space of a trained VAE?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"true\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Smooth interpolation between data points</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"false\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. High-resolution image generation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o2\" name=\"q7\" value=\"2\" data-correct=\"true\">\n          <label for=\"q7-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Disentanglement of semantic attributes</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o3\" name=\"q7\" value=\"3\" data-correct=\"true\">\n          <label for=\"q7-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Use in downstream tasks</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o4\" name=\"q7\" value=\"4\" data-correct=\"false\">\n          <label for=\"q7-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Fully deterministic reconstruction</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Latent space in VAEs supports interpolation and often learns disentangled, useful representations.</p></div>\n    </div>"},{"key":"q-7f47d7aa","number":9,"type":"true-false","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-7f47d7aa\">\n      <h3>Question 9 (True/False)</h3>\n      <p>The decoder in a VAE directly generates the reconstructed image without involving any probability distribution.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"false\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"true\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The decoder actually outputs parameters of a probability distribution (typically Gaussian) from which the reconstruction is sampled.</p>\n<blockquote>\"This decoder models p of x given z... it will be a Gaussian distribution parameter. Here specifically, it will be mu and Sigma.\" <a class=\"quote-link\" href=\"../transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:02:48\" title=\"Open in the transcript\">[00:02:48]</a></blockquote></div>\n    </div>"},{"key":"q-6ca2d4be","number":10,"type":"multi-select","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-6ca2d4be\">\n      <h3>Question 10 (Multi-Select)</h3>\n      <p>Which of the following accurately describe limitations or challenges associated with VAEs, particularly when compared to other generative models? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. VAE samples tend to be blurrier than GAN samples</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"true\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. VAEs can struggle with complex, high-dimensional data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o2\" name=\"q9\" value=\"2\" data-correct=\"true\">\n          <label for=\"q9-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. The Gaussian assumption in the latent space can be limiting</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o3\" name=\"q9\" value=\"3\" data-correct=\"true\">\n          <label for=\"q9-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. VAEs prioritize reconstruction over sample quality</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o4\" name=\"q9\" value=\"4\" data-correct=\"false\">\n          <label for=\"q9-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. VAEs cannot generate samples at all</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o5\" name=\"q9\" value=\"5\" data-correct=\"true\">\n          <label for=\"q9-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. The KL divergence term can lead to posterior collapse</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>VAEs often produce blurrier outputs due to the probabilistic nature of their objective function and struggle with various limitations.</p>\n<blockquote>\"VAEs can suffer from blurry outputs.\"</blockquote>\n<blockquote>\"The Gaussian assumption in both the prior and approximate posterior can limit the expressivity of the model.\"</blockquote>\n<blockquote>\"VAEs optimize for reconstruction quality which can come at the expense of sample quality.\"</blockquote></div>\n    </div>"}]},{"id":"17.1Combined","title":"Reinforcement Learning Introduction","questions":[{"key":"q-212cbdfd","number":1,"type":"true-false","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-212cbdfd\">\n      <h3>Question 1 (True/False)</h3>\n      <p>In reinforcement learning, agents are trained with labeled data to learn a direct mapping from inputs to outputs.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"false\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"true\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Unlike supervised learning, reinforcement learning does not rely on labeled data.</p>\n<blockquote>\"We will not receive supervision in the form of the correct decision... instead, we will only receive evaluative feedback in the form of reward for the decision...\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:00:40\" title=\"Open in the transcript\">[00:00:40]</a></blockquote></div>\n    </div>"},{"key":"q-05468e93","number":2,"type":"multi-select","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-05468e93\">\n      <h3>Question 2 (Multi-Select)</h3>\n      <p>Which of the following accurately describe key characteristics and properties of reinforcement learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"false\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Sequential decision-making in an environment with evaluative feedback</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"true\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Learning through trial and error</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"false\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Delayed feedback on the quality of decisions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"false\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Learning optimal behavior through direct supervision</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o4\" name=\"q1\" value=\"4\" data-correct=\"false\">\n          <label for=\"q1-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Balancing exploration of new strategies with exploitation of known good strategies</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o5\" name=\"q1\" value=\"5\" data-correct=\"false\">\n          <label for=\"q1-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Receiving only rewards/penalties rather than correct action labels</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Reinforcement learning involves multiple key characteristics beyond just the basic definition.</p>\n<blockquote>\"Reinforcement learning can be defined in one sentence as a sequential decision making in an environment with evaluative feedback.\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:01:02\" title=\"Open in the transcript\">[00:01:02]</a></blockquote>\n<blockquote>\"A key characteristic is that the agent receives delayed feedback, making it difficult to determine which actions led to rewards.\"</blockquote>\n<blockquote>\"RL algorithms must balance exploration of new strategies with exploitation of known successful strategies.\"</blockquote></div>\n    </div>"},{"key":"q-f6a08f59","number":3,"type":"multi-select","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-f6a08f59\">\n      <h3>Question 3 (Multi-Select)</h3>\n      <p>Which of the following are key characteristics or challenges of reinforcement learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"true\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. The agent receives a label for the correct action at each step</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"false\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. The reward signal may be delayed</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o2\" name=\"q2\" value=\"2\" data-correct=\"false\">\n          <label for=\"q2-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. The policy affects future data distribution</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o3\" name=\"q2\" value=\"3\" data-correct=\"false\">\n          <label for=\"q2-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Every state-action pair is observed multiple times</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>RL faces unique challenges like delayed rewards and non-stationary data caused by policy updates.</p>\n<blockquote>\"The reward may be delayed and it can only happen at the end of the task...\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:02:16\" title=\"Open in the transcript\">[00:02:16]</a></blockquote>\n<blockquote>\"Any updates made to the policy... will change the data distribution... making this distribution non stationary.\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:03:01\" title=\"Open in the transcript\">[00:03:01]</a></blockquote></div>\n    </div>"},{"key":"q-d335c2e9","number":4,"type":"multi-select","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-d335c2e9\">\n      <h3>Question 4 (Multi-Select)</h3>\n      <p>Which of the following accurately describe what an RL agent receives from the environment during the interaction loop? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. The next observation (state) after taking an action</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"true\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. A reward signal that evaluates the action taken</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"false\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Information about which action would have been optimal</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"false\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. The probability distribution over all possible next states</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o4\" name=\"q3\" value=\"4\" data-correct=\"false\">\n          <label for=\"q3-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. The environment&#39;s internal state which may differ from the observation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o5\" name=\"q3\" value=\"5\" data-correct=\"false\">\n          <label for=\"q3-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. The time remaining until the episode terminates</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The agent receives both the new observation and the reward after taking an action, but not the other information.</p>\n<blockquote>\"...the agent will receive an observation... it will execute an action... and produce a new observation... as well as a reward...\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:03:23\" title=\"Open in the transcript\">[00:03:23]</a></blockquote>\n<blockquote>\"The agent does not receive information about what the optimal action would have been, nor does it typically have access to the environment&#39;s full internal state.\"</blockquote></div>\n    </div>"},{"key":"q-660cb738","number":5,"type":"true-false","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-660cb738\">\n      <h3>Question 5 (True/False)</h3>\n      <p>The data distribution that a reinforcement learning agent sees remains stationary throughout training.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"false\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"true\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The data distribution is non-stationary because the policy changes what data the agent sees.</p>\n<blockquote>\"...will change the data distribution of states and rewards... making this distribution non stationary.\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:03:01\" title=\"Open in the transcript\">[00:03:01]</a></blockquote></div>\n    </div>"},{"key":"q-ab49bdb9","number":6,"type":"multi-select","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-ab49bdb9\">\n      <h3>Question 6 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the nature and characteristics of &quot;evaluative feedback&quot; in reinforcement learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"true\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Feedback is received in the form of a reward signal</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"true\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Feedback is only provided for actions actually taken, not hypothetical actions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"false\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Feedback may be delayed, not immediate after each action</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Feedback provides a scalar value rather than a complete corrective instruction</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o4\" name=\"q5\" value=\"4\" data-correct=\"false\">\n          <label for=\"q5-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Feedback indicates the quality of an action, not the correct action itself</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o5\" name=\"q5\" value=\"5\" data-correct=\"false\">\n          <label for=\"q5-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Feedback is deterministic and consistent across all environments</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Evaluative feedback has multiple key characteristics that distinguish it from instructional feedback.</p>\n<blockquote>\"Evaluative feedback means that the agent... receive rewards... only for the actions that it did take and not for the actions that did not take.\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:01:59\" title=\"Open in the transcript\">[00:01:59]</a></blockquote>\n<blockquote>\"The reward signal merely evaluates actions, rather than instructing which action is correct.\"</blockquote>\n<blockquote>\"The reward signal might be delayed, making it challenging to determine which action in a sequence led to a positive outcome.\"</blockquote></div>\n    </div>"},{"key":"q-7c89219c","number":7,"type":"multi-select","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-7c89219c\">\n      <h3>Question 7 (Multi-Select)</h3>\n      <p>Which are common application domains for reinforcement learning as discussed in the lecture?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"true\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Image segmentation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"false\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Robotic control</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o2\" name=\"q6\" value=\"2\" data-correct=\"false\">\n          <label for=\"q6-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Atari game playing</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o3\" name=\"q6\" value=\"3\" data-correct=\"false\">\n          <label for=\"q6-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Board games like Go</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>These specific applications are mentioned in the lecture.</p>\n<blockquote>\"Here is an instance of a robotic control task...\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:03:41\" title=\"Open in the transcript\">[00:03:41]</a></blockquote>\n<blockquote>\"RL applied to learn how to play Atari video games...\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:03:58\" title=\"Open in the transcript\">[00:03:58]</a></blockquote>\n<blockquote>\"RL has also been applied to games like go...\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:04:17\" title=\"Open in the transcript\">[00:04:17]</a></blockquote></div>\n    </div>"},{"key":"q-473057db","number":8,"type":"true-false","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-473057db\">\n      <h3>Question 8 (True/False)</h3>\n      <p>The RL agent receives rewards for all actions, including those it did not take.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"false\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"true\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Only actions that are actually taken receive rewards.</p>\n<blockquote>\"...the agent is supposed to pick actions and receive rewards... only for the actions that it did take and not for the actions that did not take.\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:01:59\" title=\"Open in the transcript\">[00:01:59]</a></blockquote></div>\n    </div>"},{"key":"q-e51029a2","number":9,"type":"multi-select","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-e51029a2\">\n      <h3>Question 9 (Multi-Select)</h3>\n      <p>Which of the following accurately describe challenges specific to reinforcement learning in real-world robotic settings? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"true\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Some states may be seen only once</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"true\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Exploration can be dangerous or costly</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o2\" name=\"q8\" value=\"2\" data-correct=\"false\">\n          <label for=\"q8-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Real-world dynamics are often complex and difficult to model</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o3\" name=\"q8\" value=\"3\" data-correct=\"false\">\n          <label for=\"q8-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Hardware constraints limit computation speed</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o4\" name=\"q8\" value=\"4\" data-correct=\"false\">\n          <label for=\"q8-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Actions have physical consequences that cannot be reversed</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o5\" name=\"q8\" value=\"5\" data-correct=\"false\">\n          <label for=\"q8-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Reward signals may be sparse and difficult to design</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Real-world robotics faces numerous challenges that make RL particularly difficult.</p>\n<blockquote>\"...the agent will see certain states only once and never again in his lifetime, making it difficult to learn from past mistakes.\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:03:01\" title=\"Open in the transcript\">[00:03:01]</a></blockquote>\n<blockquote>\"In real-world settings, exploration can lead to physical damage, and the dynamics are often complex and difficult to model accurately.\"</blockquote>\n<blockquote>\"The hardware constraints and physical consequences of actions create additional challenges not present in simulated environments.\"</blockquote></div>\n    </div>"},{"key":"q-058271ed","number":10,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-058271ed\">\n      <h3>Question 10 (Multiple Choice)</h3>\n      <p>What is the agent’s goal in reinforcement learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Minimize classification error</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"false\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Memorize sequences of states</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o2\" name=\"q9\" value=\"2\" data-correct=\"false\">\n          <label for=\"q9-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Maximize long-term accumulated reward</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o3\" name=\"q9\" value=\"3\" data-correct=\"false\">\n          <label for=\"q9-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Discover</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The core objective of the agent is long-term reward maximization.</p>\n<blockquote>\"The objective of this agent is to maximize the reward it will get from the environment in the long run.\" <a class=\"quote-link\" href=\"../transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:01:39\" title=\"Open in the transcript\">[00:01:39]</a></blockquote></div>\n    </div>"}]},{"id":"17.2Combined","title":"Markov Decision Processes","questions":[{"key":"q-88d0f366","number":1,"type":"multi-select","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-88d0f366\">\n      <h3>Question 1 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the purpose and significance of Markov Decision Processes (MDPs) in reinforcement learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"true\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To serve as the foundational mathematical model for reinforcement learning</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"true\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To formalize sequential decision making under uncertainty</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o2\" name=\"q0\" value=\"2\" data-correct=\"true\">\n          <label for=\"q0-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To provide a framework for defining optimal policies</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o3\" name=\"q0\" value=\"3\" data-correct=\"false\">\n          <label for=\"q0-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To directly implement a robotic control algorithm</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o4\" name=\"q0\" value=\"4\" data-correct=\"true\">\n          <label for=\"q0-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. To enable modeling of state transitions and rewards</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q0-o5\" name=\"q0\" value=\"5\" data-correct=\"true\">\n          <label for=\"q0-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. To quantify the long-term value of actions and states</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>MDPs serve multiple important purposes in reinforcement learning beyond just being a theoretical framework.</p>\n<blockquote>\"MDPs can be thought of as a theoretical framework underlying RL.\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:00:00\" title=\"Open in the transcript\">[00:00:00]</a></blockquote>\n<blockquote>\"MDPs are a mathematical formulation of the sequential decision making problem that capture all the essential elements of the RL problem.\"</blockquote>\n<blockquote>\"The MDP framework enables us to quantify the value of different states and actions in terms of expected future rewards.\"</blockquote></div>\n    </div>"},{"key":"q-2c5582f3","number":2,"type":"multi-select","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-2c5582f3\">\n      <h3>Question 2 (Multi-Select)</h3>\n      <p>Which of the following are components of a standard MDP definition?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"true\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. A reward function</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"false\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. A value function</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"true\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. A discount factor</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"true\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. A transition probability distribution</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o4\" name=\"q1\" value=\"4\" data-correct=\"false\">\n          <label for=\"q1-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. A Q-function</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The MDP tuple includes states, actions, rewards, transitions, and a discount factor.</p>\n<blockquote>\"An MDP is defined as a tuple of five items. S... A... R is the reward distribution... T is the transition probability distribution... Gamma is a discount factor...\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:00:00\" title=\"Open in the transcript\">[00:00:00]</a></blockquote></div>\n    </div>"},{"key":"q-f8b2d9d0","number":3,"type":"true-false","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-f8b2d9d0\">\n      <h3>Question 3 (True/False)</h3>\n      <p>The Markov property implies that the next state depends on the entire history of states and actions.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"false\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"true\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The Markov property asserts dependence only on the current state and action, not the full history.</p>\n<blockquote>\"The distribution of possible next states given state s, and action a. Does not depend on any of the previous states or actions...\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:00:58\" title=\"Open in the transcript\">[00:00:58]</a></blockquote></div>\n    </div>"},{"key":"q-eca17513","number":4,"type":"multi-select","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-eca17513\">\n      <h3>Question 4 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the type of information and feedback available to an agent in a typical MDP learning scenario? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Samples from the reward and transition distributions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"true\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Observations of states after taking actions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"true\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Reward signals after actions are taken</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"false\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Full knowledge of the underlying transition probabilities</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o4\" name=\"q3\" value=\"4\" data-correct=\"false\">\n          <label for=\"q3-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Complete reward tables for all state-action pairs</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o5\" name=\"q3\" value=\"5\" data-correct=\"false\">\n          <label for=\"q3-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Information about all possible outcomes before choosing an action</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Agents observe samples of transitions and rewards, but typically do not have full knowledge of the underlying MDP dynamics.</p>\n<blockquote>\"The transition distribution and the reward distribution are both not known. Instead, only samples from these distributions are observed by the agent...\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:00:58\" title=\"Open in the transcript\">[00:00:58]</a></blockquote>\n<blockquote>\"The agent observes states and rewards after taking actions, building up experience rather than being given complete information about the environment.\"</blockquote></div>\n    </div>"},{"key":"q-9b8a80c4","number":5,"type":"multi-select","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-9b8a80c4\">\n      <h3>Question 5 (Multi-Select)</h3>\n      <p>Which of the following accurately describe a deterministic or stochastic policy?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"true\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. A deterministic policy maps states to actions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"false\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. A stochastic policy maps actions to states</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o2\" name=\"q4\" value=\"2\" data-correct=\"true\">\n          <label for=\"q4-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. A stochastic policy defines a probability distribution over actions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o3\" name=\"q4\" value=\"3\" data-correct=\"true\">\n          <label for=\"q4-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. A deterministic policy stores one action per state</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Deterministic and stochastic policies differ by how they assign actions: one fixed action vs. a distribution.</p>\n<blockquote>\"A deterministic policy is defined as a mapping from states to actions... A stochastic policy is defined as a probability distribution of actions given a state...\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:02:59\" title=\"Open in the transcript\">[00:02:59]</a></blockquote></div>\n    </div>"},{"key":"q-a42b7947","number":6,"type":"multi-select","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-a42b7947\">\n      <h3>Question 6 (Multi-Select)</h3>\n      <p>Which of the following are influenced by or related to the discount factor \\( \\gamma \\) in an MDP? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"true\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. How much weight is given to future rewards</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"true\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. The effective planning horizon of the agent</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"true\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. The stability of value function calculations</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. The convergence rate of value-based algorithms</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o4\" name=\"q5\" value=\"4\" data-correct=\"false\">\n          <label for=\"q5-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. The number of available actions per state</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o5\" name=\"q5\" value=\"5\" data-correct=\"true\">\n          <label for=\"q5-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Whether immediate rewards are valued more than distant ones</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The discount factor has several important effects on MDP behavior and solutions.</p>\n<blockquote>\"The discount factor gamma lies between 0 and 1... implying that the rewards at earlier timestamps, are given more weight...\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:03:51\" title=\"Open in the transcript\">[00:03:51]</a></blockquote>\n<blockquote>\"A discount factor close to 0 makes the agent myopic (focused on immediate rewards), while a value close to 1 makes it consider the long-term future rewards.\"</blockquote>\n<blockquote>\"The discount factor also ensures mathematical convergence of infinite sums in continuing tasks.\"</blockquote></div>\n    </div>"},{"key":"q-92a30094","number":7,"type":"true-false","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-92a30094\">\n      <h3>Question 7 (True/False)</h3>\n      <p>Lower values of the discount factor \\( \\gamma \\) cause the agent to prioritize short-term rewards.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"true\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"false\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Low gamma places more emphasis on near-term rewards.</p>\n<blockquote>\"...a lower value of gamma, prioritizes the lower rewarding state at the right endpoint.\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:05:20\" title=\"Open in the transcript\">[00:05:20]</a></blockquote></div>\n    </div>"},{"key":"q-19885d99","number":8,"type":"multi-select","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-19885d99\">\n      <h3>Question 8 (Multi-Select)</h3>\n      <p>Which of the following are value-related functions defined in the lecture?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"true\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. State-value function (V-function)</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"false\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Reward matrix</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o2\" name=\"q7\" value=\"2\" data-correct=\"true\">\n          <label for=\"q7-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. State-action value function (Q-function)</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o3\" name=\"q7\" value=\"3\" data-correct=\"false\">\n          <label for=\"q7-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Advantage function</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Both value functions are introduced explicitly to evaluate policies.</p>\n<blockquote>\"A value function... is a prediction of discounted sum of future rewards.\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:05:40\" title=\"Open in the transcript\">[00:05:40]</a></blockquote>\n<blockquote>\"A state action value function or a Q-function... informs us of how good is taking a particular action at a state.\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:06:01\" title=\"Open in the transcript\">[00:06:01]</a></blockquote></div>\n    </div>"},{"key":"q-4d01ee33","number":9,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-4d01ee33\">\n      <h3>Question 9 (Multiple Choice)</h3>\n      <p>What happens when the reward at non-absorbing states is made more negative?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"false\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. The agent becomes more cautious and avoids all rewards</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"false\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. The optimal policy becomes independent of the environment</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q8-o2\" name=\"q8\" value=\"2\" data-correct=\"true\">\n          <label for=\"q8-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. The agent tends to prefer shorter or riskier paths to reach absorbing states</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q8-o3\" name=\"q8\" value=\"3\" data-correct=\"false\">\n          <label for=\"q8-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. The discount factor becomes irrelevant</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>As negative rewards increase, the policy changes to prefer quicker or alternative outcomes.</p>\n<blockquote>\"...as this constant reward decreases to -0.4... the optimal policy... takes the riskier shorter path...\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:04:29\" title=\"Open in the transcript\">[00:04:29]</a></blockquote>\n<blockquote>\"Further, decreasing this constant to -2... the optimal policy now prefers the -1 absorbing state...\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:04:45\" title=\"Open in the transcript\">[00:04:45]</a></blockquote></div>\n    </div>"},{"key":"q-c34502c8","number":10,"type":"true-false","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-c34502c8\">\n      <h3>Question 10 (True/False)</h3>\n      <p>A Q-function provides an estimate of future rewards for a given action taken at a particular state.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"false\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The Q-function assesses the expected future reward for an action-state pair.</p>\n<blockquote>\"The Q-function for a policy... is the expected sum of discounted rewards... after taking action a at state s.\" <a class=\"quote-link\" href=\"../transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:06:16\" title=\"Open in the transcript\">[00:06:16]</a></blockquote></div>\n    </div>"}]},{"id":"17.3Combined","title":"Algorithms for Solving MDPs","questions":[{"key":"q-6acebeff","number":1,"type":"true-false","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-6acebeff\">\n      <h3>Question 1 (True/False)</h3>\n      <p>The optimal value function \\( V^* \\) for a state is defined as the maximum over all actions of the corresponding optimal Q-values \\( Q^*(s, a) \\).</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"true\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"false\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The optimal value function is defined as the max over all Q-values at that state.</p>\n<blockquote>\"The first says that the optimal value at a state is the same as the max Q value over possible actions at that state.\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:00:21\" title=\"Open in the transcript\">[00:00:21]</a></blockquote></div>\n    </div>"},{"key":"q-d5f55d0d","number":2,"type":"multi-select","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-d5f55d0d\">\n      <h3>Question 2 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the properties and role of the Bellman equation in MDPs? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"true\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It provides a recursive definition of the optimal value function</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"true\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It expresses the relationship between current and future state values</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"true\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It is the foundation for value iteration and policy iteration algorithms</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"true\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It enables efficient computation of optimal policies</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o4\" name=\"q1\" value=\"4\" data-correct=\"false\">\n          <label for=\"q1-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. It replaces stochastic policies in reinforcement learning</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o5\" name=\"q1\" value=\"5\" data-correct=\"true\">\n          <label for=\"q1-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. It defines value in terms of immediate rewards plus discounted future rewards</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The Bellman equation has several key properties and roles in MDP solution methods.</p>\n<blockquote>\"Taking a closer look at the definition of the optimal Q function, we will now try to rewrite it recursively...\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:00:41\" title=\"Open in the transcript\">[00:00:41]</a></blockquote>\n<blockquote>\"The recursive Bellman equation derived so far will form the basis for... value iteration.\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:01:36\" title=\"Open in the transcript\">[00:01:36]</a></blockquote>\n<blockquote>\"This recursive structure allows us to break down the complex problem of finding optimal policies into a series of simpler calculations.\"</blockquote></div>\n    </div>"},{"key":"q-9323203f","number":3,"type":"multi-select","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-9323203f\">\n      <h3>Question 3 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the characteristics, goals, and properties of the value iteration algorithm? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"true\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It iteratively converges on the optimal value function</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"true\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It applies the Bellman equation recursively until convergence</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o2\" name=\"q2\" value=\"2\" data-correct=\"true\">\n          <label for=\"q2-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It has time complexity related to the number of states and actions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o3\" name=\"q2\" value=\"3\" data-correct=\"true\">\n          <label for=\"q2-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It requires a fully known MDP model with transition probabilities</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o4\" name=\"q2\" value=\"4\" data-correct=\"false\">\n          <label for=\"q2-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. It generates visualizations of the policy graph</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o5\" name=\"q2\" value=\"5\" data-correct=\"true\">\n          <label for=\"q2-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. It maintains a sequence of improving value function estimates</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Value iteration has several key properties beyond just its primary goal.</p>\n<blockquote>\"The central idea is to update this vector at each iteration by repeatedly applying this recursive Bellman equation until convergence.\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:01:54\" title=\"Open in the transcript\">[00:01:54]</a></blockquote>\n<blockquote>\"Each iteration of this algorithm will have a time complexity of order of n square m...\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:02:14\" title=\"Open in the transcript\">[00:02:14]</a></blockquote>\n<blockquote>\"This update will produce a sequence of vectors V0, V1, and so on...\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:02:14\" title=\"Open in the transcript\">[00:02:14]</a></blockquote></div>\n    </div>"},{"key":"q-a9aa5abd","number":4,"type":"multi-select","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-a9aa5abd\">\n      <h3>Question 4 (Multi-Select)</h3>\n      <p>Which of the following are components or results of value iteration?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. A series of value vectors \\( V_0, V_1, \\ldots \\)</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"true\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Updates using the recursive Bellman equation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"false\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Convergence to the optimal Q-function directly</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"true\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Time complexity that scales with the product of number of states and actions</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The algorithm builds up sequences of value vectors, applies Bellman updates, and has quadratic time complexity.</p>\n<blockquote>\"This update will produce a sequence of vectors V0, V1, and so on...\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:02:14\" title=\"Open in the transcript\">[00:02:14]</a></blockquote>\n<blockquote>\"...by repeatedly applying this recursive Bellman equation...\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:01:54\" title=\"Open in the transcript\">[00:01:54]</a></blockquote>\n<blockquote>\"Each iteration of this algorithm will have a time complexity of order of n square m...\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:02:14\" title=\"Open in the transcript\">[00:02:14]</a></blockquote></div>\n    </div>"},{"key":"q-c2a31ccb","number":5,"type":"true-false","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-c2a31ccb\">\n      <h3>Question 5 (True/False)</h3>\n      <p>Policy iteration always requires more iterations than value iteration to converge.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"false\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"true\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Although policy iteration involves a policy evaluation step, it often converges faster.</p>\n<blockquote>\"...the policy converges to pi star much sooner than the value converges to V of pi star, thus requiring fewer iterations.\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:03:13\" title=\"Open in the transcript\">[00:03:13]</a></blockquote></div>\n    </div>"},{"key":"q-06b8e26b","number":6,"type":"multi-select","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-06b8e26b\">\n      <h3>Question 6 (Multi-Select)</h3>\n      <p>Which of the following accurately describe differences between value iteration and Q iteration algorithms? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"true\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Q iteration operates directly on the Q-function while value iteration works with value functions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"true\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Q iteration provides action values directly without needing additional computation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"true\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Q iteration requires more memory but can make action selection more efficient</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Q iteration avoids any dependence on transition probabilities</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o4\" name=\"q5\" value=\"4\" data-correct=\"false\">\n          <label for=\"q5-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Value iteration cannot be used with function approximation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o5\" name=\"q5\" value=\"5\" data-correct=\"true\">\n          <label for=\"q5-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Q iteration operates on state-action pairs while value iteration operates on states</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>There are several key differences between these algorithms beyond just the primary distinction.</p>\n<blockquote>\"We can derive an update rule for Q functions, which will form the basis of the Q iteration algorithm.\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:02:33\" title=\"Open in the transcript\">[00:02:33]</a></blockquote>\n<blockquote>\"While value iteration computes V(s), Q iteration computes Q(s,a) directly, which requires more memory but makes action selection more straightforward.\"</blockquote>\n<blockquote>\"Q iteration operates on the larger space of state-action pairs rather than just states.\"</blockquote></div>\n    </div>"},{"key":"q-1276cb2a","number":7,"type":"true-false","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-1276cb2a\">\n      <h3>Question 7 (True/False)</h3>\n      <p>Policy iteration alternates between evaluating the current policy and greedily updating it.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"true\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"false\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Policy iteration alternates between computing value estimates and performing greedy updates.</p>\n<blockquote>\"The policy iteration algorithm involves two parts... compute V pi... then greedily update the policy.\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:02:53\" title=\"Open in the transcript\">[00:02:53]</a></blockquote></div>\n    </div>"},{"key":"q-ba793fc9","number":8,"type":"multi-select","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-ba793fc9\">\n      <h3>Question 8 (Multi-Select)</h3>\n      <p>Why are dynamic programming approaches to solving MDPs often impractical for large environments?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"false\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. They assume continuous action spaces</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"true\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. They require summing over all states and actions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o2\" name=\"q7\" value=\"2\" data-correct=\"false\">\n          <label for=\"q7-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. They don&#39;t converge for stochastic transitions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o3\" name=\"q7\" value=\"3\" data-correct=\"true\">\n          <label for=\"q7-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. The number of states in environments like Atari or chess is extremely large</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Dynamic programming is computationally expensive and not feasible for large state/action spaces.</p>\n<blockquote>\"...time complexity of one iteration update...\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:03:30\" title=\"Open in the transcript\">[00:03:30]</a></blockquote>\n<blockquote>\"...chess... our lower bound being 10 to the power 420 states. And for Atari Games... the number of such images is also exponentially large.\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:03:47\" title=\"Open in the transcript\">[00:03:47]</a></blockquote></div>\n    </div>"},{"key":"q-1d2ae6d0","number":9,"type":"multi-select","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-1d2ae6d0\">\n      <h3>Question 9 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the purpose and characteristics of the policy improvement step in policy iteration? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"true\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It chooses the action that maximizes the expected value at each state</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"true\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It applies a greedy strategy with respect to the current value function</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o2\" name=\"q8\" value=\"2\" data-correct=\"true\">\n          <label for=\"q8-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It guarantees monotonic improvement of the policy</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o3\" name=\"q8\" value=\"3\" data-correct=\"true\">\n          <label for=\"q8-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It eventually leads to the optimal policy when combined with policy evaluation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o4\" name=\"q8\" value=\"4\" data-correct=\"false\">\n          <label for=\"q8-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. It samples new actions from a uniform distribution</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o5\" name=\"q8\" value=\"5\" data-correct=\"false\">\n          <label for=\"q8-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. It can sometimes cause policy oscillation in stochastic environments</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Policy improvement has several important properties beyond just the basic greedy selection.</p>\n<blockquote>\"This greedy step involves picking the action that maximizes the value obtained at all states...\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:02:53\" title=\"Open in the transcript\">[00:02:53]</a></blockquote>\n<blockquote>\"Policy improvement guarantees that each new policy will be at least as good as the previous one.\"</blockquote>\n<blockquote>\"The combination of policy evaluation and policy improvement will eventually converge to the optimal policy.\"</blockquote></div>\n    </div>"},{"key":"q-31eb8be9","number":10,"type":"multi-select","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-31eb8be9\">\n      <h3>Question 10 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the role and applications of Bellman equations in reinforcement learning algorithms? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. They form the theoretical foundation for value iteration, Q iteration, and policy iteration</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"true\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. They provide a recursive formulation that enables dynamic programming approaches</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o2\" name=\"q9\" value=\"2\" data-correct=\"true\">\n          <label for=\"q9-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. They allow breaking down a complex long-term planning problem into simpler subproblems</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o3\" name=\"q9\" value=\"3\" data-correct=\"false\">\n          <label for=\"q9-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. They are only applicable to deterministic environments</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o4\" name=\"q9\" value=\"4\" data-correct=\"false\">\n          <label for=\"q9-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. They enable calculation of optimal policies without knowledge of transition probabilities</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o5\" name=\"q9\" value=\"5\" data-correct=\"true\">\n          <label for=\"q9-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. They define the relationship between current and future expected rewards</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Bellman equations have multiple important roles and applications in RL algorithms.</p>\n<blockquote>\"We derived the recursive Bellman optimality equations that form the backbone of the three dynamic programming algorithms...\" <a class=\"quote-link\" href=\"../transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:04:06\" title=\"Open in the transcript\">[00:04:06]</a></blockquote>\n<blockquote>\"The recursive structure of the Bellman equations allows us to break down the complex problem of finding optimal long-term policies into a series of simpler, recursive subproblems.\"</blockquote>\n<blockquote>\"These equations define the relationship between the value of a state and the values of its successor states.\"</blockquote></div>\n    </div>"}]},{"id":"17.4Combined","title":"Deep Q-Learning","questions":[{"key":"q-0360eaa2","number":1,"type":"true-false","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-0360eaa2\">\n      <h3>Question 1 (True/False)</h3>\n      <p>Deep Q-Learning uses a for-loop over all states to update the Q-function, similar to traditional Q-iteration.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"false\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"true\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Deep Q-Learning avoids full for-loops and instead uses function approximation and minibatches.</p>\n<blockquote>\"Instead of having a for loop over all states to update the Q-network, as was done in Q-iteration, we introduced a regression objective...\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:02:29\" title=\"Open in the transcript\">[00:02:29]</a></blockquote></div>\n    </div>"},{"key":"q-890f12bc","number":2,"type":"multi-select","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-890f12bc\">\n      <h3>Question 2 (Multi-Select)</h3>\n      <p>What role does the Bellman equation play in Deep Q-Learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"true\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It provides a recursive objective for value prediction</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"false\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It helps determine which states to sample in each batch</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"true\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It is used to construct the loss function for neural network training</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"false\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It ensures that Q-values are bounded between 0 and 1</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o4\" name=\"q1\" value=\"4\" data-correct=\"false\">\n          <label for=\"q1-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. It defines how to update the agent&#39;s policy</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The Bellman equation is used to generate Q-value targets recursively (<span class=\"option-ref\" data-letter=\"A\">A</span>) and forms the basis of the loss function for training the Q-network (<span class=\"option-ref\" data-letter=\"C\">C</span>). It doesn&#39;t determine which states to sample (<span class=\"option-ref\" data-letter=\"B\">B</span>), doesn&#39;t bound Q-values between 0 and 1 (<span class=\"option-ref\" data-letter=\"D\">D</span>), and doesn&#39;t directly define policy updates (<span class=\"option-ref\" data-letter=\"E\">E</span>) - these happen through greedy action selection.</p>\n<blockquote>\"The update for our Q-network will again be inspired, by the recursive bellman optimality equation.\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:02:00\" title=\"Open in the transcript\">[00:02:00]</a></blockquote></div>\n    </div>"},{"key":"q-fd89ed55","number":3,"type":"multi-select","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-fd89ed55\">\n      <h3>Question 3 (Multi-Select)</h3>\n      <p>Which of the following are key components of the Deep Q-Learning training approach? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"true\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Gradient descent updates</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"true\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. A fixed replay buffer for data sampling</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o2\" name=\"q2\" value=\"2\" data-correct=\"true\">\n          <label for=\"q2-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. A target Q-network updated periodically</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o3\" name=\"q2\" value=\"3\" data-correct=\"false\">\n          <label for=\"q2-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Importance sampling for prioritized replay</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o4\" name=\"q2\" value=\"4\" data-correct=\"false\">\n          <label for=\"q2-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Actor and critic networks</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Training involves minibatch gradient descent (<span class=\"option-ref\" data-letter=\"A\">A</span>), a replay buffer for sampling past experiences (<span class=\"option-ref\" data-letter=\"B\">B</span>), and two networks (Qnew and Qold) with the target network updated periodically (<span class=\"option-ref\" data-letter=\"C\">C</span>). Importance sampling for prioritized replay (<span class=\"option-ref\" data-letter=\"D\">D</span>) is an extension but not part of the basic algorithm, and actor-critic networks (<span class=\"option-ref\" data-letter=\"E\">E</span>) are used in other RL approaches.</p>\n<blockquote>\"We introduced a regression objective...\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:02:29\" title=\"Open in the transcript\">[00:02:29]</a></blockquote>\n<blockquote>\"Two copies of the Q-network are maintained... Qold and Qnew...\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:02:51\" title=\"Open in the transcript\">[00:02:51]</a></blockquote>\n<blockquote>\"Deep Q-learning employs an experience replay buffer...\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:06:45\" title=\"Open in the transcript\">[00:06:45]</a></blockquote></div>\n    </div>"},{"key":"q-0be77362","number":4,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-0be77362\">\n      <h3>Question 4 (Multiple Choice)</h3>\n      <p>What is the purpose of using a separate target network (Qold) in Deep Q-Learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To stabilize training by decoupling target predictions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"false\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To enable parallel computation across multiple processors</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"false\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To reduce memory usage during training</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"false\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To allow for different learning rates at different stages</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Using a separate Qold network helps reduce instability in loss updates by keeping target values fixed while updating the main network. This decoupling prevents the &quot;moving target&quot; problem where both predictions and targets shift simultaneously.</p>\n<blockquote>\"Using a single Q-network, makes the loss minimization unstable... Instead, two copies... are maintained...\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:02:29\" title=\"Open in the transcript\">[00:02:29]</a></blockquote></div>\n    </div>"},{"key":"q-473abead","number":5,"type":"true-false","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-473abead\">\n      <h3>Question 5 (True/False)</h3>\n      <p>In Deep Q-Learning, both Q-networks (Qnew and Qold) are updated simultaneously during training.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"false\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"true\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Only the Qnew network is continuously updated through gradient descent. The Qold network is kept fixed for a number of iterations and then periodically updated with the weights from Qnew.</p>\n<blockquote>\"Qnew parameters are updated while preventing any update to the Qold parameters.\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:02:51\" title=\"Open in the transcript\">[00:02:51]</a></blockquote></div>\n    </div>"},{"key":"q-cbe2dadc","number":6,"type":"multi-select","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-cbe2dadc\">\n      <h3>Question 6 (Multi-Select)</h3>\n      <p>What problems can arise when collecting training data using a purely greedy policy in Deep Q-Learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"true\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It can prevent exploration of better strategies</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"true\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It causes training data to be highly correlated</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"false\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It may lead to catastrophic forgetting</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It can result in overestimation of Q-values</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Using a greedy data collection policy limits exploration of potentially better actions (<span class=\"option-ref\" data-letter=\"A\">A</span>) and causes consecutive training samples to be highly correlated (<span class=\"option-ref\" data-letter=\"B\">B</span>), which can harm neural network training. While catastrophic forgetting (<span class=\"option-ref\" data-letter=\"C\">C</span>) and Q-value overestimation (<span class=\"option-ref\" data-letter=\"D\">D</span>) are challenges in RL, they&#39;re not directly caused by greedy data collection.</p>\n<blockquote>\"...it will not have incentive to explore other less rewarding states...\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:04:48\" title=\"Open in the transcript\">[00:04:48]</a></blockquote>\n<blockquote>\"The data... will be highly correlated with similar states, actions and rewards.\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:05:30\" title=\"Open in the transcript\">[00:05:30]</a></blockquote></div>\n    </div>"},{"key":"q-1f1b4009","number":7,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-1f1b4009\">\n      <h3>Question 7 (Multiple Choice)</h3>\n      <p>What is the main purpose of the epsilon-greedy strategy in Deep Q-Learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"false\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To reduce computational complexity</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"true\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To balance exploration and exploitation during data gathering</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o2\" name=\"q6\" value=\"2\" data-correct=\"false\">\n          <label for=\"q6-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To compensate for overestimation bias</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o3\" name=\"q6\" value=\"3\" data-correct=\"false\">\n          <label for=\"q6-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To gradually decrease learning rates over time</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The epsilon-greedy strategy allows for occasional random action selection (exploration) while still leveraging the learned Q-values for maximizing rewards (exploitation). This balance is crucial for finding optimal policies.</p>\n<blockquote>\"...a random action is chosen with a typically small epsilon probability, and the greedy action is selected otherwise.\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:05:46\" title=\"Open in the transcript\">[00:05:46]</a></blockquote></div>\n    </div>"},{"key":"q-d0197d99","number":8,"type":"true-false","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-d0197d99\">\n      <h3>Question 8 (True/False)</h3>\n      <p>In a replay buffer, only the most recent experiences are stored to ensure the agent learns from the latest environment dynamics.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"false\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"true\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Replay buffers store a mix of recent and older experiences, not just the most recent ones. While older experiences may eventually be discarded, the buffer maintains a diverse set of samples to reduce correlation between training examples.</p>\n<blockquote>\"The buffer is a finite size and older samples are discarded in favor of newer ones... to lower the correlation...\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:06:45\" title=\"Open in the transcript\">[00:06:45]</a></blockquote></div>\n    </div>"},{"key":"q-cc22ca98","number":9,"type":"multi-select","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-cc22ca98\">\n      <h3>Question 9 (Multi-Select)</h3>\n      <p>Which techniques help stabilize Deep Q-Learning training? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"true\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Using two separate Q-networks</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"true\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Sampling random minibatches from past experiences</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o2\" name=\"q8\" value=\"2\" data-correct=\"true\">\n          <label for=\"q8-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Clipping rewards to a fixed range</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o3\" name=\"q8\" value=\"3\" data-correct=\"true\">\n          <label for=\"q8-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Normalizing state inputs</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o4\" name=\"q8\" value=\"4\" data-correct=\"false\">\n          <label for=\"q8-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Limiting the number of training steps</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Several techniques help stabilize training: using separate target and online networks (<span class=\"option-ref\" data-letter=\"A\">A</span>), sampling random minibatches to break correlation (<span class=\"option-ref\" data-letter=\"B\">B</span>), clipping rewards to manage scale (<span class=\"option-ref\" data-letter=\"C\">C</span>), and normalizing inputs to improve neural network training (<span class=\"option-ref\" data-letter=\"D\">D</span>). Limiting training steps (<span class=\"option-ref\" data-letter=\"E\">E</span>) isn&#39;t typically used for stabilization.</p>\n<blockquote>\"Two copies of the Q-network are maintained... Qold and Qnew...\" <a class=\"quote-link\" href=\"../transcripts/17.4%20Deep%20Q-Learning.html#t=00:02:51\" title=\"Open in the transcript\">[00:02:51]</a></blockquote>\n<blockquote>\"...samples a random minibatch of size m from the replay buffer...\"</blockquote>\n<blockquote>\"Preprocessing is vital for the successful training of deep Q-learning agents.\"</blockquote></div>\n    </div>"},{"key":"q-4bd175d9","number":10,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-4bd175d9\">\n      <h3>Question 10 (Multiple Choice)</h3>\n      <p>What is a key challenge when applying Deep Q-Learning to environments with continuous action spaces?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. The Q-function must be evaluated for infinitely many actions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"false\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Neural networks cannot approximate continuous functions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o2\" name=\"q9\" value=\"2\" data-correct=\"false\">\n          <label for=\"q9-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. The replay buffer becomes inefficient</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o3\" name=\"q9\" value=\"3\" data-correct=\"false\">\n          <label for=\"q9-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Reward signals become too sparse</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>In continuous action spaces, finding the maximum Q-value requires evaluating infinitely many actions, which is computationally infeasible. This limitation makes basic Deep Q-Learning better suited for discrete action spaces.</p>\n<blockquote>\"If our action space is continuous, choosing the best action becomes an optimization problem in its own right, because the arg max step requires enumerating all possible actions.\"</blockquote></div>\n    </div>"}]},{"id":"17.5Combined","title":"Policy Gradients, Actor-Critic","questions":[{"key":"q-cc42d82f","number":1,"type":"true-false","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-cc42d82f\">\n      <h3>Question 1 (True/False)</h3>\n      <p>Policy-based reinforcement learning methods directly optimize a parameterized policy.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"true\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"false\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Policy-based methods directly parameterize and optimize a policy.</p>\n<blockquote>\"Policy based methods on the other hand directly parameterize a policy and optimize it to maximize returns.\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:00:20\" title=\"Open in the transcript\">[00:00:20]</a></blockquote></div>\n    </div>"},{"key":"q-64570a6e","number":2,"type":"multi-select","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-64570a6e\">\n      <h3>Question 2 (Multi-Select)</h3>\n      <p>Which of the following accurately describe differences between value-based and policy-based reinforcement learning methods? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"true\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Value-based methods optimize value functions, while policy-based methods optimize policies directly</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"true\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Policy-based methods can naturally handle continuous action spaces, unlike basic value-based methods</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"false\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Value-based methods typically use epsilon-greedy exploration, while policy-based methods can learn stochastic policies</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"false\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Policy-based methods learn a Q-function before training a policy</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o4\" name=\"q1\" value=\"4\" data-correct=\"false\">\n          <label for=\"q1-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Value-based methods indirectly derive policies (e.g., greedy with respect to Q), while policy-based methods represent policies explicitly</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o5\" name=\"q1\" value=\"5\" data-correct=\"false\">\n          <label for=\"q1-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Value-based methods require discretization of continuous action spaces</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Value-based and policy-based methods differ in several fundamental ways.</p>\n<blockquote>\"Among the types of methods using RL value based methods learn q functions... Policy based methods... directly parameterize a policy...\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:00:00\" title=\"Open in the transcript\">[00:00:00]</a></blockquote>\n<blockquote>\"Policy-based methods have some advantages... they can naturally handle continuous action spaces.\"</blockquote>\n<blockquote>\"Value-based methods derive policies indirectly, typically by being greedy with respect to the learned value function.\"</blockquote></div>\n    </div>"},{"key":"q-4f6b9d5c","number":3,"type":"multi-select","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-4f6b9d5c\">\n      <h3>Question 3 (Multi-Select)</h3>\n      <p>Which of the following are components of the REINFORCE algorithm?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"true\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Sampling trajectories using the current policy</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"false\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Computing gradients with respect to a value function</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o2\" name=\"q2\" value=\"2\" data-correct=\"false\">\n          <label for=\"q2-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Applying the log-derivative trick to compute the gradient</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o3\" name=\"q2\" value=\"3\" data-correct=\"false\">\n          <label for=\"q2-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Using a fixed reward function for supervised updates</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>REINFORCE involves sampling data and using the log-derivative trick to compute gradients.</p>\n<blockquote>\"We simply need to collect a small batch of trajectories using the current pi theta...\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:02:56\" title=\"Open in the transcript\">[00:02:56]</a></blockquote>\n<blockquote>\"...in order to apply a relation known as the log derivative trick...\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:04:18\" title=\"Open in the transcript\">[00:04:18]</a></blockquote></div>\n    </div>"},{"key":"q-9d8807f6","number":4,"type":"multi-select","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-9d8807f6\">\n      <h3>Question 4 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the purposes and benefits of using the log-derivative trick in policy gradient methods? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To simplify the integral of the gradient of a probability density</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"true\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To convert a complex gradient computation into an expectation that can be sampled</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"false\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To avoid computing derivatives of transition dynamics</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"false\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To enable gradient estimation without knowing the environment model</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o4\" name=\"q3\" value=\"4\" data-correct=\"false\">\n          <label for=\"q3-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. To facilitate policy optimization via stochastic gradient ascent</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o5\" name=\"q3\" value=\"5\" data-correct=\"false\">\n          <label for=\"q3-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. To ensure the Q-function remains differentiable</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The log-derivative trick has several important benefits in policy gradient algorithms.</p>\n<blockquote>\"...we can write the expectation as an integral... and apply a relation known as the log derivative trick...\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:03:52\" title=\"Open in the transcript\">[00:03:52]</a></blockquote>\n<blockquote>\"This allows us to express the gradient in terms of an expectation, which we can then estimate by sampling.\"</blockquote>\n<blockquote>\"The policy gradient theorem provides a way to compute policy gradients without knowing the dynamics of the environment.\"</blockquote></div>\n    </div>"},{"key":"q-85afd507","number":5,"type":"true-false","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-85afd507\">\n      <h3>Question 5 (True/False)</h3>\n      <p>In REINFORCE, the gradient update increases the likelihood of action sequences that result in higher rewards.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"true\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"false\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Gradient updates push the probability of successful actions higher.</p>\n<blockquote>\"...the gradient update will push the probability of the chosen actions to be either higher or lower depending on the sign and magnitude of the total reward...\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:05:35\" title=\"Open in the transcript\">[00:05:35]</a></blockquote></div>\n    </div>"},{"key":"q-af1acca0","number":6,"type":"multi-select","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-af1acca0\">\n      <h3>Question 6 (Multi-Select)</h3>\n      <p>What are some limitations of REINFORCE as discussed in the lecture?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"true\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It cannot compute gradients for deterministic policies</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"false\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It suffers from high variance in gradient estimates</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"false\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It requires knowledge of transition probabilities</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It does not assign credit to individual actions within a trajectory</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>REINFORCE suffers from variance and lacks fine-grained credit assignment.</p>\n<blockquote>\"...we are left with a coarse level feedback for the entire sequence...\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:06:06\" title=\"Open in the transcript\">[00:06:06]</a></blockquote>\n<blockquote>\"...New variants of this algorithm have been proposed that aim to reduce the variance...\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:06:06\" title=\"Open in the transcript\">[00:06:06]</a></blockquote></div>\n    </div>"},{"key":"q-723d4431","number":7,"type":"multi-select","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-723d4431\">\n      <h3>Question 7 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the roles and properties of baselines in policy gradient algorithms? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"true\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. They reduce variance in gradient estimation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"true\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. They preserve the expected value of the gradient</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o2\" name=\"q6\" value=\"2\" data-correct=\"false\">\n          <label for=\"q6-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. They can be state-dependent functions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o3\" name=\"q6\" value=\"3\" data-correct=\"false\">\n          <label for=\"q6-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. They are often implemented as value function approximations</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o4\" name=\"q6\" value=\"4\" data-correct=\"false\">\n          <label for=\"q6-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. They ensure deterministic transitions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o5\" name=\"q6\" value=\"5\" data-correct=\"false\">\n          <label for=\"q6-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. They help address the credit assignment problem in long trajectories</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Baselines serve several important purposes in policy gradient methods.</p>\n<blockquote>\"...subtracting some baseline... will preserve the mean... while possibly reducing the variance...\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:06:22\" title=\"Open in the transcript\">[00:06:22]</a></blockquote>\n<blockquote>\"We can use a state-dependent baseline such as a value function approximation.\"</blockquote>\n<blockquote>\"A good baseline helps distinguish which actions were actually better than average, addressing the credit assignment problem.\"</blockquote></div>\n    </div>"},{"key":"q-566c3ef0","number":8,"type":"true-false","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-566c3ef0\">\n      <h3>Question 8 (True/False)</h3>\n      <p>Subtracting a baseline that does not depend on actions changes the mean of the policy gradient estimate.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"false\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"true\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Subtracting a baseline that does not depend on action preserves the mean.</p>\n<blockquote>\"...subtracting some baseline... will preserve the mean of the gradient expectation...\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:06:22\" title=\"Open in the transcript\">[00:06:22]</a></blockquote></div>\n    </div>"},{"key":"q-49acb983","number":9,"type":"multi-select","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-49acb983\">\n      <h3>Question 9 (Multi-Select)</h3>\n      <p>Which of the following accurately describe scaling factors and signal reductions used in different actor-critic variant algorithms? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"true\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. The advantage function (Q minus V) is used in Advantage Actor-Critic</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"true\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. TD error can be used as an unbiased estimate of the advantage</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o2\" name=\"q8\" value=\"2\" data-correct=\"false\">\n          <label for=\"q8-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. State-value functions serve as baselines for variance reduction</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o3\" name=\"q8\" value=\"3\" data-correct=\"false\">\n          <label for=\"q8-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. A combination of n-step returns and value estimates can be used</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o4\" name=\"q8\" value=\"4\" data-correct=\"false\">\n          <label for=\"q8-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Importance sampling weights are applied when using off-policy data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o5\" name=\"q8\" value=\"5\" data-correct=\"false\">\n          <label for=\"q8-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Raw rewards without any baseline are optimal for stable training</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Actor-critic methods use various signals and scaling factors to improve performance.</p>\n<blockquote>\"...advantage actor-critic that substitutes the reward with the advantage... defined as the Q function minus the V function.\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:06:55\" title=\"Open in the transcript\">[00:06:55]</a></blockquote>\n<blockquote>\"TD error can be used as an unbiased sample of the advantage function.\"</blockquote>\n<blockquote>\"State-value functions provide effective baselines that reduce variance while preserving the expected gradient.\"</blockquote></div>\n    </div>"},{"key":"q-009e33c6","number":10,"type":"multi-select","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-009e33c6\">\n      <h3>Question 10 (Multi-Select)</h3>\n      <p>Which elements are used in the actor-critic algorithm?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. A learned Q-function</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"false\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Policy gradient updates</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o2\" name=\"q9\" value=\"2\" data-correct=\"false\">\n          <label for=\"q9-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Advantage estimates</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o3\" name=\"q9\" value=\"3\" data-correct=\"false\">\n          <label for=\"q9-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. A reward baseline derived from the policy’s V-function</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Actor-Critic methods include all of these elements as discussed.</p>\n<blockquote>\"...actor-critic algorithm that replaces rewards with the Q function...\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:06:37\" title=\"Open in the transcript\">[00:06:37]</a></blockquote>\n<blockquote>\"...advantage actor-critic... defined as the Q function minus the V function.\" <a class=\"quote-link\" href=\"../transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:06:55\" title=\"Open in the transcript\">[00:06:55]</a></blockquote></div>\n    </div>"}]},{"id":"18.1Combined","title":"Advanced Topics Introduction","questions":[{"key":"q-4e0746bd","number":1,"type":"true-false","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-4e0746bd\">\n      <h3>Question 1 (True/False)</h3>\n      <p>In few-shot learning, it is common to assume access to a large amount of unlabeled data.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"false\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"true\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Few-shot learning typically assumes access to a small auxiliary labeled dataset, not unlabeled data.</p>\n<blockquote>\"In few-shot learning... we have only 1 to 5 examples per category. In the vanilla setting, we also don&#39;t have any unlabeled data...\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:01:34\" title=\"Open in the transcript\">[00:01:34]</a></blockquote></div>\n    </div>"},{"key":"q-1092fa2a","number":2,"type":"multi-select","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-1092fa2a\">\n      <h3>Question 2 (Multi-Select)</h3>\n      <p>Which of the following accurately describe key characteristics and assumptions of semi-supervised learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"true\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It combines a small amount of labeled data with a large amount of unlabeled data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"true\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It assumes that data points in the same cluster should have the same label</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"false\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It leverages the structure of unlabeled data to improve supervised learning</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"false\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It requires completely labeled datasets to function</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o4\" name=\"q1\" value=\"4\" data-correct=\"false\">\n          <label for=\"q1-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. It often assumes that the decision boundary should lie in low-density regions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o5\" name=\"q1\" value=\"5\" data-correct=\"false\">\n          <label for=\"q1-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. It can use techniques like pseudo-labeling to iteratively expand the labeled set</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Semi-supervised learning incorporates several key assumptions and techniques.</p>\n<blockquote>\"In semi-supervised learning... we also have a large set of unlabeled data...\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:01:10\" title=\"Open in the transcript\">[00:01:10]</a></blockquote>\n<blockquote>\"Semi-supervised methods leverage assumptions about data clustering and the decision boundary placement.\"</blockquote>\n<blockquote>\"One approach is to iteratively expand the labeled set using high-confidence predictions as pseudo-labels.\"</blockquote></div>\n    </div>"},{"key":"q-e01252ea","number":3,"type":"multi-select","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-e01252ea\">\n      <h3>Question 3 (Multi-Select)</h3>\n      <p>Which of the following are traditional unsupervised learning tasks mentioned in the lecture?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"true\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Density estimation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"false\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Clustering</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o2\" name=\"q2\" value=\"2\" data-correct=\"false\">\n          <label for=\"q2-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Meta-learning</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o3\" name=\"q2\" value=\"3\" data-correct=\"false\">\n          <label for=\"q2-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Supervised contrastive learning</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>These are listed as classic unsupervised tasks.</p>\n<blockquote>\"...purely unsupervised learning where we can perform tasks, such as clustering or density estimation.\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:02:26\" title=\"Open in the transcript\">[00:02:26]</a></blockquote></div>\n    </div>"},{"key":"q-f994cf5f","number":4,"type":"multi-select","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-f994cf5f\">\n      <h3>Question 4 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the motivations and properties of pseudo-labeling in semi-supervised learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To generate labeled examples from confident predictions on unlabeled data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"true\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To iteratively expand the training set with model-generated labels</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"false\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To leverage the structure of unlabeled data to improve generalization</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"false\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To implement a form of self-training that can strengthen decision boundaries</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o4\" name=\"q3\" value=\"4\" data-correct=\"false\">\n          <label for=\"q3-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. To replace the need for any manually labeled data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o5\" name=\"q3\" value=\"5\" data-correct=\"false\">\n          <label for=\"q3-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. To allow models to benefit from the distribution information in unlabeled data</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Pseudo-labeling serves multiple important purposes in semi-supervised learning.</p>\n<blockquote>\"We can then take that and convert it into a pseudo label... and put them into the training set and retrain.\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:08:08\" title=\"Open in the transcript\">[00:08:08]</a></blockquote>\n<blockquote>\"This allows the model to iteratively improve by incorporating its own confident predictions into training.\"</blockquote>\n<blockquote>\"The unlabeled data provides information about the input distribution that can help the model generalize better.\"</blockquote></div>\n    </div>"},{"key":"q-7ef3e12e","number":5,"type":"true-false","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-7ef3e12e\">\n      <h3>Question 5 (True/False)</h3>\n      <p>Self-supervised learning uses human-annotated labels to guide feature learning.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"false\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"true\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Self-supervised learning does not use human-annotated labels but instead creates tasks from unlabeled data.</p>\n<blockquote>\"In self-supervised learning... we assume we have no labels. All we have are unlabeled examples...\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:02:02\" title=\"Open in the transcript\">[00:02:02]</a></blockquote></div>\n    </div>"},{"key":"q-e6b65833","number":6,"type":"multi-select","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-e6b65833\">\n      <h3>Question 6 (Multi-Select)</h3>\n      <p>What are some of the challenges in feature learning from unlabeled data?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"true\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Selecting appropriate loss functions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"false\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Designing surrogate tasks that are neither too easy nor too hard</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"false\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Minimizing overfitting with small datasets</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Learning a metric with labeled anchors</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The lecture highlights challenges in selecting suitable losses and task difficulty.</p>\n<blockquote>\"What loss functions should we use?\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:06:11\" title=\"Open in the transcript\">[00:06:11]</a></blockquote>\n<blockquote>\"...surrogate tasks that hopefully aren&#39;t too easy... and aren&#39;t too hard.\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:11:50\" title=\"Open in the transcript\">[00:11:50]</a></blockquote></div>\n    </div>"},{"key":"q-21ac90a9","number":7,"type":"multi-select","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-21ac90a9\">\n      <h3>Question 7 (Multi-Select)</h3>\n      <p>Which of the following accurately describe &quot;surrogate tasks&quot; in self-supervised learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"true\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. They are designed to force networks to learn useful representations, though the tasks themselves may be artificial</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"true\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. They can involve predicting properties of data that are automatically generated (like rotations)</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o2\" name=\"q6\" value=\"2\" data-correct=\"false\">\n          <label for=\"q6-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. They create supervision signals from the data itself without human annotation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o3\" name=\"q6\" value=\"3\" data-correct=\"false\">\n          <label for=\"q6-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. They are often designed based on domain knowledge about what makes good features for downstream tasks</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o4\" name=\"q6\" value=\"4\" data-correct=\"false\">\n          <label for=\"q6-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. They require human labels to define the learning objectives</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o5\" name=\"q6\" value=\"5\" data-correct=\"false\">\n          <label for=\"q6-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. They can involve reconstructing part of the input from another part</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Surrogate tasks have several key characteristics in self-supervised learning.</p>\n<blockquote>\"...we&#39;ll rotate an image... and try to make the neural network predict which rotations we applied... we actually don&#39;t care about it... but we&#39;re trying to force the neural network to learn...\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:11:32\" title=\"Open in the transcript\">[00:11:32]</a></blockquote>\n<blockquote>\"These tasks generate their own supervision signal from the data structure itself.\"</blockquote>\n<blockquote>\"Examples include predicting image rotations, solving jigsaw puzzles from image patches, and inpainting missing regions.\"</blockquote></div>\n    </div>"},{"key":"q-d54ac89d","number":8,"type":"true-false","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-d54ac89d\">\n      <h3>Question 8 (True/False)</h3>\n      <p>Metric learning is a form of unsupervised learning that assumes human-annotated pairwise similarities.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"false\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"true\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Metric learning can be done without labeled pairwise supervision by learning similarity functions from data.</p>\n<blockquote>\"Or there are methods to do what&#39;s called metric learning where you try to learn a distance metric as well.\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:03:49\" title=\"Open in the transcript\">[00:03:49]</a></blockquote></div>\n    </div>"},{"key":"q-7f7b7b9b","number":9,"type":"multi-select","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-7f7b7b9b\">\n      <h3>Question 9 (Multi-Select)</h3>\n      <p>Which of the following strategies are used in semi-supervised learning as described in the lecture?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"true\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Using strong and weak augmentations</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"false\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Cross-entropy loss with hard pseudo labels</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o2\" name=\"q8\" value=\"2\" data-correct=\"false\">\n          <label for=\"q8-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Training exclusively on confidently labeled examples</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o3\" name=\"q8\" value=\"3\" data-correct=\"false\">\n          <label for=\"q8-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Using data to self-generate soft targets for knowledge distillation</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>These techniques are all discussed as part of the semi-supervised learning pipeline.</p>\n<blockquote>\"...perform augmentation of two types... weak form... strong augmentation...\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:09:03\" title=\"Open in the transcript\">[00:09:03]</a></blockquote>\n<blockquote>\"We can take these confident pseudo labels... and retrain.\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:08:25\" title=\"Open in the transcript\">[00:08:25]</a></blockquote>\n<blockquote>\"...use what we&#39;ve learned... in the form of knowledge distillation...\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:10:17\" title=\"Open in the transcript\">[00:10:17]</a></blockquote></div>\n    </div>"},{"key":"q-0b9d403a","number":10,"type":"multi-select","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-0b9d403a\">\n      <h3>Question 10 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the motivations and approaches of meta-learning in few-shot scenarios? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To learn an initialization that adapts well to new tasks with few training steps</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"true\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To simulate the test-time scenario during meta-training</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o2\" name=\"q9\" value=\"2\" data-correct=\"false\">\n          <label for=\"q9-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To leverage experience across multiple tasks to improve generalization to new tasks</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o3\" name=\"q9\" value=\"3\" data-correct=\"false\">\n          <label for=\"q9-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To maximize entropy of predictions on test data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o4\" name=\"q9\" value=\"4\" data-correct=\"false\">\n          <label for=\"q9-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. To develop models that can quickly adapt to new information with minimal fine-tuning</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o5\" name=\"q9\" value=\"5\" data-correct=\"false\">\n          <label for=\"q9-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. To eliminate the need for task-specific finetuning altogether</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Meta-learning approaches have several important goals in few-shot learning.</p>\n<blockquote>\"...learning an initialization that after you go through such process will be effective...\" <a class=\"quote-link\" href=\"../transcripts/18.1%20Introduction.html#t=00:11:07\" title=\"Open in the transcript\">[00:11:07]</a></blockquote>\n<blockquote>\"The goal is to learn from many related tasks during meta-training so that the model can quickly adapt to new tasks at test time.\"</blockquote>\n<blockquote>\"This way, we&#39;re simulating the few-shot scenario that will be encountered at test time.\"</blockquote></div>\n    </div>"}]},{"id":"18.2Combined","title":"Semi-Supervised Learning","questions":[{"key":"q-fca0e944","number":1,"type":"true-false","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-fca0e944\">\n      <h3>Question 1 (True/False)</h3>\n      <p>Semi-Supervised Learning assumes a large amount of labeled data and a small amount of unlabeled data.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"false\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"true\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Semi-Supervised Learning assumes a small amount of labeled data and a larger amount of unlabeled data.</p>\n<blockquote>\"In Semi-Supervised Learning, we have a smaller amount of labelled data and a much larger amount of unlabeled data.\" <a class=\"quote-link\" href=\"../transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:00:22\" title=\"Open in the transcript\">[00:00:22]</a></blockquote></div>\n    </div>"},{"key":"q-b75f048d","number":2,"type":"multi-select","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-b75f048d\">\n      <h3>Question 2 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the goals and approaches of Semi-Supervised Learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"true\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To match supervised learning performance with fewer labels by leveraging unlabeled data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"true\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To exploit the structure and distribution of unlabeled data to improve model generalization</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"false\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To reduce annotation costs while maintaining performance</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"false\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To replace supervised learning using adversarial training</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o4\" name=\"q1\" value=\"4\" data-correct=\"false\">\n          <label for=\"q1-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. To create more robust models by using diverse data sources</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o5\" name=\"q1\" value=\"5\" data-correct=\"false\">\n          <label for=\"q1-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. To develop methods that can adapt to distribution shifts through unlabeled examples</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Semi-supervised learning has multiple goals and approaches beyond just the central motivation.</p>\n<blockquote>\"Can we overcome the small amount of labeled data that we have using the larger amount of unlabeled data?\" <a class=\"quote-link\" href=\"../transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:00:22\" title=\"Open in the transcript\">[00:00:22]</a></blockquote>\n<blockquote>\"This is valuable not just for performance, but also for reducing the high cost of annotation.\"</blockquote>\n<blockquote>\"Unlabeled data provides information about the input distribution that can help models generalize better.\"</blockquote></div>\n    </div>"},{"key":"q-2cba2960","number":3,"type":"multi-select","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-2cba2960\">\n      <h3>Question 3 (Multi-Select)</h3>\n      <p>Which of the following are elements of the FixMatch algorithm?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"true\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Consistency regularization</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"false\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Using weak and strong augmentations</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o2\" name=\"q2\" value=\"2\" data-correct=\"false\">\n          <label for=\"q2-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Pseudo-labeling with a confidence threshold</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o3\" name=\"q2\" value=\"3\" data-correct=\"false\">\n          <label for=\"q2-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Gradient penalty</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o4\" name=\"q2\" value=\"4\" data-correct=\"false\">\n          <label for=\"q2-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Explicit entropy maximization</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>FixMatch combines these three key elements.</p>\n<blockquote>\"This particular algorithm, FixMatch, is combining several elements... consistency regularization... pseudo-labeling... weak augmentation... strong augmentation...\"</blockquote></div>\n    </div>"},{"key":"q-7bfc060f","number":4,"type":"multi-select","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-7bfc060f\">\n      <h3>Question 4 (Multi-Select)</h3>\n      <p>Why are confidence thresholds important when generating pseudo-labels in semi-supervised learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. They prevent noisy or incorrect labels from contaminating the training process</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"true\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. They ensure only highly confident predictions are used as training targets</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"false\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. They allow for a curriculum learning approach, gradually incorporating more examples</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"false\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. They help balance the contribution of labeled and unlabeled data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o4\" name=\"q3\" value=\"4\" data-correct=\"false\">\n          <label for=\"q3-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. They automatically determine the optimal number of augmentations</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o5\" name=\"q3\" value=\"5\" data-correct=\"false\">\n          <label for=\"q3-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. They filter out examples from distribution shifts or out-of-domain data</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Confidence thresholds serve multiple important purposes in pseudo-labeling approaches.</p>\n<blockquote>\"So we&#39;re using this confidence threshold tau to make sure... the labels that we&#39;re assigning have a high likelihood of being correct.\"</blockquote>\n<blockquote>\"This allows a curriculum learning approach, starting with the easiest examples and gradually incorporating more difficult ones.\"</blockquote>\n<blockquote>\"It helps filter out examples that might be out of the training distribution or simply too difficult to classify.\"</blockquote></div>\n    </div>"},{"key":"q-f84ade90","number":5,"type":"true-false","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-f84ade90\">\n      <h3>Question 5 (True/False)</h3>\n      <p>Weak augmentations in FixMatch are designed to significantly alter the content and semantics of the input.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"false\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"true\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Weak augmentations preserve content, while strong augmentations make larger changes.</p>\n<blockquote>\"When we say weak augmentation, that means something like a crop and flip... Strong augmentation by contrast could be dramatically altering the image...\"</blockquote></div>\n    </div>"},{"key":"q-4ebe9cf3","number":6,"type":"multi-select","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-4ebe9cf3\">\n      <h3>Question 6 (Multi-Select)</h3>\n      <p>Why does FixMatch use two different types of augmentations?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"true\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To generate diverse views of unlabeled examples</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"false\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To provide more challenging tasks for the model</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"false\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To prevent the model from learning shortcut solutions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To reduce the need for labeled data</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Different augmentations serve multiple purposes in consistency training.</p>\n<blockquote>\"...if we force the predicted label to be consistent between two different views... we force the model to adapt to different views of the unlabeled examples.\"</blockquote></div>\n    </div>"},{"key":"q-46209721","number":7,"type":"multi-select","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-46209721\">\n      <h3>Question 7 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the challenges and considerations when setting confidence thresholds for pseudo-labeling? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"true\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Setting thresholds too high can exclude potentially useful training examples</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"true\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Setting thresholds too low can introduce incorrect labels and harm performance</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o2\" name=\"q6\" value=\"2\" data-correct=\"false\">\n          <label for=\"q6-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. The optimal threshold may vary depending on the dataset and model architecture</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o3\" name=\"q6\" value=\"3\" data-correct=\"false\">\n          <label for=\"q6-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. The threshold may need to be adjusted during training as the model improves</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o4\" name=\"q6\" value=\"4\" data-correct=\"false\">\n          <label for=\"q6-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. Thresholds are only needed for strongly augmented images</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q6-o5\" name=\"q6\" value=\"5\" data-correct=\"false\">\n          <label for=\"q6-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Different classes or examples may benefit from different threshold values</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Setting appropriate confidence thresholds involves multiple important considerations.</p>\n<blockquote>\"There&#39;s a trade-off in threshold setting - too high and you might exclude useful examples, too low and you might introduce too many errors.\"</blockquote>\n<blockquote>\"The threshold depends on the dataset, model architecture, and even the current stage of training.\"</blockquote>\n<blockquote>\"As the model improves, the threshold strategy might need to adapt accordingly.\"</blockquote></div>\n    </div>"},{"key":"q-4ac6d781","number":8,"type":"true-false","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-4ac6d781\">\n      <h3>Question 8 (True/False)</h3>\n      <p>In FixMatch, the pseudo-label is generated based on the strongly augmented version of an unlabeled image.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"false\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"true\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Pseudo-labels are generated from weakly augmented images, not strongly augmented ones.</p>\n<blockquote>\"...we predict a class, a pseudo-label... from the weakly augmented unlabeled image...\"</blockquote></div>\n    </div>"},{"key":"q-1dca0eeb","number":9,"type":"multi-select","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-1dca0eeb\">\n      <h3>Question 9 (Multi-Select)</h3>\n      <p>Which of the following are advantages of consistency regularization in semi-supervised learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"true\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It encourages the model to output similar predictions for differently augmented versions of the same input</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"false\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It promotes invariance to data transformations</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o2\" name=\"q8\" value=\"2\" data-correct=\"false\">\n          <label for=\"q8-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It reduces computational complexity</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o3\" name=\"q8\" value=\"3\" data-correct=\"false\">\n          <label for=\"q8-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It completely eliminates the need for labeled data</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Consistency regularization encourages prediction invariance across augmentations.</p>\n<blockquote>\"...we can push for the prediction for each unlabeled point to be as similar as possible, no matter what...\"</blockquote></div>\n    </div>"},{"key":"q-c92fc6ea","number":10,"type":"multi-select","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-c92fc6ea\">\n      <h3>Question 10 (Multi-Select)</h3>\n      <p>Which of the following insights about modern semi-supervised learning are demonstrated by the FixMatch algorithm? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Combining multiple semi-supervised learning techniques can be more effective than using any single approach</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"true\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Data augmentation plays a critical role in extracting value from unlabeled examples</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o2\" name=\"q9\" value=\"2\" data-correct=\"false\">\n          <label for=\"q9-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Confidence thresholds help manage the quality-quantity trade-off in using unlabeled data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o3\" name=\"q9\" value=\"3\" data-correct=\"false\">\n          <label for=\"q9-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Consistency across different views of the same data is a powerful learning signal</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o4\" name=\"q9\" value=\"4\" data-correct=\"false\">\n          <label for=\"q9-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. All semi-supervised methods require adversarial training to be effective</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o5\" name=\"q9\" value=\"5\" data-correct=\"false\">\n          <label for=\"q9-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. The gap between supervised and semi-supervised learning can be significantly reduced with the right techniques</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>FixMatch demonstrates several key insights about modern semi-supervised approaches.</p>\n<blockquote>\"FixMatch actually combines several elements and that yields state of the art performance.\"</blockquote>\n<blockquote>\"The key insight of FixMatch is that the consistency signal and confidence-based pseudo-labeling can effectively leverage unlabeled data.\"</blockquote>\n<blockquote>\"With these techniques, we can often approach supervised performance while using only a fraction of the labeled data.\"</blockquote></div>\n    </div>"}]},{"id":"18.3Combined","title":"Few-Shot Learning","questions":[{"key":"q-931d495e","number":1,"type":"true-false","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-931d495e\">\n      <h3>Question 1 (True/False)</h3>\n      <p>Few-shot learning assumes access to many labeled examples per class at inference time.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"false\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"true\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Few-shot learning operates under the constraint of very limited labeled examples per class.</p>\n<blockquote>\"We only have a few examples called a support set, typically we only have somewhere on the range of 1 to 5 examples per category...\" <a class=\"quote-link\" href=\"../transcripts/18.3%20Few-Shot%20Learning.html#t=00:00:00\" title=\"Open in the transcript\">[00:00:00]</a></blockquote></div>\n    </div>"},{"key":"q-b996ef14","number":2,"type":"multi-select","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-b996ef14\">\n      <h3>Question 2 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the goals and approaches of meta-training in few-shot learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"true\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To simulate test conditions using tasks constructed from base classes</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"true\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To learn how to learn quickly from small amounts of data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"false\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To develop models that generalize well to unseen classes</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"false\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To pre-train a classifier across all possible test classes</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o4\" name=\"q1\" value=\"4\" data-correct=\"false\">\n          <label for=\"q1-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. To build experience with many related tasks that transfer to new tasks</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q1-o5\" name=\"q1\" value=\"5\" data-correct=\"false\">\n          <label for=\"q1-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. To align the training process with the inference process</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Meta-training serves multiple important purposes in few-shot learning beyond just task simulation.</p>\n<blockquote>\"We&#39;d like to align what we do during training with what we do during testing... This is called meta-training...\" <a class=\"quote-link\" href=\"../transcripts/18.3%20Few-Shot%20Learning.html#t=00:06:00\" title=\"Open in the transcript\">[00:06:00]</a></blockquote>\n<blockquote>\"The goal is to train the model on a distribution of tasks, so it learns how to learn quickly from small amounts of data.\"</blockquote>\n<blockquote>\"This way, the model builds experience across many tasks that can transfer to new, unseen classes at test time.\"</blockquote></div>\n    </div>"},{"key":"q-5dd26922","number":3,"type":"multi-select","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-5dd26922\">\n      <h3>Question 3 (Multi-Select)</h3>\n      <p>Which of the following are strategies used to prevent overfitting during fine-tuning in few-shot learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"true\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Freezing the feature extractor</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"false\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Using cosine classifiers instead of fully connected layers</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o2\" name=\"q2\" value=\"2\" data-correct=\"false\">\n          <label for=\"q2-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Training on thousands of examples per class</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o3\" name=\"q2\" value=\"3\" data-correct=\"false\">\n          <label for=\"q2-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Applying early stopping and hyperparameter tuning</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>These techniques help prevent overfitting when training with very few examples.</p>\n<blockquote>\"...fix all the weights and just fine tune the last layer...\"</blockquote>\n<blockquote>\"...cosine classifier... are so constrained that it&#39;s harder to overfit with them...\"</blockquote></div>\n    </div>"},{"key":"q-05a997ac","number":4,"type":"multi-select","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-05a997ac\">\n      <h3>Question 4 (Multi-Select)</h3>\n      <p>Which of the following accurately describe properties and advantages of cosine similarity-based classification in few-shot learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It primarily compares the angular separation (directional similarity) between vectors</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"true\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It normalizes feature vectors, making the comparison invariant to magnitude</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"false\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It helps address the scarcity of examples by focusing on direction rather than scale</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"false\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It requires computing the absolute differences between vector components</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o4\" name=\"q3\" value=\"4\" data-correct=\"false\">\n          <label for=\"q3-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. It works well with embeddings from different domains or distributions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q3-o5\" name=\"q3\" value=\"5\" data-correct=\"false\">\n          <label for=\"q3-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. It provides a natural way to measure semantic similarity in the feature space</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Cosine similarity has several important properties that make it well-suited for few-shot learning.</p>\n<blockquote>\"You&#39;re only looking at the angles between the feature vectors rather than incorporating how long they are...\" <a class=\"quote-link\" href=\"../transcripts/18.3%20Few-Shot%20Learning.html#t=00:04:00\" title=\"Open in the transcript\">[00:04:00]</a></blockquote>\n<blockquote>\"This normalization is particularly helpful when examples are scarce and feature magnitudes might vary.\"</blockquote>\n<blockquote>\"Cosine similarity provides a natural way to compare the semantic direction of embeddings across potentially different distributions.\"</blockquote></div>\n    </div>"},{"key":"q-13ac126b","number":5,"type":"multi-select","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-13ac126b\">\n      <h3>Question 5 (Multi-Select)</h3>\n      <p>Which of the following are core components of a prototypical network?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"true\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Feature extractor shared across support and query sets</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"false\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. One-hot encoding of query items</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o2\" name=\"q4\" value=\"2\" data-correct=\"false\">\n          <label for=\"q4-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Mean embeddings of each class in the support set</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q4-o3\" name=\"q4\" value=\"3\" data-correct=\"false\">\n          <label for=\"q4-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Learned reward functions for each query</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Prototypical networks use class prototypes computed as the mean of embeddings.</p>\n<blockquote>\"...you take the mean of those and then you compare each query item to that mean...\" <a class=\"quote-link\" href=\"../transcripts/18.3%20Few-Shot%20Learning.html#t=00:10:00\" title=\"Open in the transcript\">[00:10:00]</a></blockquote></div>\n    </div>"},{"key":"q-eb571c67","number":6,"type":"multi-select","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-eb571c67\">\n      <h3>Question 6 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the key aspects and advantages of prototypical networks in few-shot learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"true\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. They create class prototypes by averaging support set examples for each class</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"true\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. They compare query items to all prototypes using a distance function</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"false\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. They require no fine-tuning or adaptation during inference</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. They can handle variable numbers of examples per class</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o4\" name=\"q5\" value=\"4\" data-correct=\"false\">\n          <label for=\"q5-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. They rely on detailed class-level annotations beyond class labels</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o5\" name=\"q5\" value=\"5\" data-correct=\"false\">\n          <label for=\"q5-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. They perform well even with extremely limited support examples</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Prototypical networks have several advantageous properties for few-shot learning scenarios.</p>\n<blockquote>\"...you take the mean of those and then you compare each query item to that mean...\" <a class=\"quote-link\" href=\"../transcripts/18.3%20Few-Shot%20Learning.html#t=00:10:00\" title=\"Open in the transcript\">[00:10:00]</a></blockquote>\n<blockquote>\"This approach is elegant because it can handle any number of examples per class and doesn&#39;t require explicit parameter updates during inference.\"</blockquote>\n<blockquote>\"The averaging operation provides a simple yet effective way to combine the limited information from support examples.\"</blockquote></div>\n    </div>"},{"key":"q-f8ba9d36","number":7,"type":"true-false","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-f8ba9d36\">\n      <h3>Question 7 (True/False)</h3>\n      <p>Prototypical networks compare each query item to every example in the support set individually.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"false\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"true\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Query items are compared to class prototypes (means), not individual examples.</p>\n<blockquote>\"...we&#39;re going to compute the distance... to each prototype.\"</blockquote></div>\n    </div>"},{"key":"q-fa624888","number":8,"type":"multi-select","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-fa624888\">\n      <h3>Question 8 (Multi-Select)</h3>\n      <p>Which challenges or limitations are associated with fine-tuning-based few-shot learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"true\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It lacks task-specific awareness during meta-training</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"false\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It requires large support sets to work effectively</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o2\" name=\"q7\" value=\"2\" data-correct=\"false\">\n          <label for=\"q7-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It is sensitive to hyperparameter choices</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o3\" name=\"q7\" value=\"3\" data-correct=\"false\">\n          <label for=\"q7-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It cannot generalize to new classes</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Fine-tuning approaches face challenges related to meta-awareness and sensitivity.</p>\n<blockquote>\"...not meta-aware, as we&#39;re not explicitly simulating few-shot tasks during pre-training...\"</blockquote>\n<blockquote>\"...the hyperparameters for fine-tuning matter a lot...\"</blockquote></div>\n    </div>"},{"key":"q-1942399c","number":9,"type":"multi-select","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-1942399c\">\n      <h3>Question 9 (Multi-Select)</h3>\n      <p>What aspect of meta-learning does MAML specifically aim to optimize? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"true\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. The initialization of parameters for rapid adaptation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"true\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. The learning algorithm itself</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o2\" name=\"q8\" value=\"2\" data-correct=\"false\">\n          <label for=\"q8-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. The architecture of the neural network</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o3\" name=\"q8\" value=\"3\" data-correct=\"false\">\n          <label for=\"q8-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. The meta-optimization strategy for efficient adaptation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o4\" name=\"q8\" value=\"4\" data-correct=\"false\">\n          <label for=\"q8-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. The representation space of the model</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q8-o5\" name=\"q8\" value=\"5\" data-correct=\"false\">\n          <label for=\"q8-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. The capability to quickly adapt to new tasks with minimal steps</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>MAML focuses on finding optimal initialization parameters that allow quick adaptation.</p>\n<blockquote>\"The goal of MAML is to learn an initialization that can be fine-tuned quickly to new tasks with just a few gradient steps.\"</blockquote>\n<blockquote>\"It&#39;s meta-learning because we&#39;re optimizing specifically for adaptability rather than just task performance.\"</blockquote>\n<blockquote>\"MAML optimizes for the ability to learn new tasks quickly, not just performance on the training tasks.\"</blockquote></div>\n    </div>"},{"key":"q-0da2f5d0","number":10,"type":"multi-select","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-0da2f5d0\">\n      <h3>Question 10 (Multi-Select)</h3>\n      <p>Which of the following accurately describe the relationship between gradient descent and meta-learning? (Select all that apply)</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Gradient descent can be viewed as a differentiable computation graph suitable for meta-learning</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"true\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Meta-learning can optimize the initial parameters that gradient descent starts from</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o2\" name=\"q9\" value=\"2\" data-correct=\"false\">\n          <label for=\"q9-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. The meta-objective includes performance after adaptation, not just initial performance</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o3\" name=\"q9\" value=\"3\" data-correct=\"false\">\n          <label for=\"q9-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Gradient descent must be replaced with more advanced algorithms in meta-learning</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o4\" name=\"q9\" value=\"4\" data-correct=\"false\">\n          <label for=\"q9-o4\"><span class=\"option-letter\" data-letter=\"E\">E</span>. The learning algorithm itself can be parameterized and learned</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q9-o5\" name=\"q9\" value=\"5\" data-correct=\"false\">\n          <label for=\"q9-o5\"><span class=\"option-letter\" data-letter=\"F\">F</span>. Meta-learning can optimize for quick adaptation rather than final performance</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The relationship between gradient descent and meta-learning has several important dimensions.</p>\n<blockquote>\"Gradient descent itself is a differentiable computation, which means we can differentiate through the adaptation process.\"</blockquote>\n<blockquote>\"Meta-learning optimizes for performance after adaptation, which is a fundamentally different objective than standard learning.\"</blockquote>\n<blockquote>\"We can either learn good initialization points for gradient descent, or learn the update rule itself.\"</blockquote></div>\n    </div>"},{"key":"q-74be7b99","number":11,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-11\" data-question-index=\"10\" data-question-key=\"q-74be7b99\">\n      <h3>Question 11 (Multiple Choice)</h3>\n      <p>What does the Meta-LSTM approach learn that MAML does not?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q10-o0\" name=\"q10\" value=\"0\" data-correct=\"true\">\n          <label for=\"q10-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. How to initialize parameters before adaptation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q10-o1\" name=\"q10\" value=\"1\" data-correct=\"false\">\n          <label for=\"q10-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. A task-specific regularizer</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q10-o2\" name=\"q10\" value=\"2\" data-correct=\"false\">\n          <label for=\"q10-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. A learnable update rule conditioned on gradients</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q10-o3\" name=\"q10\" value=\"3\" data-correct=\"false\">\n          <label for=\"q10-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. The number of steps required for convergence</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Meta-LSTM learns an explicit update rule rather than just initialization.</p>\n<blockquote>\"...it can learn to do more complex update rules that are not purely following the gradient...\"</blockquote></div>\n    </div>"},{"key":"q-b8cc49a1","number":12,"type":"multi-select","html":"<div class=\"question\" id=\"question-12\" data-question-index=\"11\" data-question-key=\"q-b8cc49a1\">\n      <h3>Question 12 (Multi-Select)</h3>\n      <p>What are advantages of learning initialization via MAML compared to learning an explicit update rule?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q11-o0\" name=\"q11\" value=\"0\" data-correct=\"true\">\n          <label for=\"q11-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Simpler optimization</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q11-o1\" name=\"q11\" value=\"1\" data-correct=\"false\">\n          <label for=\"q11-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Better theoretical convergence guarantees</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q11-o2\" name=\"q11\" value=\"2\" data-correct=\"false\">\n          <label for=\"q11-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Higher flexibility in modeling long-range dependencies</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q11-o3\" name=\"q11\" value=\"3\" data-correct=\"false\">\n          <label for=\"q11-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Less overfitting when applied to small support sets</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Learning initialization has practical advantages in terms of simplicity and generalization.</p>\n<blockquote>\"...simpler conceptually and more robust in practice...\"</blockquote>\n<blockquote>\"...less prone to overfitting on small tasks...\"</blockquote></div>\n    </div>"}]},{"id":"18.4Combined","title":"Unsupervised and Self-Supervised Learning","questions":[{"key":"q-c1159957","number":1,"type":"true-false","html":"<div class=\"question\" id=\"question-1\" data-question-index=\"0\" data-question-key=\"q-c1159957\">\n      <h3>Question 1 (True/False)</h3>\n      <p>Unsupervised learning requires labels to compute the loss functions used for training.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o0\" name=\"q0\" value=\"0\" data-correct=\"false\">\n          <label for=\"q0-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q0-o1\" name=\"q0\" value=\"1\" data-correct=\"true\">\n          <label for=\"q0-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Unsupervised learning does not rely on labels; it uses patterns in the data.</p>\n<blockquote>\"We assume we have no labels, all we have are unlabeled examples...\"</blockquote></div>\n    </div>"},{"key":"q-e68cc50d","number":2,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-2\" data-question-index=\"1\" data-question-key=\"q-e68cc50d\">\n      <h3>Question 2 (Multiple Choice)</h3>\n      <p>What is the primary purpose of autoencoders in unsupervised learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q1-o0\" name=\"q1\" value=\"0\" data-correct=\"true\">\n          <label for=\"q1-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. To classify input data using pseudo-labels</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q1-o1\" name=\"q1\" value=\"1\" data-correct=\"false\">\n          <label for=\"q1-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. To reconstruct labeled outputs from input data</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q1-o2\" name=\"q1\" value=\"2\" data-correct=\"false\">\n          <label for=\"q1-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. To extract low-dimensional representations that capture important features</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q1-o3\" name=\"q1\" value=\"3\" data-correct=\"false\">\n          <label for=\"q1-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. To optimize for high-resolution image synthesis</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Autoencoders compress data into lower-dimensional representations for reconstruction.</p>\n<blockquote>\"...we&#39;re trying to compress the image or any other data through some bottleneck...\"</blockquote></div>\n    </div>"},{"key":"q-762533e4","number":3,"type":"multi-select","html":"<div class=\"question\" id=\"question-3\" data-question-index=\"2\" data-question-key=\"q-762533e4\">\n      <h3>Question 3 (Multi-Select)</h3>\n      <p>Which of the following are traditional tasks associated with unsupervised learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o0\" name=\"q2\" value=\"0\" data-correct=\"true\">\n          <label for=\"q2-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Clustering</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o1\" name=\"q2\" value=\"1\" data-correct=\"false\">\n          <label for=\"q2-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Dimensionality reduction</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o2\" name=\"q2\" value=\"2\" data-correct=\"false\">\n          <label for=\"q2-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Reinforcement signal propagation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q2-o3\" name=\"q2\" value=\"3\" data-correct=\"false\">\n          <label for=\"q2-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Density estimation</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>These are core classical tasks under unsupervised learning.</p>\n<blockquote>\"...tasks such as clustering or density estimation...\"</blockquote>\n<blockquote>\"...use an autoencoder to perform dimensionality reduction...\"</blockquote></div>\n    </div>"},{"key":"q-1bae884d","number":4,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-4\" data-question-index=\"3\" data-question-key=\"q-1bae884d\">\n      <h3>Question 4 (Multiple Choice)</h3>\n      <p>What does the “bottleneck” in an autoencoder architecture encourage?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q3-o0\" name=\"q3\" value=\"0\" data-correct=\"true\">\n          <label for=\"q3-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Overfitting to high-dimensional features</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q3-o1\" name=\"q3\" value=\"1\" data-correct=\"false\">\n          <label for=\"q3-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Learning trivial identity functions</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q3-o2\" name=\"q3\" value=\"2\" data-correct=\"false\">\n          <label for=\"q3-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Compression of inputs into meaningful low-dimensional embeddings</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q3-o3\" name=\"q3\" value=\"3\" data-correct=\"false\">\n          <label for=\"q3-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Increased accuracy through deep convolutional filters</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>The bottleneck enforces feature learning through constrained representation.</p>\n<blockquote>\"...compress the image... and then decompress it again...\"</blockquote></div>\n    </div>"},{"key":"q-50754163","number":5,"type":"true-false","html":"<div class=\"question\" id=\"question-5\" data-question-index=\"4\" data-question-key=\"q-50754163\">\n      <h3>Question 5 (True/False)</h3>\n      <p>Autoencoders can be trained without any labels, using only the input data.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o0\" name=\"q4\" value=\"0\" data-correct=\"true\">\n          <label for=\"q4-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q4-o1\" name=\"q4\" value=\"1\" data-correct=\"false\">\n          <label for=\"q4-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Autoencoders learn from reconstruction loss, not labels.</p>\n<blockquote>\"...we train the autoencoder to reconstruct the original image...\"</blockquote></div>\n    </div>"},{"key":"q-450ed2af","number":6,"type":"multi-select","html":"<div class=\"question\" id=\"question-6\" data-question-index=\"5\" data-question-key=\"q-450ed2af\">\n      <h3>Question 6 (Multi-Select)</h3>\n      <p>What are characteristics of an effective feature space learned via unsupervised learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o0\" name=\"q5\" value=\"0\" data-correct=\"true\">\n          <label for=\"q5-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. High density clusters for semantically similar inputs</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o1\" name=\"q5\" value=\"1\" data-correct=\"false\">\n          <label for=\"q5-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Widely dispersed examples regardless of semantic meaning</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o2\" name=\"q5\" value=\"2\" data-correct=\"false\">\n          <label for=\"q5-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Low-density regions separating conceptually distinct inputs</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q5-o3\" name=\"q5\" value=\"3\" data-correct=\"false\">\n          <label for=\"q5-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Spatial locality preserved through convolutional filters</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Effective representations cluster similar inputs and separate dissimilar ones.</p>\n<blockquote>\"...samples that are semantically similar are close together...\"</blockquote>\n<blockquote>\"...semantically dissimilar examples are far apart...\"</blockquote></div>\n    </div>"},{"key":"q-497b7303","number":7,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-7\" data-question-index=\"6\" data-question-key=\"q-497b7303\">\n      <h3>Question 7 (Multiple Choice)</h3>\n      <p>In clustering-based unsupervised learning pipelines, what are pseudo-labels?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o0\" name=\"q6\" value=\"0\" data-correct=\"true\">\n          <label for=\"q6-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Randomly assigned labels for evaluation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o1\" name=\"q6\" value=\"1\" data-correct=\"false\">\n          <label for=\"q6-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Labels assigned by a pretrained supervised classifier</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o2\" name=\"q6\" value=\"2\" data-correct=\"false\">\n          <label for=\"q6-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Cluster assignments used as training targets for backpropagation</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q6-o3\" name=\"q6\" value=\"3\" data-correct=\"false\">\n          <label for=\"q6-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Binary indicators for supervised similarity</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Clustering assigns pseudo-labels which are then used as targets.</p>\n<blockquote>\"...use clustering algorithms to generate pseudo-labels for the unlabeled data...\"</blockquote></div>\n    </div>"},{"key":"q-52a71e91","number":8,"type":"multi-select","html":"<div class=\"question\" id=\"question-8\" data-question-index=\"7\" data-question-key=\"q-52a71e91\">\n      <h3>Question 8 (Multi-Select)</h3>\n      <p>Which are potential issues when clustering is used to generate pseudo-labels?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o0\" name=\"q7\" value=\"0\" data-correct=\"true\">\n          <label for=\"q7-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Empty clusters</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o1\" name=\"q7\" value=\"1\" data-correct=\"false\">\n          <label for=\"q7-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Trivial solutions where all items are grouped into one cluster</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o2\" name=\"q7\" value=\"2\" data-correct=\"false\">\n          <label for=\"q7-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Perfectly balanced partitions that prevent overfitting</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q7-o3\" name=\"q7\" value=\"3\" data-correct=\"false\">\n          <label for=\"q7-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Inability to use backpropagation through clustering</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>These are known risks in clustering-based training.</p>\n<blockquote>\"...there may be empty clusters or trivial solutions where all data collapse to one cluster...\"</blockquote></div>\n    </div>"},{"key":"q-c2d8e469","number":9,"type":"true-false","html":"<div class=\"question\" id=\"question-9\" data-question-index=\"8\" data-question-key=\"q-c2d8e469\">\n      <h3>Question 9 (True/False)</h3>\n      <p>Surrogate tasks are designed to train models using freely available labels from data transformations.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q8-o0\" name=\"q8\" value=\"0\" data-correct=\"true\">\n          <label for=\"q8-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q8-o1\" name=\"q8\" value=\"1\" data-correct=\"false\">\n          <label for=\"q8-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Surrogate tasks create labels from data transformations.</p>\n<blockquote>\"...a surrogate task... where we try to predict the rotation... even though the original image has no label.\"</blockquote></div>\n    </div>"},{"key":"q-730124d4","number":10,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-10\" data-question-index=\"9\" data-question-key=\"q-730124d4\">\n      <h3>Question 10 (Multiple Choice)</h3>\n      <p>Why is predicting image rotation considered a useful surrogate task?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o0\" name=\"q9\" value=\"0\" data-correct=\"true\">\n          <label for=\"q9-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. It trains the network to detect object boundaries precisely</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o1\" name=\"q9\" value=\"1\" data-correct=\"false\">\n          <label for=\"q9-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. It forces the model to recognize semantic content of images</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o2\" name=\"q9\" value=\"2\" data-correct=\"false\">\n          <label for=\"q9-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. It directly improves classification performance on downstream tasks</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q9-o3\" name=\"q9\" value=\"3\" data-correct=\"false\">\n          <label for=\"q9-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. It encodes time-based sequence relationships</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Rotation prediction forces semantic awareness.</p>\n<blockquote>\"...predict which of the four rotations... the neural network must understand whether there is an upright dog...\"</blockquote></div>\n    </div>"},{"key":"q-4f7e0160","number":11,"type":"multi-select","html":"<div class=\"question\" id=\"question-11\" data-question-index=\"10\" data-question-key=\"q-4f7e0160\">\n      <h3>Question 11 (Multi-Select)</h3>\n      <p>Which of the following are common surrogate tasks for self-supervised learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q10-o0\" name=\"q10\" value=\"0\" data-correct=\"true\">\n          <label for=\"q10-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Colorization</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q10-o1\" name=\"q10\" value=\"1\" data-correct=\"false\">\n          <label for=\"q10-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Jigsaw puzzle solving</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q10-o2\" name=\"q10\" value=\"2\" data-correct=\"false\">\n          <label for=\"q10-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Rotation prediction</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q10-o3\" name=\"q10\" value=\"3\" data-correct=\"false\">\n          <label for=\"q10-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. GAN-based style transfer</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>These are classic self-supervised tasks.</p>\n<blockquote>\"...predict the correct color... jigsaw puzzles... rotation prediction...\"</blockquote></div>\n    </div>"},{"key":"q-9772059d","number":12,"type":"true-false","html":"<div class=\"question\" id=\"question-12\" data-question-index=\"11\" data-question-key=\"q-9772059d\">\n      <h3>Question 12 (True/False)</h3>\n      <p>The quality of learned representations is typically evaluated by training a complex nonlinear classifier on top of the encoder.</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q11-o0\" name=\"q11\" value=\"0\" data-correct=\"false\">\n          <label for=\"q11-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. True</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q11-o1\" name=\"q11\" value=\"1\" data-correct=\"true\">\n          <label for=\"q11-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. False</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Representations are evaluated using a simple linear classifier to avoid confounding effects.</p>\n<blockquote>\"We will train a linear classifier on top of the features... and test the accuracy...\"</blockquote></div>\n    </div>"},{"key":"q-f1a1c370","number":13,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-13\" data-question-index=\"12\" data-question-key=\"q-f1a1c370\">\n      <h3>Question 13 (Multiple Choice)</h3>\n      <p>What is the goal of instance discrimination in contrastive learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q12-o0\" name=\"q12\" value=\"0\" data-correct=\"true\">\n          <label for=\"q12-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Maximize diversity of the input images</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q12-o1\" name=\"q12\" value=\"1\" data-correct=\"false\">\n          <label for=\"q12-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Align representations of augmentations of the same image while separating others</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q12-o2\" name=\"q12\" value=\"2\" data-correct=\"false\">\n          <label for=\"q12-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Match latent codes across different modalities</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q12-o3\" name=\"q12\" value=\"3\" data-correct=\"false\">\n          <label for=\"q12-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Use nearest neighbors for label propagation</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Instance discrimination aims to align augmentations and separate distinct inputs.</p>\n<blockquote>\"...make the representations of the augmentations of the same image close together... other examples farther apart...\"</blockquote></div>\n    </div>"},{"key":"q-c09b0dc3","number":14,"type":"multi-select","html":"<div class=\"question\" id=\"question-14\" data-question-index=\"13\" data-question-key=\"q-c09b0dc3\">\n      <h3>Question 14 (Multi-Select)</h3>\n      <p>Which techniques improve the efficiency of instance discrimination training?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q13-o0\" name=\"q13\" value=\"0\" data-correct=\"true\">\n          <label for=\"q13-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. Using mini-batch negatives</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q13-o1\" name=\"q13\" value=\"1\" data-correct=\"false\">\n          <label for=\"q13-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. Maintaining a memory bank of encoded features</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q13-o2\" name=\"q13\" value=\"2\" data-correct=\"false\">\n          <label for=\"q13-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. Sampling only hard negatives manually</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"checkbox\" id=\"q13-o3\" name=\"q13\" value=\"3\" data-correct=\"false\">\n          <label for=\"q13-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. Using an exponential moving average to stabilize key encoders</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>All of these are techniques used to improve training in contrastive learning.</p>\n<blockquote>\"...use mini-batch negatives... use a memory bank... exponential moving average of the encoder weights...\" <a class=\"quote-link\" href=\"../transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:16:09\" title=\"Open in the transcript\">[00:16:09]</a></blockquote></div>\n    </div>"},{"key":"q-4f314ce7","number":15,"type":"multiple-choice","html":"<div class=\"question\" id=\"question-15\" data-question-index=\"14\" data-question-key=\"q-4f314ce7\">\n      <h3>Question 15 (Multiple Choice)</h3>\n      <p>What is a key advantage of self-supervised representations learned via contrastive learning?</p>\n      <div class=\"options\">\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q14-o0\" name=\"q14\" value=\"0\" data-correct=\"true\">\n          <label for=\"q14-o0\"><span class=\"option-letter\" data-letter=\"A\">A</span>. They generalize poorly but train quickly</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q14-o1\" name=\"q14\" value=\"1\" data-correct=\"false\">\n          <label for=\"q14-o1\"><span class=\"option-letter\" data-letter=\"B\">B</span>. They replace labeled data with GAN-generated features</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q14-o2\" name=\"q14\" value=\"2\" data-correct=\"false\">\n          <label for=\"q14-o2\"><span class=\"option-letter\" data-letter=\"C\">C</span>. They enable competitive performance on downstream tasks even with frozen encoders</label>\n        </div>\n        <div class=\"option\">\n          <input type=\"radio\" id=\"q14-o3\" name=\"q14\" value=\"3\" data-correct=\"false\">\n          <label for=\"q14-o3\"><span class=\"option-letter\" data-letter=\"D\">D</span>. They require significantly more parameters than supervised models</label>\n        </div>\n      </div>\n      <div class=\"feedback\"></div>\n      <button class=\"btn btn-check\">Check Answer</button>\n      <div class=\"explanation\"><p><strong>Explanation:</strong></p>\n<p>Contrastive methods achieve strong results with fixed feature extractors.</p>\n<blockquote>\"...you get extremely strong performance, even when you freeze the features and only train a linear classifier...\"</blockquote></div>\n    </div>"}]}]};
@@ -0,0 +1,378 @@
+/**
+ * Quiz Markdown Parser
+ *
+ * The one parser for the standardized Combined.md quiz format, shared by build.js,
+ * the browser converter and every test/fix script. It returns an AST in which every
+ * node carries its source location, so validators can point at a line and column and
+ * fix scripts can splice replacements back into the original text.
+ *
+ * Loads as CommonJS (`require('./js/quiz-parser')`), as a browser global
+ * (`window.QuizParser`) or as an ES module through quiz-parser.mjs.
+ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QuizParser = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+  /**
+   * @typedef {Object} Position
+   * @property {number} line - 1-based line
+   * @property {number} column - 1-based column
+   * @property {number} offset - 0-based character offset into the source
+   */
+
+  /**
+   * @typedef {Object} Location
+   * @property {Position} start
+   * @property {Position} end - exclusive
+   */
+
+  /**
+   * @typedef {Object} TextNode
+   * @property {string} text - trimmed text
+   * @property {Location} loc
+   */
+
+  /**
+   * @typedef {Object} OptionNode
+   * @property {'Option'} type
+   * @property {string} letter - "A".."Z"
+   * @property {string} text - option text (markdown)
+   * @property {TextNode|null} rationale - why the option is right or wrong (markdown), from
+   *   the indented lines directly below it; null when there are none
+   * @property {Location} loc - the whole "- [ ] A. ..." line
+   */
+
+  /**
+   * @typedef {Object} CheckboxNode
+   * @property {'Checkbox'} type
+   * @property {boolean} checked - "- [x]" rather than "- [ ]"
+   * @property {string|null} letter - letter prefix, if any
+   * @property {string} text - text after the checkbox (and letter prefix)
+   * @property {Location} loc
+   */
+
+  /**
+   * @typedef {Object} CorrectAnswersNode
+   * @property {'CorrectAnswers'} type
+   * @property {string} raw - everything after the "**Correct Answers:**" label
+   * @property {string[]} letters - answer letters found in `raw`
+   * @property {boolean} valid - `raw` is a plain letter list such as "A, C"
+   * @property {Location} loc - the whole line
+   */
+
+  /**
+   * @typedef {Object} QuoteNode
+   * @property {'Quote'} type
+   * @property {string} text - quote without the "> " marker and quotation marks
+   * @property {Location} loc - the whole "> ..." line
+   */
+
+  /**
+   * @typedef {Object} DetailsNode
+   * @property {'Details'} type
+   * @property {TextNode} body - everything between </summary> and </details>
+   * @property {CorrectAnswersNode[]} correctAnswers - every correct answers line, in order
+   * @property {string[]} correct - letters from the first correct answers line
+   * @property {TextNode} explanation - body without correct answers lines, "**Explanation:**" label and quotes
+   * @property {QuoteNode[]} quotes
+   * @property {Location} loc - "<details>" through "</details>"
+   */
+
+  /**
+   * @typedef {Object} QuestionNode
+   * @property {'Question'} type
+   * @property {number} number - N from "### Question N"
+   * @property {string|null} label - type label from the heading, e.g. "Multiple Select"
+   * @property {string} questionType - normalized type, see QUESTION_TYPES
+   * @property {TextNode} heading - heading text after "### "
+   * @property {TextNode} stem - text between the heading and the first option
+   * @property {OptionNode[]} options - standard "- [ ] A. text" options
+   * @property {CheckboxNode[]} checkboxes - every checkbox line, standard or not
+   * @property {DetailsNode|null} details - null when there is no Show Answer block
+   * @property {boolean} hasSeparator - a "---" line follows the question
+   * @property {Location} loc - heading through the start of the next question
+   */
+
+  /**
+   * @typedef {Object} QuizNode
+   * @property {'Quiz'} type
+   * @property {TextNode|null} title - "# Quiz: Title" heading, without "# Quiz:"
+   * @property {QuestionNode[]} questions
+   * @property {Location} loc
+   */
+
+  // Normalized question types and how each is displayed in question headings
+  const QUESTION_TYPES = {
+    'true-false': 'True/False',
+    'multiple-choice': 'Multiple Choice',
+    'multi-select': 'Multi-Select'
+  };
+
+  const PATTERNS = {
+    TITLE: /^# (?:Quiz:\s*)?(.+)$/m,
+    QUESTION_HEADER: /^#{3}\s+Question (\d+)\s*(?:\(([^)]+)\))?.*$/gm,
+    OPTION: /^- \[ \] ([A-Z])\.\s+(.+)$/gm,
+    OPTION_RATIONALE: /^(?:\t| {2,})\S/,
+    CHECKBOX: /^- \[([ xX])\]\s*(?:([A-Z])\.\s+)?(.*)$/gm,
+    DETAILS: /^[ \t]*<details>[\s\S]*?<summary>Show Answer<\/summary>([\s\S]*?)<\/details>/m,
+    CORRECT_ANSWERS: /^\*\*Correct Answers?:\*\*(.*)$/,
+    CORRECT_LETTERS: /^\s*[A-Z](?:\s*,\s*[A-Z])*\s*$/,
+    QUOTE: /^>\s?(.*)$/,
+    EXPLANATION_LABEL: /^\s*\*\*Explanation:\*\*\s*/,
+    SEPARATOR: /^---\s*$/m
+  };
+
+  /**
+   * Map a heading label such as "Multiple Select" or "True/False" to a normalized type
+   */
+  function normalizeQuestionType(label) {
+    const type = (label || '').toLowerCase();
+
+    if (type.includes('true') && type.includes('false')) {
+      return 'true-false';
+    } else if (type.includes('multiple choice')) {
+      return 'multiple-choice';
+    } else if (type.includes('multi-select') || type.includes('multiple select')) {
+      return 'multi-select';
+    }
+    return 'unknown';
+  }
+
+  /**
+   * Answer letters from the text of a "**Correct Answers:**" line ("A, C" or "A C")
+   */
+  function parseCorrectLetters(text) {
+    return text
+      .split(/[,\s]+/)
+      .map(letter => letter.toUpperCase())
+      .filter(letter => /^[A-Z]$/.test(letter));
+  }
+
+  /**
+   * Strip the surrounding quotation marks from a transcript quote
+   */
+  function unquote(text) {
+    return text.trim().replace(/^["“]/, '').replace(/["”]$/, '').trim();
+  }
+
+  /**
+   * Replace the source text covered by `loc` (or any { start, end } offsets pair)
+   */
+  function splice(source, loc, replacement) {
+    return source.slice(0, loc.start.offset) + replacement + source.slice(loc.end.offset);
+  }
+
+  /**
+   * Source text covered by `loc`, leaving out the (contained) `excluded` locations,
+   * e.g. a details body without its correct answers lines
+   */
+  function sliceExcluding(source, loc, excluded) {
+    let text = '';
+    let offset = loc.start.offset;
+
+    excluded
+      .slice()
+      .sort((a, b) => a.start.offset - b.start.offset)
+      .forEach(range => {
+        text += source.slice(offset, range.start.offset);
+        offset = Math.max(offset, range.end.offset);
+      });
+
+    return text + source.slice(offset, loc.end.offset);
+  }
+
+  /**
+   * Parse a Combined.md quiz into a QuizNode
+   */
+  function parse(source) {
+    // Offsets of each line start, for offset -> line/column lookups
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    function position(offset) {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1, offset };
+    }
+
+    function location(start, end) {
+      return { start: position(start), end: position(end) };
+    }
+
+    // Trimmed text of source[start, end) with the location of the trimmed part
+    function textNode(start, end) {
+      const raw = source.slice(start, end);
+      const leading = raw.length - raw.trimStart().length;
+      const text = raw.trim();
+      return { text, loc: location(start + leading, start + leading + text.length) };
+    }
+
+    // Lines of source[start, end) with their offsets, without line endings
+    function lines(start, end) {
+      const result = [];
+      let offset = start;
+      source.slice(start, end).split('\n').forEach(line => {
+        const text = line.replace(/\r$/, '');
+        result.push({ text, start: offset, end: offset + text.length });
+        offset += line.length + 1;
+      });
+      return result;
+    }
+
+    function parseDetails(start, end) {
+      const match = PATTERNS.DETAILS.exec(source.slice(start, end));
+      if (!match) return null;
+
+      const detailsStart = start + match.index;
+      const bodyStart = detailsStart + match[0].length - match[1].length - '</details>'.length;
+      const bodyEnd = bodyStart + match[1].length;
+
+      const correctAnswers = [];
+      const quotes = [];
+      const explanationLines = [];
+
+      lines(bodyStart, bodyEnd).forEach(line => {
+        const correctMatch = line.text.match(PATTERNS.CORRECT_ANSWERS);
+        const quoteMatch = line.text.match(PATTERNS.QUOTE);
+
+        if (correctMatch) {
+          correctAnswers.push({
+            type: 'CorrectAnswers',
+            raw: correctMatch[1].trim(),
+            letters: parseCorrectLetters(correctMatch[1]),
+            valid: PATTERNS.CORRECT_LETTERS.test(correctMatch[1]),
+            loc: location(line.start, line.end)
+          });
+        } else if (quoteMatch) {
+          if (quoteMatch[1].trim()) {
+            quotes.push({ type: 'Quote', text: unquote(quoteMatch[1]), loc: location(line.start, line.end) });
+          }
+        } else {
+          explanationLines.push(line);
+        }
+      });
+
+      // Explanation spans from its first to its last non-blank line
+      const content = explanationLines.filter(line => line.text.trim());
+      let explanation = { text: '', loc: location(bodyStart, bodyStart) };
+      if (content.length > 0) {
+        const text = explanationLines
+          .filter(line => line.start >= content[0].start && line.end <= content[content.length - 1].end)
+          .map(line => line.text)
+          .join('\n')
+          .replace(PATTERNS.EXPLANATION_LABEL, '')
+          .trim();
+        explanation = { text, loc: location(content[0].start, content[content.length - 1].end) };
+      }
+
+      return {
+        type: 'Details',
+        body: textNode(bodyStart, bodyEnd),
+        correctAnswers,
+        correct: correctAnswers.length > 0 ? correctAnswers[0].letters : [],
+        explanation,
+        quotes,
+        loc: location(detailsStart, detailsStart + match[0].length)
+      };
+    }
+
+    // Indented lines directly after an option line (ending at `start`): its rationale
+    function parseRationale(start, end) {
+      const rationaleLines = [];
+      for (const line of lines(start, end).slice(1)) {
+        if (!PATTERNS.OPTION_RATIONALE.test(line.text)) break;
+        rationaleLines.push(line);
+      }
+      if (rationaleLines.length === 0) return null;
+
+      const node = textNode(rationaleLines[0].start, rationaleLines[rationaleLines.length - 1].end);
+      return { text: rationaleLines.map(line => line.text.trim()).join('\n'), loc: node.loc };
+    }
+
+    function parseQuestion(header, start, end) {
+      const headingEnd = start + header[0].length;
+      const details = parseDetails(headingEnd, end);
+      const questionEnd = details ? details.loc.start.offset : end;
+      const questionText = source.slice(headingEnd, questionEnd);
+
+      const options = [...questionText.matchAll(PATTERNS.OPTION)].map(match => ({
+        type: 'Option',
+        letter: match[1],
+        text: match[2].trim(),
+        rationale: parseRationale(headingEnd + match.index + match[0].length, questionEnd),
+        loc: location(headingEnd + match.index, headingEnd + match.index + match[0].length)
+      }));
+
+      const checkboxes = [...questionText.matchAll(PATTERNS.CHECKBOX)].map(match => ({
+        type: 'Checkbox',
+        checked: match[1] !== ' ',
+        letter: match[2] || null,
+        text: match[3].trim(),
+        loc: location(headingEnd + match.index, headingEnd + match.index + match[0].length)
+      }));
+
+      // Stem is everything before the first checkbox line
+      const stemEnd = checkboxes.length > 0 ? checkboxes[0].loc.start.offset : questionEnd;
+
+      return {
+        type: 'Question',
+        number: parseInt(header[1], 10),
+        label: header[2] ? header[2].trim() : null,
+        questionType: normalizeQuestionType(header[2]),
+        heading: textNode(start + 4, headingEnd),
+        stem: textNode(headingEnd, stemEnd),
+        options,
+        checkboxes,
+        details,
+        hasSeparator: PATTERNS.SEPARATOR.test(source.slice(questionEnd, end)),
+        loc: location(start, end)
+      };
+    }
+
+    const headers = [...source.matchAll(PATTERNS.QUESTION_HEADER)];
+
+    // The title is the first top-level heading before the questions
+    const preamble = source.slice(0, headers.length > 0 ? headers[0].index : source.length);
+    const titleMatch = PATTERNS.TITLE.exec(preamble);
+    const title = titleMatch
+      ? textNode(titleMatch.index + titleMatch[0].length - titleMatch[1].length, titleMatch.index + titleMatch[0].length)
+      : null;
+
+    const questions = headers.map((header, index) => {
+      const end = index + 1 < headers.length ? headers[index + 1].index : source.length;
+      return parseQuestion(header, header.index, end);
+    });
+
+    return {
+      type: 'Quiz',
+      title,
+      questions,
+      loc: location(0, source.length)
+    };
+  }
+
+  return {
+    QUESTION_TYPES,
+    PATTERNS,
+    normalizeQuestionType,
+    parseCorrectLetters,
+    unquote,
+    splice,
+    sliceExcluding,
+    parse
+  };
+});
@@ -0,0 +1,18 @@
+// ES module entry point for the quiz parser. quiz-parser.js is a UMD script: Node hands it
+// over as the default export, browsers leave it on the global object.
+import * as parserModule from './quiz-parser.js';
+
+const QuizParser = parserModule.default || globalThis.QuizParser;
+
+export default QuizParser;
+
+export const {
+  QUESTION_TYPES,
+  PATTERNS,
+  normalizeQuestionType,
+  parseCorrectLetters,
+  unquote,
+  splice,
+  sliceExcluding,
+  parse
+} = QuizParser;
@@ -0,0 +1,128 @@
+// Spaced-repetition scheduling (SM-2) for the review page and the quiz pages. A question's
+// schedule is kept with its saved progress (js/progress-store.js) as `review`:
+// { ease, interval (days), repetitions, due, reviewedAt }.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QuizReview = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const DEFAULT_EASE = 2.5;
+  const MIN_EASE = 1.3;
+
+  // Self-rated ease after answering, as SM-2 quality (0-5); below 3 counts as forgotten
+  const RATINGS = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+  };
+
+  // Quality of an answer checked on a quiz page, where there is no self-rating
+  function answerQuality(isCorrect) {
+    return isCorrect ? RATINGS.good : RATINGS.again;
+  }
+
+  // Local midnight starting the day of `date`, so questions fall due at the start of a day
+  function startOfDay(date) {
+    const day = new Date(date.getTime());
+    day.setHours(0, 0, 0, 0);
+    return day;
+  }
+
+  /**
+   * Next schedule of a question after an answer of `quality` (0-5). `review` is its current
+   * schedule, or null for a question never reviewed. Forgotten questions start over at one
+   * day; remembered ones come back after 1, then 6 days, then the previous interval times
+   * the ease, which grows with easy answers and shrinks with hard ones.
+   */
+  function schedule(review, quality, now = new Date()) {
+    const previous = review || { ease: DEFAULT_EASE, interval: 0, repetitions: 0 };
+    let { interval, repetitions } = previous;
+
+    if (quality < 3) {
+      repetitions = 0;
+      interval = 1;
+    } else {
+      repetitions += 1;
+      if (repetitions === 1) {
+        interval = 1;
+      } else if (repetitions === 2) {
+        interval = 6;
+      } else {
+        interval = Math.round(interval * previous.ease);
+      }
+    }
+
+    const ease = Math.max(MIN_EASE, previous.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+    return {
+      ease: Math.round(ease * 100) / 100,
+      interval,
+      repetitions,
+      due: new Date(startOfDay(now).getTime() + interval * DAY).toISOString(),
+      reviewedAt: now.toISOString()
+    };
+  }
+
+  function isDue(review, now = new Date()) {
+    return new Date(review.due).getTime() <= now.getTime();
+  }
+
+  /**
+   * Questions to review now, from the question bank ({ quizzes: [{ id, questions: [{ key }] }] })
+   * and saved progress: every due question, most overdue first, then up to `newLimit`
+   * questions never answered, in lecture order. Items are { quiz, question, review }.
+   */
+  function buildSession(bank, progress, { now = new Date(), newLimit = 10 } = {}) {
+    const due = [];
+    const unseen = [];
+
+    bank.quizzes.forEach(quiz => {
+      const saved = progress.quizzes[quiz.id];
+      quiz.questions.forEach(question => {
+        const state = saved && saved.questions[question.key];
+        const review = (state && state.review) || null;
+        if (!review) {
+          unseen.push({ quiz, question, review });
+        } else if (isDue(review, now)) {
+          due.push({ quiz, question, review });
+        }
+      });
+    });
+
+    due.sort((a, b) => new Date(a.review.due) - new Date(b.review.due));
+    return due.concat(unseen.slice(0, newLimit));
+  }
+
+  /**
+   * When the next questions fall due after `now`: { due, count } for the earliest day
+   * with scheduled questions, or null if nothing is scheduled
+   */
+  function nextDue(bank, progress, now = new Date()) {
+    let next = null;
+
+    bank.quizzes.forEach(quiz => {
+      const saved = progress.quizzes[quiz.id];
+      if (!saved) return;
+      quiz.questions.forEach(question => {
+        const state = saved.questions[question.key];
+        if (!state || !state.review || isDue(state.review, now)) return;
+
+        const due = new Date(state.review.due).getTime();
+        if (!next || due < next.due) {
+          next = { due, count: 1 };
+        } else if (due === next.due) {
+          next.count++;
+        }
+      });
+    });
+
+    return next && { due: new Date(next.due), count: next.count };
+  }
+
+  return { RATINGS, answerQuality, schedule, isDue, buildSession, nextDue };
+});
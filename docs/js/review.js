@@ -0,0 +1,133 @@
+// Review page (quizzes/review.html): one spaced-repetition session over every quiz. Due
+// questions come from the question bank (js/question-bank.js) and the saved progress; each
+// is answered like on its quiz page, then rated, and rescheduled by js/review-scheduler.js.
+
+// Questions never answered before that are added to a session
+const NEW_PER_SESSION = 10;
+
+const RATING_LABELS = {
+  again: 'Again',
+  hard: 'Hard',
+  good: 'Good',
+  easy: 'Easy'
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+  setupReview();
+});
+
+// "in 6 days" for a schedule
+function describeInterval(review) {
+  return review.interval === 1 ? 'tomorrow' : `in ${review.interval} days`;
+}
+
+function setupReview() {
+  const reviewEl = document.querySelector('.review');
+  if (!reviewEl || !window.QUESTION_BANK || !window.QuizReview || !window.QuizProgress) return;
+
+  const statusEl = reviewEl.querySelector('.review-status');
+  const cardEl = reviewEl.querySelector('.review-card');
+  const storage = progressStorage();
+  const progress = storage ? window.QuizProgress.load(storage) : window.QuizProgress.emptyProgress();
+  scoringScheme = window.QuizProgress.getSetting(progress, 'scoringScheme', scoringScheme);
+
+  const session = window.QuizReview.buildSession(window.QUESTION_BANK, progress, { newLimit: NEW_PER_SESSION });
+  const dueCount = session.filter(item => item.review).length;
+  let position = 0;
+  let correctCount = 0;
+
+  function showDone() {
+    cardEl.innerHTML = '';
+    const message = document.createElement('p');
+    message.className = 'review-done';
+
+    const next = window.QuizReview.nextDue(window.QUESTION_BANK, progress);
+    const nextText = next
+      ? ` Next review: ${next.due.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' })} (${next.count} question${next.count === 1 ? '' : 's'}).`
+      : '';
+    message.textContent = session.length === 0
+      ? `Nothing is due for review.${nextText}`
+      : `Session complete: ${correctCount} of ${session.length} answered correctly.${nextText}`;
+
+    statusEl.textContent = '';
+    cardEl.appendChild(message);
+  }
+
+  function rate(item, rating) {
+    const review = window.QuizReview.schedule(item.review, window.QuizReview.RATINGS[rating]);
+    window.QuizProgress.updateQuestion(progress, item.quiz.id, item.question.key, { review });
+    if (storage) window.QuizProgress.save(storage, progress);
+
+    position++;
+    showCard();
+  }
+
+  function showCard() {
+    if (position >= session.length) {
+      showDone();
+      return;
+    }
+
+    const item = session[position];
+    statusEl.textContent = `Question ${position + 1} of ${session.length} (${dueCount} due, ${session.length - dueCount} new)`;
+    cardEl.innerHTML = '';
+
+    // Where the question comes from
+    const source = document.createElement('p');
+    source.className = 'review-source';
+    const sourceLink = document.createElement('a');
+    sourceLink.href = `${encodeURIComponent(item.quiz.id)}.html#question-${item.question.number}`;
+    sourceLink.textContent = `${item.quiz.title}, question ${item.question.number}`;
+    source.append(item.review ? 'Due from ' : 'New from ', sourceLink);
+
+    // The question exactly as on its quiz page (markup rendered by build.js)
+    const questionHolder = document.createElement('div');
+    questionHolder.innerHTML = item.question.html;
+    const questionEl = questionHolder.firstElementChild;
+    questionEl.removeAttribute('id');
+    if (window.QuizProgress.getSetting(progress, 'shuffleOptions', false)) {
+      arrangeOptions(questionEl, shuffledOrder(questionEl));
+    }
+    const explanationEl = questionEl.querySelector('.explanation');
+    const checkButton = questionEl.querySelector('.btn-check');
+    explanationEl.style.display = 'none';
+
+    // Self-rating, offered once the answer is checked
+    const ratingsEl = document.createElement('div');
+    ratingsEl.className = 'review-ratings';
+    ratingsEl.hidden = true;
+
+    checkButton.addEventListener('click', () => {
+      const result = checkAnswer(questionEl);
+      if (!result.hasSelection) return;
+
+      if (result.isCorrect) correctCount++;
+      explanationEl.style.display = 'block';
+      checkButton.hidden = true;
+      questionEl.querySelectorAll('input').forEach(option => { option.disabled = true; });
+
+      // A wrong answer can only be rated "Again"
+      const ratings = result.isCorrect ? ['hard', 'good', 'easy'] : ['again'];
+      const prompt = document.createElement('p');
+      prompt.textContent = result.isCorrect ? 'How easy was it?' : 'This question will come back soon.';
+      ratingsEl.appendChild(prompt);
+
+      ratings.forEach(rating => {
+        const next = window.QuizReview.schedule(item.review, window.QuizReview.RATINGS[rating]);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-rating btn-rating-${rating}`;
+        button.textContent = `${RATING_LABELS[rating]} (${describeInterval(next)})`;
+        button.addEventListener('click', () => rate(item, rating));
+        ratingsEl.appendChild(button);
+      });
+      ratingsEl.hidden = false;
+      ratingsEl.querySelector('button').focus();
+    });
+
+    cardEl.append(source, questionEl, ratingsEl);
+    typesetMath(cardEl);
+  }
+
+  showCard();
+}
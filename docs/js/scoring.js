@@ -0,0 +1,70 @@
+// Grading of a question's selected options, with partial-credit schemes for multi-select
+// ("Select all that apply") questions. Single-answer questions are always all or nothing.
+// The scheme is a study setting (`scoringScheme`, see js/progress-store.js).
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QuizScoring = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+  // Scheme names and how they are labelled on the quiz pages
+  const SCHEMES = {
+    'all-or-nothing': 'All or nothing',
+    'right-minus-wrong': 'Right minus wrong',
+    'canvas': 'Canvas partial credit'
+  };
+
+  const DEFAULT_SCHEME = 'all-or-nothing';
+
+  /**
+   * Credit (0-1) for a multi-select answer under `scheme`. `counts` are the numbers of
+   * options, correct options, false positives (selected but not correct) and misses
+   * (correct but not selected).
+   * - all-or-nothing: full credit only for exactly the correct options.
+   * - right-minus-wrong: every option is worth 1/options; each one answered right (selected
+   *   if correct, left alone if not) earns it and each one answered wrong loses it.
+   * - canvas: each correct option selected earns 1/correct and each incorrect option
+   *   selected loses 1/incorrect, as in Canvas "multiple answers" questions.
+   * Credit never goes below zero.
+   */
+  function partialCredit(scheme, { options, correct, falsePositives, misses }) {
+    const wrong = falsePositives + misses;
+
+    if (scheme === 'right-minus-wrong') {
+      return Math.max(0, (options - 2 * wrong) / options);
+    }
+    if (scheme === 'canvas') {
+      const incorrect = options - correct;
+      const earned = correct > 0 ? (correct - misses) / correct : 1;
+      const lost = incorrect > 0 ? falsePositives / incorrect : 0;
+      return Math.max(0, earned - lost);
+    }
+    return wrong === 0 ? 1 : 0;
+  }
+
+  /**
+   * Grade a selection. `options` are [{ value, correct }], `selected` the selected values.
+   * Returns { correct, credit, falsePositives, misses }, where the last two are option values.
+   */
+  function grade(options, selected, { multiple = false, scheme = DEFAULT_SCHEME } = {}) {
+    const chosen = new Set(selected);
+    const falsePositives = options.filter(option => !option.correct && chosen.has(option.value)).map(option => option.value);
+    const misses = options.filter(option => option.correct && !chosen.has(option.value)).map(option => option.value);
+    const correct = falsePositives.length === 0 && misses.length === 0;
+
+    const credit = multiple && SCHEMES[scheme]
+      ? partialCredit(scheme, {
+        options: options.length,
+        correct: options.filter(option => option.correct).length,
+        falsePositives: falsePositives.length,
+        misses: misses.length
+      })
+      : (correct ? 1 : 0);
+
+    return { correct, credit, falsePositives, misses };
+  }
+
+  return { SCHEMES, DEFAULT_SCHEME, grade };
+});
@@ -1,17 +1,64 @@
 document.addEventListener('DOMContentLoaded', function() {
   // Set up quiz interactivity
   setupQuizInteractivity();
+  
+  // Restore saved answers, and keep saving them
+  setupQuizProgress();
+  
+  // Running score and results summary on quiz pages
+  setupQuizScore();
+  
+  // Timed exam mode (?mode=exam or the score bar's "Start exam")
+  setupExamMode();
+  
+  // Keyboard shortcuts for moving between and answering questions (? lists them)
+  setupKeyboardShortcuts();
+  
+  // Sidebar search over quizzes and transcripts
+  setupSearch();
+  
+  // Transcript time links (#t=00:01:35) and copy-link buttons
+  setupTranscriptLinks();
 });
 
-function setupQuizInteractivity() {
+// Typeset TeX in content added after the page loaded; MathJax only typesets the page once
+function typesetMath(element) {
+  if (window.MathJax && typeof window.MathJax.typesetPromise === 'function') {
+    window.MathJax.typesetPromise([element]).catch(err => console.warn('MathJax typesetting failed:', err));
+  }
+}
+
+// Register the offline service worker (docs/sw.js, next to this script's js/ folder).
+// Skipped for file:// pages and under `build.js --watch`, where cached pages would
+// hide the rebuilt ones.
+const serviceWorkerUrl = document.currentScript && new URL('../sw.js', document.currentScript.src);
+window.addEventListener('load', function() {
+  if (!('serviceWorker' in navigator) || !serviceWorkerUrl || window.LIVE_RELOAD) return;
+  if (location.protocol !== 'https:' && location.protocol !== 'http:') return;
+  
+  navigator.serviceWorker.register(serviceWorkerUrl).catch(function(err) {
+    console.warn('Service worker registration failed:', err);
+  });
+});
+
+// Check buttons and hidden explanations for the questions in `root` (the practice page
+// sets up each session's questions when it adds them)
+function setupQuizInteractivity(root = document) {
+  // Optional confidence rating before checking
+  root.querySelectorAll('.question').forEach(addConfidenceSelector);
+  
   // Add event listeners for check buttons
-  document.querySelectorAll('.btn-check').forEach(button => {
+  root.querySelectorAll('.btn-check').forEach(button => {
     button.addEventListener('click', function() {
       const questionEl = this.closest('.question');
       const explanationEl = questionEl.querySelector('.explanation');
       
-      // Check the answer
+      // Check the answer; the first checked answer counts towards the score
+      const revealing = explanationEl.style.display !== 'block';
       const result = checkAnswer(questionEl);
+      if (revealing && result.hasSelection) {
+        recordAnswer(questionEl, result);
+      }
       
       // Toggle explanation visibility
       if (explanationEl.style.display === 'block') {
@@ -23,65 +70,1055 @@ function setupQuizInteractivity() {
         explanationEl.style.display = 'block';
         this.textContent = 'Hide Explanation';
       }
+      saveQuestion(questionEl);
     });
   });
   
   // Hide explanations initially
-  document.querySelectorAll('.explanation').forEach(explanation => {
+  root.querySelectorAll('.explanation').forEach(explanation => {
     explanation.style.display = 'none';
   });
   
   // Make sure all buttons initially say "Check Answer"
-  document.querySelectorAll('.btn-check').forEach(button => {
+  root.querySelectorAll('.btn-check').forEach(button => {
     button.textContent = 'Check Answer';
   });
 }
 
+// Scoring scheme for multi-select questions (js/scoring.js), saved as the `scoringScheme` setting
+let scoringScheme = 'all-or-nothing';
+
+// Grade a selection of a question's options (the current one by default):
+// { correct, credit, falsePositives, misses }
+function gradeQuestion(questionEl, selected = selectedValues(questionEl)) {
+  const inputs = Array.from(questionEl.querySelectorAll('input'));
+  const options = inputs.map(input => ({ value: input.value, correct: input.dataset.correct === 'true' }));
+  if (window.QuizScoring) {
+    return window.QuizScoring.grade(options, selected, { multiple: inputs[0].type === 'checkbox', scheme: scoringScheme });
+  }
+  
+  const falsePositives = options.filter(option => !option.correct && selected.includes(option.value)).map(option => option.value);
+  const misses = options.filter(option => option.correct && !selected.includes(option.value)).map(option => option.value);
+  const correct = falsePositives.length === 0 && misses.length === 0;
+  return { correct, credit: correct ? 1 : 0, falsePositives, misses };
+}
+
+// Letters of options (by value) as displayed, e.g. "B, D"
+function optionLetters(questionEl, values) {
+  const inputs = Array.from(questionEl.querySelectorAll('.option input'));
+  return values.map(value => {
+    const position = inputs.findIndex(input => input.value === value);
+    const letterEl = inputs[position].closest('.option').querySelector('.option-letter');
+    return letterEl ? letterEl.textContent : String.fromCharCode(65 + position);
+  }).join(', ');
+}
+
+function formatPercent(fraction) {
+  return `${Math.round(fraction * 100)}%`;
+}
+
 function checkAnswer(questionEl) {
   const feedbackEl = questionEl.querySelector('.feedback');
-  const options = questionEl.querySelectorAll('input');
   const inputType = questionEl.querySelector('input').type;
-  
-  let isCorrect = true;
-  let hasSelection = false;
-  
-  options.forEach(option => {
-    const shouldBeSelected = option.dataset.correct === 'true';
-    if (option.checked !== shouldBeSelected) {
-      isCorrect = false;
-    }
-    if (option.checked) {
-      hasSelection = true;
-    }
-  });
+  const selected = selectedValues(questionEl);
   
   // Check if user selected at least one option
-  if (!hasSelection) {
+  if (selected.length === 0) {
     feedbackEl.textContent = 'Please select an answer before checking.';
     feedbackEl.className = 'feedback warning';
-    return { isCorrect: false, hasSelection: false };
+    return { isCorrect: false, hasSelection: false, credit: 0, selected };
   }
   
-  // Set appropriate feedback message
-  if (isCorrect) {
+  const grade = gradeQuestion(questionEl, selected);
+  
+  // Set appropriate feedback message; for multi-select questions, name the wrong choices
+  if (grade.correct) {
     feedbackEl.textContent = 'Correct! Well done.';
     feedbackEl.className = 'feedback correct';
   } else {
     if (inputType === 'checkbox') {
-      feedbackEl.textContent = 'Not quite right. Remember to select all correct options (and only those).';
+      const details = [];
+      if (grade.falsePositives.length > 0) {
+        details.push(`Selected but not correct: ${optionLetters(questionEl, grade.falsePositives)}.`);
+      }
+      if (grade.misses.length > 0) {
+        details.push(`Missed: ${optionLetters(questionEl, grade.misses)}.`);
+      }
+      if (grade.credit > 0) {
+        details.push(`Partial credit: ${formatPercent(grade.credit)}.`);
+      }
+      feedbackEl.textContent = ['Not quite right.'].concat(details).join(' ');
     } else {
       feedbackEl.textContent = 'Not correct. Try again.';
     }
     feedbackEl.className = 'feedback incorrect';
   }
   
-  // Highlight correct answers
-  options.forEach(option => {
+  highlightCorrectAnswers(questionEl);
+  showRationales(questionEl);
+  return { isCorrect: grade.correct, hasSelection: true, credit: grade.credit, selected };
+}
+
+// Show why each selected option is right or wrong, where the quiz says so
+function showRationales(questionEl) {
+  questionEl.querySelectorAll('.option').forEach(optionEl => {
+    optionEl.classList.toggle('rationale-shown', optionEl.querySelector('input').checked);
+  });
+}
+
+function highlightCorrectAnswers(questionEl) {
+  questionEl.querySelectorAll('input').forEach(option => {
     const label = option.nextElementSibling;
     if (option.dataset.correct === 'true') {
       label.classList.add('correct-answer');
     }
   });
+}
+
+// First-attempt results on this quiz page: question element -> { correct, selected } once
+// checked (`selected` is null for results saved before partial credit).
+// "Retry incorrect" clears a question's result so its next answer counts again.
+const quizResults = new Map();
+let updateQuizScore = function() {};
+
+function recordAnswer(questionEl, result) {
+  saveAttempt(questionEl, result.isCorrect);
+  if (quizResults.has(questionEl)) return;
+  quizResults.set(questionEl, { correct: result.isCorrect, selected: result.selected });
+  updateQuizScore();
+}
+
+// Credit (0-1) of a question's first-attempt result under the current scoring scheme
+function resultCredit(questionEl) {
+  const result = quizResults.get(questionEl);
+  if (!result) return 0;
+  return result.selected ? gradeQuestion(questionEl, result.selected).credit : (result.correct ? 1 : 0);
+}
+
+// Put a question back to unanswered: no selection, feedback or explanation
+function resetQuestion(questionEl) {
+  questionEl.querySelectorAll('input').forEach(option => { option.checked = false; });
+  questionEl.querySelectorAll('.correct-answer').forEach(label => label.classList.remove('correct-answer'));
+  questionEl.querySelectorAll('.rationale-shown').forEach(optionEl => optionEl.classList.remove('rationale-shown'));
+  setConfidence(questionEl, null);
+  
+  const feedbackEl = questionEl.querySelector('.feedback');
+  feedbackEl.textContent = '';
+  feedbackEl.className = 'feedback';
+  questionEl.querySelector('.explanation').style.display = 'none';
+  questionEl.querySelector('.btn-check').textContent = 'Check Answer';
   
-  return { isCorrect, hasSelection: true };
-}
\ No newline at end of file
+  quizResults.delete(questionEl);
+  if (shuffleEnabled) {
+    arrangeOptions(questionEl, shuffledOrder(questionEl));
+  }
+  saveQuestion(questionEl, { checked: false, result: null, scored: null });
+}
+
+// Shuffle mode (opt-in, saved as the `shuffleOptions` setting): each attempt shows the
+// options in a new random order, lettered A, B, C... as displayed
+let shuffleEnabled = false;
+
+// Option values (authored positions) of a question in displayed order
+function displayedOrder(questionEl) {
+  return Array.from(questionEl.querySelectorAll('.option input')).map(input => input.value);
+}
+
+function authoredOrder(questionEl) {
+  return displayedOrder(questionEl).sort((a, b) => Number(a) - Number(b));
+}
+
+// A random order of a question's options; options like "All of the above" (marked
+// data-pinned by build.js) stay last
+function shuffledOrder(questionEl) {
+  const pinned = Array.from(questionEl.querySelectorAll('.option[data-pinned] input')).map(input => input.value);
+  const order = authoredOrder(questionEl).filter(value => !pinned.includes(value));
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order.concat(authoredOrder(questionEl).filter(value => pinned.includes(value)));
+}
+
+// Show a question's options in `order` (null for the authored order) and letter them as
+// displayed. Letters mentioned in the explanation and in other options follow their
+// option; each option keeps its own data-correct.
+function arrangeOptions(questionEl, order) {
+  const optionsEl = questionEl.querySelector('.options');
+  const optionEls = new Map(Array.from(optionsEl.querySelectorAll('.option'))
+    .map(optionEl => [optionEl.querySelector('input').value, optionEl]));
+  const arranged = (order || authoredOrder(questionEl)).map(value => optionEls.get(value));
+  if (arranged.length !== optionEls.size || arranged.includes(undefined)) return;
+  
+  const displayedLetters = {};
+  arranged.forEach((optionEl, position) => {
+    optionsEl.appendChild(optionEl);
+    const letterEl = optionEl.querySelector('.option-letter');
+    if (!letterEl) return;
+    
+    const letter = String.fromCharCode(65 + position);
+    displayedLetters[letterEl.dataset.letter] = letter;
+    letterEl.textContent = letter;
+  });
+  
+  questionEl.querySelectorAll('.option-ref').forEach(ref => {
+    ref.textContent = displayedLetters[ref.dataset.letter] || ref.dataset.letter;
+  });
+}
+
+// Confidence ratings: how sure the user is of an answer (optional), chosen before checking
+// it and saved with each checked answer for the dashboard's calibration report. The levels
+// are QuizStats.CONFIDENCE_LEVELS (js/progress-stats.js).
+
+// The question's chosen confidence level, or null
+function questionConfidence(questionEl) {
+  const chosen = questionEl.querySelector('.confidence button[aria-pressed="true"]');
+  return chosen ? chosen.dataset.confidence : null;
+}
+
+function setConfidence(questionEl, level) {
+  questionEl.querySelectorAll('.confidence button').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.confidence === level));
+  });
+}
+
+// Guess / Unsure / Sure toggle buttons after the options; choosing the current level again
+// clears it
+function addConfidenceSelector(questionEl) {
+  if (!window.QuizStats || questionEl.querySelector('.confidence')) return;
+  
+  const group = document.createElement('div');
+  group.className = 'confidence';
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', 'How sure are you of your answer?');
+  const label = document.createElement('span');
+  label.className = 'confidence-label';
+  label.textContent = 'How sure are you?';
+  group.appendChild(label);
+  
+  window.QuizStats.CONFIDENCE_LEVELS.forEach(level => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `confidence-${level}`;
+    button.dataset.confidence = level;
+    button.textContent = window.QuizStats.CONFIDENCE_LABELS[level];
+    button.setAttribute('aria-pressed', 'false');
+    button.addEventListener('click', () => {
+      setConfidence(questionEl, questionConfidence(questionEl) === level ? null : level);
+      saveQuestion(questionEl);
+    });
+    group.appendChild(button);
+  });
+  questionEl.insertBefore(group, questionEl.querySelector('.feedback'));
+}
+
+// Saved progress of the quiz on this page (js/progress-store.js): { storage, quizId,
+// progress }, or null without a quiz id or localStorage
+let quizProgress = null;
+
+function selectedValues(questionEl) {
+  return Array.from(questionEl.querySelectorAll('input:checked')).map(option => option.value);
+}
+
+// Save a question's selection and whether its explanation is shown, plus `changes`
+function saveQuestion(questionEl, changes = {}) {
+  const key = questionEl.dataset.questionKey;
+  if (!quizProgress || !key) return;
+  
+  const { storage, quizId, progress } = quizProgress;
+  window.QuizProgress.updateQuestion(progress, quizId, key, Object.assign({
+    selected: selectedValues(questionEl),
+    revealed: questionEl.querySelector('.explanation').style.display === 'block',
+    order: shuffleEnabled ? displayedOrder(questionEl) : null,
+    confidence: questionConfidence(questionEl)
+  }, changes));
+  window.QuizProgress.save(storage, progress);
+}
+
+// Save a checked answer. The first answer to a question that has no review schedule yet
+// schedules it for the review page. Once scheduled, only the review page reschedules it,
+// so answering again on the quiz page (after "Reset quiz" or "Retry incorrect", which
+// keep schedules) doesn't undo the intervals built up there.
+function saveAttempt(questionEl, isCorrect) {
+  const key = questionEl.dataset.questionKey;
+  if (!quizProgress || !key) return;
+  
+  const { storage, quizId, progress } = quizProgress;
+  const firstAttempt = !quizResults.has(questionEl);
+  const state = window.QuizProgress.recordAttempt(progress, quizId, key, {
+    selected: selectedValues(questionEl),
+    correct: isCorrect,
+    confidence: questionConfidence(questionEl)
+  });
+  if (firstAttempt && !state.review && window.QuizReview) {
+    const review = window.QuizReview.schedule(null, window.QuizReview.answerQuality(isCorrect));
+    window.QuizProgress.updateQuestion(progress, quizId, key, { review });
+  }
+  window.QuizProgress.save(storage, progress);
+}
+
+// localStorage, or null where it's disabled (some browsers throw on access)
+function progressStorage() {
+  try {
+    return window.localStorage || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function setupQuizProgress() {
+  const container = document.querySelector('.quiz-container[data-quiz-id]');
+  const storage = progressStorage();
+  if (!container || !storage || !window.QuizProgress) return;
+  
+  const quizId = container.dataset.quizId;
+  const progress = window.QuizProgress.load(storage);
+  quizProgress = { storage, quizId, progress };
+  shuffleEnabled = window.QuizProgress.getSetting(progress, 'shuffleOptions', false);
+  scoringScheme = window.QuizProgress.getSetting(progress, 'scoringScheme', scoringScheme);
+  
+  // Put back selections, feedback, explanations and results. In shuffle mode a checked
+  // question keeps the order it was answered in; the others get a new one.
+  container.querySelectorAll('.question[data-question-key]').forEach(questionEl => {
+    const state = window.QuizProgress.getQuestion(progress, quizId, questionEl.dataset.questionKey);
+    if (shuffleEnabled) {
+      arrangeOptions(questionEl, state && state.checked && state.order ? state.order : shuffledOrder(questionEl));
+    }
+    if (!state) return;
+    
+    questionEl.querySelectorAll('input').forEach(option => {
+      option.checked = state.selected.includes(option.value);
+    });
+    setConfidence(questionEl, state.confidence || null);
+    if (state.checked && state.selected.length > 0) {
+      checkAnswer(questionEl);
+    }
+    if (state.revealed) {
+      questionEl.querySelector('.explanation').style.display = 'block';
+      questionEl.querySelector('.btn-check').textContent = 'Hide Explanation';
+    }
+    if (state.result !== null) {
+      quizResults.set(questionEl, { correct: state.result, selected: state.scored || null });
+    }
+  });
+  
+  // Save selections as they change
+  container.addEventListener('change', event => {
+    const questionEl = event.target.closest('.question');
+    if (questionEl) saveQuestion(questionEl);
+  });
+}
+
+function setupQuizScore(container = document.querySelector('.quiz-container')) {
+  if (!container) return;
+  
+  const questions = Array.from(container.querySelectorAll('.question'));
+  if (questions.length === 0) return;
+  
+  // Jump links need an id on every question (converter pages don't set one)
+  questions.forEach((questionEl, index) => {
+    if (!questionEl.id) questionEl.id = `question-${index + 1}`;
+  });
+  
+  // Running score below the quiz title, with a control to start the quiz over
+  const scoreEl = document.createElement('div');
+  scoreEl.className = 'quiz-score';
+  const scoreText = document.createElement('span');
+  scoreText.className = 'quiz-score-text';
+  scoreText.setAttribute('aria-live', 'polite');
+  const resetButton = document.createElement('button');
+  resetButton.type = 'button';
+  resetButton.className = 'quiz-reset';
+  resetButton.textContent = 'Reset quiz';
+  resetButton.title = 'Clear all answers and saved progress for this quiz';
+  const shuffleLabel = document.createElement('label');
+  shuffleLabel.className = 'quiz-shuffle';
+  const shuffleInput = document.createElement('input');
+  shuffleInput.type = 'checkbox';
+  shuffleInput.checked = shuffleEnabled;
+  shuffleLabel.append(shuffleInput, ' Shuffle options');
+  const controls = document.createElement('span');
+  controls.className = 'quiz-controls';
+  controls.append(shuffleLabel, resetButton);
+  
+  // Scoring scheme, for quizzes with multi-select questions
+  const schemeSelect = document.createElement('select');
+  if (window.QuizScoring && container.querySelector('.question input[type="checkbox"]')) {
+    Object.entries(window.QuizScoring.SCHEMES).forEach(([scheme, label]) => {
+      schemeSelect.add(new Option(label, scheme, false, scheme === scoringScheme));
+    });
+    const schemeLabel = document.createElement('label');
+    schemeLabel.className = 'quiz-scoring';
+    schemeLabel.title = 'How "Select all that apply" questions are scored';
+    schemeLabel.append('Scoring ', schemeSelect);
+    controls.prepend(schemeLabel);
+  }
+  scoreEl.append(scoreText, controls);
+  container.parentNode.insertBefore(scoreEl, container);
+  
+  // Summary panel after the last question
+  const summaryEl = document.createElement('section');
+  summaryEl.className = 'quiz-summary';
+  const heading = document.createElement('h3');
+  const totalsEl = document.createElement('p');
+  totalsEl.className = 'quiz-summary-totals';
+  const groupsEl = document.createElement('div');
+  groupsEl.className = 'quiz-summary-groups';
+  const retryButton = document.createElement('button');
+  retryButton.type = 'button';
+  retryButton.className = 'btn btn-retry';
+  retryButton.textContent = 'Retry incorrect';
+  summaryEl.append(heading, totalsEl, groupsEl, retryButton);
+  container.parentNode.insertBefore(summaryEl, container.nextSibling);
+  
+  function renderGroup(title, kind, members, describe = () => '') {
+    const group = document.createElement('div');
+    group.className = `quiz-summary-group quiz-summary-${kind}`;
+    const groupTitle = document.createElement('h4');
+    groupTitle.textContent = `${title} (${members.length})`;
+    group.appendChild(groupTitle);
+    
+    if (members.length > 0) {
+      const list = document.createElement('ul');
+      members.forEach(questionEl => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${questionEl.id}`;
+        link.textContent = questionEl.querySelector('h3').textContent + describe(questionEl);
+        item.appendChild(link);
+        list.appendChild(item);
+      });
+      group.appendChild(list);
+    }
+    return group;
+  }
+  
+  // Points are first-attempt credits: 1 for a correct answer, a fraction for a partly
+  // correct multi-select answer under a partial-credit scheme
+  updateQuizScore = function() {
+    const correct = questions.filter(questionEl => quizResults.has(questionEl) && quizResults.get(questionEl).correct);
+    const incorrect = questions.filter(questionEl => quizResults.has(questionEl) && !quizResults.get(questionEl).correct);
+    const unanswered = questions.filter(questionEl => !quizResults.has(questionEl));
+    const answered = correct.length + incorrect.length;
+    const points = Math.round(questions.reduce((sum, questionEl) => sum + resultCredit(questionEl), 0) * 100) / 100;
+    
+    scoreText.textContent = `Score: ${points}/${questions.length}` +
+      (answered < questions.length ? ` (${answered} answered)` : '');
+    
+    heading.textContent = unanswered.length === 0 ? 'Final Results' : 'Results So Far';
+    const percent = answered > 0 ? Math.round(points / answered * 100) : 0;
+    totalsEl.textContent = `${correct.length} of ${questions.length} correct on the first attempt` +
+      (points !== correct.length ? `, ${points} points with partial credit` : '') +
+      (answered > 0 ? ` (${percent}% of answered questions)` : '');
+    
+    groupsEl.innerHTML = '';
+    groupsEl.append(
+      renderGroup('Correct', 'correct', correct),
+      renderGroup('Incorrect', 'incorrect', incorrect, questionEl => {
+        const credit = resultCredit(questionEl);
+        return credit > 0 ? ` (${formatPercent(credit)} credit)` : '';
+      }),
+      renderGroup('Unanswered', 'unanswered', unanswered)
+    );
+    retryButton.disabled = incorrect.length === 0;
+  };
+  
+  // Clear the incorrect questions and go to the first, so they can be answered again
+  retryButton.addEventListener('click', () => {
+    const incorrect = questions.filter(questionEl => quizResults.has(questionEl) && !quizResults.get(questionEl).correct);
+    if (incorrect.length === 0) return;
+    
+    incorrect.forEach(resetQuestion);
+    updateQuizScore();
+    incorrect[0].scrollIntoView({ block: 'start' });
+  });
+  
+  // Shuffle mode applies to every page, so it is saved as a setting
+  shuffleInput.addEventListener('change', () => {
+    shuffleEnabled = shuffleInput.checked;
+    questions.forEach(questionEl => {
+      arrangeOptions(questionEl, shuffleEnabled ? shuffledOrder(questionEl) : null);
+      if (quizProgress && window.QuizProgress.getQuestion(quizProgress.progress, quizProgress.quizId, questionEl.dataset.questionKey)) {
+        saveQuestion(questionEl);
+      }
+    });
+    if (quizProgress) {
+      window.QuizProgress.setSetting(quizProgress.progress, 'shuffleOptions', shuffleEnabled);
+      window.QuizProgress.save(quizProgress.storage, quizProgress.progress);
+    }
+  });
+  
+  // The scheme applies to every page; checked answers are graded again under it
+  schemeSelect.addEventListener('change', () => {
+    scoringScheme = schemeSelect.value;
+    questions.forEach(questionEl => {
+      if (/\b(correct|incorrect)\b/.test(questionEl.querySelector('.feedback').className) && selectedValues(questionEl).length > 0) {
+        checkAnswer(questionEl);
+      }
+    });
+    if (quizProgress) {
+      window.QuizProgress.setSetting(quizProgress.progress, 'scoringScheme', scoringScheme);
+      window.QuizProgress.save(quizProgress.storage, quizProgress.progress);
+    }
+    updateQuizScore();
+  });
+  
+  resetButton.addEventListener('click', () => {
+    if (!window.confirm('Clear all answers and saved progress for this quiz?')) return;
+    
+    questions.forEach(resetQuestion);
+    if (quizProgress) {
+      window.QuizProgress.resetQuiz(quizProgress.progress, quizProgress.quizId);
+      window.QuizProgress.save(quizProgress.storage, quizProgress.progress);
+    }
+    resetExam();
+    updateQuizScore();
+  });
+  
+  updateQuizScore();
+}
+
+// Exam mode: answers are not checked until "Submit" grades them all at once, and the
+// explanations, feedback and score stay hidden until then. The exam runs against a deadline
+// saved with the quiz's progress, so a reload continues the countdown, and it is submitted
+// automatically when time runs out.
+const EXAM_MINUTES_PER_QUESTION = 1.5;
+
+// Ends the page's exam, running or submitted, and hides its report; set by setupExamMode.
+// "Reset quiz" calls it, since resetting the progress also drops the saved exam.
+let resetExam = function() {};
+
+// Minutes allowed for an exam: ?minutes=N, or EXAM_MINUTES_PER_QUESTION for each question
+function examMinutes(questionCount) {
+  const requested = Number(new URLSearchParams(window.location.search).get('minutes'));
+  return requested > 0 ? requested : Math.ceil(questionCount * EXAM_MINUTES_PER_QUESTION);
+}
+
+// "12:05" for a number of milliseconds
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function setupExamMode() {
+  const container = document.querySelector('.quiz-container');
+  const scoreEl = document.querySelector('.quiz-score');
+  if (!container || !scoreEl) return;
+  
+  const questions = Array.from(container.querySelectorAll('.question'));
+  const summaryEl = document.querySelector('.quiz-summary');
+  const params = new URLSearchParams(window.location.search);
+  let exam = quizProgress ? window.QuizProgress.getExam(quizProgress.progress, quizProgress.quizId) : null;
+  let timer = null;
+  
+  // Countdown and Submit in the score bar, and the start control next to "Reset quiz"
+  const statusEl = document.createElement('span');
+  statusEl.className = 'quiz-exam-status';
+  statusEl.setAttribute('role', 'timer');
+  const submitButton = document.createElement('button');
+  submitButton.type = 'button';
+  submitButton.className = 'btn quiz-exam-submit';
+  submitButton.textContent = 'Submit';
+  scoreEl.append(statusEl, submitButton);
+  
+  const startButton = document.createElement('button');
+  startButton.type = 'button';
+  startButton.className = 'quiz-exam-start';
+  startButton.textContent = 'Start exam';
+  startButton.title = 'Answer every question against the clock, then grade them all at once';
+  scoreEl.querySelector('.quiz-controls').prepend(startButton);
+  
+  const reportEl = document.createElement('p');
+  reportEl.className = 'quiz-exam-report';
+  summaryEl.insertBefore(reportEl, summaryEl.querySelector('.quiz-summary-totals'));
+  
+  function saveExam() {
+    if (!quizProgress) return;
+    window.QuizProgress.setExam(quizProgress.progress, quizProgress.quizId, exam);
+    window.QuizProgress.save(quizProgress.storage, quizProgress.progress);
+  }
+  
+  // Without ?mode=exam, so reloading after the exam doesn't start another one
+  function leaveExamUrl() {
+    if (params.get('mode') !== 'exam') return;
+    params.delete('mode');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+  }
+  
+  function updateStatus() {
+    const remaining = new Date(exam.deadline).getTime() - Date.now();
+    if (remaining <= 0) {
+      submitExam(true);
+      return;
+    }
+    const answered = questions.filter(questionEl => questionEl.querySelector('input:checked')).length;
+    statusEl.textContent = `Exam: ${answered}/${questions.length} answered, ${formatDuration(remaining)} left`;
+  }
+  
+  function showReport() {
+    const started = new Date(exam.startedAt).getTime();
+    const deadline = new Date(exam.deadline).getTime();
+    const submitted = new Date(exam.submittedAt).getTime();
+    reportEl.textContent = submitted >= deadline
+      ? 'Exam: time ran out and the answers were submitted automatically.'
+      : `Exam: submitted after ${formatDuration(submitted - started)} of ${formatDuration(deadline - started)}.`;
+    reportEl.hidden = false;
+  }
+  
+  function runExam() {
+    document.body.classList.add('exam-mode');
+    reportEl.hidden = true;
+    updateStatus();
+    if (exam && !exam.submittedAt) {
+      timer = setInterval(updateStatus, 1000);
+    }
+  }
+  
+  // Grade every question; a question left blank counts as wrong
+  function submitExam(expired) {
+    clearInterval(timer);
+    questions.forEach(questionEl => {
+      const result = checkAnswer(questionEl);
+      if (!result.hasSelection) {
+        const feedbackEl = questionEl.querySelector('.feedback');
+        feedbackEl.textContent = 'Not answered.';
+        feedbackEl.className = 'feedback incorrect';
+        highlightCorrectAnswers(questionEl);
+      }
+      recordAnswer(questionEl, result);
+      questionEl.querySelector('.explanation').style.display = 'block';
+      questionEl.querySelector('.btn-check').textContent = 'Hide Explanation';
+      saveQuestion(questionEl);
+    });
+    
+    exam = Object.assign({}, exam, { submittedAt: (expired ? new Date(exam.deadline) : new Date()).toISOString() });
+    saveExam();
+    leaveExamUrl();
+    document.body.classList.remove('exam-mode');
+    showReport();
+    summaryEl.scrollIntoView({ block: 'start' });
+  }
+  
+  // Start over with a fresh deadline; returns false if the user keeps their answers instead
+  function startExam() {
+    const answered = questions.some(questionEl => quizResults.has(questionEl) || questionEl.querySelector('input:checked'));
+    if (answered && !window.confirm('Starting an exam clears your answers on this quiz. Continue?')) {
+      return false;
+    }
+    
+    questions.forEach(resetQuestion);
+    if (quizProgress) {
+      window.QuizProgress.resetQuiz(quizProgress.progress, quizProgress.quizId);
+    }
+    updateQuizScore();
+    
+    const now = Date.now();
+    exam = {
+      startedAt: new Date(now).toISOString(),
+      deadline: new Date(now + examMinutes(questions.length) * 60 * 1000).toISOString(),
+      submittedAt: null
+    };
+    saveExam();
+    window.scrollTo(0, 0);
+    return true;
+  }
+  
+  submitButton.addEventListener('click', () => {
+    const blank = questions.filter(questionEl => !questionEl.querySelector('input:checked')).length;
+    if (blank > 0 && !window.confirm(`${blank} question${blank === 1 ? ' is' : 's are'} not answered. Submit anyway?`)) return;
+    submitExam(false);
+  });
+  
+  startButton.addEventListener('click', () => {
+    if (startExam()) runExam();
+  });
+  
+  resetExam = () => {
+    clearInterval(timer);
+    timer = null;
+    exam = null;
+    statusEl.textContent = '';
+    reportEl.textContent = '';
+    reportEl.hidden = true;
+    document.body.classList.remove('exam-mode');
+    leaveExamUrl();
+  };
+  
+  container.addEventListener('change', () => {
+    if (document.body.classList.contains('exam-mode')) updateStatus();
+  });
+  
+  // Continue a running exam (submitting it if its time ran out while away), or start one
+  if (exam && !exam.submittedAt) {
+    runExam();
+  } else if (params.get('mode') === 'exam') {
+    if (startExam()) {
+      runExam();
+    } else {
+      leaveExamUrl();
+    }
+  } else if (exam) {
+    showReport();
+  }
+}
+
+// Keyboard shortcuts on pages with questions (quiz, practice and review pages). The active
+// question is the one with focus: j/k move it, and the other keys act on it like the mouse
+// would. Questions are looked up on each key press, so ones added later work too.
+const SHORTCUTS = [
+  ['j / k', 'Next / previous question'],
+  ['1–6 or a–f', 'Select or clear an option (5 for option E)'],
+  ['Enter', 'Check the answer'],
+  ['e', 'Show or hide the explanation'],
+  ['?', 'Show these shortcuts'],
+  ['Esc', 'Close this list']
+];
+
+// Displayed option positions by key; "e" is taken by the explanation, so option E is 5
+const OPTION_KEYS = { 1: 0, 2: 1, 3: 2, 4: 3, 5: 4, 6: 5, a: 0, b: 1, c: 2, d: 3, f: 5 };
+
+let activeQuestion = null;
+
+// Questions on the page that aren't hidden (the practice page hides old sessions)
+function visibleQuestions() {
+  return Array.from(document.querySelectorAll('.question')).filter(questionEl => !questionEl.closest('[hidden]'));
+}
+
+// Make a question the active one and move focus to it
+function focusQuestion(questionEl) {
+  activeQuestion = questionEl;
+  if (!questionEl.hasAttribute('tabindex')) questionEl.tabIndex = -1;
+  questionEl.focus({ preventScroll: true });
+  questionEl.scrollIntoView({ block: 'start' });
+}
+
+// Typing goes to text fields, not shortcuts
+function isTextField(element) {
+  if (!element || !element.closest) return false;
+  if (element.isContentEditable || element.closest('textarea, select')) return true;
+  const input = element.closest('input');
+  return Boolean(input) && !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(input.type);
+}
+
+// Toggle the option at `position` (0-based, as displayed), as a click would
+function toggleOption(questionEl, position) {
+  const input = questionEl.querySelectorAll('.option input')[position];
+  if (!input || input.disabled) return;
+  
+  input.checked = input.type === 'radio' ? true : !input.checked;
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Check the answer; after a change to a checked answer, check it again (the button would
+// first hide the explanation)
+function checkWithKeyboard(questionEl) {
+  const button = questionEl.querySelector('.btn-check');
+  if (!button || button.hidden) return;
+  
+  if (questionEl.querySelector('.explanation').style.display === 'block') button.click();
+  button.click();
+}
+
+// The check button shows and hides the explanation on quiz pages; once it's gone (the
+// review page hides it after checking) the explanation is toggled directly
+function toggleExplanation(questionEl) {
+  const button = questionEl.querySelector('.btn-check');
+  if (button && !button.hidden) {
+    button.click();
+    return;
+  }
+  
+  const explanationEl = questionEl.querySelector('.explanation');
+  explanationEl.style.display = explanationEl.style.display === 'block' ? 'none' : 'block';
+}
+
+// The "?" overlay listing the shortcuts, created on first use
+function shortcutHelp() {
+  let overlay = document.querySelector('.shortcut-help');
+  if (overlay) return overlay;
+  
+  overlay = document.createElement('div');
+  overlay.className = 'shortcut-help';
+  overlay.hidden = true;
+  const dialog = document.createElement('div');
+  dialog.className = 'shortcut-help-dialog';
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-labelledby', 'shortcut-help-title');
+  const heading = document.createElement('h3');
+  heading.id = 'shortcut-help-title';
+  heading.textContent = 'Keyboard shortcuts';
+  const list = document.createElement('dl');
+  SHORTCUTS.forEach(([keys, action]) => {
+    const term = document.createElement('dt');
+    keys.split(/( \/ | or )/).forEach(part => {
+      if (part === ' / ' || part === ' or ') {
+        term.append(part);
+      } else {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = part;
+        term.appendChild(kbd);
+      }
+    });
+    const description = document.createElement('dd');
+    description.textContent = action;
+    list.append(term, description);
+  });
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'btn shortcut-help-close';
+  closeButton.textContent = 'Close';
+  dialog.append(heading, list, closeButton);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+  
+  closeButton.addEventListener('click', () => hideShortcutHelp());
+  overlay.addEventListener('click', event => {
+    if (event.target === overlay) hideShortcutHelp();
+  });
+  return overlay;
+}
+
+// Focus to go back to when the overlay closes
+let focusBeforeHelp = null;
+
+function showShortcutHelp() {
+  const overlay = shortcutHelp();
+  focusBeforeHelp = document.activeElement;
+  overlay.hidden = false;
+  overlay.querySelector('.shortcut-help-close').focus();
+}
+
+function hideShortcutHelp() {
+  const overlay = document.querySelector('.shortcut-help');
+  if (!overlay || overlay.hidden) return;
+  
+  overlay.hidden = true;
+  if (focusBeforeHelp && document.contains(focusBeforeHelp)) focusBeforeHelp.focus({ preventScroll: true });
+  focusBeforeHelp = null;
+}
+
+function setupKeyboardShortcuts() {
+  // Clicking or tabbing into a question makes it the active one
+  document.addEventListener('focusin', event => {
+    const questionEl = event.target.closest && event.target.closest('.question');
+    if (questionEl) activeQuestion = questionEl;
+  });
+  document.addEventListener('click', event => {
+    const questionEl = event.target.closest && event.target.closest('.question');
+    if (questionEl) activeQuestion = questionEl;
+  });
+  
+  document.addEventListener('keydown', event => {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    
+    const overlay = document.querySelector('.shortcut-help');
+    if (overlay && !overlay.hidden) {
+      if (event.key === 'Escape' || event.key === '?') {
+        event.preventDefault();
+        hideShortcutHelp();
+      }
+      return;
+    }
+    if (isTextField(event.target)) return;
+    
+    const questions = visibleQuestions();
+    if (questions.length === 0) return;
+    
+    // A question linked to (#question-5) is active until another one is chosen
+    const target = document.querySelector('.question:target');
+    const current = questions.includes(activeQuestion) ? activeQuestion : (questions.includes(target) ? target : null);
+    const key = event.key;
+    
+    if (key === '?') {
+      event.preventDefault();
+      showShortcutHelp();
+    } else if (key === 'j' || key === 'k') {
+      event.preventDefault();
+      const index = current ? questions.indexOf(current) + (key === 'j' ? 1 : -1) : 0;
+      focusQuestion(questions[Math.max(0, Math.min(questions.length - 1, index))]);
+    } else if (!current) {
+      return;
+    } else if (Object.prototype.hasOwnProperty.call(OPTION_KEYS, key)) {
+      event.preventDefault();
+      toggleOption(current, OPTION_KEYS[key]);
+    } else if (document.body.classList.contains('exam-mode')) {
+      // Exams are only graded by "Submit", and explanations wait until then
+      return;
+    } else if (key === 'e') {
+      event.preventDefault();
+      toggleExplanation(current);
+    } else if (key === 'Enter') {
+      // Buttons and links keep their own Enter
+      if (event.target.closest && event.target.closest('button, a')) return;
+      event.preventDefault();
+      checkWithKeyboard(current);
+    }
+  });
+}
+
+// The search index (js/search-index.js, written by build.js) is loaded on first use
+// through a script tag, which also works for pages opened from file://
+let searchIndexPromise = null;
+
+function loadSearchIndex(root) {
+  if (!searchIndexPromise) {
+    searchIndexPromise = new Promise((resolve, reject) => {
+      if (window.SEARCH_INDEX) {
+        resolve(window.SEARCH_INDEX);
+        return;
+      }
+      const script = document.createElement('script');
+      script.src = `${root}js/search-index.js`;
+      script.onload = () => resolve(window.SEARCH_INDEX);
+      script.onerror = () => {
+        searchIndexPromise = null;
+        reject(new Error('Search index could not be loaded'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return searchIndexPromise;
+}
+
+function setupSearch() {
+  const form = document.querySelector('.search');
+  if (!form || !window.QuizSearch) return;
+  
+  const input = form.querySelector('.search-input');
+  const resultsEl = form.querySelector('.search-results');
+  const root = form.dataset.root || '';
+  let pending = null;
+  
+  function renderResults(results, query) {
+    resultsEl.innerHTML = '';
+    resultsEl.hidden = !query.trim();
+    
+    if (results.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'search-empty';
+      empty.textContent = 'No results';
+      resultsEl.appendChild(empty);
+      return;
+    }
+    
+    results.forEach(result => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = root + result.url;
+      link.className = `search-result search-result-${result.kind}`;
+      
+      const title = document.createElement('span');
+      title.className = 'search-result-title';
+      title.textContent = result.title;
+      
+      const excerpt = document.createElement('span');
+      excerpt.className = 'search-result-excerpt';
+      excerpt.textContent = result.excerpt;
+      
+      link.append(title, excerpt);
+      item.appendChild(link);
+      resultsEl.appendChild(item);
+    });
+  }
+  
+  function runSearch() {
+    const query = input.value;
+    if (!query.trim()) {
+      renderResults([], '');
+      return;
+    }
+    
+    loadSearchIndex(root)
+      .then(index => renderResults(window.QuizSearch.search(index, query), query))
+      .catch(() => {
+        resultsEl.hidden = false;
+        resultsEl.innerHTML = '<li class="search-empty">Search is unavailable</li>';
+      });
+  }
+  
+  // Start loading the index as soon as the box is used
+  input.addEventListener('focus', () => loadSearchIndex(root).catch(() => {}));
+  input.addEventListener('input', () => {
+    clearTimeout(pending);
+    pending = setTimeout(runSearch, 100);
+  });
+  input.addEventListener('keydown', event => {
+    if (event.key === 'Escape') {
+      input.value = '';
+      renderResults([], '');
+    }
+  });
+  
+  // Enter opens the best match
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const first = resultsEl.querySelector('a');
+    if (first) {
+      window.location.href = first.href;
+    }
+  });
+}
+
+// Seconds from a time such as "00:01:35", "1:35" or "95", or null
+function parseTime(value) {
+  const match = String(value).trim().match(/^(?:(?:(\d+):)?(\d{1,2}):)?(\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  return Number(match[1] || 0) * 3600 + Number(match[2] || 0) * 60 + Math.floor(Number(match[3]));
+}
+
+// The transcript segment playing at a time: the last one starting at or before it
+function findSegment(seconds) {
+  let found = null;
+  document.querySelectorAll('.transcript p[data-seconds]').forEach(segment => {
+    if (Number(segment.dataset.seconds) <= seconds) {
+      found = segment;
+    }
+  });
+  return found;
+}
+
+// Scroll to and highlight the segment named by a #t=... fragment
+function showLinkedSegment() {
+  const match = window.location.hash.match(/^#t=(.+)$/);
+  if (!match) return;
+  
+  const seconds = parseTime(decodeURIComponent(match[1]));
+  const segment = seconds === null ? null : findSegment(seconds);
+  if (!segment) return;
+  
+  document.querySelectorAll('.segment-highlight').forEach(el => el.classList.remove('segment-highlight'));
+  segment.classList.add('segment-highlight');
+  segment.scrollIntoView({ block: 'center' });
+}
+
+function setupTranscriptLinks() {
+  if (!document.querySelector('.transcript p[data-seconds]')) return;
+  
+  showLinkedSegment();
+  window.addEventListener('hashchange', showLinkedSegment);
+  
+  // Copy a link to the segment, and go to it so the address bar shows the link too
+  document.querySelectorAll('.segment-copy').forEach(button => {
+    button.addEventListener('click', function() {
+      const hash = `#t=${this.dataset.time}`;
+      const url = window.location.href.split('#')[0] + hash;
+      
+      if (window.location.hash !== hash) {
+        window.location.hash = hash;
+      }
+      
+      if (navigator.clipboard) {
+        navigator.clipboard.writeText(url).then(() => {
+          this.classList.add('copied');
+          this.title = 'Link copied';
+          setTimeout(() => {
+            this.classList.remove('copied');
+            this.title = `Copy link to ${this.dataset.time}`;
+          }, 1500);
+        }).catch(() => {});
+      }
+    });
+  });
+}
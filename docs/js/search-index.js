@@ -0,0 +1,2 @@
+// Generated by build.js - do not edit
+window.SEARCH_INDEX = {"version":1,"docs":[["quiz","quizzes/13.1Combined.html#question-1","13.1 Generative Models Introduction · Question 1","Which of the following accurately describe the role and goals of generative models in unsupervised learning?"],["quiz","quizzes/13.1Combined.html#question-2","13.1 Generative Models Introduction · Question 2","Which of the following traditional methods were used for density estimation or similar probabilistic modeling before the resurgence of deep learning? (Select…"],["quiz","quizzes/13.1Combined.html#question-3","13.1 Generative Models Introduction · Question 3","Generative models model the conditional probability of labels given the input data."],["quiz","quizzes/13.1Combined.html#question-4","13.1 Generative Models Introduction · Question 4","What are key challenges associated with modeling the joint distribution of high-dimensional data in generative models?"],["quiz","quizzes/13.1Combined.html#question-5","13.1 Generative Models Introduction · Question 5","You are asked to design a generative model for a new high-dimensional image dataset. What strategies from the transcript are likely to help in tackling the…"],["quiz","quizzes/13.1Combined.html#question-6","13.1 Generative Models Introduction · Question 6","Which of the following statements best captures the distinction between discriminative and generative models?"],["quiz","quizzes/13.1Combined.html#question-7","13.1 Generative Models Introduction · Question 7","According to the transcript, why is deep learning suitable for generative modeling of high-dimensional data?"],["quiz","quizzes/13.1Combined.html#question-8","13.1 Generative Models Introduction · Question 8","The ability to generate new data samples is a core feature of generative models."],["quiz","quizzes/13.1Combined.html#question-9","13.1 Generative Models Introduction · Question 9","Which principles or techniques are commonly used in optimizing and evaluating generative models? (Select all that apply)"],["quiz","quizzes/13.2Combined.html#question-1","13.2 PixelRNN & PixelCNN · Question 1","Which of the following accurately describe the use of the chain rule in probabilistic modeling for PixelRNN and PixelCNN? (Select all that apply)"],["quiz","quizzes/13.2Combined.html#question-2","13.2 PixelRNN & PixelCNN · Question 2","In PixelRNN, the generation of an image can be parallelized to improve efficiency."],["quiz","quizzes/13.2Combined.html#question-3","13.2 PixelRNN & PixelCNN · Question 3","Which of the following challenges are associated with modeling images using PixelRNN? (Select all that apply)"],["quiz","quizzes/13.2Combined.html#question-4","13.2 PixelRNN & PixelCNN · Question 4","What are the key architectural and functional differences between PixelCNN and PixelRNN? (Select all that apply)"],["quiz","quizzes/13.2Combined.html#question-5","13.2 PixelRNN & PixelCNN · Question 5","Masked convolutions in PixelCNN allow the model to capture dependencies between all pixels in an image simultaneously."],["quiz","quizzes/13.2Combined.html#question-6","13.2 PixelRNN & PixelCNN · Question 6","Which of the following is a drawback of using PixelRNN for image generation?"],["quiz","quizzes/13.2Combined.html#question-7","13.2 PixelRNN & PixelCNN · Question 7","What role does teacher forcing play in training PixelRNN models?"],["quiz","quizzes/13.2Combined.html#question-8","13.2 PixelRNN & PixelCNN · Question 8","What are the advantages of using PixelCNN over PixelRNN for image generation tasks? (Select all that apply)"],["quiz","quizzes/13.2Combined.html#question-9","13.2 PixelRNN & PixelCNN · Question 9","PixelRNN and PixelCNN are both designed to model the joint distribution of image pixels by factorizing it into conditional distributions."],["quiz","quizzes/13.2Combined.html#question-10","13.2 PixelRNN & PixelCNN · Question 10","Which of the following accurately describe the significance and implications of pixel ordering in PixelRNN and PixelCNN models? (Select all that apply)"],["quiz","quizzes/13.3Combined.html#question-1","13.3 Generative Adversarial Networks (GANs) · Question 1","GANs learn an explicit probability density function over the input data \\( p(x) \\)."],["quiz","quizzes/13.3Combined.html#question-2","13.3 Generative Adversarial Networks (GANs) · Question 2","Which of the following accurately describe the role and characteristics of the discriminator in a GAN? (Select all that apply)"],["quiz","quizzes/13.3Combined.html#question-3","13.3 Generative Adversarial Networks (GANs) · Question 3","Which of the following challenges are associated with training GANs? (Select all that apply)"],["quiz","quizzes/13.3Combined.html#question-4","13.3 Generative Adversarial Networks (GANs) · Question 4","The generator in a GAN is updated using the same part of the loss function that affects the discriminator."],["quiz","quizzes/13.3Combined.html#question-5","13.3 Generative Adversarial Networks (GANs) · Question 5","Which of the following can be used as inputs and characteristics of the generator component in GANs? (Select all that apply)"],["quiz","quizzes/13.3Combined.html#question-6","13.3 Generative Adversarial Networks (GANs) · Question 6","Which of the following are methods used to stabilize GAN training? (Select all that apply)"],["quiz","quizzes/13.3Combined.html#question-7","13.3 Generative Adversarial Networks (GANs) · Question 7","Which of the following accurately describe the objectives and optimization dynamics of the generator in a GAN? (Select all that apply)"],["quiz","quizzes/13.3Combined.html#question-8","13.3 Generative Adversarial Networks (GANs) · Question 8","After training a GAN, only the generator is typically used to sample new data."],["quiz","quizzes/13.3Combined.html#question-9","13.3 Generative Adversarial Networks (GANs) · Question 9","Which of the following accurately describe mode collapse and related challenges in GAN training? (Select all that apply)"],["quiz","quizzes/13.3Combined.html#question-10","13.3 Generative Adversarial Networks (GANs) · Question 10","What are some real-world applications or extensions of GANs mentioned in the lecture? (Select all that apply)"],["quiz","quizzes/13.4Combined.html#question-1","13.4 Variational Autoencoders (VAEs) · Question 1","VAEs are generative models that maintain an explicit density model of the data."],["quiz","quizzes/13.4Combined.html#question-2","13.4 Variational Autoencoders (VAEs) · Question 2","Which of the following accurately describe the role and properties of the Variational Lower Bound (ELBO) in VAEs? (Select all that apply)"],["quiz","quizzes/13.4Combined.html#question-3","13.4 Variational Autoencoders (VAEs) · Question 3","Which components are part of the VAE architecture?"],["quiz","quizzes/13.4Combined.html#question-4","13.4 Variational Autoencoders (VAEs) · Question 4","Which of the following accurately describe the purpose and effects of the KL divergence term in the VAE loss function? (Select all that apply)"],["quiz","quizzes/13.4Combined.html#question-5","13.4 Variational Autoencoders (VAEs) · Question 5","The reparameterization trick enables backpropagation through the sampling process in VAEs."],["quiz","quizzes/13.4Combined.html#question-6","13.4 Variational Autoencoders (VAEs) · Question 6","Which of the following accurately describe the properties and outputs of the decoder in a VAE? (Select all that apply)"],["quiz","quizzes/13.4Combined.html#question-7","13.4 Variational Autoencoders (VAEs) · Question 7","Which of the following are accurate statements about the relationship between the true posterior p(z|x) and the approximate posterior q(z|x) in VAEs? (Select…"],["quiz","quizzes/13.4Combined.html#question-8","13.4 Variational Autoencoders (VAEs) · Question 8","Which benefits or capabilities are associated with the latent space of a trained VAE?"],["quiz","quizzes/13.4Combined.html#question-9","13.4 Variational Autoencoders (VAEs) · Question 9","The decoder in a VAE directly generates the reconstructed image without involving any probability distribution."],["quiz","quizzes/13.4Combined.html#question-10","13.4 Variational Autoencoders (VAEs) · Question 10","Which of the following accurately describe limitations or challenges associated with VAEs, particularly when compared to other generative models? (Select all…"],["quiz","quizzes/17.1Combined.html#question-1","17.1 Reinforcement Learning Introduction · Question 1","In reinforcement learning, agents are trained with labeled data to learn a direct mapping from inputs to outputs."],["quiz","quizzes/17.1Combined.html#question-2","17.1 Reinforcement Learning Introduction · Question 2","Which of the following accurately describe key characteristics and properties of reinforcement learning? (Select all that apply)"],["quiz","quizzes/17.1Combined.html#question-3","17.1 Reinforcement Learning Introduction · Question 3","Which of the following are key characteristics or challenges of reinforcement learning?"],["quiz","quizzes/17.1Combined.html#question-4","17.1 Reinforcement Learning Introduction · Question 4","Which of the following accurately describe what an RL agent receives from the environment during the interaction loop? (Select all that apply)"],["quiz","quizzes/17.1Combined.html#question-5","17.1 Reinforcement Learning Introduction · Question 5","The data distribution that a reinforcement learning agent sees remains stationary throughout training."],["quiz","quizzes/17.1Combined.html#question-6","17.1 Reinforcement Learning Introduction · Question 6","Which of the following accurately describe the nature and characteristics of \"evaluative feedback\" in reinforcement learning? (Select all that apply)"],["quiz","quizzes/17.1Combined.html#question-7","17.1 Reinforcement Learning Introduction · Question 7","Which are common application domains for reinforcement learning as discussed in the lecture?"],["quiz","quizzes/17.1Combined.html#question-8","17.1 Reinforcement Learning Introduction · Question 8","The RL agent receives rewards for all actions, including those it did not take."],["quiz","quizzes/17.1Combined.html#question-9","17.1 Reinforcement Learning Introduction · Question 9","Which of the following accurately describe challenges specific to reinforcement learning in real-world robotic settings? (Select all that apply)"],["quiz","quizzes/17.1Combined.html#question-10","17.1 Reinforcement Learning Introduction · Question 10","What is the agent’s goal in reinforcement learning?"],["quiz","quizzes/17.2Combined.html#question-1","17.2 Markov Decision Processes · Question 1","Which of the following accurately describe the purpose and significance of Markov Decision Processes (MDPs) in reinforcement learning? (Select all that apply)"],["quiz","quizzes/17.2Combined.html#question-2","17.2 Markov Decision Processes · Question 2","Which of the following are components of a standard MDP definition?"],["quiz","quizzes/17.2Combined.html#question-3","17.2 Markov Decision Processes · Question 3","The Markov property implies that the next state depends on the entire history of states and actions."],["quiz","quizzes/17.2Combined.html#question-4","17.2 Markov Decision Processes · Question 4","Which of the following accurately describe the type of information and feedback available to an agent in a typical MDP learning scenario? (Select all that…"],["quiz","quizzes/17.2Combined.html#question-5","17.2 Markov Decision Processes · Question 5","Which of the following accurately describe a deterministic or stochastic policy?"],["quiz","quizzes/17.2Combined.html#question-6","17.2 Markov Decision Processes · Question 6","Which of the following are influenced by or related to the discount factor \\( \\gamma \\) in an MDP? (Select all that apply)"],["quiz","quizzes/17.2Combined.html#question-7","17.2 Markov Decision Processes · Question 7","Lower values of the discount factor \\( \\gamma \\) cause the agent to prioritize short-term rewards."],["quiz","quizzes/17.2Combined.html#question-8","17.2 Markov Decision Processes · Question 8","Which of the following are value-related functions defined in the lecture?"],["quiz","quizzes/17.2Combined.html#question-9","17.2 Markov Decision Processes · Question 9","What happens when the reward at non-absorbing states is made more negative?"],["quiz","quizzes/17.2Combined.html#question-10","17.2 Markov Decision Processes · Question 10","A Q-function provides an estimate of future rewards for a given action taken at a particular state."],["quiz","quizzes/17.3Combined.html#question-1","17.3 Algorithms for Solving MDPs · Question 1","The optimal value function \\( V^ \\) for a state is defined as the maximum over all actions of the corresponding optimal Q-values \\( Q^(s, a) \\)."],["quiz","quizzes/17.3Combined.html#question-2","17.3 Algorithms for Solving MDPs · Question 2","Which of the following accurately describe the properties and role of the Bellman equation in MDPs? (Select all that apply)"],["quiz","quizzes/17.3Combined.html#question-3","17.3 Algorithms for Solving MDPs · Question 3","Which of the following accurately describe the characteristics, goals, and properties of the value iteration algorithm? (Select all that apply)"],["quiz","quizzes/17.3Combined.html#question-4","17.3 Algorithms for Solving MDPs · Question 4","Which of the following are components or results of value iteration?"],["quiz","quizzes/17.3Combined.html#question-5","17.3 Algorithms for Solving MDPs · Question 5","Policy iteration always requires more iterations than value iteration to converge."],["quiz","quizzes/17.3Combined.html#question-6","17.3 Algorithms for Solving MDPs · Question 6","Which of the following accurately describe differences between value iteration and Q iteration algorithms? (Select all that apply)"],["quiz","quizzes/17.3Combined.html#question-7","17.3 Algorithms for Solving MDPs · Question 7","Policy iteration alternates between evaluating the current policy and greedily updating it."],["quiz","quizzes/17.3Combined.html#question-8","17.3 Algorithms for Solving MDPs · Question 8","Why are dynamic programming approaches to solving MDPs often impractical for large environments?"],["quiz","quizzes/17.3Combined.html#question-9","17.3 Algorithms for Solving MDPs · Question 9","Which of the following accurately describe the purpose and characteristics of the policy improvement step in policy iteration? (Select all that apply)"],["quiz","quizzes/17.3Combined.html#question-10","17.3 Algorithms for Solving MDPs · Question 10","Which of the following accurately describe the role and applications of Bellman equations in reinforcement learning algorithms? (Select all that apply)"],["quiz","quizzes/17.4Combined.html#question-1","17.4 Deep Q-Learning · Question 1","Deep Q-Learning uses a for-loop over all states to update the Q-function, similar to traditional Q-iteration."],["quiz","quizzes/17.4Combined.html#question-2","17.4 Deep Q-Learning · Question 2","What role does the Bellman equation play in Deep Q-Learning? (Select all that apply)"],["quiz","quizzes/17.4Combined.html#question-3","17.4 Deep Q-Learning · Question 3","Which of the following are key components of the Deep Q-Learning training approach? (Select all that apply)"],["quiz","quizzes/17.4Combined.html#question-4","17.4 Deep Q-Learning · Question 4","What is the purpose of using a separate target network (Qold) in Deep Q-Learning?"],["quiz","quizzes/17.4Combined.html#question-5","17.4 Deep Q-Learning · Question 5","In Deep Q-Learning, both Q-networks (Qnew and Qold) are updated simultaneously during training."],["quiz","quizzes/17.4Combined.html#question-6","17.4 Deep Q-Learning · Question 6","What problems can arise when collecting training data using a purely greedy policy in Deep Q-Learning? (Select all that apply)"],["quiz","quizzes/17.4Combined.html#question-7","17.4 Deep Q-Learning · Question 7","What is the main purpose of the epsilon-greedy strategy in Deep Q-Learning?"],["quiz","quizzes/17.4Combined.html#question-8","17.4 Deep Q-Learning · Question 8","In a replay buffer, only the most recent experiences are stored to ensure the agent learns from the latest environment dynamics."],["quiz","quizzes/17.4Combined.html#question-9","17.4 Deep Q-Learning · Question 9","Which techniques help stabilize Deep Q-Learning training? (Select all that apply)"],["quiz","quizzes/17.4Combined.html#question-10","17.4 Deep Q-Learning · Question 10","What is a key challenge when applying Deep Q-Learning to environments with continuous action spaces?"],["quiz","quizzes/17.5Combined.html#question-1","17.5 Policy Gradients, Actor-Critic · Question 1","Policy-based reinforcement learning methods directly optimize a parameterized policy."],["quiz","quizzes/17.5Combined.html#question-2","17.5 Policy Gradients, Actor-Critic · Question 2","Which of the following accurately describe differences between value-based and policy-based reinforcement learning methods? (Select all that apply)"],["quiz","quizzes/17.5Combined.html#question-3","17.5 Policy Gradients, Actor-Critic · Question 3","Which of the following are components of the REINFORCE algorithm?"],["quiz","quizzes/17.5Combined.html#question-4","17.5 Policy Gradients, Actor-Critic · Question 4","Which of the following accurately describe the purposes and benefits of using the log-derivative trick in policy gradient methods? (Select all that apply)"],["quiz","quizzes/17.5Combined.html#question-5","17.5 Policy Gradients, Actor-Critic · Question 5","In REINFORCE, the gradient update increases the likelihood of action sequences that result in higher rewards."],["quiz","quizzes/17.5Combined.html#question-6","17.5 Policy Gradients, Actor-Critic · Question 6","What are some limitations of REINFORCE as discussed in the lecture?"],["quiz","quizzes/17.5Combined.html#question-7","17.5 Policy Gradients, Actor-Critic · Question 7","Which of the following accurately describe the roles and properties of baselines in policy gradient algorithms? (Select all that apply)"],["quiz","quizzes/17.5Combined.html#question-8","17.5 Policy Gradients, Actor-Critic · Question 8","Subtracting a baseline that does not depend on actions changes the mean of the policy gradient estimate."],["quiz","quizzes/17.5Combined.html#question-9","17.5 Policy Gradients, Actor-Critic · Question 9","Which of the following accurately describe scaling factors and signal reductions used in different actor-critic variant algorithms? (Select all that apply)"],["quiz","quizzes/17.5Combined.html#question-10","17.5 Policy Gradients, Actor-Critic · Question 10","Which elements are used in the actor-critic algorithm?"],["quiz","quizzes/18.1Combined.html#question-1","18.1 Advanced Topics Introduction · Question 1","In few-shot learning, it is common to assume access to a large amount of unlabeled data."],["quiz","quizzes/18.1Combined.html#question-2","18.1 Advanced Topics Introduction · Question 2","Which of the following accurately describe key characteristics and assumptions of semi-supervised learning? (Select all that apply)"],["quiz","quizzes/18.1Combined.html#question-3","18.1 Advanced Topics Introduction · Question 3","Which of the following are traditional unsupervised learning tasks mentioned in the lecture?"],["quiz","quizzes/18.1Combined.html#question-4","18.1 Advanced Topics Introduction · Question 4","Which of the following accurately describe the motivations and properties of pseudo-labeling in semi-supervised learning? (Select all that apply)"],["quiz","quizzes/18.1Combined.html#question-5","18.1 Advanced Topics Introduction · Question 5","Self-supervised learning uses human-annotated labels to guide feature learning."],["quiz","quizzes/18.1Combined.html#question-6","18.1 Advanced Topics Introduction · Question 6","What are some of the challenges in feature learning from unlabeled data?"],["quiz","quizzes/18.1Combined.html#question-7","18.1 Advanced Topics Introduction · Question 7","Which of the following accurately describe \"surrogate tasks\" in self-supervised learning? (Select all that apply)"],["quiz","quizzes/18.1Combined.html#question-8","18.1 Advanced Topics Introduction · Question 8","Metric learning is a form of unsupervised learning that assumes human-annotated pairwise similarities."],["quiz","quizzes/18.1Combined.html#question-9","18.1 Advanced Topics Introduction · Question 9","Which of the following strategies are used in semi-supervised learning as described in the lecture?"],["quiz","quizzes/18.1Combined.html#question-10","18.1 Advanced Topics Introduction · Question 10","Which of the following accurately describe the motivations and approaches of meta-learning in few-shot scenarios? (Select all that apply)"],["quiz","quizzes/18.2Combined.html#question-1","18.2 Semi-Supervised Learning · Question 1","Semi-Supervised Learning assumes a large amount of labeled data and a small amount of unlabeled data."],["quiz","quizzes/18.2Combined.html#question-2","18.2 Semi-Supervised Learning · Question 2","Which of the following accurately describe the goals and approaches of Semi-Supervised Learning? (Select all that apply)"],["quiz","quizzes/18.2Combined.html#question-3","18.2 Semi-Supervised Learning · Question 3","Which of the following are elements of the FixMatch algorithm?"],["quiz","quizzes/18.2Combined.html#question-4","18.2 Semi-Supervised Learning · Question 4","Why are confidence thresholds important when generating pseudo-labels in semi-supervised learning? (Select all that apply)"],["quiz","quizzes/18.2Combined.html#question-5","18.2 Semi-Supervised Learning · Question 5","Weak augmentations in FixMatch are designed to significantly alter the content and semantics of the input."],["quiz","quizzes/18.2Combined.html#question-6","18.2 Semi-Supervised Learning · Question 6","Why does FixMatch use two different types of augmentations?"],["quiz","quizzes/18.2Combined.html#question-7","18.2 Semi-Supervised Learning · Question 7","Which of the following accurately describe the challenges and considerations when setting confidence thresholds for pseudo-labeling? (Select all that apply)"],["quiz","quizzes/18.2Combined.html#question-8","18.2 Semi-Supervised Learning · Question 8","In FixMatch, the pseudo-label is generated based on the strongly augmented version of an unlabeled image."],["quiz","quizzes/18.2Combined.html#question-9","18.2 Semi-Supervised Learning · Question 9","Which of the following are advantages of consistency regularization in semi-supervised learning?"],["quiz","quizzes/18.2Combined.html#question-10","18.2 Semi-Supervised Learning · Question 10","Which of the following insights about modern semi-supervised learning are demonstrated by the FixMatch algorithm? (Select all that apply)"],["quiz","quizzes/18.3Combined.html#question-1","18.3 Few-Shot Learning · Question 1","Few-shot learning assumes access to many labeled examples per class at inference time."],["quiz","quizzes/18.3Combined.html#question-2","18.3 Few-Shot Learning · Question 2","Which of the following accurately describe the goals and approaches of meta-training in few-shot learning? (Select all that apply)"],["quiz","quizzes/18.3Combined.html#question-3","18.3 Few-Shot Learning · Question 3","Which of the following are strategies used to prevent overfitting during fine-tuning in few-shot learning?"],["quiz","quizzes/18.3Combined.html#question-4","18.3 Few-Shot Learning · Question 4","Which of the following accurately describe properties and advantages of cosine similarity-based classification in few-shot learning? (Select all that apply)"],["quiz","quizzes/18.3Combined.html#question-5","18.3 Few-Shot Learning · Question 5","Which of the following are core components of a prototypical network?"],["quiz","quizzes/18.3Combined.html#question-6","18.3 Few-Shot Learning · Question 6","Which of the following accurately describe the key aspects and advantages of prototypical networks in few-shot learning? (Select all that apply)"],["quiz","quizzes/18.3Combined.html#question-7","18.3 Few-Shot Learning · Question 7","Prototypical networks compare each query item to every example in the support set individually."],["quiz","quizzes/18.3Combined.html#question-8","18.3 Few-Shot Learning · Question 8","Which challenges or limitations are associated with fine-tuning-based few-shot learning?"],["quiz","quizzes/18.3Combined.html#question-9","18.3 Few-Shot Learning · Question 9","What aspect of meta-learning does MAML specifically aim to optimize? (Select all that apply)"],["quiz","quizzes/18.3Combined.html#question-10","18.3 Few-Shot Learning · Question 10","Which of the following accurately describe the relationship between gradient descent and meta-learning? (Select all that apply)"],["quiz","quizzes/18.3Combined.html#question-11","18.3 Few-Shot Learning · Question 11","What does the Meta-LSTM approach learn that MAML does not?"],["quiz","quizzes/18.3Combined.html#question-12","18.3 Few-Shot Learning · Question 12","What are advantages of learning initialization via MAML compared to learning an explicit update rule?"],["quiz","quizzes/18.4Combined.html#question-1","18.4 Unsupervised and Self-Supervised Learning · Question 1","Unsupervised learning requires labels to compute the loss functions used for training."],["quiz","quizzes/18.4Combined.html#question-2","18.4 Unsupervised and Self-Supervised Learning · Question 2","What is the primary purpose of autoencoders in unsupervised learning?"],["quiz","quizzes/18.4Combined.html#question-3","18.4 Unsupervised and Self-Supervised Learning · Question 3","Which of the following are traditional tasks associated with unsupervised learning?"],["quiz","quizzes/18.4Combined.html#question-4","18.4 Unsupervised and Self-Supervised Learning · Question 4","What does the “bottleneck” in an autoencoder architecture encourage?"],["quiz","quizzes/18.4Combined.html#question-5","18.4 Unsupervised and Self-Supervised Learning · Question 5","Autoencoders can be trained without any labels, using only the input data."],["quiz","quizzes/18.4Combined.html#question-6","18.4 Unsupervised and Self-Supervised Learning · Question 6","What are characteristics of an effective feature space learned via unsupervised learning?"],["quiz","quizzes/18.4Combined.html#question-7","18.4 Unsupervised and Self-Supervised Learning · Question 7","In clustering-based unsupervised learning pipelines, what are pseudo-labels?"],["quiz","quizzes/18.4Combined.html#question-8","18.4 Unsupervised and Self-Supervised Learning · Question 8","Which are potential issues when clustering is used to generate pseudo-labels?"],["quiz","quizzes/18.4Combined.html#question-9","18.4 Unsupervised and Self-Supervised Learning · Question 9","Surrogate tasks are designed to train models using freely available labels from data transformations."],["quiz","quizzes/18.4Combined.html#question-10","18.4 Unsupervised and Self-Supervised Learning · Question 10","Why is predicting image rotation considered a useful surrogate task?"],["quiz","quizzes/18.4Combined.html#question-11","18.4 Unsupervised and Self-Supervised Learning · Question 11","Which of the following are common surrogate tasks for self-supervised learning?"],["quiz","quizzes/18.4Combined.html#question-12","18.4 Unsupervised and Self-Supervised Learning · Question 12","The quality of learned representations is typically evaluated by training a complex nonlinear classifier on top of the encoder."],["quiz","quizzes/18.4Combined.html#question-13","18.4 Unsupervised and Self-Supervised Learning · Question 13","What is the goal of instance discrimination in contrastive learning?"],["quiz","quizzes/18.4Combined.html#question-14","18.4 Unsupervised and Self-Supervised Learning · Question 14","Which techniques improve the efficiency of instance discrimination training?"],["quiz","quizzes/18.4Combined.html#question-15","18.4 Unsupervised and Self-Supervised Learning · Question 15","What is a key advantage of self-supervised representations learned via contrastive learning?"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:00:00","13.1 Generative Models Introduction · 00:00:00","In this lesson, we'll talk about a different class of unsupervised learning methods called generative modeling. Here we take a probabilistic view of…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:00:22","13.1 Generative Models Introduction · 00:00:22","A large part of deep learning success has come from Supervised Learning. That is we have a large data set full of examples with answers, for each example, we…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:00:40","13.1 Generative Models Introduction · 00:00:40","At the heart of it, we can view this as a probabilistic model, that is we wanna represent the joint distribution over the input dimension. This is a very…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:00:57","13.1 Generative Models Introduction · 00:00:57","In Supervised Learning, we can categorize the different tasks we may want to do. For example, into bins such as classification and regression, based on the…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:01:18","13.1 Generative Models Introduction · 00:01:18","Or in some cases, we may want to just have the ability to generate samples from this distribution, that is actually generate artificial examples that come from…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:01:42","13.1 Generative Models Introduction · 00:01:42","However, these methods have severe deficiencies when the input is very high dimensional. And since deep learning is very good at learning features that extract…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:02:07","13.1 Generative Models Introduction · 00:02:07","You may have learned about this in your machine learning class, discriminative models, model the conditional distribution probability of the label given the…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:02:31","13.1 Generative Models Introduction · 00:02:31","We haven't done any additional probabilistic reasoning. However, if you've taken a machine learning course, you may have learned that there's an entire…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:02:49","13.1 Generative Models Introduction · 00:02:49","Generative models, on the other hand, models the distribution over the input space. Now, this is a very complex distribution, and so there's a question of how…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:03:09","13.1 Generative Models Introduction · 00:03:09","And use the principle of maximum likelihood to optimize the parameters given the unlabeled data set. Here p(x,theta) is our likelihood and we wanna maximize it…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:03:36","13.1 Generative Models Introduction · 00:03:36","This is because the examples are drawn independently and identically, that is we're just sampling independently from this distribution. And so the likelihoods…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:03:57","13.1 Generative Models Introduction · 00:03:57","These are called generative models because they can often generate samples. Once, we have some parameters data, we can also generate examples from this…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:04:27","13.1 Generative Models Introduction · 00:04:27","Now, of course, this is very difficult, especially for high dimensional data. Because generative modeling is so difficult, there's been a whole host of…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:04:44","13.1 Generative Models Introduction · 00:04:44","There are methods that perform explicit tractable density estimation. That is, they simplify the joint distribution into some factorized model consisting of…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:05:08","13.1 Generative Models Introduction · 00:05:08","And then there are implicit density models, where we don't actually model the density itself. Rather, we're just able to perform tasks such as sampling from the…"],["transcript","transcripts/13.1%20Generative%20Models%20Introduction.html#t=00:05:26","13.1 Generative Models Introduction · 00:05:26","We'll cover the three most popular methods across the spectrum, in order to give you a flavor of all the different methods that exist."],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:00:00","13.2 PixelRNN & PixelCNN · 00:00:00","In this lesson, we'll talk about generative models that perform explicit tractable density estimation, that is still reduce or factorize the joint distribution…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:00:26","13.2 PixelRNN & PixelCNN · 00:00:26","This is going to be similar to methods such as language model, where we model the distribution over sentences as just the product of the likelihoods over the…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:00:47","13.2 PixelRNN & PixelCNN · 00:00:47","This is essentially factorizing the joint distribution into a product of conditional distribution. If you've taken a machine learning class, you may have heard…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:01:08","13.2 PixelRNN & PixelCNN · 00:01:08","It's also similar to language models, where we factorize the probability of the entire sentence as being the individual product of the probabilities for work.…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:01:28","13.2 PixelRNN & PixelCNN · 00:01:28","We can then estimate this conditional distribution as a neural network. That is, we'll approximate the probability of a particular element, a word or pixel…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:01:56","13.2 PixelRNN & PixelCNN · 00:01:56","And so we can model the probability of the sentence as the product of the conditionals, the probability of the first word, the probability of the second word…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:02:13","13.2 PixelRNN & PixelCNN · 00:02:13","We've also seen that this conditional distribution can be modeled as a recurrent neural network. That is, we have a weight share network that goes across the…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:02:34","13.2 PixelRNN & PixelCNN · 00:02:34","We can factorize the joint distribution as the product of conditionals, where we define some ordering over the pixels. For example, we could start with just the…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:03:07","13.2 PixelRNN & PixelCNN · 00:03:07","Again, we're defining an explicit ordering of pixels here and then we can move to the next pixels and so on across the entire image. We can train this using…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:03:33","13.2 PixelRNN & PixelCNN · 00:03:33","And again, we're defining some explicit way to order the pixels across that image. When we train this, we could use teacher forcing where we have the actual…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:03:52","13.2 PixelRNN & PixelCNN · 00:03:52","We can also do student forcing, where the model predicts some distribution over the pixel values for this current pixel, and then we use the conditional as that…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:04:19","13.2 PixelRNN & PixelCNN · 00:04:19","Once we have the model trained, we can actually generate new images, just sample from p(x1) that is the prediction of the model for the first pixel and then use…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:04:42","13.2 PixelRNN & PixelCNN · 00:04:42","This can be really slow, unlike convolution layers it's not paralyzed. Also, we're only considering a few context pixels, that is given one particular pixel,…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:05:02","13.2 PixelRNN & PixelCNN · 00:05:02","One idea is to represent the conditional distribution as a convolution, that is rather than conditional on just the adjacent pixels, we have a receptive field…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:05:24","13.2 PixelRNN & PixelCNN · 00:05:24","And so we have to use things like masking in order to mask out the future pixel and only consider the previous pixels in whatever ordering that we defined here.…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:05:42","13.2 PixelRNN & PixelCNN · 00:05:42","What's cool though, is that we can use this for various application. For example, we can have part of an image that has some occlusion, and then we can sample…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:06:06","13.2 PixelRNN & PixelCNN · 00:06:06","Just like in a language model, we can generate a set of possible output sentences. We could use similar methods such as beam search to ensure that the outputs…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:06:24","13.2 PixelRNN & PixelCNN · 00:06:24","But in some cases where there's ambiguity, there's a lot of different things that could explain the top part of the image. We can also generate images from…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:06:43","13.2 PixelRNN & PixelCNN · 00:06:43","And by the way, we can also condition the generator model on labels so that we can see for each label what it produces. On the whole it looks good, if you look…"],["transcript","transcripts/13.2%20PixelRNN%20&%20PixelCNN.html#t=00:07:01","13.2 PixelRNN & PixelCNN · 00:07:01","We made an assumption on the ordering of the pixels, and clearly that's not how actual images are generated. And so there's a limit to how much context and how…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:00:00","13.3 Generative Adversial Networks (GANs) · 00:00:00","In this lesson we'll talk about a different class of generative models called generative adversarial networks. Generative adversarial networks or GANS did not…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:00:28","13.3 Generative Adversial Networks (GANs) · 00:00:28","We won't have an explicit density though, to perform things like classification or things like that. But we'll still be able to use the unlabeled data to learn…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:00:48","13.3 Generative Adversial Networks (GANs) · 00:00:48","Implicit generative models do not actually learn an explicit model for p of x. Instead, we learn to generate or sample from p of x. This is useful for many…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:01:12","13.3 Generative Adversial Networks (GANs) · 00:01:12","We can also Learn a simulator for the dynamics of the world that is we can roll out potential features. And this allows you to train reinforcement learning…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:01:32","13.3 Generative Adversial Networks (GANs) · 00:01:32","It's not clear how to produce random outputs. Given some fixed input thus far, we've only dealt with a particular input and then generate a particular output.…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:01:59","13.3 Generative Adversial Networks (GANs) · 00:01:59","There's also lots of tricks to make this more stable. Because you have a game theoretic optimization pitting two neural networks against each other, the complex…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:02:19","13.3 Generative Adversial Networks (GANs) · 00:02:19","We would like to sample from a very complex distribution p of x using a neural network. We're going to use a simple idea of first sampling from a simple…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:02:43","13.3 Generative Adversial Networks (GANs) · 00:02:43","Here's an illustration. We'll take a particular parameterize distribution that we know how to sample from, for example, a Gaussian, and then we'll sample many…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:03:10","13.3 Generative Adversial Networks (GANs) · 00:03:10","We have deep learning where we can learn really complex functions as a result. Here's a concrete instantiation of this idea. We can sample from a Gaussian many…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:03:43","13.3 Generative Adversial Networks (GANs) · 00:03:43","Unlike the tractable density models pixel CNN. For pixel. This is done in one shot, we're just taking a vector of random numbers and feeding it through one…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:04:07","13.3 Generative Adversial Networks (GANs) · 00:04:07","So thoughts, what do you think? I mean, in real towns, you know, just this, the difference between the social engineering military and the participating logic,…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:04:33","13.3 Generative Adversial Networks (GANs) · 00:04:33","And the reason we wanna do this is that how well the discriminator performs. It can be used as a signal to determine how well the generator is doing. One…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:04:52","13.3 Generative Adversial Networks (GANs) · 00:04:52","However, once we train the discriminator to perform better and better discrimination between real and fake images, The generator will have to get better.…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:05:21","13.3 Generative Adversial Networks (GANs) · 00:05:21","What's interesting here is that you're pitting the two neural networks against each other. This can also be seen as just an adversarial loss function. Rather…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:05:42","13.3 Generative Adversial Networks (GANs) · 00:05:42","And it hopeful ideal scenario is that both of these continue to get better and better and better, such that the generator continues to improve and generate more…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:06:00","13.3 Generative Adversial Networks (GANs) · 00:06:00","The way we set this up is as follows. Again, everything we do in deep learning will be mini batch gradient descent. And so using the generator network will feed…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:06:19","13.3 Generative Adversial Networks (GANs) · 00:06:19","So the mini-batch, for example, can have half real images and have fake images. This is fed to the discriminator, which is trying to determine whether something…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:06:40","13.3 Generative Adversial Networks (GANs) · 00:06:40","So what we're going to want to do is update the weights for the generator to improve the realism of the generated image and update the weights of the…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:06:59","13.3 Generative Adversial Networks (GANs) · 00:06:59","We have two optimizations happening simultaneously and so we'll have 2 different loss function or 1 loss function where one network is minimizing it while the…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:07:32","13.3 Generative Adversial Networks (GANs) · 00:07:32","Here's the full mini max objective. You notice on the left side, we have a min of the G generator and the max of the D the discriminator. And so we're taking…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:07:52","13.3 Generative Adversial Networks (GANs) · 00:07:52","To maximize it, the way it works is on the right hand side, we have a sampling from the fake data that is Z comes from PZ of Z, which is just our prior…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:08:12","13.3 Generative Adversial Networks (GANs) · 00:08:12","Here, the discriminator is supposed to output a probability of one for the real image and zero for the fake image. And so if d of g of z should be zero, because…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:08:30","13.3 Generative Adversial Networks (GANs) · 00:08:30","And so this is essentially saying how well does this discriminator going to do? And the generator wants to minimize this because the generator wants to fool the…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:08:52","13.3 Generative Adversial Networks (GANs) · 00:08:52","Note that the objective function for the generator only is affected by the right side. That is the gradients for the first part of the term of the objective…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:09:08","13.3 Generative Adversial Networks (GANs) · 00:09:08","So no amount of changing G parameters will affect that part of the objective. On the other hand, the discriminator is doing the opposite. We can sample from the…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:09:27","13.3 Generative Adversial Networks (GANs) · 00:09:27","At the same time we sample a mini-max from the real and again the discriminator is maximizing this Note that for the generator, only one part of this objective…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:09:45","13.3 Generative Adversial Networks (GANs) · 00:09:45","And nothing we change about the generator's parameters effects this part of the objective That is a gradient zero. So really the gradient for the generator only…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:10:04","13.3 Generative Adversial Networks (GANs) · 00:10:04","Let's take again each discriminator or generators perspectives in order to go through this once more. This is the objective function. And again remember a D(x),…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:10:26","13.3 Generative Adversial Networks (GANs) · 00:10:26","So we want D of g of z to be 0 if you're the discriminator. So the discriminator wants to maximize. Is this, it wants to put D of X up to one because it is a…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:10:54","13.3 Generative Adversial Networks (GANs) · 00:10:54","Which is what the discriminator wants to. So in other words, the discriminator wants to classify real images as real. That is output a probability one and fake…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:11:16","13.3 Generative Adversial Networks (GANs) · 00:11:16","Of discriminating from the generator's perspective, we do the opposite, except that one part of the term doesn't really have a G in it. So it doesn't really…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:11:31","13.3 Generative Adversial Networks (GANs) · 00:11:31","So that D(G(z)) is pushed up to 1. That means that it taking fake data and giving it a probability of being real as 1, which is what the generator wants because…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:11:52","13.3 Generative Adversial Networks (GANs) · 00:11:52","So again, we'll update the generator using the gradients from this objective. So we're tuning both the generation process and the feature extraction in order to…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:12:24","13.3 Generative Adversial Networks (GANs) · 00:12:24","And then we'll also have in the mini batch real images. And we'll feed those discriminator, and each part will have an objective, the generators objective only…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:12:46","13.3 Generative Adversial Networks (GANs) · 00:12:46","The discriminator loss on the other hand, includes both of the terms it wants to both make sure that it outputs a high probability for the real data and a low…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:13:01","13.3 Generative Adversial Networks (GANs) · 00:13:01","And it turns out that the generators part of the objective is actually not very good in terms of its gradient property. is is another example where plotting the…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:13:19","13.3 Generative Adversial Networks (GANs) · 00:13:19","If we plot the log of one minus D of G of Z, we get the blue curve on the X axis. You get DFD of Z. That is the discriminators probability on the generated…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:13:38","13.3 Generative Adversial Networks (GANs) · 00:13:38","That is it's being fooled. In this case, you could see in that region, the gradients are pretty high. When the discriminator gives the generated or fake images,…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:14:00","13.3 Generative Adversial Networks (GANs) · 00:14:00","If the discriminator is giving the fake images a higher probability of being real, that means the generated images are already good. So we don't need high…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:14:16","13.3 Generative Adversial Networks (GANs) · 00:14:16","So we need to have high gradient values to update the generator so that it produces more realistic images. So we can have an alternative objective. Rather than…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:14:34","13.3 Generative Adversial Networks (GANs) · 00:14:34","In this case, we're going to maximize. Is the log of D of G of Z you could see on the red curve that we have better gradient. That is when the discriminator has…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:14:53","13.3 Generative Adversial Networks (GANs) · 00:14:53","Here's the full algorithm. We're going to use mini batch stochastic gradient descend. There's a number of hyper parameters here. One thing I didn't talk about…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:15:15","13.3 Generative Adversial Networks (GANs) · 00:15:15","And so here there's a hyper parameter k that tells us how many steps do we update The discriminator so we have this standard training loop where we have a…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:15:34","13.3 Generative Adversial Networks (GANs) · 00:15:34","And then we'll sample a mini batch of M actual real examples from the training set. And then we'll also feed the noise samples into the generator, and then…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:15:56","13.3 Generative Adversial Networks (GANs) · 00:15:56","Once we've updated the discriminator, we'll do the same for the generator. We'll sample another mini batch of noise samples. And then, we'll update the…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:16:16","13.3 Generative Adversial Networks (GANs) · 00:16:16","At the end of the training, we'll have an implicit generator model that is, we can generate samples from the training distribution of unlabeled data. We can…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:16:47","13.3 Generative Adversial Networks (GANs) · 00:16:47","Here is an example of a few sets of image data sets that you can train the generator on. What you can see here is these initial examples which were little bit…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:17:08","13.3 Generative Adversial Networks (GANs) · 00:17:08","Though faces and more complex scenes are a little bit more difficult and the resolutions are pretty small still. One of the reasons that GANs weren't as good in…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:17:28","13.3 Generative Adversial Networks (GANs) · 00:17:28","So a number of advancements have been developed, including more stable architectures, regularization methods to improve the optimization, and things like…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:17:54","13.3 Generative Adversial Networks (GANs) · 00:17:54","One of the early innovations that occurred in GANs is just tuning the architectures, it turns out that different architectures are more stable than others for…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:18:22","13.3 Generative Adversial Networks (GANs) · 00:18:22","Using ReLUs except for certain places such as the output, or using LeakyReLU activations for the discriminator. Again, it's not clear why these things in…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:18:43","13.3 Generative Adversial Networks (GANs) · 00:18:43","You can actually have all sorts of strange dynamics of the training, for example, what if the generator just learns to memorize and output samples of your…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:19:09","13.3 Generative Adversial Networks (GANs) · 00:19:09","Another problem is only generating parts of the distribution, so you can do really well, for example, on male faces or only on female faces, but not both.…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:19:31","13.3 Generative Adversial Networks (GANs) · 00:19:31","I'm not going to go through the entire library of regularization method since there are dozens at this point, but some really simple ones, for example, just add…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:19:55","13.3 Generative Adversial Networks (GANs) · 00:19:55","Researchers began to be able to generate extremely realistic images. In fact, these images that you see here are not real they're fake, and you can actually see…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:20:23","13.3 Generative Adversial Networks (GANs) · 00:20:23","Just like language models however, they're not without failures, you can have, for example, different types of class confusion that occurs where the generator…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:20:46","13.3 Generative Adversial Networks (GANs) · 00:20:46","It turns out we can also generate videos that are consistent across time, this shows those are really interesting use case, you should check out the YouTube…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:21:04","13.3 Generative Adversial Networks (GANs) · 00:21:04","You can then take as input a 10 second footage of you moving around randomly, and then the GAN is able to automatically generate an entire video of you dancing…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:21:24","13.3 Generative Adversial Networks (GANs) · 00:21:24","In summary, generative adversarial networks can produce amazing images and videos and these days other adaptations have been developed to produce audio…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:21:48","13.3 Generative Adversial Networks (GANs) · 00:21:48","At the end, we don't actually have an explicit model for the distribution P(x), and so if you wanna do things like classification, it's not clear how to…"],["transcript","transcripts/13.3%20Generative%20Adversial%20Networks%20(GANs).html#t=00:22:07","13.3 Generative Adversial Networks (GANs) · 00:22:07","And the notion of adversarial losses, for example, a discriminator that discriminates between real or fake, or one data set to another data set are actually…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:00:00","13.4 Variational Autoencoders (VAEs) · 00:00:00","In this lesson we'll talk about variational autoencoders. Another type of generative model that actually maintain explicit density models, but actually have…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:00:23","13.4 Variational Autoencoders (VAEs) · 00:00:23","And in this case the optimization itself is approximate. As a reminder, autoencoders are architectures where the input is fed through an encoder, in order to…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:00:52","13.4 Variational Autoencoders (VAEs) · 00:00:52","The actual bottleneck features are hidden or latent variables. What we'd like them to be is disentangled factors of variation that produce an image. For…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:01:16","13.4 Variational Autoencoders (VAEs) · 00:01:16","We can actually write down an equation for the likelihood that involves these latent variables which we call z, specifically, we can marginalize out the Z. So P…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:01:41","13.4 Variational Autoencoders (VAEs) · 00:01:41","Now, if we could directly maximize this, then we're essentially maximizing the likelihood and optimizing the parameters. But we can't really do this. The…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:02:02","13.4 Variational Autoencoders (VAEs) · 00:02:02","The notion of variational autoencoders combines a set of ideas, including the probabilistic view of generative models where we have p of x, in this case p of x…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:02:25","13.4 Variational Autoencoders (VAEs) · 00:02:25","The notion of auto encoders rather than having just the decoder, which we'll have in other models will also have an encoder that actually takes an image and…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:02:48","13.4 Variational Autoencoders (VAEs) · 00:02:48","And again this decoder models are p of x given z with some parameters. And here the output rather than being just the image for example, it will be a Gaussian…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:03:09","13.4 Variational Autoencoders (VAEs) · 00:03:09","We show them as vectors here, but they can just as well be images. And we know that for multi-variate Gaussian outputs, we're not actually going to output a…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:03:26","13.4 Variational Autoencoders (VAEs) · 00:03:26","So, this is essentially nothing but a decoder that rather than outputting deterministic thing, it outputs a set of parameters for a simpler distribution that we…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:03:44","13.4 Variational Autoencoders (VAEs) · 00:03:44","And if we actually want to generate samples, we just sample from this Gaussian instead. The problem still remains. How can we maximize the likelihood for this…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:04:01","13.4 Variational Autoencoders (VAEs) · 00:04:01","In this case, we'll have an encoder, where given an image will have Q of z given x with again, some new parameters fee. So this is a different model than the…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:04:22","13.4 Variational Autoencoders (VAEs) · 00:04:22","And if we wanna generate an actual z, we again just sample from this simpler Gaussian. So now we have both an encoder and a decoder. We can put the encoder and…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:04:43","13.4 Variational Autoencoders (VAEs) · 00:04:43","In this case, P of X given z because we'll estimate some latent variable, just like an autoencoder. So given a piece of data X or a mini batch of data, we'll…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:05:02","13.4 Variational Autoencoders (VAEs) · 00:05:02","And then we can again estimate mu and sigma for x and then sample from that to generate samples. Again, if we want to use a standard straightforward autoencoder…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:05:21","13.4 Variational Autoencoders (VAEs) · 00:05:21","And so the question remains, How can we optimize the parameters of the two network, the encoder and the decoder? Again, we're going to use the principle of…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:05:51","13.4 Variational Autoencoders (VAEs) · 00:05:51","We can actually write this out as an expectation over q of z given x of the log probability of xi. One thing to note here is that the probability of xi doesn't…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:06:10","13.4 Variational Autoencoders (VAEs) · 00:06:10","Specifically, we can apply Bayes rule to get this term expectation over Q of z given x. That is, we are sampling many Z's from the encoder which takes an X and…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:06:34","13.4 Variational Autoencoders (VAEs) · 00:06:34","Again, all we did here is apply Bayes' rule. We can multiply this by a constant, which is q of z given x divided by q of z given x, which is just one, so it…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:06:50","13.4 Variational Autoencoders (VAEs) · 00:06:50","Specifically, we take the top numerator log p of x given z and put it down here, we perform a minus and then log of Q of z given x divided by P of z. Because…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:07:13","13.4 Variational Autoencoders (VAEs) · 00:07:13","And then we take the rest of the terms here. Now what's interesting to note is that the expectations that we get on the right side, the two terms on the right…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:07:34","13.4 Variational Autoencoders (VAEs) · 00:07:34","And we saw this being used. For example, to derive why we use the cross entropy loss. One thing to note is that it's always greater or equal to 0. So if two…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:07:51","13.4 Variational Autoencoders (VAEs) · 00:07:51","The KL divergence is of P and Q is specifically defined as the cross entropy, H of p gamma q minus the entropy of P. And that can be written out estimations…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:08:16","13.4 Variational Autoencoders (VAEs) · 00:08:16","And so really what we can do is express KL-divergence as an expectation of log Q of Z minus expectation of log of P of Z given X. And we can also combine this…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:08:33","13.4 Variational Autoencoders (VAEs) · 00:08:33","And so what you'll notice is that the terms that we ended up with are actually the definition of KL divergence. So what we're doing here when we're defining the…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:08:54","13.4 Variational Autoencoders (VAEs) · 00:08:54","That is the log probability of the data given that particular latent variable minus the KL divergence between Q of z given x. That is our encoder and the prior…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:09:27","13.4 Variational Autoencoders (VAEs) · 00:09:27","Now some of these terms are computable and some are not. The first term here, the expectation of log of p of x given z is actually just taking a bunch of z…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:09:51","13.4 Variational Autoencoders (VAEs) · 00:09:51","The second part of the term here, is a KL divergence between Q of z given x and p of z. Both of these are Gaussian. If you remember Q of z given x is actually…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:10:08","13.4 Variational Autoencoders (VAEs) · 00:10:08","And then we can sample from that. But actually those parameters define a Gaussian. And so we're taking the KL divergence between a Gaussian with those…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:10:34","13.4 Variational Autoencoders (VAEs) · 00:10:34","So we can compute this. The right hand side is actually intractable. We can't compute this term. And so what we're going to do is do basically just ignore it.…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:10:54","13.4 Variational Autoencoders (VAEs) · 00:10:54","This is something called the variational lower bound or elbow. And it's actually a powerful technique that's used in many different places. The key idea is that…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:11:12","13.4 Variational Autoencoders (VAEs) · 00:11:12","Then you can just maximize those terms and still make progress towards this objective. And so let's summarize how we can train our variational autoencoder.…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:11:34","13.4 Variational Autoencoders (VAEs) · 00:11:34","Again, this is an assumption we make mu z and sigma z. And so we're going to make the approximate Posterior distribution close to the prior. That is we're going…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:11:51","13.4 Variational Autoencoders (VAEs) · 00:11:51","Again this can be assumed to be a normal distribution, let's say with a mean of zero and standard deviation of one for example, and this is a KL divergence…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:12:09","13.4 Variational Autoencoders (VAEs) · 00:12:09","And then we feed it through our decoder, which feeds it through P of X given Z with parameters theta and generates mu X and sigma X. And now we can essentially…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:12:35","13.4 Variational Autoencoders (VAEs) · 00:12:35","And so again, this is what we want to optimize or maximize in this case. We want to maximize the likelihood and we computer the likelihood to be these terms…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:12:59","13.4 Variational Autoencoders (VAEs) · 00:12:59","Again, when we take the z given X and try to sample from the mu z and sigma Z, we're performing some sampling operation, and then we try to feed it through the…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:13:17","13.4 Variational Autoencoders (VAEs) · 00:13:17","But then we wanna back propagate through this entire thing all the way back to the original encoder. The problem is you can't actually back propagate through…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:13:43","13.4 Variational Autoencoders (VAEs) · 00:13:43","The way we solve this is by moving the sampling part out of the part of the computation graph that has to go all the way back to the encoder. Specifically,…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:14:01","13.4 Variational Autoencoders (VAEs) · 00:14:01","And then we'll essentially take that output which we call epsilon here and multiply it by the sigma and then add it to the mu, the mean. And so rather than…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:14:28","13.4 Variational Autoencoders (VAEs) · 00:14:28","Then we add it back to the mean. The reason this works has some mathematical derivations and specifically for the normal distribution, you can try to prove it…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:14:51","13.4 Variational Autoencoders (VAEs) · 00:14:51","The sampling process, as you can see here is actually out of the way of the path that we actually need. And so you can actually use variational autoencoders in…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:15:16","13.4 Variational Autoencoders (VAEs) · 00:15:16","And then try to actually sample multiple Z and try to see how well these samples look. You can also do what's called walking the latent space, that is you can…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:15:35","13.4 Variational Autoencoders (VAEs) · 00:15:35","So rather than sample the Z's, you could just take for example, for z one, all values from zero to one via some interpolation in between and similarly to Z2,…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:15:54","13.4 Variational Autoencoders (VAEs) · 00:15:54","That is, if you take 21, it seems to correspond something to do with smiles. For example, if 21 is at the top, you have a frown face, whereas if 21 is at the…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:16:16","13.4 Variational Autoencoders (VAEs) · 00:16:16","You can see that the left of the x axis tends to be the one orientation, whereas the right side of the space for Z2 is a different orientation. And you see a…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:16:35","13.4 Variational Autoencoders (VAEs) · 00:16:35","And so it is actually learning some disentangled space where each dimension of your latent space is representing some sort of attribute independently. And we…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:17:05","13.4 Variational Autoencoders (VAEs) · 00:17:05","And we also assume that the encoder and decoder both output parameters of Gaussian distribution. However, given those assumptions, we can then derive what the…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:17:25","13.4 Variational Autoencoders (VAEs) · 00:17:25","The samples from VAEs are actually not that competitive with GANs, they tend to be blurry. However, the latent space that it tends to learn in an unsupervised…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:17:50","13.4 Variational Autoencoders (VAEs) · 00:17:50","For example, how the latent space evolves over time as you play the game. And this is essentially a simulator that you learned, also known as a world model. And…"],["transcript","transcripts/13.4%20Variational%20Autoencoders%20(VAEs).html#t=00:18:08","13.4 Variational Autoencoders (VAEs) · 00:18:08","This is just one example. There's lots of other examples of downstream tasks that use the latent features which are nicely disentangled in many cases and pretty…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:00:00","17.1 Reinforcement Learning Introduction · 00:00:00","Hello, my name is Nirbyhay Modhe and I'm a PhD student in school of Interactive Computing at Georgia Tech. In this series of lectures, I will be introducing…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:00:17","17.1 Reinforcement Learning Introduction · 00:00:17","In this course, we have seen several examples of what we call supervised learning, where we have a data set of inputs X paired with labels Y, and the task is to…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:00:40","17.1 Reinforcement Learning Introduction · 00:00:40","In this series of lectures, we will introduce reinforcement learning where the task is to make a sequence of decisions or predictions similar to what you're…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:01:02","17.1 Reinforcement Learning Introduction · 00:01:02","Reinforcement learning can be defined in one sentence as a sequential decision making in an environment with evaluative feedback. Let's break this definition…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:01:23","17.1 Reinforcement Learning Introduction · 00:01:23","In addition to giving a reward to the agent for the actions it did take. Now this environment may be unknown, it can be non-linear, stochastic and very complex.…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:01:39","17.1 Reinforcement Learning Introduction · 00:01:39","The task of this agent is to learn a policy to map states of the environment to actions that it can play to affect the environment. The objective of this agent…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:01:59","17.1 Reinforcement Learning Introduction · 00:01:59","Evaluative feedback means that the agent is supposed to pick actions and receive rewards which can be positive or negative only for the actions that it did take…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:02:16","17.1 Reinforcement Learning Introduction · 00:02:16","Unlike supervised learning, and sequential decisions just means that the agent needs to make a sequence of actions or a sequence of states in order to complete…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:02:37","17.1 Reinforcement Learning Introduction · 00:02:37","With this definition, let us look at the signature challenges in order to evaluate a feedback implies that the best action can only be found through trial and…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:03:01","17.1 Reinforcement Learning Introduction · 00:03:01","Any updates made to the policy during learning will lead to changes in the actions that are picked by the policy and hence will change the data distribution of…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:03:23","17.1 Reinforcement Learning Introduction · 00:03:23","Here's the protocol for how the agent interacts with the environment. At every time step t the agent will receive an observation ot it will execute an action at…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:03:41","17.1 Reinforcement Learning Introduction · 00:03:41","Let's now take a look at some tasks in which reinforcement learning has been applied. And successfully in recent years. Here is an instance of a robotic control…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:03:58","17.1 Reinforcement Learning Introduction · 00:03:58","The action is a torque applied on the joints of each robot to make the joints move. And the reward is plus one for each time step that the robot is upright and…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:04:17","17.1 Reinforcement Learning Introduction · 00:04:17","The state of the environment is the RGB image of the game screen as seen on the right. The actions are the controls that each individual game defines. And the…"],["transcript","transcripts/17.1%20Reinforcement%20Learning%20Introduction.html#t=00:04:35","17.1 Reinforcement Learning Introduction · 00:04:35","The state of the environment is the location of the pieces on the board. The action is where to put down the next piece and the reward in this case is quite…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:00:00","17.2 Markov Decision Processes · 00:00:00","Now, before we can understand the algorithms that we'll use to solve these challenging tasks. We must introduce some definitions, and theory on Markov decision…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:00:20","17.2 Markov Decision Processes · 00:00:20","S is the set of all possible states of the environment. A is the set of all possible actions that can be taken at every step. R is the reward distribution given…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:00:36","17.2 Markov Decision Processes · 00:00:36","Given that action a is performed at the current state s. Gamma is a discount factor, which will be defined later in this lecture. As we have seen earlier, a…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:00:58","17.2 Markov Decision Processes · 00:00:58","Implies that the distribution of possible next states given state s, and action a. Does not depend on any of the previous states or actions in the trajectory.…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:01:14","17.2 Markov Decision Processes · 00:01:14","Instead, only samples from these distributions are observed by the agent interacting with the environment. The reason for evaluative feedback being a…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:01:35","17.2 Markov Decision Processes · 00:01:35","Will provide us with algorithms, and tools that will inspire our solutions for RL. So, for this part of the lecture series on RL, we will assume that the true…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:01:50","17.2 Markov Decision Processes · 00:01:50","Let's take a look at a simple environment, where we can intuitively figure out what is the best policy. The 2D environment on the right is a grid world, where…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:02:05","17.2 Markov Decision Processes · 00:02:05","In which case the agent right now is a 2 comma 3. The actions that the agent can take is either move one cell north, east, south, or west. And the rewards are…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:02:26","17.2 Markov Decision Processes · 00:02:26","However, let's assume that there is some noise in how the agent transitions to next state. This noise is in the form of a 20% chance, of the agent drifting once…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:02:44","17.2 Markov Decision Processes · 00:02:44","As it is not guaranteed to always move in the direction of east. One way to describe such a policy, would be in the form of a 2D matrix, of the same shape as…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:02:59","17.2 Markov Decision Processes · 00:02:59","This leads us to the formal definition of a policy, that we will use for solving MDPs. Formally, a deterministic policy is defined as a mapping from states to…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:03:17","17.2 Markov Decision Processes · 00:03:17","If we have a finite set of n states, and a finite set of m actions. Our deterministic policy can be specified by an n dimensional tensor. Whereas a stochastic…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:03:32","17.2 Markov Decision Processes · 00:03:32","With this definition, one can ask the question, what is a good policy? Should the best policy maximize current reward, or should it maximize future rewards? And…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:03:51","17.2 Markov Decision Processes · 00:03:51","We can now define the optimal policy as the policy that maximizes this expectation, of sum of discounted future rewards. There are three random variables…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:04:13","17.2 Markov Decision Processes · 00:04:13","Implying that the rewards at earlier timestamps, are given more weight than the rewards attained at later time steps. Let's now look at how the optimal policy…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:04:29","17.2 Markov Decision Processes · 00:04:29","But with a small modification, there is now a constant to reward value at all non absorbing states. And this constant is set to three different values,…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:04:45","17.2 Markov Decision Processes · 00:04:45","The optimal policy starting from the bottom right corner of the grid ,stops taking the longer route to get to the +1 absorbing state. And instead it's a riskier…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:05:01","17.2 Markov Decision Processes · 00:05:01","Starting from the bottom right corner. In this example, we will see how the value of the discount factor gamma, affects the optimal policy. Consider a…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:05:20","17.2 Markov Decision Processes · 00:05:20","Whereas the left endpoint has a higher reward but is farther away. One can plug in the following two values of gamma, into the discounted reward definition of…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:05:40","17.2 Markov Decision Processes · 00:05:40","Now that we have looked at how to map state to actions with the policy. Let's introduce a new quantity that will help measure the performance of a policy, at…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:06:01","17.2 Markov Decision Processes · 00:06:01","That will provide information about how good a state is, in terms of future rewards. Similarly, a state action value function or a Q-function, is a mapping from…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:06:16","17.2 Markov Decision Processes · 00:06:16","Formally, the value function of a policy pie, is defined as the expected sum of the discounted rewards. That will be ordained by policy pie, when starting from…"],["transcript","transcripts/17.2%20Markov%20Decision%20Processes.html#t=00:06:36","17.2 Markov Decision Processes · 00:06:36","In this lecture, we'll defined MDPs policies and value functions. In the next lecture, we will use these quantities to build our first algorithm for solving…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:00:00","17.3 Algorithms for Solving MDPs · 00:00:00","In this lecture, we will look at algorithms for solving MDPs. In the previous lecture, we defined P pi and Q pi for a particular policy pi. Now, we can also…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:00:21","17.3 Algorithms for Solving MDPs · 00:00:21","With these definitions in mind, here are some identities relating the optimal quantities introduced so far. The first says that the optimal value at a state is…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:00:41","17.3 Algorithms for Solving MDPs · 00:00:41","Taking a closer look at the definition of the optimal Q function, we will now try to rewrite it recursively in terms of the optimal value function at future…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:00:59","17.3 Algorithms for Solving MDPs · 00:00:59","If we were to separate this summation into the first time step plus the remaining time steps, we will get the reward at the first time step, plus gamma times…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:01:18","17.3 Algorithms for Solving MDPs · 00:01:18","With this recursive relation, we can now use the identity we saw earlier to replace V star with max over actions of Q star, while also converting the…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:01:36","17.3 Algorithms for Solving MDPs · 00:01:36","The recursive Bellman equation derived so far will form the basis for dynamic programming algorithm for solving MDPs called value iteration. This algorithm…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:01:54","17.3 Algorithms for Solving MDPs · 00:01:54","The central idea is to update this vector at each iteration by repeatedly applying this recursive Bellman equation until convergence. Intuitively, each…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:02:14","17.3 Algorithms for Solving MDPs · 00:02:14","This update will produce a sequence of vectors V0, V1, and so on, until we get V star upon convergence. Given the nature of the upgrade step, each iteration of…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:02:33","17.3 Algorithms for Solving MDPs · 00:02:33","Similar to the value iteration update rule, we can derive an update rule for Q functions, which will form the basis of the Q iteration algorithm. This algorithm…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:02:53","17.3 Algorithms for Solving MDPs · 00:02:53","The policy iteration algorithm involves two parts for each policy update step. The first part computes V pi, or the value of the current policy at all states.…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:03:13","17.3 Algorithms for Solving MDPs · 00:03:13","This results in a sequence of policies and values that eventually converge to pi star and V of pi star. This algorithm may seem less efficient due to the policy…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:03:30","17.3 Algorithms for Solving MDPs · 00:03:30","The three algorithms seen so far rely on for loops over all actions and states, as can be seen from the time complexity of one iteration update. Moving towards…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:03:47","17.3 Algorithms for Solving MDPs · 00:03:47","For example, a 2D grid world that we saw in the previous lecture had just 12 states. For games like chess, the number of states is much larger, our lower bound…"],["transcript","transcripts/17.3%20Algorithms%20for%20Solving%20MDPs.html#t=00:04:06","17.3 Algorithms for Solving MDPs · 00:04:06","As we move towards reinforcement learning and deep RL, we will try to adapt to these algorithms to work with very large state spaces. To summarize this lecture,…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:00:00","17.4 Deep Q-Learning · 00:00:00","In this lecture, we will discuss one popular value based RL method called deep Q-Learning. Let's start by looking at a demo of a deep Q-Learning agent learning…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:00:19","17.4 Deep Q-Learning · 00:00:19","In the video on the left, we will look at the learning stages of a deep Q-learning agent, playing the Atari game called break out. Behind the scenes, there are…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:00:37","17.4 Deep Q-Learning · 00:00:37","Initially with randomly initialized Q-network, the policy associated with this network is also performing randomly. But will eventually realize that keeping the…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:00:56","17.4 Deep Q-Learning · 00:00:56","The deep Q policy in this video is seemed to improve as training progresses, and after a while, it's going to uncover a better strategy. Now, it has discovered…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:01:26","17.4 Deep Q-Learning · 00:01:26","Let's now dig deeper to understand the two tasks for this algorithm. First, we will investigate how the deep Q-network is updated with some collected data. Deep…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:01:45","17.4 Deep Q-Learning · 00:01:45","The simplest example of such a parameters network, is a linear Q-network with one weight vector and a bias. Alternatively, the Q-network can also be a deep…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:02:00","17.4 Deep Q-Learning · 00:02:00","The input to this network is a concatenation of the last four states at RGB images, and the output is a set of key values for each possible action. Given that…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:02:15","17.4 Deep Q-Learning · 00:02:15","As we had seen in Q-iteration, the Q-function appears recursively on the right hand side. During training, we can use a single Q-network to predict the Q-values…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:02:29","17.4 Deep Q-Learning · 00:02:29","Instead of having a four loop over all states to update the Q-network, as was done in Q-iteration, we introduced a regression objective that will minimize this…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:02:51","17.4 Deep Q-Learning · 00:02:51","Instead, two copies of the Q-network are maintained at all times during training. One is called Qold and the other is called Qnew, which start with the same…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:03:08","17.4 Deep Q-Learning · 00:03:08","Then, at regular intervals, the Qold network receives a fresh copy of the parameters from the Qnew network. In practice, we will compute the loss for a…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:03:27","17.4 Deep Q-Learning · 00:03:27","The last that we computed as an average of the MSE loss for the current batch, where the predictions are obtained by a forward pass on the Qnew network and a…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:03:47","17.4 Deep Q-Learning · 00:03:47","We now know how to update a deep Q-network to convergence, given a fixed data set. Note that there exists an algorithm called fitted Q-iteration, whose purpose…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:04:10","17.4 Deep Q-Learning · 00:04:10","We will see that answering this question, will reveal the most challenging aspects of reinforcement learning. Let's imagine that we start with a random data…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:04:32","17.4 Deep Q-Learning · 00:04:32","We can then use the dqn update seen earlier, to update our Q-network and obtain a greedy policy with respect to this Q-network, and we can call it policy pi…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:04:48","17.4 Deep Q-Learning · 00:04:48","So let's now update our pi gather policy, by setting it to the pi train policy. With this thought experiment, we have come up with our first naive strategy for…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:05:13","17.4 Deep Q-Learning · 00:05:13","For example, in the demo we saw, it took quite a long time for the agent to discover the best possible strategy to play the game. And this strategy was…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:05:30","17.4 Deep Q-Learning · 00:05:30","The data naturally will be biased by the policy, creating a feedback loop that the data will consist of, only states that the policy currently believes to be…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:05:46","17.4 Deep Q-Learning · 00:05:46","Now, that we know that setting the data gathering policy to be the same as the greedy train policies, is a bad idea. Let's look at how the deep Q-learning…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:06:07","17.4 Deep Q-Learning · 00:06:07","And the greedy action is selected otherwise. For the second challenge, we know that if we let our data be highly correlated, the gradients we will obtain will…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:06:27","17.4 Deep Q-Learning · 00:06:27","If the best strategy started off by going to the right endpoint, achieving the plus one reward, the data gathering policy will then be dominated by trajectories…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:06:45","17.4 Deep Q-Learning · 00:06:45","And will prevent any changes to this sub optimal strategy. In order to address this, deep Q-learning employs an experienced replay buffer, which is a queue of…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:07:02","17.4 Deep Q-Learning · 00:07:02","In practice, increasing the size of this buffer, will lower the correlation between data points sampled in a minibatch. Now, we have all the tools at hand to…"],["transcript","transcripts/17.4%20Deep%20Q-Learning.html#t=00:07:21","17.4 Deep Q-Learning · 00:07:21","The epsilon greedy data gathering policy in green, the experience replay buffer to store transitions in blue, and the Q-network update step in orange. In…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:00:00","17.5 Policy Gradients, Actor-Critic · 00:00:00","In this lecture, we will study a family of policy based RL algorithms, which are based on graded updates of parametrized policies. Among the types of methods…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:00:20","17.5 Policy Gradients, Actor-Critic · 00:00:20","Policy based methods on the other hand directly parameterize a policy and optimize it to maximize returns. For example, a parameterize policy used for solving…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:00:38","17.5 Policy Gradients, Actor-Critic · 00:00:38","In this case, the two actions were for moving the paddle up and down. Our class of policies will be parametrized functions that map states to actions. The…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:00:53","17.5 Policy Gradients, Actor-Critic · 00:00:53","For this lecture, we will assume that the discounting factor of gamma is one, and excluded from the objective function due to the episodic or finite nature of…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:01:12","17.5 Policy Gradients, Actor-Critic · 00:01:12","We will also write our objective as J of theta, instead of J of pi, as the parameters theta fully described the policy. Let's first look at an intuitive…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:01:30","17.5 Policy Gradients, Actor-Critic · 00:01:30","A neural network comprised of differentiable blocks used to process an image in the backward pass and produce log probability of classes. The backward pass then…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:01:54","17.5 Policy Gradients, Actor-Critic · 00:01:54","In reinforcement learning, a parameterized policy will have a similar neural network that takes as input the RGB image of the environment state and computes log…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:02:13","17.5 Policy Gradients, Actor-Critic · 00:02:13","A simple strategy can be to increase or decrease the log probability of the chosen action depending on the sin and magnitude of the reward obtained for…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:02:33","17.5 Policy Gradients, Actor-Critic · 00:02:33","First, let us define a finite trajectory tau are the sequence of state and actions from time steps zero to t. The probability of tau given a policy pi theta,…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:02:56","17.5 Policy Gradients, Actor-Critic · 00:02:56","Further, we will write our objective as finding the parameters theta that maximizes the expected sum of rewards over trajectories tau. Now, our strategy for…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:03:17","17.5 Policy Gradients, Actor-Critic · 00:03:17","In the next few slides, when we formally derive our policy gradient expression, we will see a similar expectation that will again use the same batch of…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:03:35","17.5 Policy Gradients, Actor-Critic · 00:03:35","What we have described so far are the components of a policy gradient algorithm, known as reinforce. This algorithm performs three tasks at each iteration,…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:03:52","17.5 Policy Gradients, Actor-Critic · 00:03:52","Let us now fill in the missing piece of this algorithm. It is the exact expression for the policy gradient. Our goal is now to derive the gradient of our…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:04:18","17.5 Policy Gradients, Actor-Critic · 00:04:18","Now, we will multiply and divide the probability density pi of tau in order to apply a relation known as the log derivative trick, which simply uses the fact…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:04:33","17.5 Policy Gradients, Actor-Critic · 00:04:33","Substituting this ratio, we now obtain an integral of a probability density pi and some other terms. This integral can now be written as an expectation over the…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:04:53","17.5 Policy Gradients, Actor-Critic · 00:04:53","However, what we have in the last line is an expectation of some function, which can be approximated with finite samples of trajectories gathered using policy…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:05:11","17.5 Policy Gradients, Actor-Critic · 00:05:11","Resulting in three types of terms that depend on the initial state distribution, the actual distribution of pi, and the transition distribution. We can discard…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:05:35","17.5 Policy Gradients, Actor-Critic · 00:05:35","The sum of these gradients is now greater with the total reward of the trajectory on the right, implying that the gradient update will push the probability of…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:05:49","17.5 Policy Gradients, Actor-Critic · 00:05:49","This is the true essence of trial and error. Only after attempting a sequence of actions will the policy know the payoff of those actions. The gradient update…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:06:06","17.5 Policy Gradients, Actor-Critic · 00:06:06","This means that we cannot assign credit to any particular set of actions that were good or bad. Instead, we are left with a coarse level feedback for the entire…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:06:22","17.5 Policy Gradients, Actor-Critic · 00:06:22","The key idea behind these variations is that subtracting some baseline b shown in red, that does not depend on actions will preserve the mean of the gradient…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:06:37","17.5 Policy Gradients, Actor-Critic · 00:06:37","And what is the best choice of such a baseline is left as an exercise. The different choices of this baseline have resulted in two important variants of the…"],["transcript","transcripts/17.5%20Policy%20Gradients,%20Actor-Critic.html#t=00:06:55","17.5 Policy Gradients, Actor-Critic · 00:06:55","The second algorithm is known as advantage actor-critic that substitutes the reward with the advantage of the policy. It is defined as the Q function minus the…"],["transcript","transcripts/18.1%20Introduction.html#t=00:00:00","18.1 Introduction · 00:00:00","In this lesson, we'll go beyond supervised learning and talk about various other machine learning settings. For example, we'll look at low labeled machine…"],["transcript","transcripts/18.1%20Introduction.html#t=00:00:28","18.1 Introduction · 00:00:28","Thus far, we've really looked at supervised learning where we have a large labeled data set X and associated labels Y, typically coming from human annotation.…"],["transcript","transcripts/18.1%20Introduction.html#t=00:00:47","18.1 Introduction · 00:00:47","However, annotation of data is costly, both in terms of time as well as monetary cost. This is because you have to pay people in order to annotate manually each…"],["transcript","transcripts/18.1%20Introduction.html#t=00:01:10","18.1 Introduction · 00:01:10","We'll look at a few common settings. In semi-supervised learning, we have some reasonable amount of labels per category, let's say ten or more. However, we also…"],["transcript","transcripts/18.1%20Introduction.html#t=00:01:34","18.1 Introduction · 00:01:34","In few-shot learning, this is taken to extreme. Specifically, we have only 1 to 5 examples per category. In the vanilla setting, we also don't have any…"],["transcript","transcripts/18.1%20Introduction.html#t=00:02:02","18.1 Introduction · 00:02:02","And what we wanna do is learn models and feature representations that will generalize or transfer to a new set of categories where we only have 1 to 5 examples…"],["transcript","transcripts/18.1%20Introduction.html#t=00:02:26","18.1 Introduction · 00:02:26","Note that in traditional machine learning, and to some degree in deep learning, there's also purely unsupervised learning where we can perform tasks, such as…"],["transcript","transcripts/18.1%20Introduction.html#t=00:02:46","18.1 Introduction · 00:02:46","Recently, there's a lot of research that combines a lot of these different settings. For example, in few-shot learning, you can assume that you can also have…"],["transcript","transcripts/18.1%20Introduction.html#t=00:03:07","18.1 Introduction · 00:03:07","So that you can understand what setting you're in and leverage whatever state of the art exists in that setting. There are many traditional unsupervised…"],["transcript","transcripts/18.1%20Introduction.html#t=00:03:27","18.1 Introduction · 00:03:27","Again, we don't have labels, so it's not the conditional probability of the label given the data, it's just the probability over the data itself. So it's a…"],["transcript","transcripts/18.1%20Introduction.html#t=00:03:49","18.1 Introduction · 00:03:49","You can also have a clustering or grouping problem where you try to take your unlabeled data and group things that are similar and put things that are…"],["transcript","transcripts/18.1%20Introduction.html#t=00:04:14","18.1 Introduction · 00:04:14","If you think about it, there are other methods, such as principal component analysis, which actually do some form of feature learning. That is, in PCA, you have…"],["transcript","transcripts/18.1%20Introduction.html#t=00:04:32","18.1 Introduction · 00:04:32","And you're ending up with some reduced data sets that is lower dimensional feature space. And this feature space, somehow, is a transformation of the input. And…"],["transcript","transcripts/18.1%20Introduction.html#t=00:04:54","18.1 Introduction · 00:04:54","For example, modeling the joint distribution, the P(x), comparing or grouping things together, and representation learning. In the deep learning world, there's…"],["transcript","transcripts/18.1%20Introduction.html#t=00:05:23","18.1 Introduction · 00:05:23","And so for modeling the P(x), there are deep generative models. For comparing and grouping, there are metric learning, or clustering approaches. And obviously,…"],["transcript","transcripts/18.1%20Introduction.html#t=00:05:49","18.1 Introduction · 00:05:49","We can design a neural network, for example, a convolutional neural network, for images with some fully connected layers at the end. And we use the cross…"],["transcript","transcripts/18.1%20Introduction.html#t=00:06:11","18.1 Introduction · 00:06:11","When do we only have unlabeled data though, it's not clear what to do. There are several different considerations that we might have. For example, what loss…"],["transcript","transcripts/18.1%20Introduction.html#t=00:06:30","18.1 Introduction · 00:06:30","But it's not clear what to use here to drive the optimization of the features if we only have unlabeled data. We can also have maybe specialized optimization or…"],["transcript","transcripts/18.1%20Introduction.html#t=00:06:51","18.1 Introduction · 00:06:51","Finally, we're typically interested in transfer learning here. Why learn feature representations if you're not gonna use it in some way at the end? What we…"],["transcript","transcripts/18.1%20Introduction.html#t=00:07:19","18.1 Introduction · 00:07:19","And so there are a lot of different methods, architectures, loss functions, and training, or optimization procedures to deal with unlabeled data. However, there…"],["transcript","transcripts/18.1%20Introduction.html#t=00:07:44","18.1 Introduction · 00:07:44","There's a very simple idea that has been used for a long time, both in the deep and non-deep learning context. Specifically, you could take the training data…"],["transcript","transcripts/18.1%20Introduction.html#t=00:08:08","18.1 Introduction · 00:08:08","The result of this is a set of predictions across all the unlabeled examples. We can then take only the most confident ones. That is the ones that have a…"],["transcript","transcripts/18.1%20Introduction.html#t=00:08:25","18.1 Introduction · 00:08:25","That is a one hop distribution that looks very much like a label, but it's not actually human annotation. So that's why it's called a pseudo label. We can take…"],["transcript","transcripts/18.1%20Introduction.html#t=00:08:44","18.1 Introduction · 00:08:44","And so hopefully, we can learn a better model. Of course, these pseudo labels will be much more noisy than humans. But hopefully, this threshold will allow us…"],["transcript","transcripts/18.1%20Introduction.html#t=00:09:03","18.1 Introduction · 00:09:03","For example, we could take unlabeled examples and perform augmentation of two types. We can have a weak form of augmentation, for example, color jitter, and…"],["transcript","transcripts/18.1%20Introduction.html#t=00:09:23","18.1 Introduction · 00:09:23","And again, feed it through the model and obtain some prediction. Now here, instead of obtaining pseudo labels for these strongly augmented examples, what we'll…"],["transcript","transcripts/18.1%20Introduction.html#t=00:09:53","18.1 Introduction · 00:09:53","The idea here is that the weak augmentation isn't so severe that the model won't have a good confidence or a set of good pseudo labels. But you're using strong…"],["transcript","transcripts/18.1%20Introduction.html#t=00:10:17","18.1 Introduction · 00:10:17","There are several different loss functions that we can use here, both cross-entropy if you're using a hard pseudo label. Or you can actually use what we've…"],["transcript","transcripts/18.1%20Introduction.html#t=00:10:42","18.1 Introduction · 00:10:42","In the case of few-shot learning where you only have a small amount of data, there's actually an interesting set of methods called meta-learning. It's called…"],["transcript","transcripts/18.1%20Introduction.html#t=00:11:07","18.1 Introduction · 00:11:07","Your learning an initialization that after you go through such process will be effective. And we'll talk more about this in the few-shot learning case. In the…"],["transcript","transcripts/18.1%20Introduction.html#t=00:11:32","18.1 Introduction · 00:11:32","For example, we'll rotate an image, again, an unlabeled image, and try to make the neural network predict which rotations we applied. Because we're the ones…"],["transcript","transcripts/18.1%20Introduction.html#t=00:11:50","18.1 Introduction · 00:11:50","We know what rotations we applied, but we're trying to force the neural network to learn some effective feature representation. And so we'll try to come up with…"],["transcript","transcripts/18.1%20Introduction.html#t=00:12:07","18.1 Introduction · 00:12:07","That is the neural network is able to learn something using the task itself."],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:00:00","18.2 Semi-Supervised Learning · 00:00:00","In this lesson, we'll talk about Semi-Supervised Learning. Here, we have a set of labeled data, again, a small amount of labeled data, typically, for example,…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:00:22","18.2 Semi-Supervised Learning · 00:00:22","In Semi-Supervised Learning, we have a smaller amount of labelled data and a much larger amount of unlabeled data. Again, this is because it's often much…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:00:48","18.2 Semi-Supervised Learning · 00:00:48","Specifically, this is what we might want the Semi-Supervised Learning algorithms to look like. On the x-axis, we show amount of labeled data increasing from…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:01:16","18.2 Semi-Supervised Learning · 00:01:16","Semi-Supervised Learning algorithms on the other hand, leverage unlabeled data and so they can get some performance gains, especially when there's a small…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:01:42","18.2 Semi-Supervised Learning · 00:01:42","What we have is the Semi-Supervised Learning methods outperform the supervised even as we have lots of labeled data. This is because we have the additional…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:02:05","18.2 Semi-Supervised Learning · 00:02:05","Of course, this gain won't be as large as in the low-labeled regime. Because in the low-labeled regime you can make much more effective use of an unlabeled…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:02:26","18.2 Semi-Supervised Learning · 00:02:26","Of course, this model won't be very good, but it might be good enough, especially in the Semi-Supervised Learning context where we have at least 10 examples per…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:02:43","18.2 Semi-Supervised Learning · 00:02:43","And then repeat this procedure where we then retrain the original model on the new training set. And then make new predictions on the unlabeled data. You can…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:03:08","18.2 Semi-Supervised Learning · 00:03:08","In the deep-learning context, we can just train as normal on the labeled data using losses such as cross entropy. And then we can perform the pseudo-labeling…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:03:31","18.2 Semi-Supervised Learning · 00:03:31","On the weak type, we just apply the model, get predictions and then threshold the examples by confidence. We'll throw out the unlabeled examples from the…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:03:52","18.2 Semi-Supervised Learning · 00:03:52","We'll convert it into a one-hot vector using argmax. There's other types of sharpening methods as well if we want. Now that we have a pseudo-label for this…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:04:10","18.2 Semi-Supervised Learning · 00:04:10","And here, we'll use cross-entropy, where we use the pseudo-label as the quote unquote ground truth, even though it's not really human annotation, and it could…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:04:29","18.2 Semi-Supervised Learning · 00:04:29","Because we're not augmenting the image too much, we're not gonna destroy the predictions too much. On the other hand, the strong augmentations on the bottom,…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:04:53","18.2 Semi-Supervised Learning · 00:04:53","And we'll use those as the answer or the ground truth to train the bottom branch. This is an algorithm called FixMatch. That's pretty recent. And has proven…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:05:16","18.2 Semi-Supervised Learning · 00:05:16","And then we apply that model on unlabeled data. Obtain pseudo-labels for those predictions that are confident. And feed those back into the training set. Again,…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:05:40","18.2 Semi-Supervised Learning · 00:05:40","Specifically, we can have the mini batch consist of both labeled and unlabeled examples. For the labeled part of the mini batch, it goes through the traditional…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:06:03","18.2 Semi-Supervised Learning · 00:06:03","Again do feature extraction and prediction. And then use the predictions obtained on the weakly augmented labeled data, not in its own loss functions, but…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:06:29","18.2 Semi-Supervised Learning · 00:06:29","And then we'll have a multiplication factor here, for example 7. So our unlabeled mini batch size will actually be much larger than the labeled part. And here…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:06:57","18.2 Semi-Supervised Learning · 00:06:57","And then we'll also have this indicator function, which looks like a 1, that only applies this to the predictions that have some greater than a threshold…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:07:18","18.2 Semi-Supervised Learning · 00:07:18","This is probably due to various reasons. One example is that pseudo labeling in its vanilla form without performing data augmentation, that is multi-view…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:07:40","18.2 Semi-Supervised Learning · 00:07:40","Finally, doing this in multiple stages is also not as effective as doing it end to end. However, there's always tuning and hyper-parameters that are required to…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:08:02","18.2 Semi-Supervised Learning · 00:08:02","This actually turns out to be quite key that is large, unlabeled batch sizes are actually required for this algorithm to perform very well. The confidence…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:08:24","18.2 Semi-Supervised Learning · 00:08:24","That is your weights will be optimized using incorrect labels. On the flip side, if this threshold is too strict, then we won't have many pseudo-labels that are…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:08:47","18.2 Semi-Supervised Learning · 00:08:47","Note that the hyper-parameters differ for larger datasets, such as ImageNet. For example, here, the batch sizes were quite huge in order to get this to work…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:09:11","18.2 Semi-Supervised Learning · 00:09:11","The confidence threshold is also varied, probably because the dataset is much more difficult. And again, if you're too strict on a difficult dataset, then you…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:09:31","18.2 Semi-Supervised Learning · 00:09:31","Specifically, the weights at time t, or some combination where you have a hyper-parameter alpha, times the weights at time t, minus one, plus one, minus alpha,…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:09:58","18.2 Semi-Supervised Learning · 00:09:58","This turns out to make the training much more smooth or stable, as well as increases performance. If you look at the performance on datasets such as CIFAR-10,…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:10:25","18.2 Semi-Supervised Learning · 00:10:25","Even on 40 labels, which again for CIFAR-10 is 4 labels per category, the performance degradation is actually not that bad compared to 4,000 labels. Similarly,…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:10:53","18.2 Semi-Supervised Learning · 00:10:53","One of the nice things about pseudo-labeling based approaches is that they can be scaled up, again because it's easy to obtain unlabeled data. We can actually…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:11:17","18.2 Semi-Supervised Learning · 00:11:17","We then make predictions on a very gigantic unlabeled dataset. We use that to train a student model. And then we finally, fine tune it on some dataset in order…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:11:42","18.2 Semi-Supervised Learning · 00:11:42","And so, what you can see is that as you increase the dataset, specifically the unlabeled data into hundreds of millions or even billions, the performance…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:12:03","18.2 Semi-Supervised Learning · 00:12:03","FixMatch itself was derived from a number of iterations called MixMatch and ReMixMatch, which were much more complex variations of the same idea. You use things…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:12:30","18.2 Semi-Supervised Learning · 00:12:30","And then in order to improve the pseudo-labels, combined the predictions from each of those together. There's also interesting ideas called Virtual Adversarial…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:12:55","18.2 Semi-Supervised Learning · 00:12:55","Note that there are other methods besides pseudo-labeling or Semi-Supervised Learning, although recently they haven't been as effective as algorithms such as…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:13:19","18.2 Semi-Supervised Learning · 00:13:19","And actually propagate information between the unlabeled and labeled data in a manner that respects for example, the similarity in a clustering sense across the…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:13:39","18.2 Semi-Supervised Learning · 00:13:39","This is somewhat akin to pseudo-labeling, except we actually leverage this clustering assumption, the fact that nearby elements should be labeled similarly.…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:14:09","18.2 Semi-Supervised Learning · 00:14:09","You're actually using things like k-nearest neighbor type optimizations in order to propagate labels from the labeled data to the unlabeled data. In summary, we…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:14:32","18.2 Semi-Supervised Learning · 00:14:32","And now all they use are very simple ideas, such as data augmentation and pseudo-labeling. And less necessary, label propagation, although who knows what the…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:14:53","18.2 Semi-Supervised Learning · 00:14:53","Although it's not really clear how many labels each unlabeled data is worth. That is if we have a particular set or number of labels, let's say a large number…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:15:18","18.2 Semi-Supervised Learning · 00:15:18","It's also important to note that, this area is not a solved problem yet, although we can get very strong performance on academic data sets such as CIFAR-10 or…"],["transcript","transcripts/18.2%20Semi-Supervised%20Learning.html#t=00:15:39","18.2 Semi-Supervised Learning · 00:15:39","Then these methods perform much better than normal supervised learning, but may not perform as well as some of the academic datasets. Then these methods perform…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:00:00","18.3 Few-Shot Learning · 00:00:00","In this lesson we'll talk about few shot learning where you may only have a small number of examples pro category say one to 5 and we'd like to transfer from a…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:02:00","18.3 Few-Shot Learning · 00:02:00","And then we can optionally freeze the feature extractor if you remember typically we would like to do this when we only have a small number of labeled examples…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:04:00","18.3 Few-Shot Learning · 00:04:00","Based similarity metric we still have a set of weights but we can interpret each weight vector as a set of prototypes that is what the classes might look like…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:06:00","18.3 Few-Shot Learning · 00:06:00","Examples for these and categories typically $1.00 to $5.00 examples per category and it will perform these and weigh tests during inference time and so this is…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:08:00","18.3 Few-Shot Learning · 00:08:00","And we have the actual test set where we can measure our performance on how well we do on the tests and you can also option only pre-trained feature on held out…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:10:00","18.3 Few-Shot Learning · 00:10:00","So extract features from the query and find for each query item What is the closest supports element that it matches to and say that that query element is that…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:11:30","18.3 Few-Shot Learning · 00:11:30","If you think about it we can actually view this in a bit more general way specifically we can view it as parameterizing an actual learning algorithm itself that…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:12:00","18.3 Few-Shot Learning · 00:12:00","Traktor such that when we feed to support inquiry sets we can use some hand coded similarity or distance function to figure out for each query element which one…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:14:00","18.3 Few-Shot Learning · 00:14:00","The prototypical networks where you take let's say 2 to 3 examples for a particular class and you extract features and then you take the meaning of those…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:16:00","18.3 Few-Shot Learning · 00:16:00","Say that we actually want to learn how to perform gradient descent there's several parts to gradient the scent itself there is the parameter initialization that…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:18:00","18.3 Few-Shot Learning · 00:18:00","Which is the new information be computed as well at each time step here c.t. or the cell state if we map it to the gradient the scent equation is equivalent to…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:20:00","18.3 Few-Shot Learning · 00:20:00","As a learning algorithm and we map it to update rules which has several learnable elements they mainly the input and the forget as well as the initialization…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:22:00","18.3 Few-Shot Learning · 00:22:00","Emory because it's such a small amount in that case x. one x. 2 and so on are all the same we're applying the iterative algorithm to it over and over again just…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:24:00","18.3 Few-Shot Learning · 00:24:00","Actually learning gradient descent procedure are it's not clear that all this machinery is necessary specifically there are other competing algorithms that…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:26:00","18.3 Few-Shot Learning · 00:26:00","That's robust to applying steepest gradient the set to a small number of examples and that can then generalize to the test again one of the key reasons that…"],["transcript","transcripts/18.3%20Few-Shot%20Learning.html#t=00:28:00","18.3 Few-Shot Learning · 00:28:00","Though it converges to some local optimum just like normal gradient descent again all we're changing is the initialization and if it's not good enough we can…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:00:00","18.4 Unsupervised and Self-Supervised Learning · 00:00:00","In this lesson, we'll talk about unsupervised and self supervised learning, where we have only unlabeled data, and we'd like to learn effective feature…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:00:21","18.4 Unsupervised and Self-Supervised Learning · 00:00:21","For classification, we often use fully connected networks at the end, which are then converted to probabilities through softmax, and we use the cross entropy…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:00:45","18.4 Unsupervised and Self-Supervised Learning · 00:00:45","In unsupervised learning, there's a set of traditional tasks that we may want to perform. For example, we may want to perform clustering where the output is a…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:01:04","18.4 Unsupervised and Self-Supervised Learning · 00:01:04","We may just want to learn effective features typically reduced dimensionality from the input. Here, dimensionality reduction has been looked at widely even…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:01:27","18.4 Unsupervised and Self-Supervised Learning · 00:01:27","In this lesson, we'll specifically talk about dimensionality reduction. That is, how can we perform effective feature learning, such that we can then optimize…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:01:48","18.4 Unsupervised and Self-Supervised Learning · 00:01:48","Unlike supervised learning, unsupervised learning only has the raw data as input, and so there's many things that we may want to learn. And it's not clear what…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:02:15","18.4 Unsupervised and Self-Supervised Learning · 00:02:15","One such task that we can use in order to learn feature representations that are effective is an outer encoder. Here, we'll use the same encoder decoder…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:02:35","18.4 Unsupervised and Self-Supervised Learning · 00:02:35","These features are low dimensional embeddings that represent, hopefully the most important aspects of the image. Given this bottleneck features, we'll perform a…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:02:57","18.4 Unsupervised and Self-Supervised Learning · 00:02:57","But we're forcing the neural network to learn really effective low dimensional embeddings that capture important aspects of the input. Once we train the system,…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:03:16","18.4 Unsupervised and Self-Supervised Learning · 00:03:16","Again, the key thing is that here we can do this without any labels at all. We know what the input is, we want to reconstruct it, we don't need any labels. And…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:03:35","18.4 Unsupervised and Self-Supervised Learning · 00:03:35","One of the key ideas here is the bottleneck in the middle, if that bottleneck is too powerful that it's, for example, the dimensionality is equal to the input,…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:03:57","18.4 Unsupervised and Self-Supervised Learning · 00:03:57","Once we have effective feature representations, we can then use those features and add another linear layer, in order to perform a classification task on a new…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:04:19","18.4 Unsupervised and Self-Supervised Learning · 00:04:19","And in many cases, we can also freeze the encoder as well, if we don't have enough data to fine tune them. In that case, we're only updating the classifier…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:04:35","18.4 Unsupervised and Self-Supervised Learning · 00:04:35","This is common in unsupervised learning, where we assume that high density regions form clusters, that is items or instances that are similar form groups or…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:04:56","18.4 Unsupervised and Self-Supervised Learning · 00:04:56","The key idea is that whatever feature space we learned, we'd like those feature spaces to have these kinds of characteristics. We'd like them to essentially…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:05:16","18.4 Unsupervised and Self-Supervised Learning · 00:05:16","And so, this is what we're hoping, we're hoping that essentially whatever original feature space or raw input space we feed. Once we've output feature space…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:05:36","18.4 Unsupervised and Self-Supervised Learning · 00:05:36","For example, we can just optimize some neural network using for example, auto-encoders, and then see how well they partition the space. And we can use things…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:05:58","18.4 Unsupervised and Self-Supervised Learning · 00:05:58","Specifically, we'll take the unlabeled data and feed it through a randomly initialized convolutional neural network. These features will be pretty noisy, but…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:06:26","18.4 Unsupervised and Self-Supervised Learning · 00:06:26","So it will group things that tend to be similar in the feature space into one cluster, and things that are dissimilar into different clusters. And we'll use…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:06:42","18.4 Unsupervised and Self-Supervised Learning · 00:06:42","So the CNN will also have a set of linear and nonlinear, fully connected layers, and Softmax function in order to make probabilistic predictions, and then we'll…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:07:08","18.4 Unsupervised and Self-Supervised Learning · 00:07:08","And then we'll do further iterations, we'll take the new features and then apply unsupervised clustering again. And again, this hopefully will produce even…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:07:33","18.4 Unsupervised and Self-Supervised Learning · 00:07:33","For example, you might have things like empty clusters. If the neural network essentially predicts that everything is in one cluster, then it can do really well…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:07:54","18.4 Unsupervised and Self-Supervised Learning · 00:07:54","Then it will just learn again to output that large cluster. And so, this is a delicate balance between the feature learning part and the clustering part. But…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:08:12","18.4 Unsupervised and Self-Supervised Learning · 00:08:12","And in the end, really learn effective feature representations using unlabeled data alone. While a lot of these tasks have already existed before deep learning,…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:08:35","18.4 Unsupervised and Self-Supervised Learning · 00:08:35","That is we'd like to come up with tasks where we can get the answer or label for free in order to drive optimization and prevent the need for human annotation.…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:09:02","18.4 Unsupervised and Self-Supervised Learning · 00:09:02","It turns out that over the years, a large number of such tasks have been devised, and they all have different characteristics in terms of how effective the…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:09:17","18.4 Unsupervised and Self-Supervised Learning · 00:09:17","For example, low-level edge features versus high-level semantic features, as well as how well they can generalize to other tasks as well. One example is…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:09:36","18.4 Unsupervised and Self-Supervised Learning · 00:09:36","And the input to a neural network will then be this grayscale image. And we'd like it to re-colorize the image. Now clearly, this forces the neural network to…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:10:00","18.4 Unsupervised and Self-Supervised Learning · 00:10:00","And what's nice is that we know the answer, we already have the original RGB image. And so we can have the neural network predicts the colorized image and we…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:10:18","18.4 Unsupervised and Self-Supervised Learning · 00:10:18","We can take an image and separate it into nine chunks that are nonoverlapping and so the input here is a set of image patches. But we don't give it the order of…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:10:41","18.4 Unsupervised and Self-Supervised Learning · 00:10:41","And so you could see this as a cross-entropy loss across eight different positions because for each image patch, you want to know which of the eight non-center…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:11:04","18.4 Unsupervised and Self-Supervised Learning · 00:11:04","Another one that's interesting is rotation prediction. We can have unlabeled images that we apply various rotations to, for example, we can have four discrete…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:11:25","18.4 Unsupervised and Self-Supervised Learning · 00:11:25","Again, because it's discrete, we could use a cross entropy-classification loss. Again, this is a task that we don't really care about in the real world but will…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:11:55","18.4 Unsupervised and Self-Supervised Learning · 00:11:55","And so what we typically do is just take the encoder part, for example in the rotation prediction, we don't actually care about the layer that actually predicts…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:12:14","18.4 Unsupervised and Self-Supervised Learning · 00:12:14","And we really use what we learned in an unsupervised way to extract features such that we can add another classifier on top, typically a neural network or prior…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:12:39","18.4 Unsupervised and Self-Supervised Learning · 00:12:39","So if we're comparing many different surrogate tasks with each other, we don't wanna have another confounding effect by adding additional complex…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:13:08","18.4 Unsupervised and Self-Supervised Learning · 00:13:08","Here's an example from the rotation prediction. This shows three different tasks, classification, detection, and segmentation. Typically we show what the…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:13:30","18.4 Unsupervised and Self-Supervised Learning · 00:13:30","Here you see things like context prediction, jigsaw puzzles, colorization and then from this paper, rotation prediction. What you can see is that the…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:13:58","18.4 Unsupervised and Self-Supervised Learning · 00:13:58","This is incredibly amazing and only recently have we been able to do this. Another surrogate task that has achieved extremely good performance recently is…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:14:21","18.4 Unsupervised and Self-Supervised Learning · 00:14:21","That is you can apply different amounts of color jitter, different types of rotation, different cropping and so on every time you run it. And so will perform…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:14:41","18.4 Unsupervised and Self-Supervised Learning · 00:14:41","We can also have other birds and so on. It's just a different image, that is why it's called instance discrimination. Will take all of these images and feed…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:15:03","18.4 Unsupervised and Self-Supervised Learning · 00:15:03","And the features between augmentation 1 and the negative examples should be driven apart. This can be done with dot product or similarity comparison between the…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:15:26","18.4 Unsupervised and Self-Supervised Learning · 00:15:26","There are some interesting questions here of where the negative examples should come from. And we'd like to consider things like efficiency for example, we…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:15:49","18.4 Unsupervised and Self-Supervised Learning · 00:15:49","In fact, there's a lot of research that we won't talk about here that tries to even select what negative examples should we subsample from the larger unlabeled…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:16:09","18.4 Unsupervised and Self-Supervised Learning · 00:16:09","And we have the key which are the negatives and the query. And what we can do is essentially just within a mini batch use all the other examples in the mini…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:16:28","18.4 Unsupervised and Self-Supervised Learning · 00:16:28","In other words, here we're just using the mini batch items that are not the current image that we're focusing on as the negatives. There's some downsides…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:16:49","18.4 Unsupervised and Self-Supervised Learning · 00:16:49","In the middle we see a memory bank approach. Rather than sampling from the mini match, we could try to store negatives across the iteration. In a memory bank,…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:17:09","18.4 Unsupervised and Self-Supervised Learning · 00:17:09","Every time on the large unlabeled data set, we'll use the notion of a memory bank. Specifically, we'll use a queue that comes from previous mini batches which…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:17:28","18.4 Unsupervised and Self-Supervised Learning · 00:17:28","And we'll actually at the end of this iteration, put it in to the queue. So we'll pop out older items and replace them with these newer features. And in future…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:17:55","18.4 Unsupervised and Self-Supervised Learning · 00:17:55","And we're just storing them so that we can later use them without having to recompute them. There's some issues here that might occur for example, the features…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:18:23","18.4 Unsupervised and Self-Supervised Learning · 00:18:23","There might be some staleness in the feature space but actually, it turns out not to really matter because this queue won't be that large compared to the very…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:18:40","18.4 Unsupervised and Self-Supervised Learning · 00:18:40","This is similar to what we've seen before and here is called a Momentum Encoder. The key idea is we want the key encoder to move slowly so that when we put them…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:19:07","18.4 Unsupervised and Self-Supervised Learning · 00:19:07","Here only the gradients flow through the query encoder, so only those are updated. Really the momentum encoder is just a moving average of the query encoder.…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:19:26","18.4 Unsupervised and Self-Supervised Learning · 00:19:26","This method has turned out to be extremely effective. Specifically if we learn unsupervised feature representations on the image net data, and then we freeze…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:20:05","18.4 Unsupervised and Self-Supervised Learning · 00:20:05","So this is quite surprising, and only recently have we been able to achieve such strong performance. And what's even better is that these features tend to…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:20:23","18.4 Unsupervised and Self-Supervised Learning · 00:20:23","Again, this shows that features that you learn in an unsupervised way when used to initialize other tasks such as object detection are actually more…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:20:45","18.4 Unsupervised and Self-Supervised Learning · 00:20:45","This includes contrast of losses which work across image patches or context or instance discrimination. And there's many different types of loss functions or…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:21:03","18.4 Unsupervised and Self-Supervised Learning · 00:21:03","Contrastive losses and when we have semi supervised learning, pseudo labeling losses, where we have essentially the learned model applied to the labeled data,…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:21:26","18.4 Unsupervised and Self-Supervised Learning · 00:21:26","And I haven't covered all of these methods but a lot of these methods work and it's not clear which one is the best currently. What we do know is that data…"],["transcript","transcripts/18.4%20Unsupervised%20and%20Self-Supervised%20Learning.html#t=00:21:42","18.4 Unsupervised and Self-Supervised Learning · 00:21:42","And maybe unfortunately, methods tend to be sensitive to the choice of data augmentation. So there's a lot of recent work exploring how we can automatically…"]],"terms":{"10":[28,1,66,1,229,1,334,1,416,1,422,1,442,1,443,1,455,1,471,1],"12":[334,1],"20":[307,1,416,1,457,2,458,1,459,1,460,1],"21":[277,4],"25":[442,1],"40":[443,1],"50":[458,1,461,3],"64":[432,1,436,1],"71":[526,2],"76":[526,1],"100":[292,1,442,1,443,1,455,1,460,1,461,1,472,1],"255":[161,1],"420":[66,1,334,1],"448":[436,1],"500":[387,2],"999":[524,1],"1998":[423,1],"00":[457,6,459,2,460,4],"000":[442,2,443,1],"1st":[460,1,468,1,470,2],"2d":[305,2,308,2,313,1,334,1],"2nd":[470,1],"8th":[467,1],"ability":[0,1,7,4,18,2,22,1,117,1,140,1],"able":[27,1,150,1,173,1,186,1,226,1,229,1,243,1,263,1,415,1,420,1,472,1,511,1,527,1,532,1],"about":[35,3,42,3,52,3,90,1,92,1,95,3,100,1,108,4,136,2,137,1,142,1,143,1,152,2,154,1,172,1,198,1,207,1,209,1,213,1,233,2,239,1,287,1,289,1,292,1,319,1,383,2,389,1,391,1,394,1,397,1,407,1,410,1,412,2,413,1,416,1,444,1,448,1,457,3,463,1,465,1,466,1,467,1,473,1,477,3,479,1,500,1,505,1,506,1,516,1],"above":[13,2,404,1],"absolute":[112,2],"absorb":[293,1],"absorbing":[57,6,306,2,314,1,315,2,316,1],"abstract":[363,1],"academic":[455,1,456,2],"access":[42,1,89,4,109,3],"according":[6,3,467,1,487,1],"accordingly":[105,1],"account":[14,1,459,1,490,1],"accumulated":[48,2],"accumulation":[15,1],"accuracy":[124,2,132,1,526,2],"accurate":[5,2,35,3,428,1],"accurately":[0,3,9,3,18,3,20,3,25,3,27,3,30,3,32,3,34,3,38,3,40,3,42,3,44,3,47,4,49,3,52,3,53,3,60,3,61,3,64,3,67,3,68,3,80,3,82,3,85,3,87,3,90,3,92,3,95,3,98,3,100,3,105,3,110,3,112,3,114,3,118,3],"achieve":[135,1,527,2],"achieved":[511,1],"achieving":[356,1],"across":[44,2,72,2,98,2,107,1,108,2,110,3,112,1,113,2,133,2,151,1,158,1,160,3,161,1,162,1,163,1,228,1,402,1,404,1,423,1,424,1,439,1,441,1,450,1,458,1,459,2,461,3,468,1,471,1,503,1,515,1,517,1,519,1,525,1,529,1,531,1],"act":[20,2,30,1,32,2],"action":[40,3,41,4,42,9,44,15,46,7,47,3,49,3,50,1,51,6,52,9,53,12,54,2,56,4,58,5,59,4,61,2,62,2,64,8,66,5,67,5,70,1,74,2,75,3,78,11,80,5,83,5,84,2,85,1,86,4,287,1,288,1,289,1,290,4,291,1,292,4,293,1,294,2,296,1,297,1,298,1,300,2,301,2,302,2,306,1,307,1,308,1,309,3,310,2,312,1,318,1,319,3,320,1,323,2,324,1,326,2,329,1,330,1,331,1,333,2,340,1,342,1,343,2,346,1,353,1,354,1,355,1,361,1,362,2,365,2,366,3,367,2,368,4,375,1,376,1,377,1,378,3,379,2,380,1],"activation":[24,2,222,1],"actor":[71,3,87,7,88,6,381,1,382,1],"actual":[12,1,15,2,161,1,171,2,215,1,235,1,245,1,376,1,425,1,460,1,461,1,463,1,467,1,472,1,480,1,506,1],"actually":[7,1,11,1,12,1,16,2,21,1,26,1,33,1,35,1,37,1,44,2,46,1,85,1,95,1,108,1,140,1,142,1,143,1,144,1,147,1,150,1,163,1,167,1,171,1,174,1,175,1,177,1,178,1,207,1,209,1,211,1,213,2,217,2,223,2,225,1,226,2,231,1,232,1,233,3,236,1,238,1,239,1,241,1,243,3,248,1,249,2,253,1,257,1,259,1,260,1,261,1,262,1,263,1,266,1,270,1,274,4,275,2,279,2,280,1,281,2,282,2,394,1,396,1,405,1,406,1,408,2,410,1,411,1,412,2,413,2,418,1,421,1,423,1,425,1,428,1,430,1,433,1,435,1,437,2,440,1,443,1,444,1,445,1,447,1,448,1,450,1,451,1,452,2,458,4,459,2,460,1,461,1,462,2,463,1,464,5,465,2,466,2,467,4,468,5,469,5,470,3,471,6,472,4,481,1,483,1,496,1,499,1,506,2,510,2,521,2,523,1,526,1,527,1,528,1],"adapt":[98,5,100,2,104,1,105,1,117,2,335,1],"adaptability":[117,1],"adaptation":[28,4,114,2,117,5,118,6,119,2,230,1],"adaptive":[20,3,467,3,468,2],"add":[225,1,272,1,273,1,385,1,401,1,422,1,484,1,507,1,508,2],"added":[405,1,438,1],"adding":[468,1,508,1],"addition":[288,1],"additional":[23,1,47,1,64,2,143,1,405,1,420,2,470,2,508,3,526,1],"address":[85,2,112,2,357,1],"addresse":[30,2],"addressing":[85,1],"adjacent":[164,1,165,1],"adjusted":[105,2],"adopt":[459,1],"advance":[532,1],"advanced":[118,2],"advancement":[220,1],"advantage":[16,4,56,2,80,1,87,9,88,3,107,3,112,3,114,3,120,4,135,3,382,2],"advantageous":[114,1],"adversarial":[19,1,20,1,21,3,28,4,100,2,108,2,172,2,176,1,182,1,185,1,218,1,230,1,232,1,448,2],"affect":[18,3,22,3,41,2,196,1,289,1,316,1],"affected":[195,1,380,1],"after":[26,3,42,3,44,2,52,5,58,1,98,1,118,3,320,1,339,1,378,1,411,1,412,1,460,1,465,2],"again":[29,1,47,1,70,1,124,1,160,1,161,1,167,1,187,1,194,1,197,1,199,2,204,2,222,2,233,1,235,1,240,1,244,2,245,2,247,2,248,1,251,1,261,1,265,1,266,1,268,2,269,1,274,2,293,1,342,1,370,1,375,1,386,1,390,1,392,1,400,1,403,1,408,1,413,1,416,1,417,1,426,2,427,1,430,1,432,1,440,1,443,1,444,2,445,1,449,1,451,1,457,2,459,1,460,2,461,4,462,3,465,2,467,2,468,4,469,3,470,2,471,2,472,2,482,1,484,1,493,2,495,1,503,1,505,2,511,1,525,1,526,1,528,1],"against":[176,1,177,1,185,2,524,1],"agent":[39,3,40,1,41,2,42,6,43,4,44,1,46,4,47,1,48,5,52,6,54,3,55,3,57,4,70,2,76,3,77,1,287,2,288,1,289,2,290,2,291,2,292,2,293,1,294,2,303,1,305,2,306,2,307,3,308,1,336,1,337,2,348,1,349,1,352,1],"aggressive":[407,1],"agree":[461,1],"aim":[84,1,117,3,133,1,379,1],"akin":[451,2],"albeit":[280,1],"algorithm":[40,1,49,2,54,2,60,2,61,4,62,2,64,5,65,1,68,5,71,1,81,3,82,1,84,1,85,3,87,3,88,4,101,4,108,3,117,2,118,4,127,1,213,1,299,1,304,1,321,1,322,1,327,3,329,1,330,4,331,1,332,1,333,1,335,2,337,1,338,1,340,1,348,2,352,1,354,1,358,2,359,1,360,1,364,1,367,1,371,2,372,1,378,1,379,1,381,2,382,3,418,1,419,1,420,1,429,1,434,2,435,1,437,1,446,1,449,2,463,1,464,1,465,1,466,1,468,1,469,1,470,1,471,2,472,2,489,1,490,1,511,1],"align":[110,3,133,3,258,1,460,1],"aligned":[182,1],"all":[1,3,4,3,8,3,9,4,11,3,12,3,13,4,16,4,17,2,18,3,20,3,21,5,23,3,24,3,25,3,27,4,28,3,30,3,32,3,34,5,35,5,38,5,40,3,42,5,44,5,46,3,47,3,49,4,52,7,54,3,57,2,59,4,60,3,61,3,64,3,66,2,67,4,68,3,69,4,70,3,71,3,74,3,77,3,78,1,80,3,82,3,85,3,87,3,88,1,90,3,92,3,93,1,95,3,97,1,98,3,100,3,102,3,105,3,108,5,110,5,111,1,112,3,114,5,117,3,118,3,121,1,128,3,134,1,146,1,151,1,156,1,219,1,223,1,224,1,225,1,245,1,251,1,257,1,261,1,270,1,271,1,273,2,276,1,292,2,300,2,310,1,314,1,331,2,333,1,344,1,345,1,358,1,359,1,361,1,363,2,388,1,396,1,403,1,404,1,453,1,458,1,459,1,461,3,463,1,467,1,468,2,469,1,470,7,471,1,472,1,478,1,482,1,490,1,498,1,504,1,509,1,513,1,514,1,515,1,517,2,526,1,531,2],"alleviate":[523,1],"allow":[9,3,12,3,13,3,15,2,16,2,17,1,18,2,20,1,30,3,32,1,33,2,60,1,68,3,72,2,75,1,82,1,92,3,102,3,117,1,175,1,181,1,233,1,237,1,270,1,273,1,406,1,449,1,457,1,461,1,471,1,474,1,482,1],"alluded":[465,1],"almost":[510,1,531,1],"alone":[174,1,496,1,510,1,528,1],"alpha":[441,2,466,1],"already":[18,1,27,1,210,1,223,1,261,1,399,1,480,1,496,1,501,1,521,1],"also":[1,2,8,1,23,1,45,1,54,1,66,1,89,1,90,1,100,1,137,1,140,1,147,1,155,1,158,1,162,1,164,1,169,1,170,1,174,1,175,1,176,1,177,1,185,1,187,1,200,1,205,1,211,1,215,1,228,1,236,1,239,2,243,1,255,1,256,1,272,1,275,1,280,1,282,1,285,1,297,1,322,1,326,1,334,1,338,1,341,1,350,1,364,1,368,1,383,1,386,1,387,1,389,1,390,1,393,1,400,2,426,1,434,1,435,2,436,1,437,1,438,1,440,1,448,1,453,1,455,1,459,1,460,1,461,1,462,2,464,1,465,2,466,1,471,1,482,1,485,1,492,1,494,1,497,1,512,1,513,1,515,1,523,1,530,1],"alter":[103,3],"altering":[103,1],"alternate":[65,4,213,1],"alternative":[57,1,211,1],"alternatively":[341,1,466,1],"although":[63,1,190,1,397,1,449,1,453,1,454,1,455,1],"altogether":[98,2],"alway":[5,2,63,3,254,1,262,1,308,1,351,1,354,1,436,1,457,1,494,1],"amazing":[230,1,511,1],"ambiguity":[169,1],"among":[18,2,80,1,360,1],"amount":[89,3,90,4,99,10,100,2,110,3,196,1,356,1,383,1,386,1,401,1,402,2,411,2,416,1,417,4,418,1,419,1,455,1,458,1,469,1,471,1,472,1,485,1,504,1,506,1,512,1,523,1],"analysis":[1,2,394,1,496,1],"analyst":[468,1],"analyze":[190,1],"anchor":[94,2],"angle":[112,1,295,1,459,1],"angular":[112,2,459,1],"animal":[227,1],"annotate":[385,1],"annotated":[93,4,96,3,431,1],"annotation":[95,2,100,3,114,2,384,1,385,1,386,1,398,1,405,1,417,1,427,1,497,1],"another":[20,1,95,2,176,1,182,1,185,1,207,1,216,1,224,1,232,1,233,1,275,1,451,1,460,1,484,1,485,1,501,1,502,1,504,1,506,1,507,1,508,1,511,1],"answer":[137,2,188,2,311,1,413,1,429,1,497,1,501,1,505,1],"answered":[348,1],"answering":[349,1],"any":[3,2,6,2,15,2,37,3,41,1,51,1,64,2,73,1,87,2,89,1,92,2,108,2,114,1,122,1,125,3,143,1,293,1,302,1,345,1,357,1,379,1,387,1,460,1,462,1,482,2,497,1,521,1],"anymore":[353,1],"anything":[251,1,459,1,461,1,467,1],"anyway":[471,2],"apart":[126,1,133,1,226,1,487,1,492,1,514,1],"appear":[343,1,373,1],"appearance":[226,1],"appeared":[358,1],"applicable":[68,2],"application":[7,1,28,4,45,4,68,4,167,1,174,1,328,1],"applied":[45,2,87,2,95,1,120,2,295,1,296,2,297,1,413,1,414,1,423,1,466,1,470,1,472,1,530,1],"apply":[1,3,4,5,8,3,9,3,11,3,12,3,16,3,18,3,20,3,21,3,23,3,24,3,25,3,27,3,28,3,30,3,32,3,34,3,35,3,38,3,40,3,42,3,44,3,47,3,49,3,52,3,54,3,60,3,61,5,62,1,64,3,67,5,68,3,70,3,71,3,74,3,77,3,80,3,81,1,82,4,85,3,87,3,90,3,92,3,95,3,98,3,100,3,102,3,105,3,108,3,110,3,112,3,114,3,117,3,118,3,141,1,250,1,251,2,373,1,425,1,426,1,430,1,431,1,434,1,449,1,455,1,468,1,469,1,470,3,488,1,490,1,493,1,500,1,504,2,512,1,529,1],"applying":[4,1,61,1,62,1,78,3,81,2,111,2,328,1,333,1,413,1,451,1,469,1,470,1,471,1],"approach":[9,1,17,2,71,3,90,1,102,3,108,3,114,1,119,3,424,1,448,1,459,1,519,1],"approache":[66,3,68,2,71,1,98,4,100,4,102,1,108,1,110,3,116,1,333,1,397,1,444,1,457,1],"appropriate":[94,2,105,1],"approximate":[20,3,29,1,30,1,35,8,38,1,78,2,142,1,149,1,152,1,156,1,179,1,233,1,234,1,239,1,265,1,279,1],"approximated":[375,1],"approximating":[30,2,147,1],"approximation":[4,4,6,1,35,2,64,2,69,1,85,3,144,1,149,1,164,1,233,1,280,1,369,1],"aquarius":[461,1],"architectural":[12,3,17,1,24,1],"architecture":[4,3,11,1,12,3,16,6,18,3,31,3,105,3,117,2,124,3,220,1,221,3,225,1,234,1,400,1,402,1,473,1,479,1],"area":[455,1],"aren":[94,2,414,2,497,1],"arg":[78,1],"argmax":[145,1,426,1],"arise":[74,3],"arnette":[471,1],"around":[229,1],"arrive":[434,1],"art":[108,1,391,1,443,1],"artificial":[0,2,7,1,95,2,140,1],"ascend":[216,1],"ascending":[215,1],"ascent":[82,2],"asian":[470,1],"aside":[253,1],"ask":[311,1],"asked":[4,3],"asking":[470,1],"aspect":[114,3,117,3,225,1,289,1,349,1,480,1,481,1],"assert":[51,1],"assesse":[58,1],"assign":[53,1,84,2,127,1,379,1],"assigned":[127,4],"assigning":[102,1],"assignment":[84,1,85,3,127,2,379,1],"associated":[3,3,11,3,21,3,36,3,38,3,116,3,123,3,338,1,384,1],"assume":[66,2,89,4,90,4,93,1,96,3,99,4,109,3,121,1,241,1,261,1,280,1,304,1,307,1,340,1,363,1,385,1,387,1,388,1,390,1,486,1],"assumed":[261,1,266,1,387,1],"assumption":[3,4,8,3,38,3,90,5,136,1,138,1,170,1,171,1,265,1,279,1,280,1,302,1,359,1,386,1,390,1,451,1,485,1],"atari":[45,3,66,3,296,1,334,1,336,2,337,1,341,1,358,1,361,1],"ation":[471,1],"attained":[313,1],"attempt":[12,1,16,1,344,1],"attempting":[378,1],"attribute":[36,2,279,1],"audio":[28,4,230,1],"augment":[426,1],"augmentation":[97,4,101,4,102,2,103,7,104,4,107,1,108,2,133,4,174,1,406,1,407,3,409,2,424,2,426,1,427,1,428,2,431,1,435,2,447,2,448,2,453,1,511,2,512,1,513,1,514,1,531,1,532,3],"augmented":[105,2,106,6,107,2,408,4,410,1,432,2,433,1,514,1],"augmenting":[428,1],"auto":[239,1,489,1],"autoencoder":[23,3,25,1,29,1,122,4,123,1,124,3,125,5,233,2,234,1,238,1,246,1,247,1,264,1,274,1,279,1],"automatically":[95,2,102,2,181,1,229,1,532,1],"autoregressive":[9,3,10,1,12,1,13,1,14,1,17,1,18,1],"auxiliary":[89,1,387,1],"available":[52,3,54,2,129,3,231,1,390,1,418,1,461,1],"average":[85,1,134,3,205,1,206,1,215,1,347,1,433,1,440,1,441,1,523,1,525,1],"averaging":[114,3,441,1],"avoid":[4,2,57,2,64,2,69,1,82,2,132,1],"aware":[116,1],"awareness":[116,3,130,1],"away":[26,1,217,1,317,1,522,1],"axis":[208,1,278,1,418,2],"back":[33,1,34,3,268,1,270,3,271,1,273,3,430,1,460,2,467,1,468,3,469,2,470,5,471,6,472,1,474,1,521,1],"backbone":[68,1,335,1],"background":[338,1],"backprop":[201,1,206,1],"backpropagation":[33,3,127,2,128,2,398,1,428,1,448,1,491,1,492,1],"backward":[347,1,365,2],"bad":[227,1,354,1,379,1,443,1,471,1],"balance":[40,1,75,3,102,2,495,2],"balanced":[128,2],"balancing":[40,2],"ball":[227,1,338,1,339,1,349,1,500,1],"bank":[134,3,519,2,520,1,524,1,525,1],"base":[110,2,457,2,459,1,460,2,461,1],"based":[4,2,12,1,16,2,54,2,79,5,80,32,95,2,106,3,108,1,112,3,116,3,127,3,128,1,130,2,131,2,139,1,141,1,255,1,336,1,360,4,361,1,367,1,369,1,444,1,450,1,458,1,459,1,470,1,471,1,472,1],"baseline":[85,7,86,5,87,5,88,2,380,2,381,2,419,1,458,2],"basic":[40,1,67,1,71,1,78,1,80,2,158,2],"basically":[262,1],"basis":[3,2,60,1,64,1,70,1,327,1,330,1,394,2],"batch":[24,3,70,2,81,1,134,3,187,1,188,1,204,1,205,3,206,1,213,1,214,1,215,1,216,1,246,1,264,1,346,1,347,1,369,1,370,1,431,2,432,1,433,1,436,1,437,1,439,3,468,2,469,2,471,1,517,3,518,3,520,1],"batche":[469,1,520,2],"batchnorm":[24,1,221,1],"baye":[1,3,249,1,250,1,251,1],"bayesian":[154,1,155,1],"beam":[168,1],"beat":[472,1],"beauty":[430,1],"because":[8,2,25,1,30,2,43,1,78,1,114,1,117,1,142,1,146,2,147,1,148,1,156,1,166,1,169,1,170,1,177,1,190,1,193,1,194,2,195,1,199,1,200,2,203,1,205,1,223,1,237,1,246,1,252,1,268,1,280,1,352,1,374,1,385,1,406,1,411,1,413,2,417,1,420,1,421,1,427,1,428,2,431,1,440,1,444,1,452,1,454,1,457,1,458,2,459,2,461,1,463,1,464,2,467,3,469,3,471,2,472,1,503,1,505,1,507,1,518,1,521,1,523,1],"become":[57,6,78,5,141,1,529,1],"been":[24,1,28,3,42,3,45,1,84,1,148,2,220,1,230,1,232,1,286,1,295,1,297,1,344,1,379,1,403,1,449,1,464,1,470,2,476,1,498,1,511,1,522,1,527,1,532,1],"before":[1,3,13,1,52,2,80,2,119,2,140,1,156,1,239,1,299,1,303,1,367,1,407,1,410,1,446,1,476,1,489,1,496,2,524,1],"began":[226,1],"begin":[468,1],"beginning":[183,1,492,1],"behavior":[40,2,54,1],"behind":[337,1,380,1],"being":[25,1,49,1,52,1,66,1,80,1,102,1,145,1,155,1,158,1,203,1,209,2,210,2,212,1,240,1,254,1,267,1,277,1,288,1,303,1,316,1,334,1,464,1],"believe":[353,1],"bellman":[60,5,61,3,62,4,68,6,70,5,327,1,328,1,335,1,342,1],"belong":[19,1,464,1],"below":[13,1],"benefit":[36,3,82,4,92,2,105,2],"beside":[449,1],"best":[5,3,78,1,290,1,292,2,304,1,305,1,311,1,352,1,356,1,381,1,467,1,531,1],"beta":[466,1],"better":[12,2,16,5,74,3,78,1,85,1,92,1,100,1,120,2,162,2,184,3,186,5,189,2,201,1,212,1,213,1,339,1,350,2,400,1,406,1,409,1,443,1,453,1,456,2,458,1,459,3,460,3,461,2,464,2,465,2,468,1,470,1,472,2,493,5,527,2],"betting":[462,1],"between":[5,3,12,4,13,3,18,1,20,7,21,1,32,2,35,7,36,2,54,1,60,2,64,4,65,4,68,3,70,3,76,1,80,3,104,1,108,2,112,5,118,4,141,1,182,2,184,1,186,1,219,1,232,1,234,1,253,1,258,2,260,1,261,2,265,1,266,1,275,1,276,1,278,1,312,1,358,1,389,1,433,1,450,1,457,1,458,1,459,3,471,1,472,1,482,1,495,1,513,1,514,2],"beyond":[16,1,40,1,49,1,61,1,64,1,67,1,100,1,110,1,114,2,383,1,420,1,440,1],"bias":[75,2,229,1,341,1],"biased":[353,1],"big":[452,1],"billion":[444,1,446,1],"bin":[139,1],"binary":[127,2],"bird":[511,1,513,1,520,1],"bit":[218,1,219,1,307,1,420,1,457,1,463,1,466,1,471,1,477,1],"black":[465,1],"blackbox":[142,1],"blended":[470,1],"block":[365,2],"blue":[208,1,305,1,343,1,359,1,499,1],"blurrier":[38,3],"blurry":[38,1,281,1],"board":[45,2,298,1],"body":[228,1],"boil":[358,1],"book":[468,1],"both":[12,2,17,5,22,2,24,1,38,1,42,1,52,1,56,1,72,1,73,3,183,1,186,1,198,2,201,1,204,1,206,2,221,1,224,1,226,1,245,1,249,1,260,1,280,1,302,1,360,1,385,1,390,1,403,1,410,1,416,1,431,1,457,1,462,1,464,1,498,1],"bottleneck":[122,1,124,4,234,1,235,1,480,1,483,2],"bottom":[159,1,277,1,315,1,316,1,428,1,429,1],"bound":[30,5,31,2,66,1,70,1,237,1,263,2,268,1,334,1],"boundary":[90,3,92,2,130,2],"bounded":[70,2],"box":[465,1],"branch":[429,1],"branche":[427,1],"break":[60,1,68,1,77,1,287,1,337,1,339,1],"breaking":[68,2],"brick":[339,1],"briefly":[330,1],"broaden":[464,1],"broadened":[457,1],"broken":[368,1],"buffer":[71,4,76,6,77,1,78,2,357,2,358,1,359,1],"build":[62,1,110,3,321,1],"building":[52,1],"built":[352,1],"bunch":[251,1,259,1,266,1,279,1,459,1],"bypass":[15,2,18,2],"cain":[464,1],"calculate":[458,1],"calculated":[466,1],"calculation":[54,2,60,1,68,2],"call":[236,1,272,1,285,1,350,1,406,1,458,1],"called":[21,1,27,1,30,1,33,1,96,1,109,1,110,1,136,1,147,1,172,1,221,1,224,1,237,1,253,1,263,1,270,1,275,1,321,1,327,1,336,1,337,1,345,2,348,1,349,1,361,1,393,1,405,1,411,2,412,1,423,1,429,1,447,1,448,1,449,1,457,2,460,3,461,1,462,1,464,1,465,3,470,1,513,1,524,1],"came":[13,1,156,1,163,1],"cannot":[11,1,13,1,14,3,35,2,38,2,47,2,64,2,78,2,84,2,116,2,374,1,379,1],"capability":[36,3,117,2],"capable":[11,1],"capacity":[12,3,14,3,16,2],"capita":[464,1,468,1],"capture":[5,3,11,1,13,3,16,2,18,3,21,2,27,3,49,1,122,2,224,1,481,1],"capturing":[11,2],"cardinality":[329,2],"care":[95,1,412,1,413,1,505,1,506,1],"carry":[302,1,464,1],"case":[16,1,140,1,155,1,169,1,199,1,209,1,212,1,228,1,234,1,235,1,238,1,239,1,244,1,246,1,247,1,268,1,283,1,288,2,298,1,306,1,309,1,322,1,362,1,402,1,410,1,411,1,412,2,446,1,457,1,458,1,460,1,464,2,467,1,468,4,469,1,471,1,472,1,485,2],"cast":[464,1],"cat":[461,1],"catastrophic":[74,3],"categorical":[366,1],"categorization":[464,1],"categorize":[139,1,395,1],"categorized":[148,1],"category":[0,2,19,2,89,1,109,1,172,1,386,1,387,3,388,2,396,1,416,1,422,1,443,1,457,8,458,3,459,2,460,10,461,4,462,1,472,2,512,1],"causal":[13,1],"causality":[18,1],"cause":[55,3,67,2,74,3],"caused":[41,1,74,1],"cautious":[57,2],"cell":[306,1,308,1,466,5,467,4],"center":[467,1,502,2,503,1],"central":[5,1,61,1,100,1,328,1],"centrally":[472,1],"certain":[13,1,47,1,222,1,292,1,293,1,428,1],"chain":[9,5,17,1,153,1,469,1],"challenge":[3,3,11,5,21,4,27,3,38,3,41,4,47,5,74,1,78,3,94,4,105,3,116,4,292,1,351,1,354,1,355,1,359,1,379,1],"challenging":[3,1,44,1,104,2,298,1,299,1,349,1,428,1,457,2],"chance":[307,1,352,1,356,1],"change":[41,1,43,2,57,1,86,3,103,1,198,1,251,1,293,2,313,1,357,1,440,1],"changing":[196,1,470,1,471,1,472,1],"channel":[499,1],"characteristic":[20,3,23,3,40,5,41,3,44,4,61,3,67,3,90,3,95,1,126,3,303,1,487,1,498,1,515,1],"characterization":[15,1],"characterized":[301,1],"cheaper":[417,1],"cheat":[414,1,497,1],"check":[228,1,229,1],"chess":[66,3,334,1],"choice":[116,2,380,1,381,2,532,1],"choose":[67,2,323,1],"choosing":[52,2,78,1],"chosen":[18,1,75,1,83,1,354,1,367,1,377,1],"chunk":[502,1],"cifar":[442,2,443,2,455,1],"civilization":[466,1],"class":[23,1,106,1,109,4,111,2,113,3,114,11,115,1,136,1,142,1,154,1,172,1,227,1,362,1,404,1,449,1,457,1,458,1,459,1,461,3,462,2,464,2,465,3,512,1],"classe":[105,2,110,7,116,2,227,1,365,1,391,1,457,5,458,2,459,5,461,4,462,3,464,1],"classic":[91,1,131,1],"classical":[123,1],"classification":[0,1,20,3,28,3,48,2,112,3,130,2,139,1,173,1,231,1,285,1,364,1,458,2,474,1,481,1,484,1,505,1,508,1,509,1,510,1,513,1],"classified":[25,3],"classifier":[1,2,110,2,111,3,127,2,132,5,135,1,409,1,416,1,457,2,458,6,472,1,485,1,507,2,526,2],"classify":[0,2,102,1,122,2,201,1],"classifying":[25,1],"clear":[176,1,190,1,222,1,231,1,399,1,400,1,454,2,470,1,478,1,531,1],"clearly":[164,1,171,1,399,1,500,1],"clipping":[77,3],"close":[30,1,54,2,126,1,133,1,168,1,208,1,210,1,265,1,450,1,460,2,510,1,526,1],"closed":[266,1,374,1],"closely":[461,1],"closer":[60,1,316,1,324,1],"closest":[462,2],"clump":[486,1],"cluster":[90,2,126,3,127,2,128,6,439,1,475,3,486,2,491,2,493,1,494,5,495,1],"clustering":[90,1,91,3,123,3,127,5,128,6,389,1,393,1,397,2,450,1,451,1,475,1,477,1,485,1,490,1,493,1,495,1,496,1],"cnn":[12,1,16,3,152,1,181,1,341,1,490,1,492,1],"co":[147,1,423,1],"coarse":[84,1,379,1],"code":[133,2],"coded":[279,1,393,1,448,1,461,1,462,1,464,2,499,1],"coding":[395,1],"collapse":[21,4,27,9,38,2,128,1,224,1],"collect":[81,1,351,1,369,1],"collected":[338,1,340,1,342,1,349,1,356,1],"collecting":[74,3,350,1],"collection":[74,2],"color":[131,1,407,1,500,1,512,1],"colorization":[131,2,499,1,510,1],"colorize":[500,2],"colorized":[501,1],"column":[339,1],"combination":[67,1,87,2,441,1],"combine":[90,2,101,1,108,1,114,1,238,1,256,1,390,1,423,1],"combined":[67,2,448,1],"combining":[101,1,108,2],"come":[22,1,38,1,137,1,140,1,156,1,185,1,192,1,198,2,351,1,412,2,414,1,457,1,497,1,515,1,520,1],"comical":[227,1],"coming":[384,1],"comma":[306,1],"common":[27,3,45,3,89,3,131,3,386,1,389,1,402,1,452,1,486,1],"commonly":[8,3,23,1],"compare":[112,3,113,1,114,3,115,3,247,1,462,1,509,1],"compared":[38,3,115,1,120,3,398,1,443,1,462,1,466,1,523,1],"comparing":[8,1,396,1,397,1,508,1],"comparison":[112,2,369,1,459,1,514,1],"compensate":[75,2],"competing":[190,1,470,1,472,1],"competitive":[135,2,281,1,510,1],"complete":[26,1,44,2,52,3,180,1,291,1,296,1],"completely":[30,2,90,2,107,2,228,1,461,2],"complex":[6,2,9,2,11,3,21,3,23,4,38,2,47,3,60,1,68,3,82,2,119,1,132,3,144,1,177,1,178,2,179,1,180,2,190,1,219,1,241,1,288,1,447,1,465,1,508,1],"complexity":[3,2,4,3,61,3,62,4,66,1,75,2,107,2,329,1,333,1,471,3,472,1],"complicated":[307,1,462,1],"component":[8,1,22,1,23,3,31,3,50,3,62,3,71,3,81,3,112,2,113,3,149,1,359,1,371,1,382,1,394,1,496,1],"compress":[122,2,124,1,483,1],"compressed":[479,1],"compression":[124,2],"comprised":[365,1],"computable":[259,1],"computation":[47,2,60,2,64,2,72,2,82,2,118,3,271,1,273,1,459,1,465,1,468,2,469,1,471,3],"computational":[3,2,9,3,11,2,16,1,75,2,107,2],"computationally":[11,2,12,1,66,1,78,1],"compute":[9,1,17,1,25,3,31,1,35,1,64,2,65,1,81,3,82,1,84,2,115,1,121,3,230,1,237,1,262,2,263,1,269,1,280,1,331,1,346,1,347,1,366,1,374,1,375,1,466,1,467,4,468,1,469,3,474,1,515,1],"computed":[35,2,113,1,266,1,347,1,467,2],"computer":[268,1],"computing":[30,1,65,1,81,2,82,2,112,2,250,1,265,1,267,1,284,1,371,1,471,1],"concatenation":[342,1],"concept":[496,1],"conceptually":[120,1,126,2],"concrete":[180,1,482,1],"condition":[110,2,170,1],"conditional":[2,4,5,1,9,6,17,6,18,4,23,4,34,2,142,1,154,2,156,1,157,1,158,1,159,1,162,2,165,2,384,1,392,1],"conditioned":[9,3,13,1,17,1,119,2,231,1,467,1],"conditioning":[17,1],"confidence":[90,1,101,2,102,5,105,4,108,3,409,1,425,1,437,1,440,1],"confident":[92,3,97,1,102,2,404,1,405,1,422,1,425,2,430,1],"confidently":[97,2],"confounding":[132,1,508,1],"confuse":[227,1],"confusion":[227,1],"connected":[24,4,111,2,164,1,221,1,398,1,401,1,458,1,474,1,492,1],"consecutive":[74,1],"consequence":[47,3,471,1],"consider":[54,1,166,1,316,1,355,1,385,1,515,1],"consideration":[105,4,399,1],"considered":[130,3],"considering":[164,2],"consist":[31,1,353,1,431,1],"consistency":[101,3,104,1,107,4,108,3],"consistent":[44,2,104,1,226,1,228,1],"consisting":[149,1],"constant":[57,2,251,1,314,3],"constrain":[30,1],"constrained":[111,1,124,1],"constraint":[47,3,109,1,315,1],"construct":[70,2],"constructed":[110,2],"containing":[520,1],"contaminating":[102,2],"content":[103,4,130,2],"context":[156,1,164,1,171,1,403,1,421,1,422,1,424,1,429,1,510,1,529,1],"continue":[184,1,186,2,216,1,446,1,470,1],"continuing":[54,1],"continuous":[32,2,66,2,78,7,80,5],"continuously":[73,1],"contrast":[14,1,103,1,529,1],"contrastive":[31,2,91,2,133,3,134,1,135,4,530,1],"contribution":[102,2],"control":[24,1,45,3,49,2,295,1,297,1],"converge":[16,2,61,2,63,6,66,2,67,1,332,3,471,3,472,1],"convergence":[16,1,54,3,61,3,62,2,119,2,120,2,328,1,329,1,348,1,471,1,472,1],"convert":[82,2,92,1,404,1,426,1,476,1,479,1,499,1],"converted":[474,1],"converting":[326,1],"convex":[21,4,190,1],"convolution":[10,1,11,1,12,4,13,5,14,1,16,1,17,1,24,1,164,1,165,3,180,1,221,1],"convolutional":[12,2,16,3,24,1,124,2,126,2,181,1,361,1,396,1,398,1,401,1,490,1],"cool":[167,1,229,1,281,1,467,1],"coordinate":[305,1],"copy":[71,1,72,1,77,1,345,1,346,1],"core":[7,4,17,1,48,1,113,3,123,1],"corner":[315,1,316,1],"corpuse":[401,1],"correct":[39,1,40,2,41,2,44,3,102,1,131,1,137,1,286,1,290,1,365,3],"corrective":[44,2],"correctly":[25,3],"correlated":[74,4,353,1,355,1],"correlation":[76,2,77,1,358,1],"correspond":[277,1],"corresponding":[59,3,314,1,322,1],"corrupted":[437,1],"cosign":[458,1,464,1],"cosigned":[458,2,459,1,461,1,472,1],"cosine":[111,3,112,5,438,1],"cost":[100,3,385,1,386,1,465,1],"costly":[47,2,385,1],"could":[30,1,103,1,159,1,161,2,168,1,169,1,209,1,212,1,237,1,276,1,307,1,403,1,406,1,407,1,427,1,464,1,465,1,469,1,503,1,505,1,509,1,519,1],"course":[143,1,148,1,285,1,406,1,421,1,422,1,423,1,459,1,471,2,493,1],"cousine":[465,1],"covariance":[34,1,240,1,241,2,271,1],"cover":[151,1,457,1,465,1],"covered":[154,1,531,1],"create":[11,1,12,2,18,3,21,1,47,1,93,1,95,2,100,2,114,2,129,1,471,1],"creating":[353,1],"credit":[84,3,85,3,379,2],"criteria":[496,1],"critic":[71,3,87,7,88,6,381,1,382,1],"critical":[108,2],"crop":[103,1],"cropping":[512,1],"cross":[8,2,97,2,161,1,254,1,255,1,346,1,398,1,399,1,403,1,406,1,408,1,410,1,424,1,427,1,431,1,433,1,474,1,503,1,505,1,510,1,530,1],"crucial":[75,1],"current":[13,1,51,1,60,2,65,3,67,2,68,2,81,3,105,1,162,1,301,1,311,1,327,1,331,1,343,1,346,1,347,1,348,1,369,1,370,1,371,1,373,1,443,1,518,1],"currently":[353,1,419,1,531,1],"curriculum":[102,3],"curve":[208,1,212,1,418,1],"cut":[407,1],"cutout":[426,1],"damage":[47,1],"dancer":[228,1,229,1],"dancing":[28,1,229,1],"dangerous":[47,2],"data":[0,7,1,1,2,3,3,3,4,3,5,4,6,5,7,3,11,3,14,3,15,1,18,4,19,3,21,4,23,1,25,8,26,3,27,4,29,3,34,4,35,2,36,2,38,2,39,4,41,4,43,6,71,2,74,8,75,2,81,1,87,2,89,5,90,10,92,9,93,1,94,3,95,5,96,1,97,2,98,2,99,10,100,9,102,4,104,2,107,4,108,8,110,3,121,1,122,6,125,3,127,1,128,1,129,4,135,2,137,2,141,1,145,3,146,2,147,2,148,1,173,2,174,2,192,1,194,1,196,2,197,1,203,1,204,2,205,1,206,2,217,1,218,1,231,1,232,2,245,1,246,2,258,1,264,1,267,1,278,1,285,3,293,2,337,1,338,1,340,2,342,1,346,1,348,3,349,3,350,1,351,1,352,2,353,3,354,2,355,1,356,2,358,1,359,1,367,1,369,1,370,1,371,1,381,1,383,1,384,2,385,2,386,2,387,2,390,2,392,3,393,1,394,1,395,1,397,1,399,1,400,2,401,2,402,3,403,1,405,2,406,1,408,3,410,1,411,2,416,3,417,5,418,3,419,3,420,4,421,2,422,1,423,1,424,1,429,1,430,1,432,2,433,1,435,2,438,1,444,2,445,1,446,1,449,1,450,2,451,2,452,4,453,2,454,3,455,2,458,1,459,1,460,2,461,1,466,1,468,3,469,1,470,5,471,2,472,1,473,1,475,3,478,1,484,2,485,2,490,2,496,1,509,1,511,1,515,1,516,1,520,2,523,1,526,1,528,1,530,2,531,1,532,3],"dataset":[4,3,89,1,90,2,94,2,105,3,419,1,436,1,439,1,440,2,442,2,443,1,444,1,445,3,446,1,455,1,456,2,457,2,458,2,460,1,472,1],"day":[28,1,218,1,219,1,230,1,452,1,472,1],"dc":[221,1],"deal":[402,1,452,1],"dealt":[176,1],"decaying":[467,1],"decent":[427,1],"decently":[421,1],"decide":[466,1],"decision":[39,2,40,5,49,6,90,3,92,2,286,3,287,1,289,1,291,1,299,1],"decoder":[31,4,34,18,37,5,234,1,239,2,240,1,242,2,244,1,245,2,246,1,248,1,259,2,267,2,269,1,274,1,280,1,479,1],"decoding":[480,1],"decompose":[9,3,153,1],"decomposed":[146,1],"decomposing":[9,1,17,1],"decomposition":[18,2],"decompress":[124,1],"decoupling":[72,3],"decrease":[57,1,75,2,297,1,314,1,336,1,367,1,378,1],"decreasing":[57,1,315,1],"deep":[1,3,4,4,6,7,16,3,21,1,69,4,70,3,71,4,72,3,73,3,74,3,75,3,77,4,78,4,124,2,137,1,140,1,141,1,180,1,187,1,190,1,284,1,335,1,336,2,337,1,338,1,339,1,340,2,341,2,348,3,354,1,357,1,358,2,359,2,384,1,389,1,396,1,397,2,403,3,424,1,429,1,430,1,476,1,478,1,488,1,496,2],"deeper":[221,1,340,1],"defeat":[297,1],"deficiency":[1,1,141,1],"define":[9,1,17,1,18,1,53,2,60,2,68,3,70,3,95,2,159,1,261,1,297,1,312,1,322,1,324,1,364,1,368,1],"defined":[15,2,32,2,40,1,50,1,53,2,56,3,59,4,87,1,88,1,166,1,255,2,287,1,299,1,301,1,309,2,320,2,321,1,322,1,340,1,382,2],"defining":[9,1,49,2,160,1,161,1,170,1,257,1,284,1],"definition":[40,1,50,3,60,3,255,2,257,1,287,1,289,1,292,1,299,1,301,1,309,1,311,2,317,1,322,1,323,1,324,1,325,1,363,1,372,1,375,1],"degradation":[443,2],"degrading":[469,1],"degree":[389,1,419,1],"delayed":[40,3,41,4,44,3,291,1],"delicate":[495,1],"demo":[336,1,341,1,349,1,352,1],"demonstrate":[108,1],"demonstrated":[108,3],"denominator":[252,1],"density":[0,3,1,4,19,7,29,6,32,2,82,2,90,2,91,3,123,3,126,4,139,1,149,1,150,3,152,2,170,1,172,3,173,1,181,1,233,3,372,1,373,1,374,2,389,1,391,1,476,1,477,1,486,2],"depend":[9,1,10,1,13,1,16,1,18,1,51,4,86,4,105,1,195,1,249,2,302,1,376,2,380,1],"dependence":[51,1,64,2],"dependency":[10,1,11,3,12,3,13,4,15,2,16,4,18,3,120,2],"dependent":[85,3],"depending":[83,1,105,2,367,1,377,1,378,1],"depict":[467,1],"depiction":[204,1,468,1],"deployed":[288,1],"depth":[359,1],"derivation":[247,1,273,1,374,1],"derivative":[81,4,82,7,347,1,373,2],"derive":[64,1,80,3,143,1,201,1,243,1,254,1,280,1,326,1,330,1,367,1,370,1,372,1],"derived":[60,1,68,1,88,2,225,1,327,1,335,1,435,1,447,1],"descend":[213,1],"descending":[216,1],"descent":[34,2,71,3,73,1,118,12,187,1,411,1,464,4,465,4,466,3,467,2,468,3,469,1,470,3,471,1,472,2],"describe":[0,3,9,3,18,3,20,3,25,3,27,3,30,3,32,3,34,3,38,3,40,3,42,3,44,3,47,3,49,3,52,3,53,3,60,3,61,3,64,3,67,3,68,3,80,3,82,3,85,3,87,3,90,3,92,3,95,3,98,3,100,3,105,3,110,3,112,3,114,3,118,3,308,1],"described":[97,3,364,1,371,1,495,1],"design":[4,3,18,1,47,2,154,1,398,1],"designed":[11,1,17,3,95,4,103,3,129,3],"designing":[94,2],"despite":[17,1,33,1],"destroy":[428,1],"deta":[145,1],"detail":[170,1,171,1,226,2],"detailed":[114,2],"detect":[130,2],"detected":[27,1],"detection":[509,1,510,1,527,1,528,1],"determine":[18,3,40,1,44,1,70,3,102,2,183,1,188,1,207,1,235,1,466,1,468,1,469,1],"deterministic":[36,2,44,2,53,9,68,2,84,2,85,2,242,1,309,1,310,1],"develop":[98,2,100,2,110,2],"developed":[24,2,28,1,148,1,177,1,220,1,221,1,224,1,230,1,399,1,446,1],"deviate":[32,1],"deviation":[32,2,266,1,279,1],"devised":[498,1],"dfd":[208,1],"diagnosed":[27,2],"diagonal":[34,1,35,1,241,1],"did":[19,1,44,2,46,5,172,1,228,1,251,1,288,1,290,2,472,1,491,1,514,1],"didn":[213,1],"differ":[42,2,53,1,80,1,439,1,498,1],"difference":[12,4,17,2,35,2,64,4,80,3,112,2,160,1,182,1,234,1,459,1,482,1],"different":[22,1,49,1,72,4,87,3,104,6,105,4,108,2,112,3,118,1,133,2,136,1,139,2,148,1,151,1,169,1,172,1,174,1,175,1,177,1,180,1,187,1,190,1,191,1,211,1,221,1,227,2,232,1,241,1,244,1,250,1,251,1,254,1,259,1,263,1,274,1,277,1,278,1,314,2,381,1,390,2,392,1,393,1,396,2,399,1,402,1,410,1,439,1,457,2,458,2,459,1,461,2,468,1,469,1,475,1,487,1,491,1,498,1,503,1,508,1,509,2,511,1,512,5,513,1,514,2,524,1,525,1,529,1],"differentiable":[33,1,82,2,118,3,270,1,365,2],"differentiate":[20,1,118,1,270,1],"differently":[107,2],"difficult":[21,1,40,1,47,7,102,2,148,2,177,1,219,1,222,1,293,1,409,1,440,2,455,1],"difficulty":[11,2,21,2,94,1],"dig":[340,1],"digit":[218,1,235,2,278,1],"dimension":[118,1,138,1,241,1,275,2,279,1,392,1,459,1],"dimensional":[1,2,3,3,4,8,6,6,38,2,122,3,124,4,141,3,148,1,160,1,234,2,235,1,310,2,316,1,327,1,395,1,479,1,480,1,481,2,483,1],"dimensionality":[4,3,6,1,123,3,276,1,400,1,476,2,477,1,483,1],"direct":[23,1,28,3,30,2,39,3,40,2],"directed":[18,3],"direction":[112,3,307,1,308,1],"directional":[112,2],"directly":[3,1,18,1,20,2,30,2,35,4,37,3,49,2,62,2,64,5,70,1,74,1,79,5,80,3,130,2,231,1,237,1,361,1,489,1],"discard":[376,1],"discarded":[76,2,357,1],"discount":[50,4,54,7,55,3,57,2,301,1,312,1,316,1,355,1],"discounted":[56,1,58,1,60,2,311,1,312,1,317,1,318,1,320,2,324,1],"discounting":[311,1,363,1],"discover":[48,2,352,1],"discovered":[339,1,352,1],"discrete":[78,1,502,1,504,1,505,1],"discretization":[80,2],"discretize":[161,1],"discriminant":[1,2],"discriminate":[186,1,203,1,232,1],"discriminating":[189,1,198,1,202,1,459,1],"discrimination":[133,4,134,3,184,1,459,1,511,1,513,1,527,1,529,1],"discriminative":[2,2,4,1,5,12,6,1,141,1,142,1,144,1],"discriminator":[20,6,21,1,22,7,24,8,25,9,26,2,27,4,31,2,183,2,184,3,186,1,188,1,189,1,191,1,193,1,194,4,196,3,197,2,198,1,199,2,200,3,201,3,203,3,205,1,206,1,208,1,209,1,210,2,212,1,213,2,214,2,215,1,216,1,217,2,219,1,221,1,222,1,223,1,232,1],"discuss":[336,1,351,1],"discussed":[45,3,84,3,88,1,97,1,489,1],"disentangled":[36,1,235,1,279,1,283,1],"disentanglement":[36,2],"dispersed":[126,2],"dissimilar":[126,2,393,1,465,1,491,1,492,1],"distance":[96,1,114,2,115,1,253,1,393,2,461,1,462,1,464,2,472,1,487,1],"distant":[54,2],"distillation":[97,3,410,1,530,1],"distinct":[126,2,133,1],"distinction":[5,4,64,1,141,1,389,1],"distinguish":[20,2,27,3,44,1,85,1],"distinguishe":[20,1,182,1],"distinguishing":[457,1],"distributed":[8,2,192,1,279,1],"distribution":[0,4,1,2,2,2,3,5,4,3,5,4,6,3,7,1,8,2,9,7,11,3,14,3,17,9,18,4,19,1,20,3,21,2,23,11,24,1,25,1,27,5,28,1,32,3,34,4,35,2,37,5,41,4,42,2,43,6,50,4,51,1,52,5,53,4,67,2,92,3,100,5,102,3,110,1,112,3,136,1,138,1,139,1,140,3,142,2,143,1,144,3,146,1,147,1,149,3,150,1,152,2,153,2,154,5,156,2,158,1,159,2,162,2,165,2,167,1,172,1,173,1,178,4,179,3,192,1,204,1,217,1,223,1,224,2,231,1,238,1,240,2,242,1,244,1,245,1,246,1,253,1,254,1,258,3,264,1,265,1,266,2,271,1,273,3,274,1,279,1,280,1,293,2,300,2,302,3,303,2,304,1,309,1,312,3,366,1,376,3,391,1,392,2,396,1,405,1,410,1,425,1,476,1],"divergence":[8,3,20,3,30,1,32,5,35,2,38,2,253,2,254,1,255,1,256,1,257,1,258,2,260,1,261,2,262,1,265,1,266,1,410,1],"diverse":[76,1,100,2,104,2,518,1],"diversity":[21,1,27,7,133,2,223,1],"divert":[303,1],"divide":[373,1],"divided":[250,1,251,1,252,1,256,1],"doesn":[9,1,27,1,30,1,70,3,114,1,202,2,237,1,249,1,251,1,273,1,443,1,464,1,466,1,470,1],"dog":[130,1],"doing":[35,1,142,1,183,1,194,1,196,1,209,1,257,1,261,1,436,2,438,1,441,1,470,2,471,3],"domain":[28,3,45,3,95,2,102,2,112,2,232,1],"dominant":[472,1,529,1],"dominate":[356,1],"dominated":[356,1],"don":[23,2,25,1,26,1,66,2,89,1,95,1,150,1,210,1,217,1,223,1,231,1,387,1,392,1,394,1,412,1,413,1,430,1,439,1,458,1,465,1,468,1,469,2,472,1,482,1,485,1,500,1,502,1,505,1,506,1,508,1,515,1,521,1,530,1],"done":[69,1,96,1,143,1,181,1,344,1,440,1,472,1,499,1,514,1],"dot":[514,1],"down":[60,1,68,3,200,1,202,1,236,1,252,1,287,1,298,1,358,1,362,1,368,1,525,1],"downside":[163,1,165,1,459,1,518,1],"downstream":[36,2,95,2,130,2,135,2,173,1,217,1,281,1,283,1,285,1,473,1,477,1],"dozen":[225,1],"dq":[369,1],"dqn":[350,1],"dramatically":[103,1],"dramatize":[467,1],"drawback":[14,3,16,1,230,1],"drawn":[8,1,34,1,146,1,392,1],"drifting":[307,1],"drive":[398,1,400,2,409,1,412,1,478,2,491,1,493,2,497,1,501,1,505,1,510,1,530,1],"driven":[513,1,514,1],"due":[12,1,16,1,21,2,35,2,38,1,222,1,332,1,356,1,363,1,365,1,366,1,435,1],"dural":[176,1],"during":[10,1,11,2,12,8,15,2,16,8,42,3,72,2,73,3,75,2,98,3,105,2,110,2,111,3,114,3,116,3,218,1,293,1,343,1,345,1,459,1,460,6,461,1,462,1],"dynamic":[21,2,25,3,28,1,47,3,52,1,66,4,68,3,76,3,82,3,175,1,176,1,177,1,219,1,223,1,281,1,327,1,333,1,335,1],"dz":[236,1],"each":[9,4,10,1,13,2,17,1,41,2,44,2,61,2,62,1,67,3,70,2,107,1,113,5,114,3,115,4,137,1,145,1,146,1,170,1,176,1,177,1,179,1,185,1,187,1,199,1,204,1,205,1,276,1,279,1,296,2,297,2,308,1,309,1,310,1,327,1,328,2,329,1,331,1,336,1,342,1,365,1,368,1,371,1,376,1,385,1,448,1,454,1,457,1,459,1,461,3,462,7,464,1,465,2,467,2,468,1,469,1,503,1,508,1],"earlier":[54,1,301,1,313,2,326,1,348,1,349,1,350,1],"early":[12,1,16,1,111,2,218,1,219,1,221,1,458,1],"easier":[16,2,386,1],"easiest":[102,1],"east":[306,2,308,1],"easy":[94,3,226,1,306,1,414,1,444,1,515,1,519,1],"edge":[155,1,499,1],"effect":[30,2,32,3,54,1,132,1,198,1,472,1,508,1],"effective":[25,1,54,2,87,1,98,1,108,4,114,1,126,4,177,1,281,1,283,1,383,1,388,1,401,1,409,1,412,2,414,1,416,1,421,1,423,1,429,1,434,1,435,1,436,1,449,1,457,2,458,3,473,1,476,1,477,1,479,1,481,1,484,1,496,1,497,2,498,1,505,1,526,1,529,1],"effectively":[0,2,11,2,108,1,116,2,458,1],"effectiveness":[438,1],"efficiency":[9,3,10,3,16,3,134,3,515,1],"efficient":[12,2,14,2,16,1,60,2,64,2,117,2,332,1,519,1,529,1],"effort":[417,1],"eight":[503,2],"either":[83,1,118,1,306,2,377,1,378,1,393,1,401,1,471,1],"eke":[420,1],"elaborate":[355,1],"elbo":[30,5,31,1],"elbow":[263,1],"elegant":[114,1],"element":[13,1,49,1,88,4,101,5,108,1,156,2,308,1,352,1,451,1,461,2,462,3,464,2,468,1,487,1,508,1,522,1],"eliminate":[6,2,9,2,30,2,98,2,107,2],"else":[459,1],"embedding":[4,4,6,1,112,3,113,3,124,2,141,1,234,2,462,1,465,1,480,1,481,2,483,1],"emory":[469,1],"emphasis":[55,1],"emphasize":[4,1],"empirical":[222,1],"employ":[16,1,17,1,71,1,357,1],"employed":[361,1],"empty":[128,3,494,1],"enable":[9,3,15,2,16,1,18,3,30,2,33,3,49,3,60,2,68,4,72,2,82,2,135,2,207,1],"enabled":[273,1],"encode":[6,2,20,3,130,2],"encoded":[134,2,277,1],"encoder":[31,4,32,3,35,3,132,3,134,3,135,2,234,1,239,2,243,1,244,1,245,2,248,2,250,1,258,2,260,1,261,1,264,1,270,2,271,2,272,1,273,1,280,1,396,1,479,2,481,1,485,1,489,1,506,1,513,1,516,1,517,1,524,5,525,4],"encoding":[34,2,113,2,398,1],"encounter":[459,1],"encountered":[98,1],"encourage":[32,2,107,3,124,3],"end":[26,1,41,1,217,1,231,1,274,1,291,1,316,1,356,1,360,1,398,1,401,2,430,2,436,2,457,3,459,2,460,1,462,1,464,3,469,1,474,1,496,1,516,2,517,2,521,1],"ended":[257,1],"ending":[395,1],"endpoint":[55,1,316,1,317,3,356,3],"enduring":[457,1],"enforce":[13,1,124,1],"enforced":[13,1],"engineer":[497,1],"engineering":[182,2,495,1],"enough":[422,1,458,2,466,1,472,1,485,1],"ensembling":[441,1,447,1],"ensure":[32,4,54,1,70,2,76,3,82,2,85,2,102,2,168,1],"ensuring":[13,1],"entire":[28,1,51,3,84,1,143,1,154,1,155,1,160,1,162,1,163,1,206,1,225,1,229,1,270,1,346,1,378,1,379,1,430,1,467,1,468,1,469,2,471,2],"entropy":[8,2,97,2,98,2,101,2,161,1,254,1,255,3,398,1,399,1,403,1,408,1,410,1,424,1,427,1,431,1,433,1,447,1,474,1,503,1,505,1,510,1,530,1],"enumerating":[78,1],"environment":[40,3,42,6,44,2,47,1,48,1,52,1,57,2,66,5,67,2,68,2,76,3,78,3,82,3,287,4,288,2,289,3,294,2,295,1,297,1,298,1,300,1,303,1,305,3,313,1,316,1,334,1,336,1,337,1,348,1,349,1,351,1,355,1,366,1],"episode":[42,2,470,1],"episodic":[363,1],"epoch":[16,1,471,1],"epsilon":[75,5,80,2,272,1,354,1,359,1],"equal":[159,1,254,1,262,1,263,1,325,1,355,1,466,2,483,1],"equation":[60,5,61,3,62,3,68,7,70,5,236,1,327,1,328,2,335,1,342,1,467,3],"equilibria":[190,1],"equivalent":[253,1,467,1],"error":[8,2,15,1,25,3,35,2,40,2,48,2,87,3,105,1,234,1,292,1,344,1,378,1,399,1,442,1,460,1,474,1,482,1,501,1],"especially":[148,1,226,1,419,1,422,1,478,1],"essence":[378,1],"essential":[9,1,49,1],"essentially":[30,1,154,1,176,1,179,1,194,1,204,1,237,1,242,1,267,1,272,1,282,1,411,1,413,1,438,1,449,1,461,3,464,1,465,1,467,1,468,2,470,1,487,1,488,1,492,1,494,2,506,1,508,1,513,1,516,1,517,1,525,1,530,1],"estimate":[0,3,1,1,5,4,17,1,58,3,61,2,65,1,82,1,84,2,86,3,87,4,88,2,136,1,140,1,147,2,156,1,158,1,239,1,246,2,247,1,327,1,370,1],"estimating":[330,1],"estimation":[0,3,1,4,4,3,8,2,82,2,85,2,91,3,123,3,139,1,149,1,152,1,255,1,389,1,391,1,476,1,477,1],"euclidean":[393,1],"evaluate":[42,2,44,1,56,1,292,1,505,1],"evaluated":[78,2,132,4],"evaluating":[8,3,65,3,78,1],"evaluation":[63,1,67,3,127,2,332,1],"evaluative":[39,1,40,3,44,5,286,1,287,1,289,1,290,1,303,1],"even":[105,1,114,2,129,1,135,3,173,1,356,1,420,2,427,1,434,1,439,1,443,1,446,1,457,1,460,1,465,1,472,1,476,1,493,1,510,1,516,1,527,1],"eventually":[67,3,76,1,292,1,332,1,338,1,351,1],"every":[41,2,115,3,292,1,294,1,300,1,345,1,366,1,512,1,520,1],"everything":[166,1,187,1,478,1,494,1],"evolution":[525,1],"evolve":[20,1,282,1],"evolving":[465,1,472,1],"exact":[3,2,372,1],"exactly":[254,1],"example":[1,1,7,1,8,1,12,1,15,1,24,1,76,1,89,1,92,2,93,1,95,1,97,2,100,2,102,6,104,3,105,5,108,2,109,6,111,3,112,3,114,8,115,4,121,1,126,3,133,1,137,2,139,1,140,2,142,1,143,1,145,1,146,1,147,3,148,1,153,1,159,1,160,1,161,1,167,1,168,1,174,2,179,1,188,1,190,1,207,1,215,1,218,2,221,1,223,1,224,1,225,1,226,1,227,1,232,1,235,1,240,1,242,1,254,1,266,1,274,1,276,1,277,1,279,1,281,2,282,1,283,2,285,3,316,1,334,1,341,2,352,1,361,1,383,3,385,2,386,1,387,2,388,2,390,1,391,1,392,2,393,1,395,2,396,3,398,1,399,1,400,1,402,1,403,1,404,1,407,3,408,1,409,1,410,1,411,1,413,1,416,1,417,1,421,1,422,1,424,1,425,2,431,2,432,2,433,1,435,1,436,1,439,1,443,1,444,1,448,1,449,1,450,4,451,1,455,1,457,5,458,4,459,1,460,6,461,4,462,4,463,1,464,4,465,3,468,2,470,1,471,1,472,1,475,1,481,1,482,1,483,1,484,1,486,1,489,2,494,1,496,1,499,2,500,1,501,2,504,1,506,1,509,2,512,1,514,3,515,5,516,1,517,2,519,1,522,1],"except":[202,1,222,1,451,2,464,1,470,1],"exceptionally":[298,1],"exchange":[372,1],"exciting":[528,1,532,1],"exclude":[105,3],"excluded":[363,1],"exclusively":[97,2],"exe":[269,2],"execute":[42,1,294,1],"exercise":[381,1],"exist":[151,1,235,1,348,1,389,1,391,1,395,1],"existed":[140,1,496,2],"expand":[90,3,92,2,375,1],"expansion":[325,1],"expectation":[82,4,86,1,249,1,250,1,253,1,255,1,256,3,257,1,259,1,312,1,326,1,370,1,372,1,374,1,375,2,380,1],"expected":[49,1,58,2,67,2,68,2,85,2,87,1,320,2,324,1,325,1,369,1,372,1],"expense":[38,1],"expensive":[66,1],"experience":[52,1,71,2,76,5,77,2,98,2,110,3,175,1,230,1,282,1,348,1,357,1,359,1],"experienced":[357,1],"experiment":[351,1,459,1],"explain":[169,1,394,1],"explanation":[364,1,370,1],"explicit":[6,2,9,3,12,3,19,5,28,3,29,4,101,2,114,1,119,1,120,3,149,1,150,1,152,2,160,1,161,1,172,1,173,1,174,1,231,1,233,2],"explicitly":[14,1,19,1,29,1,56,1,80,2,116,1],"exploit":[100,2],"exploitation":[40,3,75,3],"exploration":[40,3,47,3,74,3,75,3,80,2,352,1,354,1,356,1],"explore":[74,1,351,1],"explored":[473,1],"exploring":[532,1],"exponential":[134,3,440,1,441,1,523,1],"exponentially":[66,1,334,1],"express":[82,1,256,1],"expresse":[60,2],"expression":[324,1,326,1,331,1,368,1,370,1,372,1,373,1,374,1,375,1,376,1,378,1],"expressivity":[38,1],"extended":[28,1],"extension":[28,3,71,1,231,1],"extra":[268,1,330,1,420,1,521,1],"extract":[4,1,6,3,122,2,141,1,431,1,460,1,461,3,462,3,464,1,465,1,489,1,507,1,513,1,516,1],"extracted":[228,1,520,1,521,1,522,1],"extracting":[108,2],"extraction":[204,1,432,1,519,1,521,1],"extractor":[111,2,113,2,135,1,449,2,457,1,458,1,461,3,520,1],"extreme":[387,1],"extremely":[66,2,114,2,135,1,226,1,339,1,429,1,434,1,442,1,510,1,511,1,526,1,529,1,532,1],"eye":[226,2],"face":[11,1,21,1,41,1,47,1,116,1,219,1,224,2,277,2,351,1],"facilitate":[82,2],"fact":[9,1,27,1,226,1,366,1,373,1,439,1,442,1,446,1,451,1,459,1,516,1],"factor":[16,1,50,4,54,7,55,3,57,2,87,4,235,2,301,1,311,1,312,1,316,1,355,1,363,1,433,1,459,1],"factorization":[14,1],"factorize":[9,1,17,2,18,1,152,1,154,1,155,1,156,1,159,1],"factorized":[149,1],"factorizing":[17,3,18,1,154,1],"fail":[21,1,27,4],"failing":[27,2],"failure":[227,3],"fake":[20,2,22,1,25,5,27,2,182,1,184,1,186,1,188,3,189,1,192,1,193,2,194,1,196,2,198,1,200,1,201,2,203,1,204,2,205,1,206,1,209,1,210,2,226,1,232,1],"false":[2,2,7,2,10,2,13,2,17,2,19,2,22,2,26,2,29,2,33,2,37,2,39,2,43,2,46,2,51,2,55,2,58,2,59,2,63,2,65,2,69,2,73,2,76,2,79,2,83,2,86,2,89,2,93,2,96,2,99,2,103,2,106,2,109,2,115,2,121,2,125,2,129,2,132,2],"familiar":[156,1],"family":[360,1],"far":[32,1,60,1,126,1,176,1,323,1,327,1,333,1,370,1,371,1,384,1,464,1,487,1],"farther":[133,1,317,1],"fast":[189,1],"faster":[12,3,16,3,63,1,166,1],"favor":[76,1,357,1],"feasible":[3,1,66,1,138,1,471,1],"feature":[4,1,6,3,7,3,93,3,94,3,95,2,111,2,112,6,113,2,122,2,124,3,126,3,132,1,134,2,135,4,141,1,167,1,173,1,174,1,175,1,204,1,217,2,231,1,235,1,281,1,283,1,383,1,388,2,394,1,395,3,396,2,397,1,400,2,401,2,409,1,412,1,414,1,416,1,431,1,432,1,449,2,450,1,457,1,458,2,459,1,460,1,461,8,462,4,463,1,464,4,465,2,473,1,476,2,477,1,479,2,480,2,484,3,486,1,487,4,488,3,489,2,490,4,491,1,492,2,493,3,495,1,496,1,497,2,498,2,499,2,501,1,505,2,507,2,508,2,510,2,513,2,514,2,515,1,519,1,520,2,521,3,522,3,523,1,526,4,527,1,528,2],"fed":[188,3,234,1,458,1,459,1,465,1,466,1,469,1],"fee":[244,1,270,1],"feed":[23,1,179,1,187,2,205,1,215,1,217,1,239,1,242,1,246,1,264,1,267,2,269,1,274,1,346,1,403,1,407,1,408,1,430,1,461,1,464,1,488,1,490,1,513,1,520,1],"feedback":[20,3,39,1,40,6,44,18,52,3,84,1,286,1,287,1,289,1,290,1,292,1,303,1,353,1,366,1,379,1],"feeding":[181,1],"feet":[466,1],"female":[224,1],"few":[89,5,98,7,109,5,110,4,111,4,112,4,114,4,116,4,117,1,164,2,218,1,237,1,349,1,370,1,383,1,386,1,387,1,390,1,411,1,412,1,439,1,443,1,457,5,458,1,459,1,461,1,464,2,465,2,468,1,472,1,514,1],"fewer":[63,1,100,2,332,1],"fidelity":[230,1],"field":[18,3,165,1,465,1,472,1],"figure":[305,1,306,1,313,1,314,2,315,1,464,1,532,1],"figuring":[190,1],"fill":[372,1],"filter":[102,3,124,2,126,2,165,1],"final":[118,2,376,1,469,1],"finally":[186,1,401,1,436,1,440,1,445,1,460,1],"find":[4,2,182,1,304,1,458,1,461,1,462,2],"finding":[24,1,60,1,68,1,75,1,78,1,117,1,221,1,369,1],"fine":[84,1,98,2,111,4,114,2,116,5,117,1,231,1,445,1,457,1,459,1,472,1,473,1,477,1,481,1,484,1,485,1],"finer":[171,1],"finetune":[401,1],"finetuning":[98,2],"finite":[76,1,310,2,357,1,362,1,363,1,368,1,375,1],"fire":[465,1],"first":[23,1,59,1,152,1,157,2,163,1,178,1,195,1,257,1,259,1,262,1,287,1,318,1,321,1,323,1,325,2,331,1,340,1,351,1,354,1,364,1,367,1,368,1,372,1,376,1,381,1,479,1],"firstly":[351,1],"fish":[500,2],"fit":[19,1,172,1,173,1,439,1,464,1,465,2,468,2,469,1,470,1],"fitted":[348,1],"five":[50,1,299,1,411,1],"fix":[111,1],"fixed":[32,2,53,1,71,2,72,1,73,1,77,2,81,2,135,1,176,1,185,1,348,2],"fixmatch":[101,5,103,3,104,3,106,3,108,6,429,1,446,1,447,1,449,1],"flavor":[151,1,465,1],"flexibility":[6,3,120,2,472,1],"flexible":[471,1,472,1],"flip":[103,1,252,1,438,1],"flow":[525,1],"focus":[0,1,139,1,396,1,397,1,402,1],"focuse":[117,1],"focused":[54,1],"focusing":[27,1,112,2,459,1,518,1],"follow":[14,1,18,1,187,1,326,1,341,1,466,1],"following":[0,3,1,3,5,3,9,3,11,3,14,3,17,1,18,3,20,3,21,3,23,3,24,3,25,3,27,3,30,3,32,3,34,3,35,3,38,3,40,3,41,3,42,3,44,3,47,3,49,3,50,3,52,3,53,3,54,3,56,3,60,3,61,3,62,3,64,3,67,3,68,3,71,3,80,3,81,3,82,3,85,3,87,3,90,3,91,3,92,3,95,3,97,3,98,3,100,3,101,3,105,3,107,3,108,3,110,3,111,3,112,3,113,3,114,3,118,3,119,1,123,3,131,3,317,1,354,1,466,1],"fool":[22,1,25,3,194,1,203,1,223,1],"fooled":[209,2,210,1,212,1],"fooling":[25,1,203,1],"footage":[28,1,229,1],"force":[15,2,32,2,95,3,104,2,130,3,414,1,497,1,500,1,504,1],"forcing":[10,1,15,5,161,1,162,1,481,1,483,1,492,1],"forest":[142,1],"forget":[466,3,467,1,468,2,469,1],"forgetting":[74,3,467,1],"form":[39,2,44,2,60,1,64,1,68,3,70,1,92,2,96,3,97,2,190,1,266,1,286,2,299,1,307,1,308,1,327,1,330,1,335,1,365,1,374,1,388,1,394,1,395,1,399,1,407,1,410,1,435,1,464,1,465,1,486,2,503,1],"formal":[309,1,367,1],"formalize":[49,2],"formally":[309,1,320,1,370,1],"formed":[478,1],"formula":[499,1],"formulation":[49,1,68,2],"forward":[268,1,295,1,296,1,346,1,347,2,376,1,398,1,460,1],"found":[222,1,292,1],"foundation":[60,2,68,2,299,1],"foundational":[49,2],"four":[130,1,342,1,344,1,504,1],"fraction":[108,1,454,1],"framework":[16,3,17,1,20,1,49,5,299,1],"free":[413,1,497,1],"freely":[129,3],"freeze":[135,1,458,1,485,1,526,1],"freezing":[24,3,111,2],"fresh":[346,1],"front":[522,1],"frown":[277,1],"frozen":[135,2,526,1],"fuchsia":[457,1],"full":[4,2,21,1,27,3,42,1,51,1,52,3,69,1,137,1,191,1,213,1],"fully":[24,4,36,2,61,2,111,2,221,1,364,1,398,1,401,1,458,1,474,1,492,1],"function":[0,2,19,5,20,5,22,5,29,1,30,2,32,3,38,1,50,6,54,2,56,17,58,5,59,4,60,3,61,4,62,2,64,7,67,2,69,4,70,3,78,4,80,6,81,4,82,2,85,5,87,8,88,7,90,2,94,3,96,1,113,2,114,2,121,3,124,2,143,1,172,2,176,2,178,1,179,1,180,1,184,1,185,2,189,1,190,2,191,1,194,1,195,2,197,1,199,1,201,1,207,1,215,1,219,1,234,1,247,1,268,1,269,1,303,1,318,3,319,2,320,2,321,1,322,1,323,1,324,2,325,1,330,2,340,2,343,1,347,1,348,1,360,2,362,2,363,1,373,1,375,1,381,1,382,2,384,1,399,2,402,1,410,1,412,1,432,2,433,2,434,1,461,1,462,1,464,4,469,1,470,1,473,1,474,2,478,2,482,1,483,1,492,1,501,1,529,1],"functional":[12,3],"fundamental":[9,1,12,1,17,1,18,1,80,1],"fundamentally":[118,1],"further":[57,1,293,1,315,1,355,1,366,1,369,1,493,1],"future":[13,1,41,2,49,1,54,3,56,1,58,4,60,4,68,2,165,1,166,1,292,1,311,2,312,1,318,1,319,1,324,2,453,1,521,1],"gain":[419,1,421,1],"gait":[466,1,467,1],"galaxy":[465,1],"game":[45,6,66,1,177,1,190,2,281,2,282,2,296,2,297,4,298,1,334,2,336,4,337,1,339,1,341,1,352,1,358,1,361,2],"gamma":[50,1,54,4,55,5,255,1,272,2,301,1,311,1,312,1,316,1,317,3,325,1,355,1,363,1],"gan":[19,5,20,5,21,5,22,3,23,6,24,4,25,4,26,3,27,3,28,5,29,1,38,2,131,2,135,2,172,1,219,1,221,2,222,2,229,1,231,1,281,1],"gap":[108,2],"gate":[226,1,466,2,467,2,468,2,469,1],"gather":[282,1,348,1,349,1,351,2,370,1],"gathered":[375,1],"gathering":[75,2,337,1,349,1,352,1,354,2,356,1,359,1,367,1,369,1,371,1],"gaussian":[1,3,23,4,32,1,34,4,35,4,37,2,38,3,140,1,147,2,178,1,179,1,180,1,192,1,240,1,241,1,242,1,243,1,244,1,245,1,248,1,260,1,261,3,264,1,266,1,280,1,465,1],"general":[460,1,463,1,464,3,469,1,470,1,472,1],"generality":[4,2],"generalizable":[507,1,528,1],"generalization":[92,2,98,2,100,2,120,1,460,1,462,1],"generalize":[92,1,100,1,110,2,116,2,135,2,388,1,457,1,470,1,471,1,496,1,499,1,505,1,527,1],"generally":[12,2],"generate":[0,3,5,2,7,5,11,1,14,1,15,2,19,1,20,3,27,2,28,1,37,3,38,2,61,2,70,1,92,2,95,1,97,2,104,2,127,1,128,3,140,2,147,2,150,1,163,2,166,1,167,1,168,1,169,1,173,1,174,2,176,1,178,1,179,1,180,1,181,2,184,1,186,1,217,1,218,1,226,1,228,1,229,1,234,1,243,1,245,1,246,1,247,1,266,1,267,1,269,1,274,1,276,1,279,1,448,1],"generated":[9,1,10,1,13,1,17,1,20,4,25,6,27,4,92,2,95,2,106,4,135,2,164,1,171,1,180,1,182,1,187,1,189,1,199,1,208,2,209,1,210,1,228,1,235,1],"generating":[7,1,11,1,28,1,102,3,184,1,203,1,224,1],"generation":[9,6,10,5,11,5,12,3,13,1,14,3,16,3,18,1,23,3,26,1,28,2,36,2,166,1,172,1,204,1,230,1],"generative":[0,4,2,5,3,3,4,3,5,10,6,3,7,3,8,4,19,1,20,1,28,1,29,3,38,3,136,1,141,1,144,1,147,1,148,1,152,1,172,3,174,1,182,1,218,1,220,1,230,1,233,1,238,1,245,1,397,1,477,1],"generator":[20,7,21,2,22,6,23,11,24,1,25,8,26,6,27,8,170,1,180,1,183,1,184,4,185,2,186,1,187,1,189,1,191,1,194,3,195,1,197,1,198,2,199,1,202,1,203,2,204,2,205,1,207,1,209,1,211,2,212,1,213,1,215,1,216,2,217,2,218,1,219,1,221,1,223,1,227,1],"gentle":[443,1],"georgia":[284,1],"get":[48,1,135,1,184,1,186,2,208,2,250,1,253,1,289,1,291,1,292,1,307,1,315,1,325,1,329,1,339,1,367,1,413,1,417,1,419,1,420,1,425,1,426,1,439,1,442,1,443,1,444,1,453,1,455,1,465,2,467,1,469,1,470,2,481,1,497,1,526,2,530,1],"getting":[417,1,454,1,515,1],"gigantic":[445,1],"give":[151,1,172,1,209,1,242,1,502,1],"given":[2,4,4,1,5,1,32,1,34,1,35,2,37,1,51,1,52,1,53,1,54,3,58,3,142,1,145,1,147,1,156,1,157,1,159,2,162,1,164,1,176,1,184,1,236,1,238,1,240,1,242,1,244,3,245,1,246,3,249,1,250,3,251,2,252,2,256,2,257,1,258,4,259,1,260,2,264,1,265,1,267,2,269,1,280,1,281,1,285,1,300,1,301,1,302,1,309,1,313,1,329,1,342,1,348,2,368,2,384,1,392,1,397,1,466,1,470,1,472,1,480,1,499,1,502,1,520,1],"giving":[25,1,203,1,210,2,288,1,346,1],"global":[490,1],"gmm":[1,1],"gnostic":[465,1],"go":[45,3,98,1,199,1,225,1,271,1,273,1,297,1,383,1,412,1,470,1,495,1,521,1],"goal":[0,3,48,3,61,4,98,2,100,4,110,4,117,1,133,3,372,1],"goe":[158,1,431,1],"going":[14,1,18,1,23,1,30,1,35,1,115,1,153,1,178,1,185,1,189,1,194,1,205,1,212,1,213,1,225,1,237,1,241,3,248,1,262,1,265,2,267,1,271,1,311,3,314,1,333,1,339,1,356,2,369,1,411,1,428,1,461,1,500,1],"gone":[471,1],"gonna":[401,1,428,1],"good":[4,1,6,1,16,1,27,1,40,2,56,1,67,1,85,1,95,2,118,1,141,1,170,1,173,1,174,1,183,1,207,1,209,1,210,1,219,1,222,1,226,1,311,1,319,2,338,1,379,1,409,2,422,2,435,1,466,1,471,1,472,1,505,1,507,1,508,1,511,1,528,1],"gotten":[452,1],"goz":[200,1],"gpus":[439,1],"graded":[360,1],"gradient":[11,3,20,4,22,1,24,1,25,3,34,2,71,3,73,1,81,5,82,15,83,5,84,4,85,8,86,4,87,1,88,2,101,2,117,1,118,12,119,3,187,1,195,1,198,3,201,1,204,1,206,1,207,2,209,3,210,1,211,1,212,2,213,1,215,2,216,1,243,1,345,1,347,1,355,1,356,1,364,1,365,1,367,1,370,2,371,3,372,3,374,1,376,2,377,2,378,1,379,1,380,1,381,1,382,1,411,1,464,6,465,9,466,9,467,8,468,5,469,6,470,10,471,4,472,2,478,1,517,1,525,1],"grading":[469,1],"gradually":[75,2,102,3],"grained":[84,1],"graph":[18,3,61,2,118,2,154,1,271,1,273,1,468,2,469,1,471,2],"graphical":[155,1,468,1],"grayscale":[499,1,500,1],"great":[170,1,403,1,466,1,469,1],"greater":[12,1,254,1,262,1,263,1,377,1,434,1],"greedily":[65,4,331,1],"greedy":[65,1,67,4,70,1,74,5,75,5,80,5,331,1,350,1,351,1,354,2,355,1,359,1],"green":[359,1,499,1],"grid":[305,1,308,1,313,1,315,1,316,1,334,1],"ground":[15,1,185,1,188,1,427,1,429,1,431,1,432,1,491,1],"group":[393,2,486,1,491,1,492,1],"grouped":[128,2,475,2],"grouping":[393,1,396,1,397,1,475,1],"growing":[220,1],"guarantee":[67,3,120,2],"guaranteed":[308,1],"guide":[15,2,23,1,93,3],"had":[334,1,343,1,352,1,418,1,472,1],"half":[188,1],"hand":[2,1,35,1,79,1,144,1,154,1,192,1,196,1,200,1,206,1,210,1,218,1,262,1,279,1,343,1,358,1,361,1,367,1,393,1,419,1,428,1,448,1,462,1,464,2],"handful":[458,2],"handle":[80,3,114,3],"handling":[4,1,11,1],"handwritten":[235,1],"happen":[41,1,57,3,70,1,291,2,460,1],"happening":[190,1],"hard":[3,1,94,3,97,2,134,2,136,1,138,1,219,1,226,1,410,1,414,1,499,1,500,2,515,1],"harder":[111,1],"hardware":[47,3],"harm":[74,1,105,2],"hat":[433,1],"haven":[143,1,348,1,446,1,449,1,471,1,531,1],"having":[69,1,175,1,239,1,282,1,344,1,386,1,519,1,522,1],"head":[306,1],"heard":[154,1],"heart":[138,1],"heavy":[230,1],"held":[461,1],"hello":[284,1],"help":[4,3,20,2,24,1,70,2,72,1,77,4,85,3,92,1,100,1,102,3,108,2,111,1,112,2,222,1,285,1,318,1],"helped":[382,1],"helpful":[112,1],"hence":[293,1,493,1],"here":[0,1,32,1,34,1,37,1,45,1,136,1,145,1,155,1,156,1,158,1,160,1,166,1,168,1,169,1,179,1,180,1,185,1,189,1,191,1,193,1,204,1,213,2,214,2,218,2,226,1,228,1,236,1,240,2,241,1,248,1,249,1,251,1,252,1,253,1,257,1,259,1,260,1,261,1,262,1,265,1,267,1,272,1,274,1,294,1,295,1,296,1,313,1,314,1,316,1,323,1,398,1,400,1,401,1,408,1,409,1,410,1,413,1,416,1,427,2,433,2,439,1,445,1,457,1,458,1,459,1,460,1,461,4,462,1,466,1,467,1,468,2,470,2,471,1,472,1,476,1,479,1,482,1,483,1,502,1,509,2,510,1,514,1,515,1,516,2,518,1,522,1,524,2,525,1],"hidden":[1,2,24,1,221,1,235,1],"high":[1,2,3,5,4,5,6,3,11,1,36,2,38,2,84,2,90,1,100,1,102,1,105,3,122,2,124,2,126,2,141,2,145,1,148,1,206,1,207,1,208,2,209,1,210,1,211,1,212,1,230,1,292,1,339,1,360,1,467,1,486,1,499,1],"higher":[83,5,120,2,168,1,210,1,317,3,351,1,355,1,377,1,527,1],"highest":[296,1],"highlight":[94,1],"highly":[16,1,74,4,102,2,353,2,355,1],"hinted":[429,1],"his":[47,1,293,1],"history":[51,4,140,1],"hit":[446,1],"hmm":[1,1],"hold":[327,1,453,1,486,1,520,1],"hop":[405,1],"hope":[466,1],"hopeful":[186,1],"hopefully":[94,1,406,2,412,1,414,1,428,1,480,1,490,1,493,2],"hoping":[488,2],"horizon":[54,2,362,1],"host":[139,1,148,1,509,1],"hot":[34,2,113,2,398,1,426,1,530,1],"however":[1,1,9,1,11,1,23,1,141,1,143,1,163,1,164,1,170,1,184,1,226,1,227,1,280,1,281,1,286,1,303,1,307,1,344,1,348,1,375,1,385,1,386,1,402,1,436,1,464,2,472,1],"huge":[439,1],"human":[93,4,95,4,96,3,384,1,405,1,406,1,417,1,427,1,431,1,497,1],"hundred":[385,1,444,1,446,1,457,1],"hyper":[213,1,214,1,436,1,439,1,441,1,458,1,524,1],"hyperparameter":[111,2,116,3,220,1],"hypothetical":[44,2],"idea":[14,1,18,1,20,1,23,1,61,1,165,1,178,1,180,1,182,1,235,1,245,1,263,1,273,1,328,1,354,1,380,1,403,1,406,1,408,1,409,1,423,1,429,1,444,1,447,1,460,2,468,1,470,1,471,1,483,1,484,1,487,1,492,1,496,1,521,1,523,1,524,1],"ideal":[186,1],"ideas":[141,1,238,1,402,1,421,1,448,1,453,1,483,1],"identical":[27,2],"identically":[8,3,146,1],"identify":[25,2,325,1],"identifying":[25,1],"identity":[124,2,271,1,272,1,323,1,326,1,483,1],"ignore":[14,2,35,1,262,1,280,1,470,1],"ignored":[268,1],"ignoring":[27,1,263,1],"illustration":[179,1],"image":[4,3,9,6,10,3,11,4,13,3,14,6,15,7,16,3,17,4,18,5,20,6,23,3,25,3,32,2,36,2,37,3,45,2,66,1,95,3,103,1,105,2,106,5,122,3,124,1,125,1,129,1,130,5,133,5,153,1,158,1,160,2,161,2,162,1,163,3,164,1,166,1,167,3,169,4,171,2,174,1,180,3,181,3,182,1,184,2,186,2,187,2,188,4,189,1,193,3,199,2,200,3,201,2,203,1,204,1,205,1,208,2,209,1,210,3,211,1,212,1,217,1,218,1,220,1,225,1,226,3,228,1,230,1,234,1,235,2,239,1,240,1,241,1,244,1,281,1,285,1,297,1,334,2,336,1,342,1,361,1,364,1,365,1,366,1,387,1,392,2,396,1,398,1,413,2,424,1,426,1,428,1,447,1,479,1,480,1,499,1,500,3,501,2,502,5,503,2,504,1,509,1,510,2,511,1,512,2,513,3,514,2,518,1,521,1,526,2,529,1],"imagenet":[439,2],"imagery":[455,1],"imagine":[287,1,349,1],"imbalance":[494,1],"immediate":[44,2,54,3,60,2],"impact":[18,3],"implement":[16,2,17,1,49,2,92,2],"implementation":[16,1],"implemented":[85,2],"implicate":[466,1,467,2],"implication":[18,3,229,1],"implicit":[12,2,19,2,26,1,28,1,150,1,172,1,174,1,217,1],"implicitly":[20,1],"imply":[51,3,292,1,302,1],"implying":[54,1,313,1,377,1],"importance":[71,3,87,2],"important":[49,1,54,1,67,1,68,1,82,1,85,1,92,1,98,1,102,4,105,1,110,1,112,1,118,1,122,2,141,1,381,1,389,1,390,1,437,1,455,1,480,1,481,1],"impose":[30,2],"impossible":[10,1],"impractical":[66,3],"improve":[9,1,10,3,20,5,24,1,77,1,87,1,90,2,92,3,98,2,100,2,105,3,130,2,134,4,186,1,189,1,212,1,220,1,338,1,339,1,446,1,448,1,452,1,492,1],"improved":[225,1],"improvement":[67,8],"improving":[16,3,61,2],"inability":[11,2,128,2],"incentive":[74,1,351,1],"include":[12,1,25,1,34,2,50,1,88,1,95,1,118,2,142,1,147,1,190,1,206,1,433,1,457,1,458,1,529,1],"including":[46,3,220,1,236,1,238,1],"incorporate":[90,1,466,1],"incorporating":[92,1,102,3,112,1,459,1],"incorrect":[11,2,12,1,14,1,15,1,16,1,18,1,21,1,27,1,102,2,105,2,437,1,438,1],"incorrectly":[12,1],"increase":[9,2,57,1,83,3,297,1,336,1,367,1,378,1,442,1,446,1],"increased":[124,2],"increasing":[358,1,418,1],"incredibly":[511,1],"incur":[471,1],"independent":[8,2,57,2,241,1,271,1],"independently":[8,2,146,2,180,1,279,1,435,1],"indexed":[301,1],"indicate":[44,2],"indicated":[305,1],"indicator":[127,2,434,1],"indirect":[30,2],"indirectly":[80,3],"individual":[84,2,115,1,155,1,297,1,376,1,462,1],"individually":[115,3],"inefficient":[78,2,355,1],"infeasible":[78,1],"inference":[109,3,110,2,114,3,169,1,440,1,457,1,459,1,460,1,462,1,472,1],"infinite":[54,1],"infinitely":[78,3],"influence":[18,4],"influenced":[54,3],"inform":[56,1,319,1,349,1],"information":[4,1,6,1,13,1,20,1,23,1,42,4,52,6,92,3,98,2,100,1,114,1,141,1,171,1,231,1,319,1,328,1,450,1,466,1,467,2,483,1],"inherent":[10,1],"inherently":[6,2,16,2],"initial":[118,4,181,1,218,1,376,1,465,1,466,4,468,1,471,1],"initialisation":[470,2],"initialization":[98,3,117,4,118,1,119,1,120,4,312,1,411,1,412,1,465,3,466,4,467,3,468,3,469,4,470,2,471,1,472,1],"initialize":[119,2,181,1,506,1,528,1],"initialized":[338,1,490,1],"initially":[338,1,349,1],"innovation":[24,1,221,1],"inpainting":[95,1],"input":[0,5,1,3,2,5,5,2,15,2,19,3,23,6,28,1,39,3,77,3,92,1,95,2,100,1,103,3,107,2,122,4,124,2,125,3,126,5,133,3,136,1,138,1,139,2,140,1,141,1,142,1,144,1,163,1,176,2,229,1,234,2,281,1,285,2,309,1,342,1,361,1,362,1,366,1,391,1,395,1,396,1,455,1,458,1,459,1,465,2,466,1,467,2,468,1,469,2,476,3,478,1,480,3,481,1,482,3,483,2,488,1,500,1,502,1],"inquiry":[458,1,464,1],"inside":[375,1],"insight":[108,5],"inspiration":[464,1],"inspire":[304,1],"inspired":[70,1,342,1],"instability":[21,3,72,1],"instance":[45,1,133,4,134,3,295,1,296,1,486,1,511,1,513,1,527,1,529,1],"instantiate":[429,1],"instantiation":[180,1],"instead":[30,1,39,1,52,1,69,2,72,1,93,1,111,2,172,1,174,1,237,1,243,1,286,1,303,1,315,1,344,1,345,1,346,1,353,1,364,1,379,1,408,1],"instructing":[44,1],"instruction":[44,2],"instructional":[44,1],"integral":[30,1,82,3,236,1,237,1,372,2,374,4],"intensity":[11,2],"intensive":[11,2],"interact":[294,1,349,1],"interacting":[303,1,337,1,348,1,351,1],"interaction":[42,3],"interactive":[284,1],"interested":[401,1,507,1],"interesting":[181,1,183,1,185,1,227,1,228,1,248,1,253,1,406,1,411,1,448,1,457,1,465,1,466,1,504,1,515,1],"internal":[42,3],"internet":[386,1],"interpolate":[275,1],"interpolation":[32,1,36,3,276,1,278,1],"interpret":[459,1],"interpretation":[467,1],"intersection":[284,1],"interval":[346,1],"intractability":[3,2,30,2,35,2],"intractable":[3,1,30,2,35,2,138,1,237,1,262,1],"intrinsically":[219,1],"introduce":[105,3,286,1,299,1,318,2],"introduced":[56,1,69,1,71,1,311,1,323,1,344,1],"introducing":[284,1],"intuition":[367,1,466,1],"intuitive":[364,1,370,1,454,1],"intuitively":[305,1,318,1,328,1,344,1],"invariance":[107,3],"invariant":[112,2],"investigate":[340,1],"investigation":[222,1],"involve":[21,1,27,2,40,1,63,1,65,1,67,1,71,1,81,1,95,4,105,1,236,1,293,1,331,2,363,1,376,1],"involved":[312,1],"involving":[37,3],"irrelevant":[57,2],"isn":[27,1,77,1,409,1],"issue":[128,3,355,1,493,1,522,1],"item":[50,1,113,3,114,3,115,4,128,2,299,1,457,1,461,1,462,6,465,1,486,1,487,1,494,1,518,1,521,1],"iterate":[216,1],"iteration":[60,5,61,6,62,4,63,11,64,26,65,5,66,1,67,3,68,6,69,4,73,1,214,1,321,1,327,2,328,1,329,1,330,3,331,1,332,1,333,1,335,3,343,1,344,1,348,1,371,2,441,1,447,1,471,2,493,1,519,1,521,3,522,2,525,1],"iterative":[469,1],"iteratively":[61,2,90,3,92,3,330,1,469,1,471,1],"itself":[44,2,95,3,117,2,118,4,150,1,234,1,392,1,415,1,447,1,463,1,465,2,466,2,468,1,493,1],"ization":[466,2,470,2,471,1],"jensen":[20,3],"jigsaw":[95,1,131,3,501,1,510,1],"jitter":[407,1,512,1],"job":[201,1,209,1],"joint":[3,3,9,5,14,3,17,6,18,4,138,1,149,2,152,2,153,1,154,2,156,1,159,1,172,1,295,1,296,2,392,2,396,1,476,1],"jointly":[526,1],"july":[467,1],"just":[0,1,4,1,6,1,7,1,8,1,26,1,27,1,40,1,49,1,61,1,64,2,67,1,76,1,100,2,110,1,111,1,117,3,118,2,119,1,140,1,142,1,144,1,146,1,147,1,150,1,153,1,156,1,157,1,159,1,163,1,165,1,167,1,168,1,181,1,182,1,185,2,192,1,197,1,216,1,217,1,219,1,220,1,221,1,223,2,225,1,227,1,231,1,236,1,239,2,240,1,241,2,243,1,245,1,246,1,247,1,248,1,251,2,256,1,259,1,260,1,262,2,264,1,276,1,283,1,291,1,322,1,334,1,341,1,386,1,389,1,392,1,401,2,403,1,408,1,418,1,419,1,421,1,424,1,425,1,433,1,451,1,457,2,458,1,459,2,460,1,461,2,465,1,466,2,467,1,468,2,469,3,470,1,471,1,472,3,476,2,480,1,481,1,483,1,489,1,491,1,495,1,499,1,506,1,508,1,510,1,513,1,515,1,517,1,518,1,521,1,522,1,525,1],"keeping":[72,1,338,1,349,1],"kept":[73,1,374,1],"kernel":[13,1],"key":[3,3,8,1,12,4,20,2,40,5,41,3,44,1,60,1,61,1,64,1,71,3,78,3,90,4,95,1,101,1,108,2,114,3,134,2,135,3,155,1,182,1,188,1,189,1,235,1,263,1,273,1,342,1,358,1,380,1,402,1,417,1,437,1,438,1,461,1,468,1,470,1,471,1,474,1,478,1,482,1,483,2,484,1,487,1,492,1,517,1,521,1,524,4,525,1,531,1],"kind":[149,1,188,1,218,1,227,1,465,1,487,1,508,1],"kl":[8,3,30,1,32,6,35,2,38,2,253,2,254,1,255,1,256,1,257,1,258,2,260,1,261,2,262,1,265,1,266,1,410,1],"know":[137,1,165,1,178,1,179,1,182,1,188,3,241,1,242,1,262,2,290,1,348,1,354,1,355,1,374,1,378,1,397,1,413,1,414,1,453,1,467,1,471,1,482,1,500,1,501,1,503,1,531,1],"knowing":[82,3],"knowledge":[52,3,68,2,84,2,95,2,97,3,303,1,410,1,530,1],"known":[0,2,40,3,52,1,61,2,81,1,82,1,128,1,142,1,282,1,302,1,303,1,304,1,371,1,373,1,381,1,382,1,464,2],"label":[2,4,5,1,23,4,40,2,41,2,90,3,92,3,93,5,95,2,97,3,100,2,102,6,104,1,105,2,106,5,114,2,121,5,122,2,125,4,127,9,128,3,129,5,133,2,142,1,170,2,285,2,365,1,384,2,386,1,387,1,388,1,392,2,404,1,405,3,406,1,407,1,408,3,409,1,410,2,413,1,425,1,426,1,427,1,428,1,429,1,430,1,431,1,433,1,437,1,438,2,440,1,442,2,443,3,448,1,449,1,452,1,453,2,454,4,455,1,457,3,460,1,461,1,468,1,469,1,470,1,471,1,472,2,474,2,478,1,482,2,491,2,493,1,497,1,505,1,509,1,510,2,526,3,530,1],"labeled":[0,3,21,3,39,4,89,1,90,7,92,4,94,2,96,1,97,2,99,4,100,1,102,2,104,2,107,2,108,1,109,4,122,2,135,2,383,2,384,1,385,1,390,1,397,1,401,1,403,1,405,1,411,1,416,2,417,1,418,1,419,2,420,1,421,3,424,1,431,2,432,1,433,1,436,1,443,1,444,1,445,2,450,4,451,2,452,1,458,1,459,1,462,1,481,1,484,1,509,2,530,1],"labeling":[90,2,92,4,101,3,102,1,105,3,108,1,424,1,425,1,435,2,437,1,444,2,448,1,449,1,451,2,453,1,530,1],"labelled":[99,1,231,1,387,1,402,1,417,1,432,1],"lack":[3,2,11,2,14,2,27,1,84,1,116,2,303,1],"land":[307,1],"language":[12,1,15,1,153,1,155,1,156,1,160,1,168,1,227,1],"large":[66,7,89,3,90,3,99,3,116,2,137,2,220,1,231,1,241,1,285,1,333,1,334,1,335,1,384,1,386,1,401,1,421,1,437,1,439,1,453,1,454,1,457,2,459,1,460,2,470,1,472,1,484,1,495,1,498,1,515,1,520,1,523,2,528,1],"larger":[64,1,99,2,100,1,103,1,220,1,334,1,383,1,387,1,402,1,416,1,417,2,433,1,439,1,443,1,455,1,457,1,516,1],"last":[111,1,342,1,347,2,375,1,376,1,469,1,473,1],"latent":[25,4,30,2,32,9,34,4,36,4,38,2,133,2,235,1,236,1,238,1,246,1,258,1,275,2,279,1,281,3,282,1,283,1,476,1],"later":[18,1,291,1,301,1,313,1,389,1,477,1,522,1],"latest":[76,3],"law":[251,1],"layer":[10,1,11,1,12,5,14,1,16,1,24,6,111,3,164,1,180,1,221,2,398,1,401,1,458,2,484,1,485,1,492,1,506,1,507,1,508,2,526,1],"ldot":[62,2],"lead":[38,2,47,1,67,2,74,2,166,1,293,1,309,1,351,1,355,1],"leading":[11,2,27,1],"leakyrelu":[24,4,222,1],"learn":[14,2,15,2,19,6,25,3,27,2,28,1,32,2,34,1,36,1,39,3,45,1,47,1,76,3,80,5,95,3,96,1,98,3,110,6,117,2,118,2,119,5,125,1,149,2,152,1,172,3,173,2,174,3,175,2,178,1,180,1,223,1,281,2,285,1,289,1,293,1,296,1,348,1,360,2,383,1,384,1,388,2,393,1,401,2,403,1,406,1,409,1,411,2,412,1,414,1,415,1,416,1,421,1,448,1,449,1,457,4,458,2,460,1,461,3,462,1,464,3,465,5,466,3,467,1,468,2,470,3,471,1,472,1,473,1,476,1,478,1,479,1,481,1,483,2,489,2,495,1,496,1,497,1,498,1,505,2,507,1,510,1,526,2,528,2,532,1],"learnable":[119,2,165,1,464,1,467,2,468,1],"learned":[32,3,34,2,75,1,80,1,88,2,97,1,113,2,118,2,126,3,132,3,135,3,142,1,143,1,150,1,231,1,282,2,381,1,391,1,407,1,410,1,448,1,464,1,465,1,467,2,468,1,469,1,470,1,487,1,498,1,507,1,510,1,526,1,530,1],"learner":[464,1,466,1,469,2],"learning":[0,4,1,3,4,4,6,8,14,1,16,3,21,1,25,1,39,5,40,9,41,3,43,3,44,3,45,3,47,3,48,3,49,6,52,3,60,2,68,3,69,4,70,3,71,4,72,5,73,3,74,3,75,5,77,4,78,4,79,3,80,3,89,5,90,7,91,8,92,4,93,8,94,5,95,6,96,9,97,4,98,6,99,5,100,8,102,6,104,2,107,3,108,9,109,4,110,4,111,3,112,4,114,4,116,3,117,6,118,16,120,7,121,4,122,3,123,4,124,3,126,3,127,3,131,3,133,3,134,1,135,3,136,2,137,3,139,2,140,2,141,3,142,1,143,2,154,1,175,1,176,1,177,1,180,1,183,1,185,1,187,1,217,1,220,2,279,1,281,1,282,1,284,4,285,2,286,1,287,1,291,1,293,1,295,1,302,1,335,1,336,3,337,2,340,1,341,1,348,1,349,1,354,1,357,1,358,1,359,2,364,1,366,1,369,1,383,4,384,2,385,1,386,1,387,1,388,2,389,4,390,1,391,2,393,1,394,2,395,2,396,4,397,3,401,1,402,1,403,2,411,4,412,2,416,1,417,1,418,3,419,2,420,2,421,1,422,1,423,1,424,1,429,2,430,1,434,1,438,2,440,1,445,1,449,1,451,1,452,1,456,2,457,5,459,1,462,1,463,3,464,7,465,6,466,1,467,3,468,5,470,4,471,2,472,6,473,2,475,1,476,1,477,1,478,4,486,1,491,1,493,1,495,1,496,2,497,1,501,1,506,2,507,1,514,1,529,1,530,1,531,2],"least":[67,1,406,1,422,1,532,1],"lecture":[28,3,45,4,56,3,84,3,91,3,94,1,97,3,284,1,286,1,301,1,304,1,321,2,322,2,334,1,335,1,336,1,355,1,360,1,363,1],"led":[40,1,44,1],"left":[13,2,84,1,159,3,160,1,191,1,197,1,278,1,307,1,314,1,317,2,337,1,343,1,356,1,379,1,381,1,418,2,458,1,461,1,516,1],"length":[169,1],"less":[14,2,16,3,74,1,120,3,332,1,351,1,385,1,453,1,468,1],"lesson":[0,1,5,1,136,2,139,1,152,1,172,1,233,2,383,1,397,1,416,1,457,1,473,1,477,2],"let":[199,1,264,1,266,1,284,1,287,2,289,1,292,1,295,1,305,1,307,1,313,1,318,1,324,1,330,1,336,1,340,1,349,2,351,2,354,1,355,1,364,1,365,1,367,1,368,1,372,1,386,1,387,1,411,1,443,1,454,1,461,1,462,1,465,3,466,2,470,1,471,1,502,1,520,1],"letter":[459,1],"level":[84,1,114,2,379,1,498,1,499,2],"leverage":[4,2,16,1,90,3,92,2,98,2,108,1,391,1,419,1,451,1,485,1],"leveraging":[4,1,75,1,100,2,457,1],"library":[225,1],"lie":[17,1,54,1,90,2,312,1],"lifetime":[47,1,293,1],"like":[4,1,6,1,13,1,23,1,41,1,45,3,66,2,90,2,95,2,103,1,110,1,137,1,144,1,166,1,168,1,173,2,178,1,188,1,189,1,220,1,227,1,229,3,231,1,235,1,246,1,297,1,334,1,370,1,405,1,418,2,419,1,434,1,447,1,452,1,457,4,458,1,459,1,460,1,466,1,469,1,472,4,473,1,487,2,488,1,489,1,494,2,497,2,500,1,502,1,505,1,508,1,510,1,515,2],"likelihood":[4,4,8,7,15,1,25,3,30,6,83,3,102,1,145,3,146,3,148,1,153,1,157,1,236,1,237,1,238,1,243,1,248,1,257,1,267,1,268,2,279,1,280,2,378,1],"likely":[4,3],"limit":[38,1,47,2,74,1,171,1,507,1],"limitation":[38,4,78,1,84,3,116,3],"limited":[27,1,109,1,114,3,166,1,169,1],"limiting":[38,2,77,3],"line":[374,1,375,1],"linear":[1,2,132,2,135,1,160,1,288,1,341,1,458,3,459,1,484,1,492,1,507,1,508,1,526,2],"link":[228,1],"listed":[91,1],"literally":[469,1],"literature":[402,1,461,1],"little":[218,1,219,1,420,1,457,1,477,1],"ll":[0,1,3,1,26,1,31,1,95,1,136,3,138,1,139,1,151,1,152,2,153,1,156,1,168,1,172,1,173,1,176,1,178,1,179,4,187,1,190,1,201,1,204,3,205,2,206,1,215,4,216,3,217,1,223,1,229,1,233,2,236,1,238,1,239,4,243,1,244,2,246,2,247,1,254,1,257,1,262,1,264,2,271,1,272,1,299,1,321,1,383,4,386,1,389,1,397,1,402,1,408,2,412,2,413,1,414,1,416,2,425,1,426,3,427,1,428,1,429,1,430,1,431,2,432,1,433,1,434,1,457,1,460,4,462,1,470,2,471,1,473,1,477,2,479,1,480,3,490,2,491,1,492,1,493,2,511,1,512,1,513,1,520,3,521,2],"local":[472,1],"locality":[126,2],"located":[503,1],"location":[298,1,502,1],"log":[8,5,25,1,30,2,81,4,82,5,146,2,192,1,193,1,195,1,197,1,208,1,212,1,248,1,249,1,250,1,252,2,256,3,257,2,258,1,259,1,267,1,280,2,361,1,365,2,366,1,367,1,373,2,376,1],"logarithm":[251,1],"logic":[182,2],"long":[11,6,12,3,16,4,48,4,49,2,54,1,68,3,85,2,112,1,120,2,289,1,291,1,292,1,298,1,352,1,403,1,459,1,471,1,496,1,522,1],"longer":[26,1,315,1,522,1],"look":[60,1,169,2,170,2,189,1,275,1,292,1,295,1,304,1,305,1,313,1,322,1,324,1,330,1,337,1,354,1,364,1,367,1,370,1,383,1,386,1,395,1,405,1,418,2,432,1,434,1,442,1,459,1,464,1,465,1,466,2,467,2],"looked":[318,1,359,1,384,1,476,1],"looking":[112,1,336,1,459,1],"loop":[42,3,69,5,214,1,330,1,333,1,344,1,353,1,493,1],"loss":[20,3,22,3,31,2,32,3,70,3,72,2,94,3,97,2,121,3,125,1,143,1,176,1,184,2,185,2,189,1,190,2,206,1,247,2,254,1,269,1,344,1,345,1,346,1,347,2,348,1,365,2,398,1,399,2,402,1,410,2,412,1,431,1,432,3,433,3,470,2,474,3,478,2,482,1,501,1,503,1,505,1,510,1,529,1,530,1],"losse":[28,4,94,1,232,1,424,1,447,1,529,1,530,2],"lost":[176,1,234,1],"lot":[116,1,163,1,169,1,170,1,177,2,223,1,230,2,283,1,387,1,390,2,394,1,402,2,420,2,457,2,459,2,460,1,461,1,471,1,472,1,486,1,494,1,496,1,516,1,531,1,532,1],"low":[4,3,6,3,27,3,55,1,90,2,105,3,122,2,124,2,126,2,141,1,206,1,207,1,209,2,212,1,218,1,234,2,235,1,277,1,383,1,421,2,479,1,480,1,481,2,483,1,486,1,499,1],"lower":[30,5,31,2,55,5,66,1,76,1,83,1,122,1,237,1,263,2,268,1,317,2,334,1,358,1,377,1,395,1],"ls":[465,2,467,1,469,1],"lstm":[119,4],"machine":[1,2,142,2,143,2,154,1,383,2,385,1,389,1,391,1,423,1,507,2],"machinery":[470,1],"made":[5,1,41,1,57,3,170,1,171,1,286,2,293,1],"magnitude":[83,1,112,3,367,1,377,1],"main":[72,1,75,3],"mainly":[468,1],"maintain":[4,2,13,1,18,1,29,3,61,2,76,1,233,1],"maintained":[71,1,72,1,77,1,345,1],"maintaining":[100,2,134,2],"make":[3,2,10,1,13,1,18,1,47,1,54,2,64,3,72,1,78,1,95,3,102,1,103,1,112,1,133,1,136,1,138,2,161,1,170,1,177,2,189,1,206,1,230,1,258,1,264,1,265,2,271,1,285,1,286,1,291,1,295,1,296,1,344,2,398,1,409,1,413,1,421,1,422,1,423,2,427,1,428,1,431,1,442,1,445,1,447,1,460,2,461,1,464,3,465,2,468,1,469,1,470,1,492,1,519,1,530,1],"making":[12,1,14,2,16,1,25,1,40,4,41,1,43,1,44,1,47,1,49,3,112,2,226,1,262,1,287,1,293,2,298,1,530,1],"male":[224,1],"maml":[117,6,119,3,120,3],"mammal":[470,1,471,1,472,2],"man":[465,1],"manage":[77,1,108,2],"manageable":[9,1,152,1],"manipulation":[251,1],"manner":[21,1,233,1,430,1,450,1,451,1,458,1,462,1,489,1,503,1,505,1],"manually":[92,2,134,2,385,1],"many":[78,3,98,1,105,1,109,3,110,3,174,1,179,2,180,1,214,1,250,1,263,1,283,1,391,1,411,1,438,1,439,1,440,1,454,1,460,2,461,1,469,2,472,5,478,1,485,1,508,1,518,1,529,1],"map":[23,3,34,2,53,4,289,1,318,1,362,1,384,1,461,1,467,1,468,1],"mapped":[465,1,467,1],"mapping":[23,1,25,4,32,2,34,1,39,3,53,1,309,1,318,1,319,1],"marginal":[30,3],"marginalization":[35,2],"marginalize":[236,1],"markov":[1,2,49,3,51,4,299,1,301,1],"mask":[166,1],"masked":[12,3,13,4,17,1],"masking":[13,1,166,1],"match":[100,2,133,2,340,1,344,1,457,1,462,1,464,1,465,1,519,1],"matche":[462,1],"matching":[461,1,462,1,464,2],"math":[441,1],"mathematical":[49,3,54,1,273,1],"matrix":[56,2,240,1,241,1,271,1,308,2,459,1],"matter":[107,1,116,1,153,1,202,1,470,1,523,1],"max":[59,2,78,1,191,2,197,1,211,3,219,1,222,1,323,1,326,2,458,1],"maximization":[48,1,101,2,280,1,363,2],"maximize":[15,1,25,3,30,2,48,3,67,3,79,1,98,2,133,2,145,1,192,1,196,1,200,1,212,1,237,2,243,1,262,1,264,1,267,2,268,2,289,1,311,3,312,1,323,1,331,1,361,1,365,1,369,1],"maximizing":[8,1,25,1,30,1,75,1,146,1,190,1,197,1,211,1,215,1,237,1],"maximum":[4,4,8,3,59,3,78,1,145,1,148,1,238,1,248,1,279,1],"may":[0,1,7,1,16,1,27,1,41,3,42,2,44,2,47,4,74,2,76,1,95,2,105,6,128,1,139,2,140,1,142,2,143,2,154,1,165,1,288,1,291,2,292,1,332,1,351,1,385,1,391,1,395,1,397,1,437,1,456,2,457,1,458,1,459,2,471,1,475,2,476,2,477,1,478,1,480,1,484,1,518,1],"maybe":[400,1,401,3,451,1,465,1,532,1],"mdp":[49,7,50,5,52,4,54,4,60,4,61,2,66,3,299,3,301,1,303,1,304,2,309,1,311,1,313,1,321,2,322,1,327,1,333,1,335,1],"mean":[8,2,10,1,25,1,34,3,44,1,85,1,86,5,103,1,113,5,114,2,115,1,118,1,147,1,172,1,182,1,203,2,208,1,210,2,234,1,237,1,240,1,266,1,271,1,272,1,273,1,274,1,279,2,284,1,287,1,290,2,291,2,344,1,353,1,379,1,380,2,399,1,435,1,437,1,462,3,465,1,468,1,474,1,482,1,488,1,490,2,501,1,522,1],"meaning":[126,2,200,1,465,1,486,1],"meaningful":[4,1,6,3,32,1,124,2,141,1,503,1],"meantime":[187,1],"measure":[32,2,112,2,253,2,318,1,362,1,461,1,470,2,472,1],"mechanism":[358,1],"meddler":[468,1],"mediterranean":[469,1,472,1],"mega":[469,1],"mehta":[461,1,463,1],"memorize":[48,2,223,1],"memory":[16,3,64,3,72,2,134,3,469,1,519,2,520,1,524,1,525,1],"mentioned":[28,3,45,1,91,3,216,1],"merely":[44,1],"met":[460,3,461,1,462,1,469,1],"meta":[91,2,98,7,110,5,116,4,117,6,118,15,119,4,411,2],"metal":[465,1,466,1,469,2,471,1,472,1],"method":[1,4,6,2,12,1,15,1,24,3,60,1,79,5,80,29,82,3,85,1,87,1,88,1,90,1,96,1,100,2,108,2,135,1,136,2,140,1,141,2,148,1,149,2,151,2,153,1,160,1,168,1,220,1,224,1,225,2,336,1,360,4,361,1,391,2,393,1,394,1,395,1,402,1,411,1,418,1,419,1,420,1,423,1,426,1,446,1,449,1,451,1,452,1,453,1,455,1,456,2,472,1,507,1,516,2,526,1,531,4,532,1],"metric":[94,2,96,6,393,3,397,1,459,2,461,1,464,2,487,1],"middle":[314,1,462,1,483,1,519,1],"might":[16,1,44,1,102,1,105,3,112,1,167,1,171,1,173,1,213,1,399,1,418,1,420,2,422,1,455,1,458,1,459,2,468,1,493,1,494,1,522,2,523,1],"military":[182,1],"million":[385,1,444,1,446,1,471,1],"mimic":[483,1],"min":[191,1,211,1],"mind":[323,1],"mini":[134,3,187,1,188,1,191,1,197,1,204,1,205,3,206,1,213,1,214,1,215,1,216,1,219,1,222,1,246,1,264,1,431,2,433,1,468,2,469,1,471,1,517,3,518,3,519,1,520,3],"minibatch":[71,1,77,1,215,1,346,1,357,1,358,1],"minibatche":[69,1,77,3],"minimal":[98,2,117,2],"minimax":[27,3,190,1],"minimization":[8,4,72,1,344,1,447,1],"minimize":[25,4,35,2,48,2,191,1,194,2,234,1,344,1,345,1,482,1],"minimizing":[25,1,94,2,190,1,348,1],"minus":[87,3,88,1,192,1,193,1,200,1,202,1,205,1,208,1,252,2,255,1,256,1,258,1,382,1,441,2,466,3,524,1],"mirror":[460,1],"misinformation":[229,1],"missing":[95,1,372,1],"mistake":[25,1,47,1,293,1],"mix":[76,1],"mixmatch":[447,1],"mixture":[1,3,140,1],"mle":[8,1],"modality":[133,2],"mode":[21,5,27,10,224,2,227,1],"model":[0,4,1,6,2,14,3,3,4,4,5,19,6,3,7,3,8,4,9,2,11,2,12,5,13,3,14,4,15,13,16,1,17,4,18,12,19,1,26,1,28,1,29,8,33,1,34,3,37,1,38,4,47,3,49,2,61,2,82,2,92,6,98,3,100,5,104,5,105,6,107,2,110,4,117,2,129,3,130,2,135,2,138,1,139,1,140,1,141,1,142,2,144,5,145,1,147,2,149,1,150,3,152,2,153,2,154,1,155,2,157,2,159,1,160,1,161,1,162,2,163,2,168,1,170,1,172,1,174,2,181,1,217,1,220,2,227,1,231,1,233,3,236,1,238,1,239,1,240,1,243,1,244,1,245,2,281,1,282,1,286,1,360,1,388,1,397,1,403,2,406,1,407,1,408,1,409,1,421,1,422,2,423,1,425,1,426,1,428,1,429,1,430,2,439,1,444,1,445,1,451,1,457,1,460,2,464,2,465,3,466,1,467,1,468,1,470,1,472,1,476,1,477,1,506,1,530,1],"modeled":[35,4,158,1],"modeling":[1,4,3,4,6,4,8,1,9,7,11,4,12,3,13,1,16,1,17,1,19,1,28,2,49,2,120,2,136,1,148,1,156,2,162,1,391,1,396,1,397,1],"modern":[16,3,108,4],"modhe":[284,1],"modification":[314,1],"modified":[216,1],"modulating":[467,1],"modulator":[458,1],"momentum":[524,1,525,1],"monetary":[385,1],"monotonic":[67,2],"more":[0,1,5,2,11,1,12,4,16,2,54,3,55,1,57,5,63,3,64,6,100,2,102,3,104,2,108,2,118,2,119,1,120,1,135,2,152,1,168,1,177,2,182,1,186,3,199,1,204,2,211,1,212,2,213,1,219,2,220,1,221,1,247,1,313,1,386,1,406,1,407,1,409,2,412,1,421,1,423,1,428,3,440,1,442,1,447,2,451,2,453,1,454,1,455,1,457,1,458,1,460,1,462,1,463,1,464,2,465,2,471,1,472,2,528,1,529,1],"most":[27,2,76,4,136,1,151,1,349,1,404,1,406,1,436,1,461,2,480,1,494,1],"motion":[307,1],"motivated":[224,1,225,1],"motivation":[92,3,98,3,100,1,182,1],"move":[159,1,160,2,295,1,296,1,306,1,308,1,335,1,524,1],"moving":[72,1,134,3,160,1,229,1,271,1,296,1,333,1,362,1,440,1,441,1,523,1,525,1],"mse":[345,1,347,1,348,1],"mu":[34,1,37,1,147,1,240,1,242,1,244,1,246,1,247,1,248,1,250,1,259,1,260,1,265,1,267,1,269,1,272,2],"much":[54,2,63,1,99,1,152,1,171,2,332,1,334,1,385,1,386,1,397,1,405,1,406,1,407,1,409,2,416,1,417,2,421,1,423,1,428,5,433,1,438,1,440,1,442,1,443,1,447,1,454,2,455,2,456,2,460,2,465,2,466,3,467,2,468,1,471,1,472,1],"multi":[147,2,241,1,435,1],"multiple":[8,1,16,1,40,1,41,2,44,1,49,1,68,1,72,2,92,1,98,2,100,1,102,1,104,1,105,1,108,2,110,1,275,1,301,1,423,1,424,1,430,1,436,1,447,1],"multiplication":[433,1],"multiplied":[464,1],"multiply":[251,1,272,1,373,1,468,1],"multiplying":[272,1,459,1],"must":[14,1,40,1,78,2,118,2,130,1,299,1,366,1,375,1,497,1],"my":[284,1],"myopic":[54,1],"naive":[1,3,351,1],"naively":[333,1],"name":[284,1],"namely":[458,1,465,1,472,1],"nash":[190,1],"national":[471,1],"natural":[112,3,156,1,350,1,392,1],"naturally":[80,3,353,1],"nature":[10,1,11,1,13,1,38,1,44,3,329,1,363,1,472,1],"near":[55,1],"nearby":[451,1],"nearest":[133,2,451,1,452,1,464,5],"nearly":[27,2],"necessarily":[16,1,464,1],"necessary":[453,1,470,1],"need":[6,2,9,2,15,2,18,4,26,1,30,2,81,1,92,2,98,2,104,2,105,3,107,2,210,1,211,1,217,1,270,1,274,1,291,2,369,1,439,1,454,2,480,1,482,1,497,1,521,1],"needed":[26,1,105,2,230,1,435,1],"needing":[64,2],"negative":[57,4,134,5,290,1,464,1,467,2,468,1,512,1,514,2,515,3,516,2,517,2,518,4,519,2,521,1],"neighbor":[133,2,451,1,452,1,464,3],"neighboring":[328,1],"neither":[94,2],"net":[387,1,509,1,510,2,526,2],"network":[6,2,9,3,11,3,12,4,14,1,15,1,18,1,19,1,20,2,21,2,23,2,32,1,34,1,35,3,69,1,70,4,71,8,72,6,73,5,74,1,77,5,78,2,95,4,113,4,114,4,115,3,117,2,130,3,141,1,142,2,152,1,154,1,155,1,156,2,158,2,160,1,172,2,175,1,176,2,177,1,178,1,179,1,180,1,181,1,182,2,183,1,185,2,187,1,190,4,191,1,218,1,220,2,230,1,248,1,259,2,260,1,261,1,338,3,340,1,341,4,342,2,343,1,344,2,345,1,346,3,347,2,348,1,350,2,359,1,361,1,365,1,366,1,376,1,396,1,398,2,401,1,409,2,410,1,411,1,412,1,413,1,414,2,415,1,423,1,461,1,462,2,464,1,465,1,474,2,481,1,483,1,488,1,489,1,490,1,492,1,494,1,497,2,498,1,500,2,501,1,503,1,504,1,505,1,507,1,513,1],"neural":[6,2,9,3,11,3,12,4,14,1,15,1,18,1,21,2,23,2,70,2,74,1,77,1,78,2,95,2,117,2,130,1,141,1,142,2,152,1,156,2,158,1,160,1,175,1,177,1,178,1,179,1,181,1,183,1,185,2,190,1,341,1,361,1,365,1,366,1,376,1,396,1,398,2,401,2,409,2,411,1,412,1,413,1,414,2,415,1,423,1,481,1,483,1,488,1,489,1,490,1,492,1,494,1,497,2,498,1,500,2,501,1,503,1,504,1,505,1,507,1,513,1],"never":[47,1,290,1,293,1],"new":[0,2,4,3,5,2,7,3,26,4,40,3,42,2,67,3,84,1,98,7,110,3,116,2,117,4,163,1,173,1,174,1,244,1,294,1,318,1,347,1,352,1,379,1,388,1,401,1,423,2,457,2,458,1,459,2,461,2,462,1,465,1,466,1,467,1,468,1,469,3,484,1,493,1,505,1,520,1],"newer":[76,1,357,1,521,1],"next":[42,4,51,4,160,1,162,1,163,1,237,1,298,1,300,2,302,1,307,1,312,1,321,1,325,1,340,1,343,2,370,1,371,1,464,1,465,1,470,1],"nice":[278,1,444,1,452,1,453,1,472,1,501,1,515,1],"nicely":[283,1],"nicer":[471,1],"nine":[502,1],"nirbyhay":[284,1],"no":[18,1,26,1,93,1,107,1,114,2,121,1,129,1,195,1,196,1,388,1,459,1,478,1,480,1,522,1],"noise":[23,4,184,1,214,1,215,1,216,1,217,1,225,1,307,2,406,2,455,1],"noisy":[102,2,406,1,427,1,437,1,490,1],"non":[21,4,41,2,43,2,57,3,190,1,270,1,288,1,293,1,314,1,403,1,503,1],"nonlinear":[132,3,492,1],"nonlinearity":[508,1],"nonoverlapping":[502,1],"nor":[42,1,94,2],"norm":[459,1],"normal":[204,1,246,1,266,1,271,1,273,1,274,1,403,1,424,1,456,2,458,1,459,2,465,1,466,1,468,1,470,1,472,1],"normalization":[24,3,112,1],"normalize":[112,2],"normalizing":[77,3,459,1],"normally":[192,1,279,1],"north":[306,1],"not":[0,1,5,2,10,1,11,1,12,1,13,1,14,1,16,3,17,1,19,2,20,2,21,1,24,1,27,1,28,1,32,1,39,2,42,2,44,8,46,5,47,1,51,2,52,2,66,1,71,1,74,2,76,1,84,2,86,4,89,1,93,1,100,1,106,1,115,1,116,2,117,1,118,2,119,4,121,1,125,1,142,1,164,2,165,1,167,1,170,1,171,2,172,1,174,1,176,1,183,1,190,1,194,1,207,1,209,1,210,1,212,1,222,1,223,1,224,1,225,1,226,2,227,2,231,1,241,1,244,1,259,1,273,1,281,1,286,1,290,2,292,1,302,2,308,1,351,1,353,1,374,1,376,1,380,2,392,1,399,1,400,1,401,1,405,1,418,1,423,1,425,1,427,1,428,2,432,1,435,1,436,1,438,1,443,1,454,2,455,1,456,2,457,2,459,2,461,1,464,1,465,1,467,1,470,2,471,4,472,2,478,1,486,1,510,1,512,3,518,2,523,1,531,1],"note":[22,1,189,1,195,1,197,1,249,1,253,1,254,1,348,1,389,2,439,1,449,1,455,1,512,1],"nothing":[198,1,242,1,440,1,457,2],"notice":[191,1,195,1,257,1,459,1],"notion":[28,1,176,1,232,1,238,2,239,1,459,1,520,1],"now":[30,1,57,1,60,1,136,1,144,1,148,1,166,1,179,1,181,1,237,1,245,1,252,1,253,1,255,1,259,1,267,1,288,1,289,1,295,1,299,1,301,1,306,1,307,2,312,1,313,1,314,1,315,1,318,1,322,1,324,2,325,1,326,2,330,1,339,1,340,1,348,1,350,1,351,1,354,1,358,1,363,1,369,1,372,2,373,2,374,2,375,1,376,1,377,1,405,1,408,1,413,1,418,1,426,1,452,1,453,1,463,1,464,1,465,1,469,1,472,1,493,1,500,1,521,1,531,1],"number":[54,2,61,2,62,2,66,3,73,1,77,2,102,2,114,3,119,2,180,1,181,1,187,1,192,1,204,2,213,1,214,1,220,1,231,1,232,1,327,1,334,2,346,1,445,1,446,1,447,1,454,2,457,2,458,1,459,2,460,2,461,1,462,1,468,1,470,1,471,2,473,1,484,1,485,1,498,1,518,1,522,1,528,1],"numerator":[252,2],"numerous":[28,1,47,1],"object":[130,2,500,1,510,1,527,1,528,1],"objective":[21,1,22,2,23,3,25,4,30,2,31,2,38,1,48,2,69,1,70,2,71,1,95,2,118,3,191,2,194,1,195,2,196,1,197,2,198,1,199,1,201,1,202,1,204,1,205,3,207,2,211,2,215,2,216,1,219,1,221,1,222,1,225,1,263,1,264,1,289,1,295,1,296,1,297,1,344,1,362,1,363,1,364,1,369,2,372,2],"observation":[42,7,52,2,294,2],"observe":[52,2],"observed":[41,2,52,1,303,1,344,1],"observing":[27,3],"obtain":[350,1,355,1,371,1,374,1,376,1,407,1,408,2,425,1,430,1,444,1],"obtained":[67,1,331,1,347,1,367,1,408,1,418,1,432,1],"obtaining":[386,1,408,1],"obviously":[397,1,471,1],"occasional":[75,1],"occlusion":[167,1],"occur":[21,2,219,1,227,1,522,1],"occurred":[221,1,532,1],"off":[87,2,105,1,108,2,311,1,356,1,472,1],"offer":[12,1,16,1],"often":[36,1,38,1,47,3,63,1,66,3,85,2,90,2,95,2,108,1,147,1,226,1,396,1,417,1,459,1,468,1,474,1,507,1,524,1],"okay":[179,1],"old":[423,1,522,1],"older":[76,3,357,1,521,1],"once":[26,1,47,3,147,1,163,1,184,1,199,1,216,1,293,1,307,1,425,1,481,1,484,1,488,1],"one":[5,2,7,1,8,1,9,1,11,1,14,1,22,1,23,3,27,1,34,2,40,1,53,3,54,2,66,1,67,1,76,2,90,1,102,1,106,1,113,2,126,1,128,3,164,1,165,1,166,2,167,1,176,1,181,2,183,1,188,1,190,1,191,1,192,1,193,2,197,1,200,3,201,1,202,2,205,1,208,2,213,2,219,1,220,1,221,1,225,1,232,1,249,1,251,1,254,1,266,1,268,1,275,1,276,2,278,1,281,1,283,1,287,1,294,2,296,1,298,1,306,1,308,1,311,1,316,1,317,1,333,1,336,1,341,1,345,1,350,1,355,1,356,1,357,1,363,1,398,1,404,2,405,1,413,1,422,1,425,1,426,1,435,1,441,2,444,1,457,2,460,1,461,3,462,1,463,1,464,2,465,1,466,2,468,2,469,5,470,1,471,1,479,1,483,1,488,1,491,1,494,3,499,1,502,3,504,1,530,1,531,1],"online":[77,1],"only":[0,2,13,3,18,1,22,2,25,2,26,4,27,2,39,1,40,2,41,1,44,3,46,2,47,3,51,1,52,1,68,2,73,1,76,3,89,1,102,2,105,2,108,1,109,2,112,1,125,3,134,2,135,1,137,1,160,1,164,1,166,1,176,1,195,2,197,1,198,1,205,2,224,2,286,1,290,1,291,1,292,1,293,1,303,1,347,1,353,1,366,1,378,1,383,2,387,2,388,1,399,1,400,1,404,1,411,1,434,1,454,1,457,5,458,4,459,2,461,1,464,1,465,1,470,1,471,4,473,1,478,1,485,1,494,1,511,1,525,2,526,1,527,1,532,1],"operate":[64,7,109,1],"operation":[16,3,114,1,269,1],"operator":[372,1],"opponent":[297,1],"opposed":[526,1],"opposite":[196,1,202,1,209,1,316,1],"optimal":[40,2,42,3,49,2,57,4,59,8,60,6,61,2,62,2,67,3,68,3,75,1,87,2,102,2,105,2,117,1,145,1,306,1,312,1,313,1,315,2,316,1,317,1,322,1,323,4,324,2,325,1,330,1,340,1,357,1,360,1,363,1],"optimality":[68,1,70,1,335,1,342,1],"optimised":[340,1],"optimization":[8,2,21,3,25,3,27,3,30,4,78,1,82,2,117,2,120,2,177,1,190,1,213,1,220,1,225,1,234,1,239,1,268,1,279,1,398,1,400,2,402,1,403,1,451,1,452,1,459,1,495,1,496,1,497,1],"optimize":[4,1,38,1,79,5,80,4,117,4,118,5,122,2,145,1,148,1,213,2,238,1,248,1,268,1,291,1,361,1,436,1,458,1,460,1,468,1,473,1,477,1,489,1],"optimized":[16,3,30,1,438,1,526,1],"optimizing":[8,3,117,1,191,2,237,1],"optimum":[472,1],"option":[12,2,14,1,15,1,16,2,18,1,461,1],"optionally":[458,1],"orange":[359,1],"ordained":[320,2],"order":[3,1,13,1,61,1,62,1,81,1,138,1,148,1,151,1,153,1,157,1,161,1,163,1,166,1,170,1,175,1,177,1,180,1,184,1,185,1,199,1,201,1,204,1,212,1,234,3,248,1,274,1,291,1,292,3,306,1,329,1,339,1,354,1,357,1,373,1,385,1,398,1,416,1,423,1,427,1,439,2,445,1,447,1,448,2,452,1,457,1,458,2,459,1,461,1,466,1,468,1,469,1,470,1,472,1,473,1,479,2,481,1,484,1,489,1,492,1,495,1,497,1,502,1,503,1,519,1,523,1],"ordering":[9,4,12,6,14,2,15,2,17,2,18,8,155,1,156,1,159,1,160,1,166,1,171,1],"orientation":[235,1,277,1,278,2],"original":[34,1,125,1,129,1,168,1,247,1,267,1,270,1,358,1,363,1,423,1,457,1,488,1,501,1],"originally":[457,1],"oscillation":[67,2],"ot":[294,1],"other":[2,1,28,1,38,3,42,1,71,1,74,1,79,1,122,1,133,3,144,1,156,1,167,1,176,1,177,1,179,1,185,1,190,1,191,1,196,1,200,1,201,1,206,1,210,1,221,1,223,1,230,1,231,1,239,1,273,1,283,1,289,1,304,1,345,1,351,1,361,1,374,1,383,1,394,1,395,1,397,1,419,1,423,1,426,1,428,1,438,1,446,1,449,1,451,1,459,1,465,1,470,1,472,1,474,1,499,1,500,1,508,1,513,1,514,1,517,1,518,1,527,1,528,1,529,1],"otherwise":[75,1,184,1,298,1,355,1,500,1],"our":[12,1,16,1,32,1,66,1,70,1,78,1,145,2,162,1,192,1,258,2,259,1,260,1,261,1,264,2,267,2,270,1,286,1,304,1,310,1,321,1,334,1,342,1,348,1,350,1,351,2,355,1,362,1,363,1,364,1,369,3,370,1,372,3,373,1,375,1,388,1,405,1,433,3,459,1,460,2,461,1,468,1,469,2,470,3,472,1,478,1,515,1],"out":[8,1,21,1,102,6,143,1,146,1,166,1,174,1,175,1,177,1,190,1,207,1,221,1,225,1,228,2,229,1,236,1,243,1,248,1,249,1,255,1,271,1,274,1,305,1,337,1,374,1,406,1,407,1,419,1,420,1,425,1,437,1,441,1,442,1,461,1,464,1,467,1,498,1,521,1,523,1,526,1,532,1],"outcome":[44,1,52,2,57,1,378,1],"outer":[479,1],"outperform":[420,1],"output":[27,3,32,1,34,9,35,2,37,1,38,2,39,3,107,2,122,2,139,1,145,1,165,1,168,2,175,1,176,2,180,1,193,1,196,1,197,1,199,1,201,1,204,1,206,1,222,1,223,1,240,1,241,3,242,1,244,2,258,1,259,1,261,1,264,1,271,1,272,3,280,1,342,1,346,1,361,1,396,1,458,1,459,1,465,1,466,2,468,1,475,1,488,1,494,1,495,1,504,1],"outputting":[27,1,181,1,223,1,242,1],"outside":[326,1,376,1],"over":[0,3,1,1,2,1,5,1,9,1,16,4,17,1,18,1,19,3,20,1,35,2,38,2,42,2,53,2,59,5,66,2,69,4,75,2,136,1,138,1,139,1,140,1,144,1,153,2,156,1,159,2,162,2,168,1,179,1,205,2,206,1,215,1,236,1,249,1,250,1,257,1,258,2,261,2,279,1,282,1,301,1,312,3,323,1,326,2,330,1,333,1,344,1,362,1,363,2,369,1,372,1,374,1,391,1,392,2,458,3,462,2,465,2,466,1,468,1,469,2,470,1,476,1,498,1],"overall":[22,1,226,1,351,1,532,1],"overcome":[100,1,417,1],"overestimation":[74,3,75,2],"overfit":[111,1,464,1,468,1],"overfitting":[94,2,111,4,120,3,124,2,128,2],"own":[15,1,78,1,92,1,95,1,191,1,432,1],"paddle":[362,1],"pair":[41,2,52,2,58,1,64,3,319,1],"paired":[285,1],"pairwise":[96,4],"paper":[221,1,358,1,423,1,457,1,458,1,472,1,495,1,510,1],"parallel":[16,3,72,2,337,1],"parallelization":[10,1,11,2,12,3],"parallelized":[10,4,11,2,12,1,14,2,16,1],"paralyzed":[164,1],"parameter":[4,1,34,8,35,3,37,2,73,2,114,1,117,3,118,2,119,2,135,2,145,2,147,1,148,1,149,1,184,1,191,2,196,1,198,1,201,1,213,1,214,1,237,1,238,1,240,2,242,1,244,2,248,1,261,2,264,2,267,1,269,1,280,1,341,1,345,3,346,1,347,2,363,1,364,1,365,2,369,1,370,1,371,1,372,1,436,1,439,1,441,2,458,1,466,6,467,2,468,2,469,5,471,2,474,1,478,1,485,1,512,1,524,3,526,1],"parameterised":[172,2],"parameterization":[494,1],"parameterize":[79,2,80,1,179,1,361,2],"parameterized":[8,1,79,3,118,2,144,1,366,1],"parameterizing":[463,1],"parametric":[4,4,6,1,144,1,236,1],"parametrized":[340,1,360,1,362,1,382,1],"part":[22,4,31,3,32,1,65,1,71,1,95,4,97,1,137,1,165,1,167,2,169,1,195,1,196,1,197,1,198,1,202,1,205,2,207,1,224,1,260,1,263,1,271,2,304,1,331,3,397,1,431,1,432,2,433,1,466,1,470,2,495,2,506,1],"participating":[182,1],"particular":[13,1,25,1,56,1,58,3,101,1,156,1,163,1,164,1,167,1,171,1,176,2,179,1,187,1,222,1,244,1,248,1,258,1,290,1,319,1,322,1,379,1,404,1,418,1,454,1,465,1],"particularly":[38,3,47,1,112,1],"partition":[128,2,489,1],"pass":[346,1,347,3,365,2,376,1,398,1],"past":[47,1,71,1,77,2,293,1,357,1,466,1],"patch":[502,1,503,1],"patche":[95,1,502,3,529,1],"path":[57,3,274,1,315,1],"pattern":[27,3,121,1],"pay":[385,1,386,1],"payoff":[378,1],"pca":[394,1],"penalize":[32,2],"penalty":[40,2,101,2],"people":[385,1,458,1],"per":[16,1,53,2,54,2,89,1,109,5,111,2,114,3,386,1,387,1,388,1,416,1,422,1,443,1,457,2,458,2,459,1,460,5,461,2,464,1,465,1,468,1,472,1,494,1],"perfectly":[128,2],"perform":[28,1,91,1,97,1,114,2,123,1,149,2,150,1,152,1,173,1,174,1,183,1,184,1,206,1,252,1,279,1,280,1,282,1,360,1,371,1,389,1,390,1,407,1,411,2,419,1,424,2,437,1,444,1,447,1,451,1,456,4,458,4,459,2,460,2,461,1,463,2,464,3,466,2,467,3,469,1,470,1,471,1,472,1,475,2,476,1,477,1,480,2,484,1,504,1,511,1,512,1,517,1],"performance":[87,1,100,5,105,2,108,2,117,2,118,7,130,2,135,3,318,1,362,1,418,2,419,1,420,1,442,2,443,1,445,1,446,1,455,1,461,1,470,2,472,1,509,1,510,1,511,1,526,1,527,2],"performed":[301,1,447,1],"performing":[28,1,65,1,268,1,269,1,337,1,338,2,435,1,448,1,458,1,459,1,465,1,469,1,472,2],"perhap":[277,1],"periodically":[71,3,73,1],"persist":[287,1],"perspective":[199,1,202,1,396,1],"phase":[10,1,12,1,367,1],"phd":[284,1],"physical":[47,4],"pi":[63,2,65,1,81,1,322,6,331,1,332,4,349,1,350,1,351,4,362,1,364,1,368,1,369,1,372,1,373,1,374,2,375,1,376,1],"pick":[46,1,290,1],"picked":[293,1],"picking":[67,1,331,1],"pie":[320,4],"piece":[146,1,246,1,298,2,372,1,475,2],"pipeline":[97,1,127,3,430,1,431,1],"pit":[176,1],"pitting":[177,1,185,1],"pixel":[9,16,10,2,11,1,12,3,13,14,14,5,15,7,17,8,18,18,25,3,153,1,156,1,158,1,159,5,160,2,161,3,162,4,163,2,164,3,165,2,166,2,171,4,181,2,334,1,392,1],"pixelcnn":[9,4,12,17,13,4,16,18,17,4,18,3],"pixelrnn":[9,4,10,4,11,5,12,14,14,4,15,3,16,8,17,4,18,3],"place":[55,1,222,1,263,1],"placement":[90,1],"planning":[54,2,68,2,292,1,298,1],"plateau":[446,1],"plateaued":[419,1],"play":[15,3,45,1,70,3,108,2,282,1,289,1,296,1,336,1,338,1,341,1,349,1,352,1],"player":[190,1],"playing":[45,2,337,1,358,1],"plot":[208,1],"plotting":[207,1],"plug":[317,1],"plus":[60,2,258,1,294,2,296,1,298,1,325,2,356,1,441,1,457,1,458,2,466,1,524,1],"point":[23,1,35,2,36,2,90,2,107,1,118,1,225,1,342,1,349,1,358,1],"policy":[41,4,43,1,49,2,53,14,56,1,57,5,58,1,60,7,61,2,63,6,65,9,67,20,68,5,70,3,74,4,75,1,79,10,80,28,81,2,82,8,84,2,85,4,86,3,87,2,88,4,289,1,293,3,304,1,305,1,306,1,307,1,308,1,309,3,310,2,311,2,312,3,313,1,315,2,316,1,317,1,318,2,320,4,321,1,322,3,323,1,330,1,331,4,332,3,335,1,338,1,339,1,349,1,350,4,351,4,352,2,353,2,354,2,356,2,359,1,360,3,361,3,362,2,363,2,364,2,366,1,367,2,368,1,370,3,371,4,372,2,375,1,376,1,378,1,379,1,381,2,382,3],"pong":[361,1],"pooling":[24,1,221,1],"poorly":[135,2],"pop":[521,1],"popular":[136,1,151,1,336,1],"pose":[228,1],"position":[295,1,503,2],"positive":[44,1,290,1,514,1],"possibility":[167,1],"possible":[35,2,42,2,51,1,52,2,59,1,78,1,107,1,110,2,167,1,168,1,292,1,300,2,302,1,323,1,342,1,352,1,363,1],"possibly":[85,1,380,1,383,1,416,1,461,1,478,1],"posterior":[30,5,35,15,38,3,265,1],"potential":[128,3,175,1],"potentially":[74,1,105,2,112,1,174,1],"power":[66,1,312,1,334,1],"powerful":[108,2,263,1,483,1],"practical":[120,1],"practice":[24,1,120,1,332,1,344,1,346,1,358,1],"pre":[23,3,110,2,116,1,461,2,472,1,484,1],"precisely":[130,2],"predict":[95,1,106,1,129,1,130,1,131,1,161,1,162,1,163,1,343,1,413,1,494,1,501,1,502,1,504,1,506,1],"predicted":[104,1,344,1],"predicting":[13,1,95,3,130,3],"prediction":[15,3,18,4,56,1,70,2,72,3,90,1,92,3,98,2,102,2,107,4,130,1,131,3,163,1,176,1,285,1,286,3,318,1,347,1,398,2,404,1,408,3,410,1,422,1,423,2,425,1,426,1,427,1,428,1,430,1,431,1,432,2,433,1,434,2,445,1,448,1,460,3,461,1,463,1,464,3,465,1,469,1,470,1,492,2,504,2,506,1,509,1,510,2,530,2],"prefer":[57,4,315,1],"premolar":[471,1],"preprocessing":[6,2,77,1],"prescribe":[307,1],"prescribed":[309,1],"prescribing":[308,1],"presence":[365,1],"present":[47,1],"preserve":[85,3,86,2,103,1,380,1],"preserved":[126,2],"preserving":[87,1],"pretrained":[127,2],"pretty":[179,1,209,2,218,2,219,1,226,1,230,1,281,1,283,1,397,1,427,1,429,1,442,1,443,1,445,1,490,1],"prevent":[13,1,24,1,72,1,74,2,102,2,104,2,111,4,128,2,333,1,357,1,458,1,497,2],"preventing":[15,1,73,1,345,1],"previous":[9,3,51,1,67,1,166,1,302,1,322,1,334,1,355,1,368,1,429,1,465,1,466,1,467,2,468,2,469,1,471,1,520,1],"previously":[9,1,10,1,13,1,17,1,463,1],"primarily":[112,2],"primary":[8,1,20,1,61,1,64,1,122,3],"prime":[300,2],"principal":[394,1,496,1],"principle":[4,3,8,5,145,1,148,1,248,1,460,1,489,1],"principled":[279,1],"prior":[30,1,32,4,38,1,159,1,162,1,192,1,236,1,258,2,261,2,265,1,279,1,507,1],"prioritize":[38,2,55,4,317,1],"prioritized":[71,3],"pro":[457,1],"probabilistic":[0,1,1,4,6,2,9,3,17,1,38,1,136,1,138,1,143,2,155,1,238,1,270,1,492,1],"probability":[0,3,1,1,2,4,3,2,4,2,5,1,9,6,17,4,18,3,19,4,25,5,32,2,34,2,37,4,42,2,50,3,52,2,53,3,61,2,64,2,68,2,75,1,82,2,83,2,84,2,136,1,139,1,140,1,142,2,143,1,145,1,150,1,155,2,156,1,157,4,158,1,159,5,168,1,193,1,199,1,201,2,203,1,206,2,208,1,209,1,210,2,212,1,248,1,249,2,253,1,254,1,258,2,300,1,301,1,309,1,310,1,328,1,354,2,361,1,365,2,366,1,367,1,368,4,372,1,373,1,374,2,376,1,377,1,384,2,391,1,392,2,404,1,458,1,474,1],"probably":[435,1,440,1,454,1],"problem":[33,1,49,2,60,1,68,3,72,1,74,3,78,1,85,3,223,1,224,1,243,1,268,1,270,1,302,1,393,1,455,1],"procedure":[400,1,402,1,423,1,462,1,466,1,467,2,468,2,469,2,470,3,471,2,472,1],"process":[8,1,10,1,11,1,16,2,21,1,23,1,26,2,27,3,33,3,98,1,102,2,110,4,118,1,172,1,204,1,217,1,270,1,273,1,274,1,361,1,365,1,412,1],"processe":[11,2,49,3,217,1,299,1],"processing":[14,3,16,3],"processor":[72,2],"produce":[1,1,26,1,27,2,28,1,35,1,38,1,42,1,61,1,62,1,140,1,147,1,170,1,176,1,211,1,212,1,217,1,230,2,235,1,248,2,250,2,259,1,260,1,287,1,294,1,329,1,361,1,365,1,493,1],"producing":[27,1,139,1,204,1],"product":[9,4,17,3,18,1,62,2,145,1,146,1,153,1,154,1,155,1,157,2,159,2,459,1,514,1],"professional":[228,1,229,1],"programming":[66,4,68,3,327,1,333,1,335,1],"progress":[262,1,264,1],"progresse":[339,1],"progressive":[220,1],"progressively":[469,1],"promote":[107,2,317,1],"prone":[120,1],"proof":[380,1],"propagate":[33,1,268,1,270,2,273,1,450,1,452,1,460,3,467,1,468,2,469,1,470,4,471,2,474,1],"propagating":[328,1,469,1,470,1,471,2,472,1],"propagation":[123,2,133,2,268,1,449,1,453,1,471,1,521,1],"proper":[365,1],"property":[13,1,30,3,32,1,34,3,40,3,51,4,60,4,61,4,67,1,85,3,92,3,95,2,112,4,114,1,207,1,301,1,471,1,488,2],"proposed":[84,1,379,1],"protocol":[294,1],"prototype":[113,1,114,4,115,2,459,2,462,1,465,1],"prototypical":[113,4,114,4,115,3,462,1,465,1],"prove":[273,1],"proven":[429,1],"provide":[6,1,20,4,23,1,30,3,44,2,49,2,58,3,60,2,64,2,68,2,70,2,82,1,87,1,92,1,100,1,104,2,112,3,114,1,185,1,279,1,304,1,316,1,319,1,360,1,459,1,460,1],"provided":[44,2,366,1],"providing":[410,1],"pseudo":[90,3,92,5,97,3,101,3,102,4,105,3,106,5,108,1,122,2,127,5,128,3,404,1,405,2,406,1,407,1,408,2,409,1,410,2,424,1,425,2,426,1,427,1,428,1,430,1,433,1,435,2,437,2,438,1,440,1,444,2,448,2,449,1,451,2,453,2,491,1,493,1,530,2],"pulling":[522,1],"pure":[383,1],"purely":[74,3,91,1,119,1,389,1],"purpose":[26,1,32,3,49,4,67,3,72,3,75,3,82,3,85,1,92,1,102,1,104,1,110,1,122,3,348,1,515,1],"push":[83,2,107,1,200,1,202,1,377,1],"pushed":[203,1],"pushing":[200,1],"put":[92,1,200,1,245,1,252,1,298,1,393,1,405,1,503,1,521,1,524,1],"puzzle":[95,1,131,3,501,1,510,1],"pz":[192,1],"qb":[433,1],"qnew":[71,2,73,6,77,1,345,2,346,1,347,1],"qold":[71,2,72,4,73,5,77,1,345,2,346,1,347,1],"quadratic":[62,1],"quality":[38,4,40,2,44,2,108,2,132,3],"quantified":[35,2],"quantify":[49,3],"quantity":[108,2,318,1,321,1,323,1],"quavery":[460,1,462,1],"querrey":[464,1],"query":[113,7,114,3,115,4,457,2,459,2,460,2,461,4,462,6,463,1,464,3,465,2,467,1,469,2,470,1,472,2,517,1,524,2,525,2],"question":[141,1,144,1,189,1,248,1,311,1,348,1,349,1,417,1,457,1,461,1,468,1,470,1,478,1,505,1,515,1],"queue":[357,1,519,1,520,1,521,2,522,1,523,1],"quick":[117,1,118,2],"quicker":[57,1],"quickly":[98,3,110,3,117,4,135,2],"quite":[11,1,21,1,169,1,177,1,226,1,229,1,243,1,298,1,352,1,437,1,439,1,452,1,454,1,458,1,466,1,469,1,526,1,527,1,528,1],"quote":[427,1,491,1],"raised":[312,1],"random":[23,3,75,2,77,4,142,1,176,1,180,1,181,1,184,1,187,1,192,1,204,2,217,1,238,1,239,1,271,1,274,1,312,1,349,2,352,1,354,1,356,1,466,1],"randomized":[511,1],"randomly":[127,2,229,1,338,2,357,1,460,1,490,1],"range":[11,3,12,3,16,4,77,2,109,1,120,2,457,2],"ranging":[231,1],"rapid":[117,2],"rare":[457,1],"rarer":[27,1],"raster":[13,1],"rate":[54,2,72,2,75,2,438,2,442,1,464,1,467,3,468,2],"rather":[15,1,16,1,19,1,25,1,40,2,44,3,52,1,64,1,112,3,117,1,118,2,119,1,150,1,156,1,158,1,160,1,165,1,172,2,185,1,211,1,227,1,239,1,240,1,242,1,272,1,276,1,282,1,417,1,425,1,442,1,447,1,448,1,458,1,459,2,462,3,465,1,470,1,519,1],"ratio":[373,1,374,1],"ration":[471,1],"raw":[87,2,478,1,488,1],"re":[8,2,13,1,14,1,18,1,21,1,23,1,27,2,30,2,32,1,35,2,74,1,95,1,98,1,102,2,112,1,115,1,116,1,117,1,122,1,142,1,146,2,147,1,150,1,160,2,161,1,162,1,164,2,166,1,169,1,171,1,178,1,181,1,185,2,189,1,190,1,191,1,200,2,204,1,205,1,209,1,212,1,213,1,223,2,226,1,227,2,237,2,241,3,248,1,254,1,255,2,257,2,258,1,261,2,262,1,263,1,265,3,267,1,268,1,269,1,271,1,272,2,286,1,311,2,391,1,394,1,395,1,401,2,409,2,410,1,411,2,413,1,414,1,425,1,428,3,438,1,440,1,441,1,452,1,454,1,457,1,458,2,459,4,461,1,462,1,463,2,464,1,465,3,467,1,469,3,470,6,471,2,472,3,481,1,483,1,485,1,488,2,500,1,507,1,508,1,512,1,515,1,518,3,522,3,526,1],"reach":[57,2,306,1],"reache":[404,1],"reaching":[317,1,356,1],"real":[15,1,20,5,22,1,23,3,25,10,27,2,28,3,47,7,145,2,182,2,184,1,186,1,187,1,188,3,189,1,193,1,197,2,198,1,199,3,200,2,201,2,203,2,204,1,205,1,206,1,208,1,210,1,215,1,223,2,225,1,226,2,232,1,245,1,282,1,288,2,318,1,319,1,455,1,505,1],"realism":[189,1],"realistic":[28,1,168,1,169,1,171,1,186,1,204,1,211,1,212,1,218,1,226,1],"realize":[338,1],"really":[10,1,11,1,12,1,14,1,16,1,30,1,142,1,150,1,164,1,180,1,184,2,190,1,198,1,202,2,223,1,224,1,225,1,228,1,231,1,237,1,256,1,384,1,385,1,396,1,397,1,401,1,409,1,414,1,419,1,427,1,432,1,439,2,440,1,452,1,453,1,454,1,457,1,458,1,459,1,465,1,467,1,481,1,494,1,496,1,500,2,505,1,507,1,523,1,525,1,528,1,532,1],"reason":[143,1,183,1,219,1,273,1,303,1,427,1,435,1,471,1],"reasonable":[227,1,386,1],"reasoning":[4,2,143,1,207,1],"recall":[336,1,364,1,375,1],"receive":[39,2,40,1,41,2,42,6,44,1,46,5,286,2,290,1,292,1,294,2,346,1],"received":[44,2],"receiving":[40,2],"recent":[76,5,295,1,429,1,457,1,472,1,532,1],"recently":[390,1,449,1,511,2,527,1,532,1],"receptive":[18,3,165,1],"recipe":[470,1],"recognize":[130,2],"recompute":[522,1],"reconstruct":[122,2,125,1,234,1,480,2,482,1],"reconstructed":[32,2,37,3,247,1,267,1,482,1],"reconstructing":[95,2],"reconstruction":[25,3,36,2,37,1,38,3,122,1,125,1,234,1,480,1,496,1],"recurrent":[11,4,12,7,14,2,15,1,18,1,152,1,158,1,160,1,402,1],"recursive":[60,4,61,1,62,3,68,5,70,3,326,2,327,1,328,2,335,1,342,1],"recursively":[60,1,61,2,70,1,324,1,343,1],"red":[212,1,344,1,380,1,499,1],"redo":[519,1],"reduce":[4,2,6,1,72,3,75,2,76,1,84,1,85,2,87,1,100,2,104,2,107,2,152,1,184,1,379,1,382,1,467,2],"reduced":[108,2,395,1,476,1],"reducing":[85,1,100,1,380,1],"reduction":[4,1,87,5,123,3,400,1,476,1,477,1],"refer":[458,1],"reference":[281,1],"referring":[458,1],"refine":[330,1],"regarding":[16,1],"regardless":[18,1,126,2,469,1],"regime":[421,2,529,1],"region":[90,2,95,1,126,2,209,1,486,3],"regression":[69,1,71,1,139,1,344,1,399,1,474,1],"regular":[346,1],"regularization":[30,2,32,1,101,3,107,4,220,1,224,1,225,2],"regularize":[32,1],"regularizer":[30,1,32,2,119,2],"reinforce":[81,4,83,3,84,4,371,1,382,1,493,1],"reinforcement":[39,4,40,5,41,3,43,3,44,3,45,3,47,3,48,3,49,6,60,2,68,3,79,3,80,3,123,2,175,1,282,1,284,3,286,1,287,1,295,1,302,1,335,1,349,1,359,1,366,1],"relate":[461,1,462,1],"related":[27,4,54,3,56,3,61,2,98,1,110,2,116,1],"relating":[323,1],"relation":[81,1,82,1,323,1,326,2,373,1],"relationship":[18,3,35,3,60,2,68,3,118,4,130,2,462,1],"relative":[502,1],"relus":[222,1],"rely":[39,1,114,2,121,1,333,1],"remain":[12,1,43,3,82,2,243,1,248,1],"remaining":[42,2,325,1,374,1,461,1],"remember":[199,1,255,1,259,1,260,1,458,2,466,3],"reminder":[234,1],"remixmatch":[447,1],"remove":[394,1],"removing":[24,3,221,1],"reoccur":[402,1],"reparameterization":[33,5,270,1],"repeat":[423,1],"repeatedly":[61,1,62,1,328,1],"replace":[12,1,16,1,60,2,88,1,92,2,100,2,135,2,326,1,381,1,521,1],"replaced":[118,2,322,1],"replacing":[24,2,221,1],"replay":[71,7,76,4,77,1,78,2,357,1,359,1],"represent":[27,1,80,2,138,1,152,1,154,1,155,1,165,1,457,1,480,1,503,1],"representation":[4,2,34,1,36,1,95,2,117,2,122,3,124,1,126,1,132,4,133,3,135,3,174,1,285,1,383,1,388,2,396,1,397,2,400,1,401,2,412,1,414,1,416,1,473,1,476,1,479,1,484,1,496,1,497,2,503,1,505,1,507,1,508,1,526,1,528,1],"representing":[279,1],"require":[0,3,5,2,9,3,12,3,14,2,16,3,18,1,21,3,23,3,35,2,61,2,63,3,64,3,66,2,78,2,80,2,84,2,90,2,95,2,108,2,112,2,114,3,116,2,121,3,135,2,155,1,230,1,417,1],"required":[26,1,119,2,436,1,437,1],"requirement":[3,2,12,1],"requiring":[35,1,63,1,292,2,332,1],"research":[230,1,390,1,457,1,458,1,516,1],"researcher":[177,1,222,1,225,1,226,1,228,1,434,1],"resembling":[0,2],"resolution":[11,1,36,2,122,2,218,1,219,1],"respect":[67,2,80,3,81,2,270,1,347,1,350,1,365,1,372,1,450,1],"rest":[159,1,167,1,253,1],"result":[11,1,62,3,74,2,83,3,135,1,180,1,187,1,332,1,402,1,404,1,469,2,472,1,505,1],"resulted":[381,1],"resulting":[10,1,14,1,368,1,376,1],"resurgence":[1,3,140,1],"retrain":[92,1,97,1,405,1,423,1,430,1],"return":[79,1,87,2,324,2,325,1,328,2,361,1],"reusing":[220,1],"reveal":[349,1],"reverse":[12,1],"reversed":[47,2],"reward":[39,1,40,3,41,4,42,4,43,1,44,5,46,5,47,2,48,4,49,3,50,4,52,9,54,7,55,4,56,3,57,7,58,5,60,4,68,2,74,1,75,1,77,3,78,2,81,2,83,4,87,3,88,3,113,2,286,1,288,1,289,1,290,1,291,2,292,2,293,1,294,1,296,1,297,1,298,1,300,1,301,1,302,1,303,1,304,1,306,1,311,3,312,1,313,2,314,2,316,1,317,2,318,1,319,1,320,2,324,1,325,1,336,1,340,1,351,1,353,1,356,1,360,2,362,1,366,1,367,1,369,2,372,1,377,2,378,1,381,1,382,1],"rewarded":[353,1],"rewarding":[55,1,74,1,317,2,349,1,351,1],"rewrite":[60,1,324,1],"rgb":[297,1,334,1,336,1,342,1,361,1,366,1,501,1],"rich":[140,1,190,1],"rid":[481,1],"right":[13,1,35,1,55,1,78,1,108,2,159,1,160,1,192,1,194,1,195,1,198,1,202,1,253,2,262,1,278,1,297,1,305,1,306,2,307,1,315,1,316,2,317,1,326,1,340,1,343,2,344,1,356,3,373,1,377,1,418,1,419,1,458,2,461,1],"rightmost":[315,1],"risk":[128,1],"riskier":[57,3,315,1],"rl":[40,1,41,1,42,3,45,2,46,3,47,1,49,2,68,1,71,1,74,1,80,1,296,1,297,1,299,2,303,2,304,2,335,1,336,1,358,1,359,1,360,2,364,1],"rnn":[11,2,12,1,14,1,16,3,17,1,18,1],"robot":[288,1,295,2,296,3],"robotic":[45,3,47,4,49,2,295,1],"robust":[100,2,120,1,470,1,471,1],"role":[0,3,15,3,20,4,23,1,30,3,60,4,68,4,70,3,85,3,108,2],"roll":[175,1],"rotate":[95,1,413,1],"rotation":[95,4,129,1,130,5,131,3,312,1,413,2,414,1,504,6,506,2,509,1,510,1,512,1],"route":[315,1],"row":[310,1,339,1,468,1,469,2,470,2,509,1],"rule":[4,2,6,2,9,5,17,1,64,1,118,1,119,4,120,3,153,1,249,1,250,1,251,1,330,2,464,1,465,3,466,3,468,1,470,1,471,3,472,1],"run":[48,1,264,1,289,1,512,1],"running":[259,1],"said":[261,1],"same":[17,1,22,3,59,1,90,4,107,2,108,2,133,3,176,1,183,1,185,1,191,1,197,1,204,1,216,1,254,1,308,1,313,1,323,1,345,1,354,1,370,1,374,1,447,2,461,1,462,3,464,1,468,1,469,1,470,2,475,1,479,1,494,1,500,1,512,3,513,1,514,1,522,1],"sample":[0,3,5,2,7,5,19,1,20,3,22,1,25,6,26,4,27,8,34,1,38,9,52,4,67,2,70,3,74,1,76,2,77,1,87,1,126,1,140,1,147,2,150,1,163,2,167,2,171,1,172,1,173,1,174,1,175,1,178,4,179,5,180,2,192,1,196,1,197,1,214,2,215,2,216,2,217,1,223,4,238,1,239,1,242,1,243,2,245,2,246,1,247,2,248,3,250,1,255,1,257,1,259,2,261,1,266,1,269,1,271,1,272,1,274,1,275,2,276,2,279,1,281,1,303,1,357,1,369,1,375,1,460,2,521,2],"sampled":[23,2,37,1,82,2,204,1,274,1,357,1,358,1],"sampling":[8,3,10,1,11,3,23,1,27,1,30,2,32,1,33,6,71,6,77,3,81,3,82,1,87,2,134,2,146,1,150,1,178,1,192,1,223,1,238,1,250,1,268,1,269,1,270,3,271,1,272,2,273,1,274,1,366,1,518,1,519,2],"satellite":[455,1],"saturation":[24,1],"saw":[254,1,326,1,334,1,341,1,349,1,352,1,355,1,369,1],"say":[23,1,59,1,103,1,200,1,256,1,266,1,323,2,365,1,386,1,387,1,411,1,443,1,454,1,457,1,460,1,461,1,462,2,465,1,466,3,468,1,470,1,471,1,502,1,520,1],"saying":[194,2,462,1,512,1],"scalar":[44,2],"scale":[62,2,77,1,112,2,235,1,453,1],"scaled":[444,1],"scaling":[87,4,220,2,225,1,447,1],"scan":[13,1],"scarce":[112,1],"scarcity":[112,2],"scenario":[52,3,98,6,114,1,186,1,457,1],"scene":[219,1,337,1],"scent":[465,1,466,4,467,1,470,3],"schedule":[458,1],"scheduler":[438,1],"scheme":[14,1,18,1],"school":[284,1],"score":[296,1,297,1,336,1,339,1,458,2],"scraping":[386,1,417,1],"scratch":[169,1,181,1],"screen":[297,1,337,1],"search":[168,1],"second":[28,1,32,1,157,1,229,1,260,1,323,1,325,1,331,1,338,1,355,1,374,1,382,1,502,1],"secondly":[352,1],"sector":[312,1],"see":[13,1,43,4,47,1,168,2,170,1,209,1,212,1,218,1,226,2,249,1,274,1,275,1,276,1,277,1,278,3,293,1,303,1,306,1,314,1,316,1,317,1,337,1,349,1,370,1,418,1,419,1,446,1,458,2,460,2,461,2,465,1,466,1,468,1,489,1,503,1,509,1,510,2,519,1,527,1,528,1],"seeing":[286,1],"seem":[277,1,332,1,480,1],"seemed":[339,1],"seen":[47,2,158,1,176,1,185,1,285,2,297,1,301,2,324,1,330,1,333,2,343,1,348,1,350,1,370,1,441,1,458,1,461,1,465,1,467,1,524,1],"segmentation":[45,2,509,1],"select":[1,3,4,3,8,3,9,3,11,3,12,3,16,3,18,3,20,3,21,3,23,3,24,3,25,3,27,3,28,3,30,3,32,3,34,3,35,3,38,3,40,3,42,3,44,3,47,3,49,3,52,3,54,3,60,3,61,3,64,3,67,3,68,3,70,3,71,3,74,3,77,3,80,3,82,3,85,3,87,3,90,3,92,3,95,3,98,3,100,3,102,3,105,3,108,3,110,3,112,3,114,3,117,3,118,3,467,1,516,1],"selected":[75,1,355,1,366,2],"selecting":[94,3,367,1],"selection":[64,3,67,1,70,1,75,1],"self":[92,2,93,5,95,4,97,2,131,4,135,3,188,1,383,1,388,1,389,1,412,1,473,1],"semantic":[36,2,103,3,112,3,126,2,130,3,486,1,499,1],"semantically":[126,4,490,1,503,1],"semi":[90,6,92,4,97,4,99,5,100,4,102,3,107,3,108,10,386,1,402,1,416,1,417,1,418,2,419,2,420,1,421,1,422,1,429,1,434,1,445,1,449,1,491,1,530,1,531,1],"sense":[258,1,437,1,450,1,469,1,528,1],"sensitive":[116,2,313,1,532,1],"sensitivity":[116,1],"sent":[465,1,466,1,467,1,469,1],"sentence":[40,1,153,1,155,1,156,1,157,2,160,1,168,1,287,1],"separate":[72,4,77,3,126,1,133,1,325,1,387,1,486,1,502,1],"separating":[126,2,133,2],"separation":[112,2],"sequence":[11,3,18,3,44,1,48,2,61,3,62,2,83,3,84,1,130,2,156,1,158,1,160,1,168,1,286,2,291,2,301,1,329,1,332,1,368,2,375,1,378,2,379,1,471,1],"sequential":[9,1,10,2,11,3,12,3,13,1,14,2,40,3,49,3,287,1,289,1,291,1],"sequentially":[11,1,163,1,166,1],"serve":[49,3,85,1,87,2,92,1,102,1,104,1,110,1],"served":[26,1],"sery":[60,1,62,2,68,1,284,1,286,1,304,1],"set":[4,1,8,1,27,3,76,1,90,4,92,3,109,1,113,4,114,2,115,3,116,2,120,2,137,1,144,1,145,2,152,1,167,1,168,1,180,1,187,1,215,1,218,2,232,2,235,1,238,1,242,1,278,1,285,2,300,2,302,1,310,2,314,1,340,1,342,1,346,1,348,2,353,1,379,1,384,1,386,1,387,2,388,1,392,1,394,1,395,1,396,1,404,1,405,2,409,1,411,1,414,1,416,1,422,1,423,1,425,1,430,1,436,2,453,1,454,1,455,1,457,9,458,3,459,7,460,10,461,10,462,6,463,2,464,5,465,6,466,4,467,2,468,5,469,7,470,9,471,4,472,2,475,2,484,2,490,1,492,1,502,1,513,1,515,1,516,1,520,1,523,1,524,2],"setting":[47,4,89,1,105,9,351,1,352,1,354,1,383,2,385,1,386,1,387,1,389,1,390,2,391,2,443,1,445,1,457,4,459,1],"setup":[306,1,465,1],"several":[4,1,11,1,16,1,20,1,21,1,24,2,54,1,60,1,61,1,64,1,67,1,77,1,80,1,82,1,85,1,90,1,95,1,98,1,101,1,108,2,112,1,114,1,118,1,136,1,175,1,221,1,224,1,285,1,399,1,410,1,421,1,429,1,457,1,459,1,464,1,465,1,466,1,468,1,471,2,495,1,516,1],"severe":[1,1,141,1,409,1],"sgd":[411,1],"shannon":[20,3],"shape":[308,1],"share":[17,1,158,1],"shared":[113,2,516,1],"sharpening":[426,1],"shell":[470,1],"shift":[72,1,100,2,102,2],"short":[55,3],"shortcut":[104,2],"shorter":[57,3,315,1],"shot":[89,5,98,5,109,4,110,4,111,3,112,4,114,4,116,4,181,1,387,1,390,1,411,1,412,1,443,1,457,3,459,1,460,1,468,1,472,1,514,1],"should":[90,4,94,1,156,1,189,1,193,1,228,1,286,1,290,1,311,2,399,1,451,1,467,1,513,1,514,1,515,1,516,1],"shouldn":[515,1],"show":[213,1,228,1,237,1,241,1,418,1,442,1,464,1,509,2,516,1,528,1],"showed":[268,1,462,1,464,2],"showing":[228,1],"shown":[306,1,313,1,314,1,316,1,331,1,340,1,343,2,373,1,376,1,380,1,458,2,463,1,464,1,468,1],"side":[35,1,191,1,192,1,194,1,195,1,197,1,198,1,202,1,253,1,262,1,278,1,343,1,419,1,438,1],"sigma":[34,1,37,1,147,1,240,1,242,1,244,1,246,1,247,1,248,1,250,1,259,1,260,1,265,1,267,1,269,1,272,3],"sign":[83,1,377,1],"signal":[41,2,42,2,44,4,47,2,52,2,78,2,87,4,95,3,108,3,123,2,183,1,184,1,185,1,420,1,454,1],"signature":[292,1],"significance":[18,3,49,3],"significant":[11,1],"significantly":[16,1,103,3,108,2,135,2],"similar":[1,3,12,1,15,1,27,1,69,3,74,1,107,3,126,4,141,1,153,2,155,1,158,1,160,1,168,1,278,1,286,1,330,2,349,1,353,1,366,1,370,1,393,1,396,1,451,1,459,1,461,1,465,1,466,1,472,1,475,2,486,1,487,2,490,2,491,1,492,1,514,1,524,1],"similarity":[96,4,112,9,127,2,253,1,393,1,450,1,458,1,459,3,461,1,462,1,464,2,514,1],"similarly":[139,1,276,1,319,1,320,1,326,1,443,1,450,1,451,1,461,1,467,1],"simple":[23,6,114,1,132,1,178,3,225,1,305,1,367,1,369,1,376,1,403,1,421,1,434,1,453,1,463,1,472,1,507,1],"simpler":[16,3,60,1,68,3,120,3,149,1,242,1,245,1,452,1,465,1],"simplest":[341,1],"simplicity":[120,1],"simplification":[3,3,4,2,136,1,138,1],"simplify":[82,2,149,1,153,1],"simplifying":[3,1],"simply":[27,1,81,1,102,1,296,1,348,1,368,1,369,1,373,1],"simulate":[98,2,110,2,460,3],"simulated":[47,1],"simulating":[98,1,116,1],"simulation":[110,1],"simulator":[175,1,282,2,295,1],"simultaneous":[13,1],"simultaneously":[13,4,72,1,73,3,190,1],"sin":[367,1],"since":[141,1,190,1,225,1,236,1,248,1,351,1,446,1,464,1,521,1,522,1],"single":[72,1,108,2,309,1,343,1,344,1,439,1],"size":[76,1,77,1,346,2,357,1,358,1,432,1,433,1,436,1,437,1,439,3,459,1,518,2],"slide":[237,1,370,1,429,1,464,1,465,1],"slightly":[211,1,216,1],"slow":[9,1,10,2,11,4,12,1,14,2,16,1,164,1,166,1,525,1],"slowly":[220,1,524,1],"small":[27,2,75,1,81,1,89,1,90,2,94,2,99,4,100,1,110,3,120,3,166,1,219,1,220,1,314,1,354,1,369,1,401,1,402,1,411,2,416,1,417,1,419,1,442,1,445,1,457,2,458,2,459,3,460,2,461,1,462,1,464,1,468,1,469,1,470,1,471,2,472,1,479,1,483,1,484,1,485,1,518,1],"smaller":[99,1,169,1,220,2,417,1,459,1,460,1,472,1,484,1,485,1],"smile":[277,1],"smiling":[277,1],"smooth":[32,2,36,2,278,1,442,1],"smoothness":[276,1],"snail":[465,1],"snee":[489,1],"social":[182,3],"soft":[97,2,410,1,425,1,458,1,530,1],"softmax":[474,1,492,1],"software":[459,1],"solution":[54,1,60,1,104,2,128,3,222,1,304,1,464,1,497,1],"solve":[271,1,299,1,304,1,354,1],"solved":[455,1],"solving":[66,3,95,1,131,2,309,1,321,1,322,1,327,1,335,1,361,1],"some":[1,1,9,1,14,1,17,1,18,2,28,3,47,2,80,1,84,3,85,1,86,1,94,3,122,1,140,2,147,2,149,1,155,1,156,1,159,2,161,1,162,1,165,1,167,1,168,1,169,1,176,1,179,1,213,1,225,1,226,1,227,1,229,1,230,1,233,1,235,1,238,1,240,1,242,1,243,1,244,1,246,1,259,2,269,2,273,2,276,2,278,1,279,3,280,1,281,1,284,1,285,1,295,1,299,1,307,1,323,1,340,1,351,1,354,2,374,1,375,1,380,1,386,1,387,2,389,1,390,1,394,3,395,3,398,1,400,1,401,1,402,1,404,1,408,2,411,2,414,2,419,3,420,1,426,1,434,1,437,1,441,1,444,1,445,1,446,1,456,2,458,2,459,1,460,1,461,1,462,3,463,2,464,5,465,5,466,4,467,2,470,2,471,3,472,4,476,1,486,1,487,1,489,1,493,1,503,1,515,2,518,1,522,1,523,1,528,1,529,1],"somehow":[391,1,395,1,460,1,464,1],"something":[21,1,27,1,33,1,103,1,137,1,152,1,153,1,158,1,188,1,207,1,224,1,263,1,270,1,277,2,415,1,451,1,457,2,458,1,459,1,460,1,467,1,500,1],"sometime":[67,2],"somewhat":[171,1,451,1,490,2,492,1],"somewhere":[109,1,457,3,458,1,460,1],"soon":[367,1],"sooner":[63,1,332,1],"sophisticated":[247,1,451,1,453,1],"sort":[21,1,219,1,223,1,279,1],"source":[100,2],"south":[306,1],"space":[0,3,1,2,2,1,5,1,25,7,30,2,32,8,34,6,36,4,38,2,64,1,66,3,78,6,80,5,112,2,117,2,126,3,136,1,139,1,140,1,144,1,275,2,278,1,279,2,281,2,282,1,329,2,333,1,335,1,391,1,395,2,464,1,486,1,487,2,488,4,489,2,490,1,491,1,492,1,522,1,523,1],"sparse":[47,2,78,2,298,1,395,1],"spatial":[14,3,18,3,126,2],"special":[322,1,457,2],"specialized":[400,2,438,1],"specific":[17,1,32,2,45,1,47,3,98,2,116,2,119,2,380,1,433,1,505,1],"specifically":[13,1,34,1,37,1,117,4,236,1,240,1,250,1,252,1,255,1,270,1,271,1,273,1,364,1,387,1,403,1,418,1,424,1,431,1,432,1,441,2,446,1,458,1,459,2,460,1,461,1,463,1,464,1,465,2,470,1,477,2,490,1,505,1,511,1,519,1,520,1,526,1],"specified":[310,2],"spectrum":[151,1],"speed":[47,2],"spiffy":[182,1],"split":[472,1],"spooling":[180,1],"square":[61,1,62,1,329,1],"squared":[8,2,234,1,344,1,399,1,474,1,482,1,501,1],"stability":[24,1,54,2],"stabilization":[77,1],"stabilize":[15,1,24,4,72,2,77,4,134,2],"stabilizing":[24,1],"stable":[87,2,177,2,220,1,221,1,222,1,230,1,442,1,447,1],"stage":[72,2,105,1,291,1,337,1,429,1,430,1,436,1,461,1],"stale":[522,1],"staleness":[523,1],"standard":[24,1,50,3,118,1,214,1,247,1,266,1,279,1,458,1,470,1],"star":[63,2,145,1,322,4,326,3,329,1,332,4],"start":[118,2,159,1,204,1,239,1,284,1,311,1,316,2,327,1,336,1,345,1,349,1,350,1,466,1,467,1,468,3],"started":[350,1,356,1,374,1,419,1,467,1],"starting":[102,1,315,1,316,1,320,1,324,1],"state":[41,2,42,7,43,1,47,3,48,2,49,5,50,1,51,10,52,5,53,8,54,2,55,1,56,6,57,6,58,5,59,6,60,2,61,2,62,2,64,6,66,6,67,3,68,2,69,4,70,3,74,2,77,2,85,3,87,3,108,1,287,1,289,1,290,1,291,1,292,1,293,2,295,1,297,1,298,1,300,4,301,2,302,3,305,1,306,2,307,2,309,3,310,1,312,2,314,1,315,2,316,3,317,2,318,4,319,4,320,2,323,4,324,2,325,2,327,2,328,2,329,1,331,2,333,2,334,4,335,1,336,1,340,2,342,1,343,2,344,1,346,1,351,1,353,2,362,1,366,1,368,4,375,1,376,2,391,1,443,1,466,5,467,5,469,1],"statement":[5,3,35,3],"stationary":[41,2,43,5,293,1],"statistical":[143,1],"steepest":[470,4,471,1],"step":[41,2,63,1,67,4,77,3,78,1,87,2,98,2,117,3,119,2,213,1,214,2,294,2,296,1,297,1,300,1,301,1,313,1,325,3,329,1,331,2,332,1,336,1,337,1,345,1,356,1,359,1,364,1,367,1,368,1,370,1,371,1,411,2,467,2,469,1,472,1,480,1],"still":[9,1,12,2,18,1,75,1,152,1,166,1,173,1,219,1,230,1,243,1,262,1,264,1,348,1,443,2,446,1,459,1,461,1,470,1],"stochastic":[53,9,60,2,66,2,67,2,80,2,82,2,213,1,215,1,216,1,288,1,309,1,310,1,313,1,411,1,464,2,465,3,468,1,471,1],"stop":[315,1],"stopping":[111,2,458,1],"store":[53,2,76,1,310,1,359,1,519,1],"stored":[76,3],"storing":[522,1],"straightforward":[16,1,64,1,247,1],"strange":[21,1,219,1,223,1,413,1,480,1],"strategy":[4,4,15,1,40,6,67,2,74,2,75,4,97,3,105,1,111,3,117,2,338,2,339,2,351,2,352,2,354,1,356,1,357,1,367,1,369,1],"streaming":[293,1],"strength":[11,1],"strengthen":[92,2],"strict":[438,1,440,1],"strided":[24,1,221,1],"strong":[14,1,97,3,101,3,103,2,135,2,409,1,424,1,426,1,428,1,442,1,447,1,455,1,527,1],"strongly":[105,2,106,4,408,2,410,1,432,1,433,1],"structure":[11,1,12,1,13,1,14,4,60,1,68,1,90,2,92,2,95,1,100,2,490,1],"struggle":[1,1,38,3],"student":[162,1,284,1,444,1,445,1],"studied":[359,1],"study":[360,1],"studying":[303,2,457,1],"style":[131,2],"sub":[357,1],"subproblem":[68,3],"subsample":[516,1],"subsequent":[18,2,159,1],"substantial":[18,1],"substitute":[87,1,382,1],"substituting":[374,1],"subtracting":[85,1,86,5,380,1],"succeeding":[203,1],"success":[137,1],"successful":[40,1,77,1,83,1],"successfully":[14,1,28,1,232,1,295,1,452,1],"successor":[68,1],"suffer":[11,1,38,1,84,3],"sufficient":[6,2],"suitable":[6,3,94,1,118,2],"suited":[78,1,112,1,400,1],"sum":[8,1,54,1,56,1,58,1,146,1,311,1,312,1,318,1,320,2,324,1,362,1,369,1,372,1,377,1,433,1],"summarize":[264,1,335,1],"summary":[230,1,279,1,359,1,382,1,452,1,472,1,528,1],"summation":[8,3,255,1,325,1,326,2,458,1],"summing":[66,2],"superior":[12,1],"supervised":[5,2,28,3,39,1,81,2,90,8,91,2,92,4,93,5,95,4,97,4,99,5,100,8,102,3,107,3,108,13,127,4,131,4,135,5,137,1,139,1,285,1,291,1,364,1,383,2,384,1,386,1,388,1,389,1,402,1,412,1,416,1,417,1,418,3,419,2,420,3,421,1,422,1,429,2,430,1,434,1,440,1,445,1,449,1,452,1,456,2,473,2,478,1,491,1,506,1,508,1,530,1,531,1],"supervision":[15,2,39,1,40,2,95,3,96,1,188,1,286,1,290,1,365,1],"support":[1,2,36,1,109,1,113,4,114,5,115,3,116,2,120,2,137,1,142,1,457,1,458,1,459,1,460,4,461,3,462,7,463,2,464,6,465,2,466,3,467,1,468,3,469,2,472,1,507,1],"supposed":[46,1,193,1,290,1],"sure":[13,1,18,1,102,1,206,1,471,1],"surprising":[226,1,527,1,528,1],"surprisingly":[458,1],"surrogate":[94,3,95,4,129,5,130,3,131,3,412,1,414,1,496,1,505,1,508,2,509,1,511,1,528,1],"svhn":[442,1],"symbolic":[4,2],"synthesis":[28,2,122,2],"synthesizing":[28,1],"synthetic":[20,2],"system":[436,1,439,1,481,1],"table":[52,2,442,1],"tackling":[4,3],"take":[0,1,8,1,23,2,28,1,44,2,46,5,57,1,92,1,97,1,113,1,114,1,136,1,137,1,146,1,157,1,169,1,171,1,179,1,180,2,193,1,199,1,217,2,228,1,229,1,231,2,239,1,248,1,250,1,252,1,253,1,259,1,260,1,265,1,269,1,272,1,274,1,275,1,276,2,277,1,287,1,288,1,290,2,292,1,295,1,305,1,306,1,308,1,330,1,366,1,393,1,396,1,403,2,404,2,405,1,407,1,408,2,424,1,449,1,458,1,460,1,461,2,462,3,464,4,465,7,466,1,468,1,469,2,470,2,490,3,493,1,502,1,506,1,508,1,511,1,513,1],"taken":[42,2,44,2,46,1,52,2,58,3,143,1,154,1,290,1,300,1,379,1,387,1,472,1],"taking":[25,1,32,1,42,3,52,3,56,1,58,1,60,1,181,1,191,1,203,1,255,1,257,1,259,1,261,2,272,1,315,1,319,1,320,1,324,1,371,1,376,1,463,1,468,1,469,1,471,1,472,1],"talk":[136,2,152,2,172,1,213,1,233,2,239,1,289,1,383,2,389,1,397,1,412,1,416,1,457,1,473,1,477,3,516,1],"talked":[479,1],"talking":[287,1],"tao":[375,1],"target":[70,1,71,3,72,8,77,1,97,2,102,2,127,3,344,1],"task":[0,2,16,3,20,1,27,1,36,2,41,1,45,1,54,1,91,5,93,1,94,4,95,9,98,10,104,2,110,9,116,3,117,6,119,2,120,1,123,5,129,5,130,5,131,4,135,2,136,1,139,2,150,1,173,1,217,1,281,1,283,1,285,4,286,1,289,1,291,2,293,1,295,2,298,1,299,1,337,1,338,1,340,1,360,1,371,1,389,1,397,1,401,1,412,2,413,1,414,2,415,1,458,1,459,1,460,4,461,3,462,1,463,1,472,1,473,2,474,1,475,1,477,1,479,1,480,1,481,1,484,2,496,2,497,3,498,1,499,1,505,3,506,2,508,3,509,2,511,1,513,1,527,2,528,2],"tau":[102,1,368,3,369,1,372,2,373,1],"td":[87,3],"teacher":[15,5,161,1,410,1,444,2],"tech":[284,1],"technique":[8,3,77,4,90,3,97,1,108,5,111,1,134,4,263,1,396,1],"tell":[214,1,223,1,226,1,508,1],"temperature":[447,1],"temporal":[28,1],"ten":[278,1,386,1],"tend":[38,2,57,2,278,1,281,2,491,1,527,1,532,1],"tendency":[468,1],"tennis":[227,1,500,1],"tensor":[310,2],"term":[30,1,32,5,35,3,38,2,48,3,49,3,54,1,55,4,60,2,68,3,82,1,120,1,195,2,198,1,201,1,202,1,206,1,207,1,209,1,248,1,249,1,250,1,252,2,253,2,257,1,259,2,260,1,262,2,263,1,264,1,268,2,280,2,291,1,292,1,298,1,319,1,324,2,325,1,374,2,376,2,385,1,390,1,445,1,466,1,471,1,498,2,522,1],"terminate":[42,2],"test":[98,6,110,5,132,1,445,1,457,1,458,1,459,1,460,4,461,3,469,2,470,4,471,1,488,1],"testing":[110,1,460,2,461,3],"than":[0,1,5,2,15,1,16,4,25,1,38,2,40,2,44,3,52,1,54,2,63,4,64,1,85,1,108,2,112,3,117,1,118,3,119,1,135,2,156,1,158,1,160,1,165,1,172,1,185,1,211,1,213,1,221,1,239,1,240,1,242,1,244,1,254,1,272,1,276,1,282,1,313,1,332,1,350,1,406,1,417,1,425,1,433,1,434,1,442,1,443,1,447,1,448,1,451,1,456,2,457,1,458,1,459,3,461,1,462,3,470,1,519,1,529,1],"them":[20,1,92,1,111,1,143,1,170,1,198,1,226,1,231,1,233,1,235,1,241,1,255,1,259,1,275,1,396,1,405,1,408,3,461,1,465,1,469,2,473,1,477,2,484,1,485,1,487,1,513,1,521,2,522,3,524,2,529,1],"themselve":[95,2,471,2],"theorem":[82,1],"theoretic":[177,1],"theoretical":[3,2,49,2,68,2,120,2,299,1],"theoretically":[224,1,225,1],"theory":[190,1,213,1,299,1],"theta":[8,1,81,1,144,1,145,2,236,1,267,1,363,1,364,2,368,2,369,2,370,1,372,1,376,1],"they":[0,10,1,1,6,4,13,1,17,3,19,2,21,1,28,1,53,1,66,6,68,12,74,1,80,1,85,12,95,12,102,12,112,1,114,12,135,8,147,1,148,1,149,2,171,1,172,1,178,1,200,1,218,1,226,1,227,2,230,1,241,1,254,1,281,1,285,1,376,1,419,2,425,1,444,1,449,1,453,1,459,1,467,1,468,2,469,4,472,1,489,1,498,1,499,1,505,1,507,1,515,1,522,1],"thing":[3,1,138,1,155,1,166,1,169,1,173,2,175,1,183,1,188,1,204,1,213,1,220,1,222,1,229,1,231,1,242,1,249,1,254,1,270,1,278,1,307,1,393,2,396,1,444,1,447,1,451,1,452,1,461,1,462,1,464,1,467,1,470,1,471,1,472,3,478,1,482,1,485,1,488,1,489,1,490,1,491,2,492,1,494,4,510,1,515,1],"think":[182,1,208,1,209,1,229,1,288,1,394,1,420,1,454,1,463,1,467,1],"thinker":[182,1],"thinking":[25,2],"those":[13,1,46,3,113,1,114,1,149,1,161,1,205,1,220,1,223,1,228,1,261,2,264,1,276,2,280,1,378,1,387,2,402,1,408,1,429,1,430,2,448,1,449,1,454,1,461,1,462,2,465,1,468,1,469,2,484,1,487,1,508,1,520,1,521,1,525,1,526,1],"though":[1,1,12,1,95,2,129,1,167,1,173,1,219,1,399,1,406,1,427,1,434,1,457,1,460,1,472,1,497,1,518,1],"thought":[49,1,182,2,299,1,318,1,328,1,351,1],"thousand":[111,2,385,1,457,1,471,1],"three":[68,1,101,1,151,1,312,1,313,1,314,2,333,1,335,1,358,1,371,1,376,1,499,1,509,1],"threshold":[101,2,102,5,105,19,108,2,404,1,406,1,425,1,434,1,437,2,438,1,440,1],"through":[11,1,14,2,23,2,33,4,34,2,40,4,70,1,73,1,98,1,100,2,118,1,122,1,124,3,126,2,128,2,179,1,180,1,181,1,199,1,217,1,222,1,225,1,234,1,239,1,242,1,246,1,259,1,264,1,267,2,268,1,269,1,270,3,273,1,292,1,403,2,407,1,408,2,412,1,426,1,431,1,448,2,458,1,460,2,465,1,466,1,467,1,468,1,469,2,470,3,471,5,472,1,474,2,478,1,490,1,492,1,495,1,513,1,525,1],"throughout":[43,3,458,1,479,1],"throw":[26,1,217,1,425,1],"thus":[63,1,176,1,332,1,384,1,464,1],"tie":[190,1,518,1],"tier":[215,1],"tilda":[466,1,467,1],"time":[14,1,15,1,20,1,41,2,42,2,61,3,62,4,66,1,75,2,98,4,109,3,110,1,130,2,156,1,159,3,162,1,169,1,176,1,179,1,180,1,183,1,185,1,197,1,228,1,236,2,250,1,282,1,294,2,296,1,297,1,301,1,313,1,325,4,329,1,333,1,336,1,345,1,352,1,362,1,368,1,385,1,403,1,441,5,443,1,458,1,459,2,460,4,466,7,467,2,469,1,472,2,512,1,520,1,524,2],"timestamp":[54,1,313,1],"titled":[358,1],"together":[126,1,133,1,227,1,245,1,396,1,448,1,492,1,503,1,513,1],"too":[32,1,78,2,94,6,102,1,105,7,414,2,428,2,438,1,440,1,460,1,462,1,483,1,515,2,518,1],"took":[352,1,434,1,435,1],"tool":[304,1,358,1],"top":[132,4,159,1,169,1,252,1,277,1,468,1,507,1,511,1,526,1],"topic":[284,1],"torque":[296,1],"total":[83,1,377,2],"touche":[205,1],"toward":[264,1,333,1,335,1],"town":[182,1],"tractable":[30,2,149,1,152,2,170,1,181,1,233,1],"trade":[105,1,108,2,472,1],"tradeoff":[471,1],"traditional":[1,3,69,3,91,3,123,3,140,1,389,1,391,1,418,1,431,1,475,1],"traditionally":[1,1],"train":[12,1,15,1,21,1,110,3,125,1,129,3,130,2,132,1,135,3,160,1,161,1,162,1,175,1,176,1,177,1,184,1,185,1,218,1,230,1,233,1,264,1,351,1,354,1,408,3,410,1,424,1,429,2,439,1,445,1,458,1,460,1,464,1,466,1,481,1,484,1,526,2],"trained":[21,1,22,2,31,1,36,3,39,3,125,3,163,1,350,1,351,1,430,1,444,1,461,3,468,1],"training":[12,6,15,8,16,9,18,4,21,7,23,3,24,6,26,6,27,5,43,3,70,3,71,4,72,4,73,3,74,7,76,1,77,9,80,2,87,2,92,6,97,2,98,5,100,2,102,5,104,1,105,5,108,2,110,8,111,3,116,3,117,1,121,3,127,2,128,1,132,3,134,4,166,1,169,1,176,1,214,1,215,1,217,2,219,1,221,1,222,2,223,2,230,1,278,1,339,1,343,1,345,1,355,1,400,1,402,1,403,1,405,1,418,1,419,1,422,1,423,2,430,1,437,1,442,1,447,1,448,1,458,1,459,1,460,4,461,6,462,2,463,1,469,1,470,6,472,1,508,1,529,1],"trajectory":[81,3,84,2,85,2,301,1,302,1,356,1,363,1,368,1,369,2,370,1,372,1,375,2,377,2,378,1],"traktor":[464,1],"transcript":[4,4,6,3],"transfer":[110,3,131,2,388,1,401,1,457,2,506,2],"transferring":[458,1],"transform":[23,1,34,1,178,1,180,1],"transformation":[107,2,129,4,178,1,179,1,395,1,508,1],"transformed":[488,1],"transition":[49,2,50,4,52,6,61,2,64,2,66,2,68,2,82,2,84,2,85,2,300,1,301,1,302,1,303,1,304,1,307,1,312,1,313,1,328,1,359,1,360,1,376,1],"translate":[363,1],"trap":[339,1],"trial":[40,2,292,1,378,1],"triangle":[305,1],"trick":[33,5,81,4,82,5,177,2,270,1,273,2,373,1,438,1,458,1],"trivial":[124,2,128,3,494,1,497,1],"true":[2,2,7,2,10,2,13,2,16,1,17,2,19,2,22,2,26,2,29,2,30,2,33,2,35,8,37,2,39,2,43,2,46,2,51,2,55,2,58,2,59,2,63,2,65,2,69,2,73,2,76,2,79,2,83,2,86,2,89,2,93,2,96,2,99,2,103,2,106,2,109,2,115,2,121,2,125,2,129,2,132,2,149,1,304,1,378,1],"truly":[27,1,164,1,223,1],"truth":[15,1,185,1,188,1,427,1,429,1,431,1,432,1,491,1],"try":[0,1,60,1,95,1,96,1,129,1,136,1,238,1,269,2,273,1,274,1,275,2,292,1,324,1,335,1,383,1,393,2,395,1,409,1,413,1,414,1,416,1,457,1,458,1,462,1,464,2,465,1,467,1,480,1,495,1,516,1,519,1],"trying":[25,1,95,1,122,1,188,1,258,1,268,1,414,1,465,1,470,1],"tune":[111,1,231,1,445,1,473,1,477,1,481,1,484,1,485,1],"tuned":[117,1],"tuning":[98,2,111,5,114,2,116,5,204,1,221,1,436,1,457,1,459,1,472,1],"tuple":[50,2,299,1,340,1],"turn":[8,1,21,1,146,1,174,1,177,1,207,1,221,1,225,1,228,1,243,1,437,1,442,1,498,1,523,1],"turned":[526,1],"twice":[306,1],"two":[65,1,71,2,72,1,77,3,97,1,104,4,160,1,176,1,177,1,185,1,190,3,220,1,248,1,253,1,254,1,262,1,266,1,289,1,317,1,331,1,337,1,340,1,345,1,362,1,381,1,407,1,424,1,427,1,429,1,431,1,511,1,512,1,513,1,516,1,529,1],"type":[52,3,80,1,97,1,104,3,227,2,233,1,360,1,376,1,407,1,424,3,425,1,426,1,431,1,436,1,444,1,447,1,448,1,452,1,458,2,468,1,471,1,500,1,512,1,529,1],"typical":[52,3],"typically":[12,2,16,1,23,2,26,3,32,1,34,2,35,4,37,1,42,1,52,1,75,1,77,1,80,3,89,1,109,1,132,3,224,1,285,1,354,1,384,2,393,1,396,1,401,2,416,1,457,3,458,1,459,1,460,2,471,1,476,1,506,1,507,1,508,1,509,1],"unbiased":[87,3],"unbounded":[254,1],"uncertainty":[49,2],"uncover":[339,1],"under":[19,1,49,2,109,1,123,1,172,1,328,1,386,1],"underlying":[49,1,52,3,299,1],"underperform":[419,1],"understand":[130,1,137,1,141,1,227,1,299,1,340,1,358,1,390,1,391,1,416,1,500,1],"unfortunately":[532,1],"uniform":[23,3,67,2],"unique":[41,1],"unit":[158,2,274,1,459,1],"unknown":[288,1],"unlabeled":[4,1,89,5,90,5,92,7,93,2,94,3,99,5,100,8,102,2,104,3,106,4,107,1,108,5,121,1,127,1,137,1,145,1,173,2,174,1,217,1,264,1,285,1,383,2,386,2,387,1,388,1,390,2,393,1,399,1,400,2,401,1,402,2,403,1,404,1,407,1,413,1,416,1,417,2,418,1,419,1,420,2,421,1,422,1,423,1,424,1,425,1,430,1,431,2,432,1,433,1,436,1,437,1,438,1,444,1,445,1,446,1,449,1,450,2,451,1,452,3,453,1,454,3,473,1,484,1,490,2,496,1,504,1,515,1,516,1,520,1,528,1,530,1],"unlike":[10,1,11,1,12,1,14,1,16,1,25,1,29,1,39,1,80,2,164,1,181,1,291,1,478,1,490,1],"unquote":[427,1,491,1],"unrelated":[27,2],"unseen":[110,3],"unstable":[72,1,230,1,344,1],"unsupervised":[0,4,21,1,91,5,96,3,121,4,122,3,123,4,126,3,127,3,136,2,137,1,139,1,140,1,217,1,281,1,285,1,383,1,388,1,389,2,391,1,395,1,397,1,412,1,472,1,473,1,475,1,478,1,486,1,489,1,490,1,493,1,505,1,507,1,508,1,526,2,528,1,529,1,531,1],"until":[42,2,61,3,328,1,329,1],"up":[52,1,62,1,163,1,180,1,187,1,200,1,203,1,220,1,257,1,302,1,307,1,351,1,356,1,362,1,385,1,395,1,412,1,414,1,433,1,444,1,457,2,459,3,461,2,462,1,464,1,465,1,466,1,468,1,470,1,471,1,472,1,497,1,513,1],"update":[41,2,61,2,62,4,64,1,65,2,66,1,69,4,70,4,71,2,72,1,73,1,81,2,83,5,88,2,114,1,118,1,119,4,120,3,184,2,185,1,189,2,201,1,204,1,209,1,211,1,214,2,215,1,216,1,293,1,328,1,329,1,330,2,331,2,333,1,338,1,342,1,344,1,345,2,347,1,348,1,350,2,351,1,356,1,359,1,360,1,364,1,367,1,370,2,371,1,377,1,378,1,379,1,464,4,465,3,466,7,467,5,468,5,469,3,470,1,471,2,472,2,474,1,478,1,517,1],"updated":[22,3,71,3,73,6,216,1,340,1,345,1,522,1,525,1],"updating":[65,3,72,1,162,1,351,1,469,1,470,2,471,2,485,1],"upgrade":[329,1],"upon":[329,1],"upper":[159,2,339,1],"upright":[130,1,296,1],"us":[30,1,49,1,56,1,60,1,68,1,82,1,172,1,181,1,182,1,207,1,214,1,233,1,237,1,242,1,273,1,292,1,304,1,309,1,319,1,333,1,346,1,367,1,368,1,372,1,406,1,457,1,471,1,474,1,482,1,508,1],"usage":[72,2],"use":[4,5,8,1,9,3,12,10,15,3,16,2,22,1,23,1,25,1,34,2,36,2,69,4,80,2,85,1,87,1,90,2,93,4,94,1,97,1,104,3,113,1,121,1,123,1,127,1,128,2,133,2,134,2,143,1,145,2,148,1,153,1,161,2,162,1,163,1,166,1,167,1,168,1,173,1,176,2,178,1,180,1,201,1,212,1,213,1,217,2,228,1,236,1,238,1,247,1,248,1,254,1,274,1,283,1,299,1,309,1,311,1,321,1,326,1,331,1,343,1,350,1,370,1,373,1,398,1,399,1,400,1,401,1,408,2,410,3,421,1,422,1,425,1,427,3,428,2,429,1,431,1,432,1,445,1,447,1,452,1,453,1,458,3,460,1,461,3,462,1,464,2,465,1,466,2,470,1,472,2,474,4,478,1,479,2,481,1,482,1,484,1,489,1,491,2,501,1,505,1,506,1,507,1,510,1,517,1,520,2,522,1,523,1,524,1,528,1,530,1,532,1],"used":[0,4,1,5,8,5,23,4,24,3,26,3,28,1,30,1,64,2,70,3,71,1,77,1,87,10,88,3,97,3,102,2,111,3,121,3,127,3,128,3,134,1,183,1,184,1,232,1,234,2,254,1,263,1,264,1,341,1,354,1,360,1,361,1,365,2,369,1,393,1,403,1,436,1,447,1,448,1,464,1,467,1,469,1,528,1,530,1,531,1],"useful":[36,1,95,2,105,3,130,3,174,1,232,1],"using":[4,2,9,1,11,3,12,1,13,1,14,4,15,1,16,3,17,1,18,1,21,1,22,3,24,5,28,2,31,1,35,1,62,2,72,5,74,4,77,3,80,1,81,6,82,3,87,2,90,1,97,4,100,5,101,2,102,1,108,5,110,2,111,2,114,2,122,2,125,3,129,3,132,1,134,4,142,1,152,1,160,1,178,1,187,1,190,1,204,1,209,1,215,1,221,1,222,2,249,1,251,1,273,1,338,1,344,1,360,1,369,1,375,1,383,1,403,1,409,2,410,2,415,1,417,1,418,1,424,1,426,2,438,1,444,1,452,1,458,1,460,1,462,1,464,1,469,1,470,2,477,1,485,1,488,1,489,2,496,1,499,1,509,1,518,1,522,1,525,1,526,3,527,1,528,1],"utilize":[4,2],"v0":[61,1,62,1,329,1],"v1":[61,1,62,1,329,1],"vae":[29,4,30,3,31,4,32,3,33,3,34,3,35,3,36,4,37,3,38,14,281,1],"valid":[22,1,197,1],"valuable":[100,1],"value":[44,2,49,3,50,2,54,5,55,4,56,10,59,10,60,9,61,8,62,6,63,4,64,14,65,1,67,5,68,4,70,6,72,1,74,3,75,1,78,1,80,19,81,2,85,5,87,5,105,2,108,2,147,1,159,1,161,1,162,2,167,1,171,1,210,1,211,1,276,2,277,2,310,1,314,2,316,1,317,3,318,3,319,2,320,1,321,2,323,2,324,1,325,1,327,2,328,1,330,2,331,3,332,2,335,1,336,1,342,1,343,1,344,2,346,1,360,1,363,1,392,1,466,2,467,2,469,2],"valued":[54,2],"vanilla":[89,1,387,1,435,1],"vanishing":[11,3],"variable":[114,2,155,1,235,1,236,1,238,1,246,1,258,1,312,1],"variance":[34,2,84,4,85,3,87,3,274,1,355,1,379,1,380,1,382,1,394,1],"variant":[84,1,87,3,147,1,379,1,381,1,382,1,465,1],"variate":[147,2,241,1],"variation":[235,1,380,1,447,1,528,1],"variational":[29,1,30,4,31,4,233,2,237,1,238,1,263,1,264,1,274,1,279,1],"varied":[440,1],"variety":[223,1],"various":[3,1,38,1,87,1,138,1,148,1,149,1,167,1,318,1,383,1,435,1,457,1,458,1,461,2,504,1],"vary":[105,2,112,1],"ve":[97,1,143,1,154,1,158,1,176,1,216,1,285,1,384,1,399,1,405,1,407,1,410,1,448,1,461,1,463,1,464,2,470,2,472,1,479,1,488,1,489,1,521,1,524,1],"vector":[1,2,23,5,61,2,62,4,112,7,142,1,180,3,181,1,187,1,192,1,204,2,217,1,239,1,241,1,242,1,259,1,327,2,328,1,329,1,331,1,341,1,394,1,426,1,459,4,479,1,507,1],"versa":[252,1],"version":[106,3,107,2],"versus":[499,1],"vertical":[339,1],"very":[1,1,3,1,4,1,6,1,21,1,27,1,109,1,111,1,138,1,141,2,144,1,148,1,178,1,190,1,207,1,220,1,288,1,291,2,330,1,333,1,335,1,401,1,403,1,405,1,411,1,422,1,423,1,425,1,437,3,443,2,445,1,452,1,453,2,455,1,460,1,463,1,472,2,482,1,492,1,522,1,523,1],"via":[82,2,120,3,126,3,135,3,276,1],"vice":[252,1],"video":[28,4,45,1,228,4,229,2,230,1,296,1,337,1,339,1],"view":[0,1,104,4,108,2,136,1,138,1,143,1,238,1,406,1,423,1,424,1,435,1,463,2,464,1,465,1,467,2,469,1,471,1],"viewed":[118,2],"viewing":[467,1],"viewpoint":[469,1],"virtual":[295,1,448,1],"visual":[204,1],"visualization":[61,2],"visualize":[489,1],"vital":[77,1],"voc":[527,1],"vs":[17,1,53,1],"wait":[458,1,459,1,464,1],"walking":[275,1],"wanna":[138,1,145,1,147,1,183,1,231,1,245,1,270,1,384,1,388,2,401,1,508,1,515,1],"want":[0,1,7,1,15,1,25,2,139,2,140,1,143,1,145,1,163,1,189,1,193,1,194,4,196,2,198,1,199,2,200,4,201,2,202,1,203,2,206,1,209,1,217,2,243,1,245,1,247,1,268,2,269,1,385,1,418,1,426,1,450,1,458,1,461,1,463,2,465,1,466,1,467,1,468,1,469,2,475,2,476,4,478,1,482,1,503,1,515,1,524,1],"waveform":[28,2,230,1],"way":[80,1,82,1,98,1,110,1,112,3,114,1,148,1,161,1,170,1,187,1,192,1,270,1,271,2,273,1,274,1,279,1,281,1,308,1,401,1,414,1,429,1,451,2,453,1,457,2,458,1,459,1,460,1,463,1,464,2,465,1,467,2,468,1,470,3,471,1,497,1,505,1,507,1,511,1,514,1,516,1,526,1,528,1],"weak":[97,3,101,3,103,5,407,1,409,1,424,1,425,1,427,1,428,1,447,1],"weaker":[454,1],"weakly":[106,2,408,1,432,1],"web":[417,1],"weekly":[408,1],"weigh":[460,1,522,1],"weight":[24,3,54,3,73,1,87,2,111,1,134,1,158,1,189,2,313,1,341,1,398,1,438,1,440,1,441,3,458,3,459,3,464,1,465,3,466,3,467,8,468,7,469,2,522,1,523,1],"weighted":[458,1],"weighting":[255,1],"weird":[412,1],"well":[32,4,42,1,96,1,98,2,110,2,112,3,114,2,183,2,184,1,194,3,196,1,198,2,223,1,224,1,225,1,241,1,243,1,273,1,275,1,294,1,385,1,390,1,393,1,409,1,414,1,416,1,426,1,437,1,439,1,442,1,443,1,456,2,457,2,458,1,459,1,461,3,464,1,467,1,468,2,469,2,471,1,472,2,477,1,485,1,489,2,494,1,499,3,505,1],"went":[522,1],"weren":[219,1],"west":[306,1],"whatever":[166,1,217,1,391,1,418,1,464,1,487,1,488,1,508,1],"where":[9,2,13,1,15,1,17,1,18,1,21,2,72,1,91,1,96,1,128,3,129,1,137,1,143,1,147,1,150,1,153,1,154,1,155,1,159,1,161,1,162,1,168,1,169,1,178,1,180,1,190,1,199,2,204,2,207,2,209,1,211,1,214,1,221,1,224,1,227,1,234,1,238,2,239,1,244,1,248,1,255,1,263,1,273,1,279,1,285,1,286,1,296,1,297,1,298,1,305,3,310,1,316,1,326,1,327,1,329,1,334,1,337,1,347,1,354,1,383,2,384,1,385,1,388,1,389,1,393,2,402,1,410,1,411,1,422,1,423,1,427,1,429,1,441,1,443,1,444,1,445,1,457,3,458,2,459,3,460,2,461,2,462,3,464,4,465,3,469,3,470,4,473,1,475,2,478,1,486,2,497,1,506,1,513,1,515,1,516,1,530,2],"whereas":[198,1,254,1,277,1,278,1,310,1,317,2],"whether":[54,2,130,1,148,1,188,1,190,1,207,1,471,1],"whole":[139,1,148,1,167,1,169,1,170,1,171,1,245,1,446,1,509,1],"whose":[348,1,526,1],"widely":[126,2,476,1],"window":[165,2,336,1,339,1,361,1],"winning":[298,1],"wipe":[467,1],"wise":[25,3],"wish":[347,1],"within":[84,2,282,1,517,1,525,1],"without":[3,1,15,4,19,1,37,3,64,2,68,2,82,3,87,2,95,2,96,1,125,3,175,1,227,1,386,1,435,1,482,1,519,1,522,1],"won":[173,1,403,1,409,1,411,1,421,1,422,1,438,1,440,1,457,1,465,1,495,1,516,1,518,1,523,1,524,1,525,1],"word":[156,4,157,3,158,1,201,1,304,1,518,1],"work":[64,2,112,2,116,2,153,1,155,1,176,1,192,1,273,1,335,1,390,1,421,1,439,1,441,1,443,1,459,1,461,1,529,1,531,1,532,1],"working":[459,1],"world":[28,3,47,7,175,2,281,1,282,2,288,2,305,1,313,1,334,1,396,1,455,1,505,1],"worst":[288,1],"worth":[454,1],"would":[35,2,42,3,137,1,178,1,308,1,419,1,429,1,458,1,460,1,470,1],"wouldn":[508,1],"write":[82,1,143,1,236,1,248,1,249,1,364,1,369,1,372,2],"written":[255,1,278,1,368,1,374,1],"wrong":[207,1,226,1,460,1],"x1":[159,3,163,1],"x2":[159,1],"x3":[159,1],"xi":[162,1,248,3,249,2,257,1],"year":[295,1,458,1,471,1,498,1],"yet":[114,1,455,1],"yield":[108,1],"yourself":[182,1],"youtube":[228,1],"z1":[275,1],"z2":[275,1,276,1,277,1,278,1],"zation":[471,1],"zero":[161,1,193,2,195,1,196,1,198,1,200,2,201,1,202,1,210,1,262,1,263,1,266,1,271,1,272,1,274,1,276,1,298,1,327,1,368,1]}};
@@ -0,0 +1,110 @@
+// Full-text search shared by build.js (Node), which builds the index, and the
+// sidebar search box (browser), which queries it. Both tokenize with the same rules.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QuizSearch = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+  const INDEX_VERSION = 1;
+
+  const STOP_WORDS = new Set(('a an and are as at be but by can do does for from has have how i if in into is it ' +
+    'its of on or so such that the their then there these this to was we were what when which while who why ' +
+    'will with you your').split(' '));
+
+  // Light stemming, so "equations" finds "equation" and "GANs" finds "GAN"
+  function stem(word) {
+    if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.length > 3 && word.endsWith('s') && !/(ss|us|is|as)$/.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  // Lowercased, accent-free words without stop words, stemmed
+  function tokenize(text) {
+    const words = String(text).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9]+/g) || [];
+    return words.filter(word => word.length > 1 && !STOP_WORDS.has(word)).map(stem);
+  }
+
+  /**
+   * Build the inverted index from documents { kind, url, title, excerpt, fields: [{ text, weight }] }.
+   * `docs` holds [kind, url, title, excerpt] per document; `terms` maps each term to a flat
+   * list of (document index, weight) pairs, where the weight sums the field weights of
+   * every occurrence.
+   */
+  function buildIndex(documents) {
+    const terms = {};
+
+    documents.forEach((doc, docIndex) => {
+      const weights = new Map();
+      doc.fields.forEach(field => {
+        tokenize(field.text).forEach(term => weights.set(term, (weights.get(term) || 0) + field.weight));
+      });
+
+      weights.forEach((weight, term) => {
+        if (!Object.prototype.hasOwnProperty.call(terms, term)) terms[term] = [];
+        terms[term].push(docIndex, weight);
+      });
+    });
+
+    const sortedTerms = {};
+    Object.keys(terms).sort().forEach(term => { sortedTerms[term] = terms[term]; });
+
+    return {
+      version: INDEX_VERSION,
+      docs: documents.map(doc => [doc.kind, doc.url, doc.title, doc.excerpt]),
+      terms: sortedTerms
+    };
+  }
+
+  /**
+   * Rank documents for a query. Documents containing every query word come first; the
+   * last word also matches as a prefix while it's still being typed. Scores are BM25-style
+   * (rarer terms count more, repeated occurrences saturate).
+   */
+  function search(index, query, { limit = 10 } = {}) {
+    const words = tokenize(query);
+    if (words.length === 0) return [];
+
+    const typing = !/\s$/.test(query);
+    // Terms are looked up as own properties: a query like "constructor" must not find
+    // Object.prototype's
+    const allTerms = Object.keys(index.terms);
+    const docCount = index.docs.length;
+    const matches = new Map();
+
+    [...new Set(words)].forEach((word, wordIndex, uniqueWords) => {
+      const isLast = wordIndex === uniqueWords.length - 1;
+      const expansions = typing && isLast
+        ? allTerms.filter(term => term.startsWith(word)).slice(0, 50)
+        : (Object.prototype.hasOwnProperty.call(index.terms, word) ? [word] : []);
+
+      expansions.forEach(term => {
+        const postings = index.terms[term];
+        const docFrequency = postings.length / 2;
+        const idf = Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+
+        for (let i = 0; i < postings.length; i += 2) {
+          const weight = postings[i + 1];
+          const score = idf * (weight * 2.2) / (weight + 1.2);
+          const match = matches.get(postings[i]) || { scores: new Map() };
+          match.scores.set(wordIndex, Math.max(match.scores.get(wordIndex) || 0, score));
+          matches.set(postings[i], match);
+        }
+      });
+    });
+
+    return [...matches.entries()]
+      .map(([docIndex, match]) => {
+        const [kind, url, title, excerpt] = index.docs[docIndex];
+        let score = 0;
+        match.scores.forEach(value => { score += value; });
+        return { kind, url, title, excerpt, matched: match.scores.size, score };
+      })
+      .sort((a, b) => b.matched - a.matched || b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return { INDEX_VERSION, tokenize, buildIndex, search };
+});
@@ -0,0 +1,92 @@
+/**
+ * Quiz manifest
+ *
+ * quizzes.json declares which quiz markdown files are published: each quiz's id,
+ * source file (in quizzes/), lecture title, module group (a prefix from modules.json)
+ * and order. build.js publishes exactly these quizzes and the validators check the
+ * same set; markdown files that aren't listed are drafts or leftovers and are reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const QuizModel = require('./quiz-model');
+
+const MANIFEST_PATH = path.join(__dirname, 'quizzes.json');
+const QUIZ_DIR = path.join(__dirname, 'quizzes');
+
+const REQUIRED_FIELDS = ['id', 'source', 'title', 'module', 'order'];
+
+// Lecture number ("13.1") at the start of a quiz id or file name
+function lectureNumber(name) {
+  const match = name.match(/^(\d+\.\d+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Read quizzes.json and check it against the markdown files in quizzes/.
+ * Returns the published entries in order, each with its resolved `sourcePath`, and a
+ * warning for every entry that can't be published, duplicate and unlisted source.
+ */
+function loadQuizManifest({ modules = [], manifestPath = MANIFEST_PATH, quizDir = QUIZ_DIR } = {}) {
+  const warnings = [];
+  const quizzes = [];
+  const entries = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+  entries.forEach((entry, index) => {
+    const name = entry.id || `entry ${index + 1}`;
+    const missing = REQUIRED_FIELDS.filter(field => entry[field] === undefined || entry[field] === '');
+    if (missing.length > 0) {
+      warnings.push(`${name} in quizzes.json is missing ${missing.join(', ')}; not published`);
+      return;
+    }
+
+    const sourcePath = path.join(quizDir, entry.source);
+    if (!fs.existsSync(sourcePath)) {
+      warnings.push(`${name}: source quizzes/${entry.source} does not exist; not published`);
+      return;
+    }
+
+    const duplicate = quizzes.find(quiz => quiz.id === entry.id || quiz.source === entry.source);
+    if (duplicate) {
+      const field = duplicate.id === entry.id ? 'id' : 'source';
+      warnings.push(`${name}: duplicate ${field} in quizzes.json (already listed as ${duplicate.id}); not published`);
+      return;
+    }
+
+    if (modules.length > 0 && !modules.some(module => module.prefix === entry.module)) {
+      warnings.push(`${name}: module "${entry.module}" is not in modules.json`);
+    }
+
+    quizzes.push({ ...entry, sourcePath });
+  });
+
+  // Markdown sources that aren't published, pointing out second copies of a lecture
+  fs.readdirSync(quizDir)
+    .filter(file => file.endsWith('.md') && !quizzes.some(quiz => quiz.source === file))
+    .sort()
+    .forEach(file => {
+      const number = lectureNumber(file);
+      const published = number && quizzes.find(quiz => lectureNumber(quiz.source) === number);
+      warnings.push(published
+        ? `quizzes/${file} duplicates lecture ${number} (published from ${published.source}); not published`
+        : `quizzes/${file} is not listed in quizzes.json; not published`);
+    });
+
+  quizzes.sort((a, b) => a.order - b.order);
+  return { quizzes, warnings };
+}
+
+/**
+ * Parse a published quiz into the canonical model, titled from its manifest entry
+ */
+function loadQuiz(entry) {
+  const markdown = fs.readFileSync(entry.sourcePath, 'utf8');
+  return { ...QuizModel.parseQuiz(markdown, entry.id), title: entry.title };
+}
+
+module.exports = {
+  MANIFEST_PATH,
+  lectureNumber,
+  loadQuizManifest,
+  loadQuiz
+};
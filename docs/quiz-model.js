@@ -0,0 +1,75 @@
+/**
+ * Canonical quiz model
+ *
+ * Builds the JSON model that build.js writes to quizzes/<id>.json and renders HTML from,
+ * using the AST from js/quiz-parser.js. The validators read the same model, so the
+ * markdown is only ever interpreted in one place. The schema is documented in
+ * quiz.schema.json; bump SCHEMA_VERSION whenever its shape changes.
+ */
+
+const crypto = require('crypto');
+const QuizParser = require('./js/quiz-parser');
+
+const SCHEMA_VERSION = 3;
+
+const { QUESTION_TYPES, normalizeQuestionType } = QuizParser;
+
+/**
+ * Stable key of a question, from its stem: stored progress stays attached to the
+ * question when questions are renumbered or reordered
+ */
+function questionKey(stem) {
+  const hash = crypto.createHash('sha1').update(stem.replace(/\s+/g, ' ').trim()).digest('hex');
+  return `q-${hash.slice(0, 8)}`;
+}
+
+/**
+ * Convert a parsed Question node into a model question
+ */
+function toModelQuestion(question) {
+  const details = question.details;
+
+  return {
+    key: questionKey(question.stem.text),
+    number: question.number,
+    type: question.questionType,
+    stem: question.stem.text,
+    options: question.options.map(option => (option.rationale
+      ? { letter: option.letter, text: option.text, rationale: option.rationale.text }
+      : { letter: option.letter, text: option.text })),
+    correct: details ? details.correct : [],
+    explanation: details ? details.explanation.text : '',
+    quotes: details ? details.quotes.map(quote => quote.text) : []
+  };
+}
+
+/**
+ * Parse a Combined.md quiz into the canonical model
+ */
+function parseQuiz(markdown, id) {
+  const ast = QuizParser.parse(markdown);
+  const questions = ast.questions.map(toModelQuestion);
+
+  // Questions with the same stem get numbered keys so keys stay unique within a quiz
+  const seen = new Map();
+  questions.forEach(question => {
+    const count = (seen.get(question.key) || 0) + 1;
+    seen.set(question.key, count);
+    if (count > 1) question.key = `${question.key}-${count}`;
+  });
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    id,
+    title: ast.title ? ast.title.text : id,
+    questions
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  QUESTION_TYPES,
+  normalizeQuestionType,
+  questionKey,
+  parseQuiz
+};
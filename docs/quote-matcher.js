@@ -0,0 +1,213 @@
+/**
+ * Quote matcher
+ *
+ * Locates the `> "..."` lecture quotes of the quizzes in the transcript they were taken
+ * from. Quotes are compared word by word, ignoring case, punctuation and whitespace;
+ * an ellipsis ("..." or "…") splits a quote into pieces that are matched separately.
+ * Each piece is found exactly when possible, otherwise by the transcript window that
+ * shares the most words with it in the same order.
+ */
+
+const TranscriptModel = require('./transcript-model');
+
+// Quotes scoring at least this are considered found in the transcript, both by the build
+// (which links them) and by analyze_transcript_quotes.js
+const MATCH_THRESHOLD = 0.8;
+
+// Pieces shorter than this (e.g. "S..." in "S... A... R is the reward") are ignored
+const MIN_PIECE_WORDS = 3;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+function normalizeWord(word) {
+  return word.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function words(text) {
+  return (text.match(WORD) || []).map(normalizeWord);
+}
+
+/**
+ * Tokenize a transcript's segments once, for matching many quotes against it.
+ * Each token keeps its segment and character range so matches can be located.
+ */
+function indexTranscript(segments) {
+  const tokens = [];
+
+  segments.forEach((segment, segmentIndex) => {
+    const text = TranscriptModel.segmentText(segment);
+    for (const match of text.matchAll(WORD)) {
+      tokens.push({
+        word: normalizeWord(match[0]),
+        segment: segmentIndex,
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+  });
+
+  return { segments, tokens };
+}
+
+// Longest common subsequence of `piece` and tokens[from, to), with the first and last
+// matched token positions
+function alignPiece(piece, tokens, from, to) {
+  const width = to - from;
+  let previous = new Array(width + 1).fill(null).map(() => ({ length: 0, first: -1, last: -1 }));
+
+  for (let i = 1; i <= piece.length; i++) {
+    const current = [{ length: 0, first: -1, last: -1 }];
+    for (let j = 1; j <= width; j++) {
+      const position = from + j - 1;
+      if (piece[i - 1] === tokens[position].word) {
+        const diagonal = previous[j - 1];
+        current.push({
+          length: diagonal.length + 1,
+          first: diagonal.first === -1 ? position : diagonal.first,
+          last: position
+        });
+      } else {
+        const up = previous[j];
+        const left = current[j - 1];
+        current.push(up.length >= left.length ? up : left);
+      }
+    }
+    previous = current;
+  }
+
+  return previous[width];
+}
+
+/**
+ * Best match of one piece of a quote: { score, first, last } over token positions.
+ * The score is 2 * matched words / (piece words + words in the matched span), so
+ * missing, changed and inserted words all lower it.
+ */
+function matchPiece(piece, tokens) {
+  const length = piece.length;
+  if (length === 0 || tokens.length === 0) return null;
+
+  // Exact occurrence
+  for (let start = 0; start + length <= tokens.length; start++) {
+    let i = 0;
+    while (i < length && tokens[start + i].word === piece[i]) i++;
+    if (i === length) return { score: 1, first: start, last: start + length - 1 };
+  }
+
+  // Candidate windows sharing the most words with the piece (in any order)
+  const needed = new Map();
+  piece.forEach(word => needed.set(word, (needed.get(word) || 0) + 1));
+  const have = new Map();
+  let overlap = 0;
+  const candidates = [];
+
+  for (let end = 0; end < tokens.length; end++) {
+    const added = tokens[end].word;
+    if (needed.has(added)) {
+      have.set(added, (have.get(added) || 0) + 1);
+      if (have.get(added) <= needed.get(added)) overlap++;
+    }
+
+    const start = end - length + 1;
+    if (start > 0) {
+      const removed = tokens[start - 1].word;
+      if (needed.has(removed)) {
+        if (have.get(removed) <= needed.get(removed)) overlap--;
+        have.set(removed, have.get(removed) - 1);
+      }
+    }
+
+    if (start >= 0) candidates.push({ start, overlap });
+  }
+
+  candidates.sort((a, b) => b.overlap - a.overlap || a.start - b.start);
+
+  // Align the best few in order, allowing the span to stretch a little either side
+  const margin = Math.ceil(length / 4);
+  let best = null;
+  candidates.slice(0, 5).forEach(({ start, overlap: shared }) => {
+    if (shared === 0) return;
+    const from = Math.max(0, start - margin);
+    const to = Math.min(tokens.length, start + length + margin);
+    const alignment = alignPiece(piece, tokens, from, to);
+    if (alignment.length === 0) return;
+
+    const span = alignment.last - alignment.first + 1;
+    const score = (2 * alignment.length) / (length + span);
+    if (!best || score > best.score) {
+      best = { score, first: alignment.first, last: alignment.last };
+    }
+  });
+
+  return best;
+}
+
+// Unpunctuated transcripts have run-on "sentences"; keep at most this many characters
+// of one either side of the match
+const SENTENCE_CONTEXT = 120;
+
+// The transcript sentence(s) around a matched token range, without the ">>" marker
+function matchedSentence(transcript, first, last) {
+  const { tokens, segments } = transcript;
+  const segment = tokens[first].segment;
+  const text = TranscriptModel.segmentText(segments[segment]);
+  const start = tokens[first].start;
+  const end = tokens[last].segment === segment ? tokens[last].end : text.length;
+
+  const before = text.slice(0, start);
+  let sentenceStart = Math.max(before.lastIndexOf('. '), before.lastIndexOf('? '), before.lastIndexOf('! '));
+  sentenceStart = sentenceStart === -1 ? 0 : sentenceStart + 2;
+  const after = text.slice(end).search(/[.?!](\s|$)/);
+  let sentenceEnd = after === -1 ? text.length : end + after + 1;
+
+  let prefix = '';
+  let suffix = '';
+  if (start - sentenceStart > SENTENCE_CONTEXT) {
+    sentenceStart = text.indexOf(' ', start - SENTENCE_CONTEXT) + 1;
+    prefix = '…';
+  }
+  if (sentenceEnd - end > SENTENCE_CONTEXT) {
+    sentenceEnd = text.lastIndexOf(' ', end + SENTENCE_CONTEXT);
+    suffix = '…';
+  }
+
+  const sentence = text.slice(sentenceStart, sentenceEnd).replace(/^>>\s*/, '').replace(/\s+/g, ' ').trim();
+  return `${prefix}${sentence}${suffix}`;
+}
+
+/**
+ * Match a quote against an indexed transcript. Returns { score (0-1), found, segment,
+ * sentence }: `segment` is where the quote starts and `sentence` the closest real
+ * transcript sentence. Returns null for quotes without words.
+ */
+function matchQuote(quote, transcript) {
+  let pieces = quote.split(/…|\.{3,}/).map(words).filter(piece => piece.length >= MIN_PIECE_WORDS);
+  if (pieces.length === 0) {
+    pieces = [words(quote)].filter(piece => piece.length > 0);
+  }
+  if (pieces.length === 0) return null;
+
+  const matches = pieces.map(piece => ({ piece, match: matchPiece(piece, transcript.tokens) }));
+  const totalWords = pieces.reduce((sum, piece) => sum + piece.length, 0);
+  const score = matches.reduce((sum, { piece, match }) => sum + (match ? match.score * piece.length : 0), 0) / totalWords;
+
+  // Locate the quote by its first piece that was found, the sentence by its best piece
+  const located = matches.find(({ match }) => match);
+  if (!located) {
+    return { score: 0, found: false, segment: null, sentence: null };
+  }
+  const best = matches.reduce((a, b) => (b.match && (!a.match || b.match.score > a.match.score) ? b : a));
+
+  return {
+    score,
+    found: score >= MATCH_THRESHOLD,
+    segment: transcript.segments[transcript.tokens[located.match.first].segment],
+    sentence: matchedSentence(transcript, best.match.first, best.match.last)
+  };
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  indexTranscript,
+  matchQuote
+};
@@ -12,6 +12,7 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
 
 // Get all Combined.md files
 const files = glob.sync(path.join(__dirname, 'quizzes/*Combined.md'));
@@ -29,36 +30,30 @@ files.forEach(file => {
         content = `# Quiz: ${quizName}\n\n${content}`;
     }
     
-    // Split content into sections (questions)
-    const sections = content.split(/(?=#{3}\s+Question \d+)/g);
+    // Split content into the intro and one section per question
+    const quiz = QuizParser.parse(content);
+    const intro = content.substring(0, quiz.questions.length > 0 ? quiz.questions[0].loc.start.offset : content.length);
     
-    // Process each section
-    const processedSections = sections.map((section, index) => {
-        // Skip non-question sections (like intro text)
-        if (!section.match(/^#{3}\s+Question \d+/)) {
-            return section;
-        }
-        
-        // Extract question header and number 
-        const headerMatch = section.match(/^(#{3}\s+Question \d+\s*(?:\([^)]+\))?\s*)/);
-        if (!headerMatch) return section; // Skip if no match
+    // Process each question section
+    const processedSections = quiz.questions.map(question => {
+        let section = content.substring(question.loc.start.offset, question.loc.end.offset);
         
-        let header = headerMatch[1];
+        // Question header line, including its line break
+        let header = content.substring(question.loc.start.offset, question.heading.loc.end.offset + 1);
         
         // Check if question has a type
         let questionType = '';
-        const typeMatch = header.match(/\(([^)]+)\)/);
-        if (typeMatch) {
-            questionType = typeMatch[1].trim();
+        if (question.label !== null) {
+            questionType = question.label;
         } else {
             // Try to infer question type
             if (section.toLowerCase().includes('true') && section.toLowerCase().includes('false') &&
                 section.match(/- \[[x\s]\] .*true/i) && section.match(/- \[[x\s]\] .*false/i)) {
                 questionType = 'True/False';
             } else if (section.includes('✅') || section.includes('correct') || 
-                      section.match(/\*\*Correct Answers?:\*\*/i)) {
+                      (question.details && question.details.correctAnswers.length > 0)) {
                 // Count checkboxes
-                const checkboxCount = (section.match(/- \[[x\s]\]/g) || []).length;
+                const checkboxCount = question.checkboxes.length;
                 // Count correct answers
                 const correctCount = (section.match(/✅/g) || []).length;
                 
@@ -158,6 +153,7 @@ files.forEach(file => {
         let letterIndex = 0;
         const letters = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
         const correctLetters = [];
+        const formattedOptionList = [];
         
         for (const line of optionLines) {
             if (letterIndex >= letters.length) break;
@@ -189,6 +185,7 @@ files.forEach(file => {
                     .trim();
                 
                 formattedOptions += `- [ ] ${letter}. ${optionText}\n\n`;
+                formattedOptionList.push({ letter, text: optionText });
                 letterIndex++;
             }
         }
@@ -202,7 +199,10 @@ files.forEach(file => {
         }
         
         // Check for correct answers format
-        const hasCorrectAnswers = formattedDetails.match(/\*\*Correct Answers?:\*\*\s+[A-Z,\s]+/i);
+        const hasCorrectAnswers = formattedDetails.split('\n').some(line => {
+            const correctMatch = line.match(QuizParser.PATTERNS.CORRECT_ANSWERS);
+            return correctMatch && QuizParser.PATTERNS.CORRECT_LETTERS.test(correctMatch[1]);
+        });
         
         if (!hasCorrectAnswers && correctLetters.length > 0) {
             // Add correct answers line
@@ -231,9 +231,7 @@ files.forEach(file => {
                             `<summary>Show Answer</summary>\n\n**Correct Answers:** ${correctLetters.join(', ')}\n`);
                     } else {
                         // Attempt to find correct answers by scanning explanation for options
-                        for (const option of optionMatches) {
-                            const letter = option[1];
-                            const text = option[2];
+                        for (const { letter, text } of formattedOptionList) {
                             if (explanationText.includes(`✅ ${text}`) || 
                                 explanationText.toLowerCase().includes(`correct: ${text.toLowerCase()}`) ||
                                 explanationText.toLowerCase().includes(`correct answer is ${text.toLowerCase()}`)) {
@@ -251,9 +249,7 @@ files.forEach(file => {
                     }
                 } else {
                     // Make a best effort to determine correct answers
-                    for (const option of optionMatches) {
-                        const letter = option[1];
-                        const text = option[2];
+                    for (const { letter, text } of formattedOptionList) {
                         if (explanationText.includes(`✅ ${text}`) || 
                             explanationText.toLowerCase().includes(`correct: ${text.toLowerCase()}`) ||
                             explanationText.toLowerCase().includes(`correct answer is ${text.toLowerCase()}`)) {
@@ -277,7 +273,7 @@ files.forEach(file => {
     });
     
     // Join all sections back together
-    const processedContent = processedSections.join('\n\n');
+    const processedContent = [intro.trimEnd(), ...processedSections].join('\n\n');
     
     // Write the processed content back to the file
     fs.writeFileSync(file, processedContent);
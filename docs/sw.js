@@ -0,0 +1,50 @@
+// Service worker that makes the whole site available offline. The pre-cache list and its
+// version are written by build.js (js/precache-manifest.js); a rebuild that changes any
+// page or asset changes the version, which installs a fresh cache and drops the old one.
+importScripts('js/precache-manifest.js');
+
+const CACHE_NAME = `cs7643-module4-${self.PRECACHE_VERSION}`;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(self.PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('cs7643-module4-') && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cache first, then the network (caching what it returns); pages that aren't cached
+// while offline fall back to the home page
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then(cached => {
+      if (cached) return cached;
+
+      return fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+          }
+          return response;
+        })
+        .catch(err => {
+          if (request.mode === 'navigate') return caches.match('./');
+          throw err;
+        });
+    })
+  );
+});
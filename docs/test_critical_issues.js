@@ -8,17 +8,20 @@
  * 2. Placeholder text that needs replacement
  * 3. Improper option formatting
  * 4. Missing or incorrect details/answer sections
- * 5. Data-correct attribute issues in HTML output
+ * 5. JSON quiz models (the source of the HTML pages) of published quizzes that are
+ *    missing or out of date
  */
 
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizManifest = require('./quiz-manifest');
+const QuizParser = require('./js/quiz-parser');
 
 // Configuration
 const CONFIG = {
-  // Whether to validate HTML files along with markdown
-  CHECK_HTML: true,
+  // Whether to validate the JSON quiz models along with markdown
+  CHECK_MODEL: true,
   // Whether to show passing files
   SHOW_PASSING: false,
   // Filter by file pattern (leave empty for all quiz files)
@@ -32,7 +35,7 @@ const results = {
     passing: 0,
     fileResults: {}
   },
-  html: {
+  model: {
     total: 0,
     passing: 0,
     fileResults: {}
@@ -42,7 +45,7 @@ const results = {
     "answer-format": 0,
     "option-format": 0,
     "missing-details": 0,
-    "html-mismatch": 0
+    "model-mismatch": 0
   }
 };
 
@@ -61,18 +64,19 @@ function runTests() {
   const files = glob.sync(path.join(__dirname, pattern));
   results.markdown.total = files.length;
   
+  // Only quizzes published in quizzes.json have a JSON model
+  const { quizzes } = QuizManifest.loadQuizManifest();
+  
   console.log(`Found ${files.length} quiz files to check\n`);
   
   // Test each file
   files.forEach(file => {
     testMarkdownFile(file);
     
-    // Also check HTML if enabled
-    if (CONFIG.CHECK_HTML) {
-      const htmlFile = file.replace('.md', '.html');
-      if (fs.existsSync(htmlFile)) {
-        testHtmlFile(file, htmlFile);
-      }
+    // Also check the JSON model if enabled
+    const entry = quizzes.find(quiz => path.resolve(quiz.sourcePath) === path.resolve(file));
+    if (CONFIG.CHECK_MODEL && entry) {
+      testModelFile(entry, path.join(path.dirname(file), `${entry.id}.json`));
     }
   });
   
@@ -102,23 +106,22 @@ function testMarkdownFile(filePath) {
       totalQuestions: 0
     };
     
-    // Split into sections
-    const sections = content.split(/(?=#{3}\s+Question \d+)/g)
-      .filter(s => s.trim().length > 0 && s.match(/^#{3}\s+Question \d+/));
+    const quiz = QuizParser.parse(content);
     
-    results.markdown.fileResults[fileName].totalQuestions = sections.length;
+    results.markdown.fileResults[fileName].totalQuestions = quiz.questions.length;
     
-    // Check each question section
-    sections.forEach((section, index) => {
+    // Check each question
+    quiz.questions.forEach((question, index) => {
       const questionNum = index + 1;
+      const line = question.loc.start.line;
       let sectionHasIssues = false;
       
       // Check for properly formatted options
-      const optionMatches = [...section.matchAll(/^- \[ \] ([A-Z])\.\s+(.+)$/gm)];
-      if (optionMatches.length === 0) {
-        criticalIssues.push(`Question ${questionNum}: No properly formatted options found`);
+      if (question.options.length === 0) {
+        criticalIssues.push(`Question ${questionNum} (line ${line}): No properly formatted options found`);
         results.markdown.fileResults[fileName].issues.push({
           question: questionNum,
+          line,
           type: "option-format",
           details: "No properly formatted options"
         });
@@ -127,25 +130,27 @@ function testMarkdownFile(filePath) {
       }
       
       // Check for details section
-      const detailsMatch = section.match(/<details>[\s\S]+?<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/);
-      if (!detailsMatch) {
-        criticalIssues.push(`Question ${questionNum}: Missing details/answer section`);
+      const details = question.details;
+      if (!details) {
+        criticalIssues.push(`Question ${questionNum} (line ${line}): Missing details/answer section`);
         results.markdown.fileResults[fileName].issues.push({
           question: questionNum,
+          line,
           type: "missing-details",
           details: "Missing details/answer section"
         });
         results.criticalIssues["missing-details"]++;
         sectionHasIssues = true;
       } else {
-        const explanationText = detailsMatch[1];
+        const explanationText = details.body.text;
         
         // Check for placeholder text
         if (explanationText.includes("[Need to manually determine]") || 
             explanationText.includes("[Manual review required]")) {
-          criticalIssues.push(`Question ${questionNum}: Contains placeholder text that needs replacement`);
+          criticalIssues.push(`Question ${questionNum} (line ${details.body.loc.start.line}): Contains placeholder text that needs replacement`);
           results.markdown.fileResults[fileName].issues.push({
             question: questionNum,
+            line: details.body.loc.start.line,
             type: "placeholder",
             details: "Contains placeholder text that needs replacement"
           });
@@ -154,11 +159,11 @@ function testMarkdownFile(filePath) {
         }
         
         // Check for proper Correct Answers format
-        const correctAnswersMatch = explanationText.match(/^\*\*Correct Answers?:\*\*\s+([A-Z,\s]+)$/m);
-        if (!correctAnswersMatch) {
-          criticalIssues.push(`Question ${questionNum}: Missing or incorrect "Correct Answers:" format`);
+        if (!details.correctAnswers.some(correctAnswers => correctAnswers.valid)) {
+          criticalIssues.push(`Question ${questionNum} (line ${details.loc.start.line}): Missing or incorrect "Correct Answers:" format`);
           results.markdown.fileResults[fileName].issues.push({
             question: questionNum,
+            line: details.loc.start.line,
             type: "answer-format",
             details: "Missing or incorrect 'Correct Answers:' format"
           });
@@ -189,80 +194,73 @@ function testMarkdownFile(filePath) {
 }
 
 /**
- * Test HTML file for critical issues, focusing on data-correct attributes
+ * Test the JSON quiz model that build.js renders the HTML from
  */
-function testHtmlFile(mdFilePath, htmlFilePath) {
-  const fileName = path.basename(htmlFilePath);
-  const mdFileName = path.basename(mdFilePath);
+function testModelFile(entry, jsonFilePath) {
+  const fileName = path.basename(jsonFilePath);
+  results.model.total++;
   
   try {
-    const htmlContent = fs.readFileSync(htmlFilePath, 'utf8');
-    const mdContent = fs.readFileSync(mdFilePath, 'utf8');
-    
     let criticalIssues = [];
     
     // Initialize result tracking
-    results.html.fileResults[fileName] = {
+    results.model.fileResults[fileName] = {
       issues: [],
       questionsWithIssues: 0,
       totalQuestions: 0
     };
     
-    // Parse markdown for correct answers
-    const markdownQuestions = parseMarkdownForAnswers(mdContent);
+    if (!fs.existsSync(jsonFilePath)) {
+      console.log(`❌ ${fileName} is missing, run build.js to generate it`);
+      results.model.fileResults[fileName].issues.push({
+        type: "model-mismatch",
+        details: "JSON model not generated"
+      });
+      results.criticalIssues["model-mismatch"]++;
+      return;
+    }
     
-    // Parse HTML for data-correct attributes
-    const htmlQuestions = parseHtmlForDataCorrect(htmlContent);
+    const model = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'));
+    const expected = QuizManifest.loadQuiz(entry);
     
-    results.html.fileResults[fileName].totalQuestions = htmlQuestions.length;
+    results.model.fileResults[fileName].totalQuestions = model.questions.length;
     
-    // Compare each question
-    markdownQuestions.forEach(mdQuestion => {
-      const htmlQuestion = htmlQuestions.find(q => q.number === mdQuestion.number);
+    // Compare each question in the markdown with the model
+    expected.questions.forEach(mdQuestion => {
+      const modelQuestion = model.questions.find(q => q.number === mdQuestion.number);
       
-      if (!htmlQuestion) {
-        criticalIssues.push(`Question ${mdQuestion.number}: Not found in HTML output`);
-        results.html.fileResults[fileName].issues.push({
+      if (!modelQuestion) {
+        criticalIssues.push(`Question ${mdQuestion.number}: Not found in JSON model`);
+        results.model.fileResults[fileName].issues.push({
           question: mdQuestion.number,
-          type: "html-mismatch",
-          details: "Question not found in HTML output"
+          type: "model-mismatch",
+          details: "Question not found in JSON model"
         });
-        results.criticalIssues["html-mismatch"]++;
+        results.criticalIssues["model-mismatch"]++;
         return;
       }
       
-      // Check if correct answers in markdown match data-correct in HTML
-      if (mdQuestion.correctLetters.length > 0) {
-        let mismatchFound = false;
-        
-        htmlQuestion.options.forEach(option => {
-          const shouldBeCorrect = mdQuestion.correctLetters.includes(option.letter);
-          if (option.isCorrect !== shouldBeCorrect) {
-            mismatchFound = true;
-          }
+      // Check if correct answers in markdown match the model
+      if (mdQuestion.correct.join(',') !== modelQuestion.correct.join(',')) {
+        criticalIssues.push(`Question ${mdQuestion.number}: Correct answers in markdown don't match the JSON model`);
+        results.model.fileResults[fileName].issues.push({
+          question: mdQuestion.number,
+          type: "model-mismatch",
+          details: "Correct answers in markdown don't match the JSON model"
         });
-        
-        if (mismatchFound) {
-          criticalIssues.push(`Question ${mdQuestion.number}: Correct answers in markdown don't match data-correct in HTML`);
-          results.html.fileResults[fileName].issues.push({
-            question: mdQuestion.number,
-            type: "html-mismatch",
-            details: "Correct answers in markdown don't match data-correct in HTML"
-          });
-          results.criticalIssues["html-mismatch"]++;
-          results.html.fileResults[fileName].questionsWithIssues++;
-        }
+        results.criticalIssues["model-mismatch"]++;
+        results.model.fileResults[fileName].questionsWithIssues++;
       }
     });
     
     // Record overall file status
     if (criticalIssues.length === 0) {
-      results.html.passing++;
+      results.model.passing++;
       if (CONFIG.SHOW_PASSING) {
-        console.log(`✅ ${fileName} has no critical HTML issues`);
+        console.log(`✅ ${fileName} has no critical model issues`);
       }
-    } else if (criticalIssues.length > 0) {
-      console.log(`❌ ${fileName} has ${criticalIssues.length} critical HTML issues`);
+    } else {
+      console.log(`❌ ${fileName} has ${criticalIssues.length} critical model issues`);
       // Only show first few issues to avoid overwhelming output
       criticalIssues.slice(0, 3).forEach(issue => console.log(`  - ${issue}`));
       if (criticalIssues.length > 3) {
@@ -271,115 +269,10 @@ function testHtmlFile(mdFilePath, htmlFilePath) {
     }
     
   } catch (error) {
-    console.error(`Error processing HTML file ${htmlFilePath}:`, error);
+    console.error(`Error processing JSON model ${jsonFilePath}:`, error);
   }
 }
 
-/**
- * Parse markdown content to extract questions and their correct answers
- */
-function parseMarkdownForAnswers(content) {
-  const questions = [];
-  
-  // Split content into sections
-  const sections = content.split(/(?=#{3}\s+Question \d+)/g)
-    .filter(s => s.trim().length > 0 && s.match(/^#{3}\s+Question \d+/));
-  
-  // Extract question data from each section
-  sections.forEach(section => {
-    const headerMatch = section.match(/^#{3}\s+Question (\d+)/);
-    if (!headerMatch) return;
-    
-    const questionNumber = parseInt(headerMatch[1], 10);
-    
-    // Extract options
-    const optionMatches = [...section.matchAll(/^- \[ \] ([A-Z])\.\s+(.+)$/gm)];
-    const options = optionMatches.map(match => ({
-      letter: match[1],
-      text: match[2].trim()
-    }));
-    
-    // Extract correct answers
-    let correctLetters = [];
-    const detailsMatch = section.match(/<details>[\s\S]+?<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/);
-    
-    if (detailsMatch) {
-      const explanationText = detailsMatch[1];
-      
-      // Look for standard format
-      const answersMatch = explanationText.match(/^\*\*Correct Answers?:\*\*\s+([A-Z,\s]+)$/m);
-      if (answersMatch) {
-        correctLetters = answersMatch[1].split(/[,\s]+/).filter(letter => /^[A-Z]$/.test(letter));
-      } 
-      // Alternative: Look for checkmarks
-      else if (explanationText.includes('✅') || explanationText.includes('✓')) {
-        optionMatches.forEach(match => {
-          const letterPrefix = match[1];
-          const optionText = match[2].trim();
-          if (explanationText.includes(`✅ ${optionText}`) || 
-              explanationText.includes(`✓ ${optionText}`)) {
-            correctLetters.push(letterPrefix);
-          }
-        });
-      }
-    }
-    
-    questions.push({
-      number: questionNumber,
-      options: options,
-      correctLetters: correctLetters
-    });
-  });
-  
-  return questions;
-}
-
-/**
- * Parse HTML content to extract questions and their data-correct attributes
- */
-function parseHtmlForDataCorrect(content) {
-  const questions = [];
-  
-  // Extract question divs
-  const questionDivs = [...content.matchAll(/<div class="question"[^>]*data-question-index="(\d+)"[^>]*>([\s\S]*?)<\/div>\s*<\/div>/g)];
-  
-  questionDivs.forEach(match => {
-    const questionIndex = parseInt(match[1], 10);
-    const questionContent = match[2];
-    
-    // Extract question number from header
-    const headerMatch = questionContent.match(/<h3>(.+?)<\/h3>/);
-    if (!headerMatch) return;
-    
-    const questionInfo = headerMatch[1].match(/Question\s+(\d+)/);
-    if (!questionInfo) return;
-    
-    const questionNumber = parseInt(questionInfo[1], 10);
-    
-    // Extract options with data-correct values
-    const options = [];
-    const optionMatches = [
-      ...questionContent.matchAll(/<input[^>]*data-correct="([^"]+)"[^>]*>[\s\S]*?<label[^>]*>([A-Z])\.\s+(.+?)<\/label>/g)
-    ];
-    
-    optionMatches.forEach(match => {
-      options.push({
-        isCorrect: match[1] === 'true',
-        letter: match[2],
-        text: match[3].trim()
-      });
-    });
-    
-    questions.push({
-      index: questionIndex,
-      number: questionNumber,
-      options: options
-    });
-  });
-  
-  return questions;
-}
-
 /**
  * Print a summary of test results
  */
@@ -389,9 +282,9 @@ function printSummary() {
   // Markdown file summary
   console.log(`Markdown Files: ${results.markdown.passing}/${results.markdown.total} passing (${Math.round(results.markdown.passing/results.markdown.total*100)}%)`);
   
-  // HTML file summary (if checked)
-  if (CONFIG.CHECK_HTML) {
-    console.log(`HTML Files: ${results.html.passing}/${results.html.total} passing (${Math.round(results.html.passing/results.html.total*100)}%)`);
+  // JSON model summary (if checked)
+  if (CONFIG.CHECK_MODEL) {
+    console.log(`JSON Models: ${results.model.passing}/${results.model.total} passing (${Math.round(results.model.passing/results.model.total*100)}%)`);
   }
   
   // Critical issues by type
@@ -400,7 +293,7 @@ function printSummary() {
   console.log(`- Answer format: ${results.criticalIssues["answer-format"]}`);
   console.log(`- Option format: ${results.criticalIssues["option-format"]}`);
   console.log(`- Missing details: ${results.criticalIssues["missing-details"]}`);
-  console.log(`- HTML mismatches: ${results.criticalIssues["html-mismatch"]}`);
+  console.log(`- Model mismatches: ${results.criticalIssues["model-mismatch"]}`);
   
   // Files with most issues
   console.log("\nFiles with Critical Issues:");
@@ -443,7 +336,7 @@ To fix the critical issues in your quiz files, follow these steps:
    - Copy the fixed format from 17.2Combined.md which passed all tests:
      $ cp /home/red/CS7643-Module4/17.2Combined.md /home/red/CS7643-Module4/docs/quizzes/
 
-3. Regenerate HTML files to fix data-correct attribute issues:
+3. Regenerate the JSON models and HTML files to fix model mismatches:
    - Run the build.js script:
      $ cd /home/red/CS7643-Module4/docs && node build.js
 
@@ -0,0 +1,135 @@
+/**
+ * Test for HTML Escaping in Generated Pages
+ *
+ * This script renders the fixtures in test-fixtures/ through build.js and the
+ * converter (js/quiz-converter.js) and checks that:
+ * 1. Angle brackets, quotes and ampersands in titles, stems, options, option rationales,
+ *    explanations and quotes are escaped for the context they are written into
+ * 2. Raw HTML in the markdown (<details>, <script>) is shown as text, not markup, and
+ *    links and images keep only http(s), relative and # URLs
+ * 3. Markdown formatting and TeX math are kept intact
+ * 4. The generated markup stays balanced
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Build = require('./build');
+const QuizModel = require('./quiz-model');
+const QuizNav = require('./js/nav');
+const QuizParser = require('./js/quiz-parser');
+const HtmlEscape = require('./js/html-escape');
+
+const FIXTURE = path.join(__dirname, 'test-fixtures', 'escaping.md');
+
+// Tracking
+const results = {
+  passed: 0,
+  failed: 0
+};
+
+function check(description, condition) {
+  if (condition) {
+    results.passed++;
+    console.log(`✅ ${description}`);
+  } else {
+    results.failed++;
+    console.error(`❌ ${description}`);
+  }
+}
+
+// Every opened element in `tags` must be closed again
+function checkBalanced(name, html, tags) {
+  tags.forEach(tag => {
+    const opened = (html.match(new RegExp(`<${tag}[\\s>]`, 'g')) || []).length;
+    const closed = (html.match(new RegExp(`</${tag}>`, 'g')) || []).length;
+    check(`${name}: <${tag}> opened ${opened} times and closed ${closed} times`, opened === closed);
+  });
+}
+
+// Checks shared by the build and the converter output
+function checkQuizPage(name, html) {
+  check(`${name}: <title> is escaped`, html.includes('<title>Quotes "&amp;" &lt;Brackets&gt;'));
+  check(`${name}: heading is escaped`, html.includes('Quotes "&amp;" &lt;Brackets&gt;</h2>'));
+  check(`${name}: "<" in the stem is text`, html.includes('P(x) &lt; P(y) for the &lt;details&gt; of a model &amp; its'));
+  check(`${name}: "<" and "&" in options are text`, html.includes('When P(x) &lt; P(y) &amp; x &gt; y'));
+  check(`${name}: HTML tags in options are text`, html.includes('&lt;b&gt;bold&lt;/b&gt;') && !html.includes('<b>bold</b>'));
+  check(`${name}: option rationales are escaped`, html.includes('Not here: &lt;i&gt;markup&lt;/i&gt; &amp; P(x) &lt; P(y) are only text.'));
+  check(`${name}: <script> in the explanation is text`, html.includes('&lt;script&gt;') && !html.includes('<script>alert'));
+  check(`${name}: no raw <details> left`, !html.includes('<details>'));
+  check(`${name}: inline math kept for MathJax`, html.includes('$a &lt; b$'));
+  check(`${name}: display math kept for MathJax`, html.includes('$$p(x) &gt; 0$$'));
+  check(`${name}: \\(..\\) math kept for MathJax`, html.includes('\\(a &lt; b\\)'));
+  check(`${name}: no javascript: or data: URLs in links`, !/(href|src)="\s*(javascript|data):/i.test(html));
+  checkBalanced(name, html, ['div', 'label', 'h2', 'h3', 'title', 'script']);
+}
+
+/**
+ * Main function to run every escaping check
+ */
+function testHtmlEscaping() {
+  console.log("🧪 Testing HTML escaping of generated pages...");
+  const markdown = fs.readFileSync(FIXTURE, 'utf8');
+
+  // Escaping helpers
+  console.log("\n======== ESCAPING HELPERS ========");
+  check('escapeText escapes & < >', HtmlEscape.escapeText(`a < b && c > "d"`) === 'a &lt; b &amp;&amp; c &gt; "d"');
+  check('escapeAttribute also escapes quotes', HtmlEscape.escapeAttribute(`"it's" <a&b>`) === '&quot;it&#39;s&quot; &lt;a&amp;b&gt;');
+  check('escapeTitle puts the title on one line', HtmlEscape.escapeTitle('  A &\n B  ') === 'A &amp; B');
+  check('escaping leaves markdown and TeX alone', HtmlEscape.escapeText('**bold** _x_ $\\frac{a}{b}$') === '**bold** _x_ $\\frac{a}{b}$');
+
+  // Markdown rendering
+  console.log("\n======== MARKDOWN RENDERING ========");
+  check('markdown is still rendered', Build.parseMarkdown('**both** `x < y`', { inline: true }) === '<strong>both</strong> <code>x &lt; y</code>');
+  check('raw block HTML is shown as text', !Build.parseMarkdown('<div onclick="x()">hi</div>').includes('<div'));
+  check('math with "<" is kept', Build.parseMarkdown('$$a<b$$') === '<p>$$a&lt;b$$</p>');
+  check('transcript text is escaped', Build.formatTranscript('A < B & C') === '<p>A &lt; B &amp; C</p>');
+  check('javascript: links keep only their text', Build.parseMarkdown('[x](javascript:alert(1))', { inline: true }) === 'x');
+  check('scheme case does not matter', Build.parseMarkdown('[x](JavaScript:alert(1))', { inline: true }) === 'x');
+  check('data: images keep only their description', Build.parseMarkdown('![a <b>](data:image/png,x)', { inline: true }) === 'a &lt;b&gt;');
+  check('http(s), relative and # links are kept, escaped', Build.parseMarkdown('[a](https://x.y/?q="1") [b](../t.html#s) [c](#top)', { inline: true }) ===
+    '<a href="https://x.y/?q=&quot;1&quot;">a</a> <a href="../t.html#s">b</a> <a href="#top">c</a>');
+
+  // Built quiz page
+  console.log("\n======== BUILD OUTPUT ========");
+  const quiz = QuizModel.parseQuiz(markdown, 'escaping');
+  check('quiz model: option rationale is parsed', quiz.questions[0].options[1].rationale === 'Not here: <i>markup</i> & P(x) < P(y) are only text.' &&
+    !('rationale' in quiz.questions[0].options[0]));
+  const navTree = QuizNav.buildNavTree([{ id: '99.1"<x>', title: quiz.title }], []);
+  const page = Build.getHtmlTemplate(quiz.title, Build.generateQuizHtml(quiz), navTree);
+  checkQuizPage('build.js', page);
+  check('build.js: unsafe explanation links are dropped', page.includes('See the slides, a diagram and') &&
+    page.includes('<a href="https://example.com/notes?a=1&amp;b=&quot;2&quot;">the notes</a>'));
+  check('build.js: quote is escaped', page.includes('A &lt;quote&gt; with &#39;single&#39; &amp; &quot;double&quot; marks'));
+  check('build.js: nav href is escaped', page.includes('href="99.1&quot;&lt;x&gt;.html"'));
+  check('build.js: nav label is escaped', page.includes('>99.1 Quotes "&amp;" &lt;Brackets&gt;</a>'));
+
+  // Converter page, run with the browser globals it expects
+  console.log("\n======== CONVERTER OUTPUT ========");
+  const context = {
+    window: { QuizParser, HtmlEscape },
+    document: { addEventListener() {} }
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, 'js', 'quiz-converter.js'), 'utf8'), context);
+  const converted = context.convertMarkdownToInteractive(markdown);
+  checkQuizPage('quiz-converter.js', converted);
+  check('quiz-converter.js: sidebar is left to the nav data', converted.includes('<div data-quiz-nav></div>') &&
+    converted.includes('<script src="../js/nav-data.js"></script>'));
+
+  // The converter's sidebar as QuizNav.mountNav fills it in the browser
+  const placeholder = { outerHTML: '<div data-quiz-nav></div>' };
+  QuizNav.mountNav({ querySelector: selector => (selector === '[data-quiz-nav]' ? placeholder : null) }, navTree);
+  check('mountNav: nav href is escaped', placeholder.outerHTML.includes('href="99.1&quot;&lt;x&gt;.html"'));
+  check('mountNav: nav label is escaped', placeholder.outerHTML.includes('>99.1 Quotes "&amp;" &lt;Brackets&gt;</a>'));
+
+  console.log("\n======== HTML ESCAPING SUMMARY ========");
+  console.log(`Checks passed: ${results.passed}/${results.passed + results.failed}`);
+  if (results.failed > 0) {
+    console.log("Escape values with js/html-escape.js for the context they are written into");
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+testHtmlEscaping();
@@ -10,21 +10,11 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
 
-// Expected markdown format patterns
-const QUESTION_PATTERN = /^### Question \d+.*$/m;
-const OPTION_PATTERN = /^- \[ \] ([A-Z])\.\s+(.+)$/m;
-const CORRECT_ANSWERS_PATTERN = /^\*\*Correct Answers?:\*\*\s+([A-Z,\s]+)$/m;
-const DETAILS_PATTERN = /<details>[\s\S]+?<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/m;
+// Placeholder left by earlier conversion scripts
 const NEEDS_MANUAL_DETERMINATION = /\[Need to manually determine\]/;
 
-// Question types
-const QUESTION_TYPES = {
-  TRUE_FALSE: 'True/False',
-  MULTIPLE_CHOICE: 'Multiple Choice',
-  MULTI_SELECT: 'Multi-Select'
-};
-
 // Test results
 let totalTests = 0;
 let passedTests = 0;
@@ -48,121 +38,107 @@ function testFile(filePath) {
   
   try {
     let content = fs.readFileSync(filePath, 'utf8');
-    let modified = false;
     
-    // Split content into sections
-    const sections = content.split(/(?=#{3}\s+Question \d+)/g).filter(s => s.trim().length > 0);
+    const quiz = QuizParser.parse(content);
+    
+    // Fixes are collected and spliced in from the end of the file so earlier locations stay valid
+    const edits = [];
     
     // Test title section
     if (!content.match(/^# Quiz:/m)) {
       fileIssues[fileName].push('Missing or incorrect quiz title format');
       // Fix: Add standard quiz title if missing
-      if (!content.match(/^#/m)) {
+      if (!quiz.title) {
         const quizName = fileName.replace(/Combined\.md$/, '').replace(/^\d+\.\d+/, '');
-        content = `# Quiz: ${quizName}\n\n${content}`;
-        modified = true;
+        edits.push({ loc: { start: { offset: 0 }, end: { offset: 0 } }, text: `# Quiz: ${quizName}\n\n` });
       }
     }
     
-    // Test each question section
-    sections.forEach((section, index) => {
+    // Test each question
+    quiz.questions.forEach((question, index) => {
       questionCount++;
-      
-      // Skip the title section if it exists
-      if (!section.match(QUESTION_PATTERN)) {
-        if (index === 0 && section.match(/^#[^#]/m)) {
-          return; // Title section, skip
-        } else {
-          fileIssues[fileName].push(`Section ${index} is not a properly formatted question`);
-          return;
-        }
-      }
+      const questionRef = `Question ${index+1} (line ${question.loc.start.line})`;
       
       // Test 1: Question header format
-      testResult(`Question ${index+1} header format`, 
-                 section.match(QUESTION_PATTERN) !== null);
+      testResult(`Question ${index+1} header format`, question.label !== null);
       
       // Get question type
-      const typeParts = section.match(/^### Question \d+\s*\(([^)]+)\)/m);
-      let questionType = typeParts ? typeParts[1].trim() : 'Unknown';
+      const questionType = question.questionType;
       
-      // Standardize question type
-      if (questionType.toLowerCase().includes('true') && questionType.toLowerCase().includes('false')) {
-        questionType = QUESTION_TYPES.TRUE_FALSE;
+      if (questionType === 'true-false') {
         trueFalseCount++;
-      } else if (questionType.toLowerCase().includes('multiple choice')) {
-        questionType = QUESTION_TYPES.MULTIPLE_CHOICE;
+      } else if (questionType === 'multiple-choice') {
         multipleChoiceCount++;
-      } else if (questionType.toLowerCase().includes('multi-select') || 
-                 questionType.toLowerCase().includes('multiple select')) {
-        questionType = QUESTION_TYPES.MULTI_SELECT;
+      } else if (questionType === 'multi-select') {
         multiSelectCount++;
       } else {
-        fileIssues[fileName].push(`Question ${index+1} has non-standard question type: ${questionType}`);
+        fileIssues[fileName].push(`${questionRef} has non-standard question type: ${question.label || 'Unknown'}`);
       }
       
       // Test 2: Options format
-      const optionMatches = [...section.matchAll(/^- \[ \] ([A-Z])\.\s+(.+)$/gm)];
-      
       testResult(`Question ${index+1} has letter-prefixed options`,
-                 optionMatches.length > 0);
+                 question.options.length > 0);
       
-      if (optionMatches.length === 0) {
-        fileIssues[fileName].push(`Question ${index+1} has no properly formatted options`);
+      if (question.options.length === 0) {
+        fileIssues[fileName].push(`${questionRef} has no properly formatted options`);
       }
       
       // Test 3: Details/answer section
-      const detailsMatch = section.match(DETAILS_PATTERN);
+      const details = question.details;
       testResult(`Question ${index+1} has a details section with Show Answer`,
-                 detailsMatch !== null);
+                 details !== null);
                  
-      if (!detailsMatch) {
-        fileIssues[fileName].push(`Question ${index+1} is missing a proper details/answer section`);
+      if (!details) {
+        fileIssues[fileName].push(`${questionRef} is missing a proper details/answer section`);
       } else {
-        const explanationText = detailsMatch[1];
+        const explanationText = details.body.text;
         
         // Test 4: Check for "[Need to manually determine]" placeholder
         testResult(`Question ${index+1} has no manual determination needed`,
                   !NEEDS_MANUAL_DETERMINATION.test(explanationText));
         
         if (NEEDS_MANUAL_DETERMINATION.test(explanationText)) {
-          fileIssues[fileName].push(`Question ${index+1} has "[Need to manually determine]" placeholder that must be replaced`);
+          fileIssues[fileName].push(`${questionRef} has "[Need to manually determine]" placeholder that must be replaced`);
           // This needs manual intervention, so we mark it but don't attempt to auto-fix
         }
         
         // Test 5: Correct Answers format
-        const correctAnswersMatch = explanationText.match(CORRECT_ANSWERS_PATTERN);
+        const correctAnswers = details.correctAnswers.find(line => line.valid);
         testResult(`Question ${index+1} has proper Correct Answers format`,
-                  correctAnswersMatch !== null);
+                  correctAnswers !== undefined);
         
-        if (!correctAnswersMatch) {
-          fileIssues[fileName].push(`Question ${index+1} doesn't use the standard "**Correct Answers:** A, B, C" format`);
+        if (!correctAnswers) {
+          fileIssues[fileName].push(`${questionRef} doesn't use the standard "**Correct Answers:** A, B, C" format`);
           
           // Test for checkmark usage instead of letter format
           if (explanationText.includes('✅') || explanationText.includes('✓')) {
-            fileIssues[fileName].push(`Question ${index+1} uses checkmarks (✅/✓) instead of the letter format`);
+            fileIssues[fileName].push(`${questionRef} uses checkmarks (✅/✓) instead of the letter format`);
           }
           
           // Try to fix the format if possible
-          const fixedSection = fixAnswerFormat(section, questionType, optionMatches);
-          if (fixedSection !== section) {
-            content = content.replace(section, fixedSection);
-            modified = true;
-            fileIssues[fileName].push(`Question ${index+1} answer format was fixed automatically`);
+          const edit = fixAnswerFormat(question);
+          if (edit) {
+            edits.push(edit);
+            fileIssues[fileName].push(`${questionRef} answer format was fixed automatically`);
           }
         } else {
           // Validate correct answers based on question type
-          const correctLetters = correctAnswersMatch[1].split(/[,\s]+/).filter(letter => /^[A-Z]$/.test(letter));
+          const correctLetters = correctAnswers.letters;
           
-          if (questionType === QUESTION_TYPES.TRUE_FALSE && correctLetters.length !== 1) {
-            fileIssues[fileName].push(`Question ${index+1} is True/False but has ${correctLetters.length} correct answers`);
-          } else if (questionType === QUESTION_TYPES.MULTIPLE_CHOICE && correctLetters.length !== 1) {
-            fileIssues[fileName].push(`Question ${index+1} is Multiple Choice but has ${correctLetters.length} correct answers`);
+          if (questionType === 'true-false' && correctLetters.length !== 1) {
+            fileIssues[fileName].push(`${questionRef} is True/False but has ${correctLetters.length} correct answers`);
+          } else if (questionType === 'multiple-choice' && correctLetters.length !== 1) {
+            fileIssues[fileName].push(`${questionRef} is Multiple Choice but has ${correctLetters.length} correct answers`);
           }
         }
       }
     });
     
+    edits.reverse().forEach(edit => {
+      content = QuizParser.splice(content, edit.loc, edit.text);
+    });
+    const modified = edits.length > 0;
+    
     // Write changes if modified
     if (modified) {
       fs.writeFileSync(filePath, content);
@@ -176,20 +152,18 @@ function testFile(filePath) {
 }
 
 /**
- * Fix missing answer format in a question section
+ * Work out the correct letters of a question without a proper answer line.
+ * Returns the edit ({ loc, text }) that writes the standard line, or null.
  */
-function fixAnswerFormat(section, questionType, optionMatches) {
-  // Extract details section
-  const detailsMatch = section.match(/<details>[\s\S]+?<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/);
-  if (!detailsMatch) return section;
-  
-  const explanationText = detailsMatch[1];
+function fixAnswerFormat(question) {
+  const details = question.details;
+  const explanationText = details.body.text;
+  const options = question.options;
   let correctLetters = [];
   
   // Look for checkmarks or "correct" indicators
-  optionMatches.forEach(match => {
-    const letter = match[1];
-    const optionText = match[2];
+  options.forEach(option => {
+    const optionText = option.text;
     
     // Check if this option is marked as correct in the explanation
     if (explanationText.includes(`✅ ${optionText}`) || 
@@ -197,46 +171,34 @@ function fixAnswerFormat(section, questionType, optionMatches) {
         explanationText.includes(`Correct: ${optionText}`) ||
         explanationText.toLowerCase().includes(`true`) && optionText.toLowerCase().includes('true') ||
         explanationText.toLowerCase().includes(`false`) && optionText.toLowerCase().includes('false')) {
-      correctLetters.push(letter);
+      correctLetters.push(option.letter);
     }
   });
   
   // If no correct letters found but this is True/False, try to infer
-  if (correctLetters.length === 0 && questionType === QUESTION_TYPES.TRUE_FALSE) {
-    if (explanationText.toLowerCase().includes('true')) {
-      // Find which option has "True"
-      optionMatches.forEach(match => {
-        if (match[2].toLowerCase().includes('true')) {
-          correctLetters.push(match[1]);
-        }
-      });
-    } else if (explanationText.toLowerCase().includes('false')) {
-      // Find which option has "False"
-      optionMatches.forEach(match => {
-        if (match[2].toLowerCase().includes('false')) {
-          correctLetters.push(match[1]);
+  if (correctLetters.length === 0 && question.questionType === 'true-false') {
+    const answer = explanationText.toLowerCase().includes('true') ? 'true'
+      : explanationText.toLowerCase().includes('false') ? 'false' : null;
+    
+    if (answer) {
+      // Find which option has the answer
+      options.forEach(option => {
+        if (option.text.toLowerCase().includes(answer)) {
+          correctLetters.push(option.letter);
         }
       });
     }
   }
   
-  // If we found correct answers, update the section
-  if (correctLetters.length > 0) {
-    const correctAnswersText = `**Correct Answers:** ${correctLetters.join(', ')}`;
-    
-    // Check if there's already a line starting with **Correct Answer
-    if (explanationText.match(/^\*\*Correct Answer/m)) {
-      // Replace existing line
-      const updatedExplanation = explanationText.replace(/^\*\*Correct Answer[^*]*\*\*[^\n]*$/m, correctAnswersText);
-      return section.replace(explanationText, updatedExplanation);
-    } else {
-      // Add line at the beginning of the explanation
-      const updatedExplanation = `\n${correctAnswersText}\n${explanationText}`;
-      return section.replace(explanationText, updatedExplanation);
-    }
-  }
+  if (correctLetters.length === 0) return null;
   
-  return section;
+  const correctAnswersText = `**Correct Answers:** ${correctLetters.join(', ')}`;
+  
+  // Replace an existing (malformed) Correct Answers line, or add one at the beginning of the explanation
+  if (details.correctAnswers.length > 0) {
+    return { loc: details.correctAnswers[0].loc, text: correctAnswersText };
+  }
+  return { loc: { start: details.body.loc.start, end: details.body.loc.start }, text: `${correctAnswersText}\n` };
 }
 
 /**
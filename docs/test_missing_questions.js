@@ -12,6 +12,7 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
 
 // Configuration
 const CONFIG = {
@@ -67,12 +68,17 @@ function checkQuizFile(filePath) {
   const fileName = path.basename(filePath);
   try {
     const content = fs.readFileSync(filePath, 'utf8');
-    const quizTitle = content.match(/^# Quiz:\s*(.+)$/m)?.[1] || fileName;
+    const quiz = QuizParser.parse(content);
     
-    // Find all question headers
-    const questionMatches = [...content.matchAll(/^### Question (\d+)\s*\(([^)]+)\)/gm)];
+    // Questions with a "(Type)" in their header
+    const questions = quiz.questions
+      .filter(question => question.label !== null)
+      .map(question => ({
+        number: question.number,
+        type: QuizParser.QUESTION_TYPES[question.questionType] || 'Other'
+      }));
     
-    if (questionMatches.length === 0) {
+    if (questions.length === 0) {
       log(`No properly formatted questions found in ${fileName}`, 1);
       results.issues.push({
         file: fileName,
@@ -83,18 +89,11 @@ function checkQuizFile(filePath) {
       return;
     }
     
-    // Extract question numbers and types
-    const questions = questionMatches.map(match => ({
-      number: parseInt(match[1], 10),
-      type: match[2].trim()
-    }));
-    
     // Count questions per type
     const typeCounts = {};
     questions.forEach(q => {
-      const normalizedType = normalizeQuestionType(q.type);
-      typeCounts[normalizedType] = (typeCounts[normalizedType] || 0) + 1;
-      results.questionsByType[normalizedType] = (results.questionsByType[normalizedType] || 0) + 1;
+      typeCounts[q.type] = (typeCounts[q.type] || 0) + 1;
+      results.questionsByType[q.type] = (results.questionsByType[q.type] || 0) + 1;
     });
     
     results.totalQuestions += questions.length;
@@ -196,23 +195,6 @@ function checkQuizFile(filePath) {
   }
 }
 
-/**
- * Normalize question type to match expected types
- */
-function normalizeQuestionType(type) {
-  type = type.toLowerCase();
-  
-  if (type.includes('true') && type.includes('false')) {
-    return 'True/False';
-  } else if (type.includes('multiple choice')) {
-    return 'Multiple Choice';
-  } else if (type.includes('multi-select') || type.includes('multiple select')) {
-    return 'Multi-Select';
-  } else {
-    return 'Other';
-  }
-}
-
 /**
  * Log message based on configured log level
  */
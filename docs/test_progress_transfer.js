@@ -0,0 +1,104 @@
+/**
+ * Test for Progress Export and Import
+ *
+ * This script reads progress exports with js/progress-transfer.js and merges them into
+ * saved progress, checking that:
+ * 1. An export of saved progress is read back unchanged
+ * 2. Files outside the schema are rejected, including unknown scoring schemes and settings
+ *    the site doesn't have, which would otherwise be copied into the stored settings
+ * 3. Quiz ids and question keys named like Object.prototype properties ("toString",
+ *    "constructor") are imported like any other
+ */
+
+const QuizProgress = require('./js/progress-store');
+const QuizTransfer = require('./js/progress-transfer');
+
+// Tracking
+const results = {
+  passed: 0,
+  failed: 0
+};
+
+function check(description, condition) {
+  if (condition) {
+    results.passed++;
+    console.log(`✅ ${description}`);
+  } else {
+    results.failed++;
+    console.error(`❌ ${description}`);
+  }
+}
+
+// Read an export, turning an exception into a failed check
+function tryRead(data) {
+  try {
+    return QuizTransfer.readExport(JSON.stringify(data));
+  } catch (err) {
+    console.error(`   readExport threw: ${err.message}`);
+    return {};
+  }
+}
+
+function rejected(result, where) {
+  return Boolean(result.errors) && result.errors.some(error => error.startsWith(`${where}:`));
+}
+
+function testProgressTransfer() {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const progress = QuizProgress.emptyProgress();
+  QuizProgress.recordAttempt(progress, '17.2Combined', 'q-aaaaaaaa', { selected: ['1'], correct: true }, now);
+  QuizProgress.setSetting(progress, 'scoringScheme', 'canvas');
+  QuizProgress.setSetting(progress, 'shuffleOptions', true);
+  const exported = JSON.parse(JSON.stringify(QuizTransfer.exportProgress(progress, now)));
+
+  console.log("======== READING EXPORTS ========");
+  const read = tryRead(exported);
+  check('an export is read back', !read.errors && read.progress &&
+    JSON.stringify(read.progress.quizzes) === JSON.stringify(progress.quizzes) &&
+    JSON.stringify(read.progress.settings) === JSON.stringify(progress.settings));
+
+  const withSettings = settings => Object.assign({}, exported, { settings });
+  check('an unknown scoring scheme is rejected',
+    rejected(tryRead(withSettings({ scoringScheme: 'everything-counts' })), '/settings/scoringScheme'));
+  check('a scoring scheme of the wrong type is rejected',
+    rejected(tryRead(withSettings({ scoringScheme: 1 })), '/settings/scoringScheme'));
+  check('a setting the site does not have is rejected',
+    rejected(tryRead(withSettings({ shuffleOptions: false, theme: 'dark' })), '/settings/theme'));
+  check('a setting named like a prototype property is rejected',
+    rejected(tryRead(withSettings({ constructor: 'x' })), '/settings/constructor'));
+  check('"__proto__" keys are rejected',
+    rejected(QuizTransfer.readExport(JSON.stringify(exported).replace('"settings":{', '"settings":{"__proto__":{},')), '/settings/__proto__'));
+  check('a file without quizzes says so', rejected(tryRead(Object.assign({}, exported, { quizzes: undefined })), '/'));
+
+  console.log("\n======== MERGING ========");
+  const question = exported.quizzes['17.2Combined'].questions['q-aaaaaaaa'];
+  const incoming = tryRead(Object.assign({}, exported, {
+    quizzes: {
+      toString: { questions: { constructor: question }, updatedAt: question.updatedAt },
+      '17.2Combined': { questions: { constructor: question, 'q-aaaaaaaa': question }, updatedAt: question.updatedAt }
+    }
+  }));
+  check('prototype-named quiz ids and question keys pass the schema', !incoming.errors);
+
+  let merged = null;
+  try {
+    merged = QuizTransfer.mergeProgress(progress, incoming.progress);
+  } catch (err) {
+    console.error(`   mergeProgress threw: ${err.message}`);
+  }
+  check('prototype-named entries are merged', merged !== null &&
+    merged.added === 2 && merged.unchanged === 1 &&
+    Object.prototype.hasOwnProperty.call(merged.progress.quizzes, 'toString') &&
+    Object.keys(merged.progress.quizzes['17.2Combined'].questions).includes('constructor'));
+  check('the local progress is not modified', !Object.prototype.hasOwnProperty.call(progress.quizzes, 'toString'));
+
+  console.log("\n======== PROGRESS TRANSFER SUMMARY ========");
+  console.log(`Checks passed: ${results.passed}/${results.passed + results.failed}`);
+  if (results.failed > 0) {
+    console.log("Keep SCHEMA in js/progress-transfer.js closed and look entries up as own properties");
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+testProgressTransfer();
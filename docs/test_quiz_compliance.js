@@ -18,6 +18,7 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
 
 // Configuration
 const OPTIONS = {
@@ -26,26 +27,13 @@ const OPTIONS = {
   SUMMARY_ONLY: false,   // Only show the summary, not individual file reports
 };
 
-// Content patterns
+// Content patterns (question structure comes from the shared parser in js/quiz-parser.js)
 const PATTERNS = {
-  // Basic structure
   QUIZ_TITLE: /^# Quiz:/,
-  QUESTION_HEADER: /^### Question (\d+)\s*\(([^)]+)\)/,
-  OPTION_FORMAT: /^- \[ \] ([A-Z])\.\s+(.+)$/,
-  DETAILS_SECTION: /<details>[\s\S]+?<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/,
-  CORRECT_ANSWERS: /^\*\*Correct Answers?:\*\*\s+([A-Z,\s]+)$/m,
-  SECTION_SEPARATOR: /^---$/m,
   
   // Problem indicators
   NEEDS_DETERMINATION: /\[Need to manually determine\]|\[Manual review required\]/,
-  CHECKMARK_USAGE: /✅|✓/,
-  
-  // Question types
-  QUESTION_TYPES: {
-    TRUE_FALSE: /true[\/-]false/i,
-    MULTIPLE_CHOICE: /multiple choice/i,
-    MULTIPLE_SELECT: /multi[- ]select|multiple select/i
-  }
+  CHECKMARK_USAGE: /✅|✓/
 };
 
 // Test results tracking
@@ -117,130 +105,119 @@ function testFile(filePath) {
       results.issuesByType['Title Format']++;
     }
     
-    // Split into sections (title and questions)
-    const sections = content.split(/(?=#{3}\s+Question \d+)/g).filter(s => s.trim().length > 0);
+    const quiz = QuizParser.parse(content);
     
-    // Check each question section
-    let questionSections = sections.slice(1); // Skip title section
-    if (questionSections.length === 0 && sections.length > 0) {
-      // No proper question sections found, might need to parse differently
-      questionSections = sections;
+    if (quiz.questions.length === 0) {
+      isFilePassing = false;
+      results.issuesByType['Question Format']++;
+      results.fileResults[fileName].issues.push('No "### Question N" sections found');
     }
     
-    // Process each question section
-    questionSections.forEach((section, idx) => {
+    // Process each question
+    quiz.questions.forEach((question, idx) => {
       const questionNum = idx + 1;
+      const questionRef = `Question ${questionNum} (line ${question.loc.start.line})`;
       
       // Test 2: Question header format
-      const headerMatch = section.match(PATTERNS.QUESTION_HEADER);
       const hasProperHeader = test(
         fileName,
         `Question ${questionNum} header format`,
-        headerMatch !== null
+        question.label !== null
       );
       
       if (!hasProperHeader) {
         isFilePassing = false;
         results.issuesByType['Question Format']++;
-        results.fileResults[fileName].issues.push(`Question ${questionNum} has malformed header`);
+        results.fileResults[fileName].issues.push(`${questionRef} has malformed header`);
         return; // Skip further tests on this question
       }
       
-      // Extract question type and validate
-      const questionType = headerMatch[2]?.trim();
+      // Validate question type
       const hasValidType = test(
         fileName,
         `Question ${questionNum} has valid type`,
-        questionType && (
-          PATTERNS.QUESTION_TYPES.TRUE_FALSE.test(questionType) ||
-          PATTERNS.QUESTION_TYPES.MULTIPLE_CHOICE.test(questionType) ||
-          PATTERNS.QUESTION_TYPES.MULTIPLE_SELECT.test(questionType)
-        )
+        question.questionType !== 'unknown'
       );
       
       if (!hasValidType) {
         isFilePassing = false;
         results.issuesByType['Question Type']++;
-        results.fileResults[fileName].issues.push(`Question ${questionNum} has non-standard type: ${questionType}`);
+        results.fileResults[fileName].issues.push(`${questionRef} has non-standard type: ${question.label}`);
       }
       
       // Test 3: Check options format
-      const optionMatches = [...section.matchAll(new RegExp(PATTERNS.OPTION_FORMAT, 'gm'))];
       const hasProperOptions = test(
         fileName,
         `Question ${questionNum} has properly formatted options`,
-        optionMatches.length > 0
+        question.options.length > 0
       );
       
       if (!hasProperOptions) {
         isFilePassing = false;
         results.issuesByType['Option Format']++;
-        results.fileResults[fileName].issues.push(`Question ${questionNum} options are not properly formatted`);
+        results.fileResults[fileName].issues.push(`${questionRef} options are not properly formatted`);
       }
       
       // Test 4: Details section with proper structure
-      const detailsMatch = section.match(PATTERNS.DETAILS_SECTION);
+      const details = question.details;
       const hasProperDetails = test(
         fileName,
         `Question ${questionNum} has proper details/answer section`,
-        detailsMatch !== null
+        details !== null
       );
       
       if (!hasProperDetails) {
         isFilePassing = false;
         results.issuesByType['Section Structure']++;
-        results.fileResults[fileName].issues.push(`Question ${questionNum} is missing proper details/answer section`);
+        results.fileResults[fileName].issues.push(`${questionRef} is missing proper details/answer section`);
         return; // Skip further tests on this question
       }
       
-      // Extract answer section
-      const answerSection = detailsMatch[1];
-      
       // Test 5: Answer section does not have placeholder text
       const hasNoPlaceholders = test(
         fileName,
         `Question ${questionNum} has no placeholder text`,
-        !PATTERNS.NEEDS_DETERMINATION.test(answerSection)
+        !PATTERNS.NEEDS_DETERMINATION.test(details.body.text)
       );
       
       if (!hasNoPlaceholders) {
         isFilePassing = false;
         results.issuesByType['Placeholder Text']++;
-        results.fileResults[fileName].issues.push(`Question ${questionNum} contains placeholder text that needs replacement`);
+        results.fileResults[fileName].issues.push(`${questionRef} contains placeholder text that needs replacement`);
       }
       
       // Test 6: Uses standard "Correct Answers:" format with letters
-      const correctAnswersMatch = answerSection.match(PATTERNS.CORRECT_ANSWERS);
+      const correctAnswers = details.correctAnswers.find(line => line.valid);
       const hasProperAnswerFormat = test(
         fileName,
         `Question ${questionNum} has proper "Correct Answers:" format`,
-        correctAnswersMatch !== null
+        correctAnswers !== undefined
       );
       
       if (!hasProperAnswerFormat) {
         isFilePassing = false;
         results.issuesByType['Answer Format']++;
-        results.fileResults[fileName].issues.push(`Question ${questionNum} doesn't use standard "**Correct Answers:** A, B, C" format`);
+        results.fileResults[fileName].issues.push(`${questionRef} doesn't use standard "**Correct Answers:** A, B, C" format`);
         
         // Check if using checkmarks instead
-        if (PATTERNS.CHECKMARK_USAGE.test(answerSection)) {
-          results.fileResults[fileName].issues.push(`Question ${questionNum} uses checkmarks instead of letter format`);
+        if (PATTERNS.CHECKMARK_USAGE.test(details.body.text)) {
+          results.fileResults[fileName].issues.push(`${questionRef} uses checkmarks instead of letter format`);
         }
       } else {
         // Test 7: Correct answers are valid for question type
-        const correctLetters = correctAnswersMatch[1].split(/[,\s]+/).filter(l => /^[A-Z]$/.test(l));
+        const correctLetters = correctAnswers.letters;
         let validAnswerCount = true;
         
         // Different question types should have different numbers of correct answers
-        if (PATTERNS.QUESTION_TYPES.TRUE_FALSE.test(questionType) && correctLetters.length !== 1) {
+        if (question.questionType === 'true-false' && correctLetters.length !== 1) {
           validAnswerCount = false;
           results.fileResults[fileName].issues.push(
-            `Question ${questionNum} is True/False but has ${correctLetters.length} correct answers`
+            `${questionRef} is True/False but has ${correctLetters.length} correct answers`
           );
-        } else if (PATTERNS.QUESTION_TYPES.MULTIPLE_CHOICE.test(questionType) && correctLetters.length !== 1) {
+        } else if (question.questionType === 'multiple-choice' && correctLetters.length !== 1) {
           validAnswerCount = false;
           results.fileResults[fileName].issues.push(
-            `Question ${questionNum} is Multiple Choice but has ${correctLetters.length} correct answers`
+            `${questionRef} is Multiple Choice but has ${correctLetters.length} correct answers`
           );
         }
         
@@ -250,30 +227,30 @@ function testFile(filePath) {
         }
         
         // Validate that each correct letter corresponds to an option
-        const optionLetters = optionMatches.map(match => match[1]);
+        const optionLetters = question.options.map(option => option.letter);
         const invalidLetters = correctLetters.filter(letter => !optionLetters.includes(letter));
         
         if (invalidLetters.length > 0) {
           isFilePassing = false;
           results.issuesByType['Answer Designation']++;
           results.fileResults[fileName].issues.push(
-            `Question ${questionNum} has correct answers ${invalidLetters.join(', ')} that don't match any options`
+            `${questionRef} has correct answers ${invalidLetters.join(', ')} that don't match any options`
           );
         }
       }
       
       // Test 8: Section has proper separator
-      if (idx < questionSections.length - 1) { // Skip last question
+      if (idx < quiz.questions.length - 1) { // Skip last question
         const hasProperSeparator = test(
           fileName,
           `Question ${questionNum} has proper section separator`,
-          section.includes('---')
+          question.hasSeparator
         );
         
         if (!hasProperSeparator) {
           isFilePassing = false;
           results.issuesByType['Section Structure']++;
-          results.fileResults[fileName].issues.push(`Question ${questionNum} is missing proper section separator '---'`);
+          results.fileResults[fileName].issues.push(`${questionRef} is missing proper section separator '---'`);
         }
       }
     });
@@ -1,14 +1,15 @@
 /**
  * Unit tests for checking specific questions and answers in quiz files
  * This script:
- * 1. Tests 3 questions from each Combined.md file (one of each type when possible)
+ * 1. Tests 3 questions from each published quiz (quizzes.json), one of each type when possible
  * 2. Verifies the correct answers are properly marked
  * 3. Ensures the HTML output correctly sets data-correct attributes
  */
 
 const fs = require('fs');
 const path = require('path');
-const glob = require('glob');
+const QuizParser = require('./js/quiz-parser');
+const QuizManifest = require('./quiz-manifest');
 
 // Object to store test results
 const testResults = {
@@ -32,89 +33,16 @@ function parseMarkdownFile(filePath) {
   const content = fs.readFileSync(filePath, 'utf8');
   const fileName = path.basename(filePath);
   
-  // Split into sections
-  const sections = content.split(/(?=#{3}\s+Question \d+)/g).filter(s => s.trim().length > 0);
+  const quiz = QuizParser.parse(content);
+  const title = quiz.title ? quiz.title.text : fileName;
   
-  // Get title
-  const titleMatch = content.match(/^# (.+)$/m);
-  const title = titleMatch ? titleMatch[1] : fileName;
-  
-  // Parse questions
-  const questions = [];
-  
-  // Skip title section
-  sections.forEach(section => {
-    // Make sure it's a question section
-    if (!section.match(/^### Question \d+/m)) {
-      return;
-    }
-    
-    try {
-      // Get question number and type
-      const headerMatch = section.match(/^### Question (\d+)(?:\s*\(([^)]+)\))?/m);
-      if (!headerMatch) return;
-      
-      const questionNumber = parseInt(headerMatch[1]);
-      let questionType = headerMatch[2] ? headerMatch[2].trim() : 'Unknown';
-      
-      // Standardize question type
-      if (questionType.toLowerCase().includes('true') && questionType.toLowerCase().includes('false')) {
-        questionType = QUESTION_TYPES.TRUE_FALSE;
-      } else if (questionType.toLowerCase().includes('multiple choice')) {
-        questionType = QUESTION_TYPES.MULTIPLE_CHOICE;
-      } else if (questionType.toLowerCase().includes('multi-select') || 
-                 questionType.toLowerCase().includes('multiple select')) {
-        questionType = QUESTION_TYPES.MULTI_SELECT;
-      }
-      
-      // Get question text
-      const headerEnd = section.indexOf('\n\n', section.indexOf(headerMatch[0]));
-      const optionsStart = section.indexOf('- [ ]');
-      let questionText = '';
-      
-      if (headerEnd !== -1 && optionsStart !== -1) {
-        questionText = section.substring(headerEnd, optionsStart).trim();
-      }
-      
-      // Get options
-      const options = [];
-      const optionRegex = /- \[ \] ([A-Z])\.\s+(.+)/g;
-      let optionMatch;
-      
-      while ((optionMatch = optionRegex.exec(section)) !== null) {
-        options.push({
-          letter: optionMatch[1],
-          text: optionMatch[2].trim()
-        });
-      }
-      
-      // Get correct answers
-      const detailsMatch = section.match(/<details>[\s\S]+?<summary>Show Answer<\/summary>([\s\S]+?)<\/details>/);
-      let correctLetters = [];
-      
-      if (detailsMatch) {
-        const explanation = detailsMatch[1];
-        const correctAnswersMatch = explanation.match(/\*\*Correct Answers?:\*\*\s+([A-Z,\s]+)/i);
-        
-        if (correctAnswersMatch) {
-          correctLetters = correctAnswersMatch[1]
-            .split(/[,\s]+/)
-            .filter(letter => /^[A-Z]$/.test(letter));
-        }
-      }
-      
-      // Add to questions array
-      questions.push({
-        number: questionNumber,
-        type: questionType,
-        text: questionText,
-        options: options,
-        correctLetters: correctLetters
-      });
-    } catch (error) {
-      console.error(`Error parsing question in ${fileName}:`, error);
-    }
-  });
+  const questions = quiz.questions.map(question => ({
+    number: question.number,
+    type: QuizParser.QUESTION_TYPES[question.questionType] || question.label || 'Unknown',
+    text: question.stem.text,
+    options: question.options.map(option => ({ letter: option.letter, text: option.text })),
+    correctLetters: question.details ? question.details.correct : []
+  }));
   
   return {
     fileName,
@@ -346,9 +274,9 @@ function printResults() {
 function main() {
   console.log("Running specific question tests...");
   
-  // Find all Combined.md files
-  const files = glob.sync(path.join(__dirname, 'quizzes/*Combined.md'));
-  console.log(`Found ${files.length} Combined.md files to test`);
+  // Find the published quiz sources; their pages are the ones build.js generates
+  const files = QuizManifest.loadQuizManifest().quizzes.map(quiz => quiz.sourcePath);
+  console.log(`Found ${files.length} published quiz files to test`);
   
   // Test each file
   files.forEach(file => testSpecificQuestions(file));
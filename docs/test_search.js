@@ -0,0 +1,93 @@
+/**
+ * Test for the Full-Text Search
+ *
+ * This script builds a small index with js/search.js and queries it, and queries the
+ * index build.js generated for the site (js/search-index.js), checking that:
+ * 1. Every query word must match, and the last one also matches as a prefix while typing
+ * 2. Queries naming Object.prototype properties ("constructor", "toString") find only
+ *    documents containing them, instead of failing
+ * 3. The generated index has the version js/search.js expects
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const QuizSearch = require('./js/search');
+
+// Tracking
+const results = {
+  passed: 0,
+  failed: 0
+};
+
+function check(description, condition) {
+  if (condition) {
+    results.passed++;
+    console.log(`✅ ${description}`);
+  } else {
+    results.failed++;
+    console.error(`❌ ${description}`);
+  }
+}
+
+// Run a search, turning an exception into a failed check
+function trySearch(index, query) {
+  try {
+    return QuizSearch.search(index, query);
+  } catch (err) {
+    console.error(`   search("${query}") threw: ${err.message}`);
+    return null;
+  }
+}
+
+function testSearch() {
+  console.log("======== SMALL INDEX ========");
+  const index = QuizSearch.buildIndex([
+    { kind: 'quiz', url: 'a.html', title: 'A', excerpt: '', fields: [{ text: 'Generative adversarial networks', weight: 3 }] },
+    { kind: 'quiz', url: 'b.html', title: 'B', excerpt: '', fields: [{ text: 'Variational autoencoders and generative models', weight: 3 }] },
+    { kind: 'transcript', url: 'c.html', title: 'C', excerpt: '', fields: [{ text: 'The constructor builds the network', weight: 1 }] }
+  ]);
+
+  const generative = trySearch(index, 'generative ');
+  check('"generative" finds both documents that contain it', generative && generative.length === 2);
+  const both = trySearch(index, 'generative adversarial ');
+  check('documents with every query word rank first', both && both[0].url === 'a.html' && both[0].matched === 2);
+  const prefix = trySearch(index, 'autoenc');
+  check('the last word matches as a prefix while typing', prefix && prefix.length === 1 && prefix[0].url === 'b.html');
+
+  ['constructor ', 'constructor x', 'tostring ', 'valueof x', 'hasownproperty ', 'proto '].forEach(query => {
+    const found = trySearch(index, query);
+    const expected = query.startsWith('constructor') ? ['c.html'] : [];
+    check(`"${query}" finds only documents containing it`,
+      found !== null && JSON.stringify(found.map(result => result.url)) === JSON.stringify(expected));
+  });
+
+  const empty = QuizSearch.buildIndex([]);
+  check('"constructor" in an empty index finds nothing', JSON.stringify(trySearch(empty, 'constructor ')) === '[]');
+
+  // The index the sidebar search box loads
+  console.log("\n======== GENERATED INDEX ========");
+  const indexFile = path.join(__dirname, 'js', 'search-index.js');
+  if (!fs.existsSync(indexFile)) {
+    check('js/search-index.js exists (run node build.js)', false);
+  } else {
+    const context = { window: {} };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(indexFile, 'utf8'), context);
+    const siteIndex = context.window.SEARCH_INDEX;
+    check('the generated index has the current version', siteIndex && siteIndex.version === QuizSearch.INDEX_VERSION);
+    ['constructor ', 'constructor', 'tostring ', 'gan '].forEach(query => {
+      check(`"${query}" can be searched in the generated index`, Array.isArray(trySearch(siteIndex, query)));
+    });
+  }
+
+  console.log("\n======== SEARCH SUMMARY ========");
+  console.log(`Checks passed: ${results.passed}/${results.passed + results.failed}`);
+  if (results.failed > 0) {
+    console.log("Look terms up in the index as own properties (see js/search.js)");
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+testSearch();
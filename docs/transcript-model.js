@@ -0,0 +1,167 @@
+/**
+ * Transcript model
+ *
+ * Splits a lecture transcript (.txt with "[hh:mm:ss]" lines, or SRT subtitles) into
+ * timestamped segments. build.js renders the transcript pages from the segments,
+ * giving each one a stable anchor id and a minute-by-minute table of contents, and
+ * the search index links to those anchors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const QuizManifest = require('./quiz-manifest');
+
+const TIMESTAMP = /^\[(\d{2}):(\d{2}):(\d{2})\]\s*$/;
+
+/**
+ * Anchor id of the segment starting at a timestamp, e.g. "00:01:35" -> "t-00-01-35"
+ */
+function segmentId(timestamp) {
+  return `t-${timestamp.replace(/:/g, '-')}`;
+}
+
+/**
+ * Split transcript text into segments: { timestamp, seconds, id, paragraphs }.
+ * Text before the first timestamp becomes a segment without a timestamp (id null);
+ * a repeated timestamp gets a numbered id ("t-00-01-35-2") so ids stay unique.
+ */
+function parseTranscript(text) {
+  const segments = [];
+  const ids = new Map();
+  let current = { timestamp: null, seconds: null, id: null, lines: [] };
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const match = line.match(TIMESTAMP);
+    if (match) {
+      segments.push(current);
+      const timestamp = `${match[1]}:${match[2]}:${match[3]}`;
+      const count = (ids.get(timestamp) || 0) + 1;
+      ids.set(timestamp, count);
+      current = {
+        timestamp,
+        seconds: Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]),
+        id: count === 1 ? segmentId(timestamp) : `${segmentId(timestamp)}-${count}`,
+        lines: []
+      };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  segments.push(current);
+
+  return segments
+    .map(({ lines, ...segment }) => ({
+      ...segment,
+      paragraphs: lines.join('\n').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean)
+    }))
+    .filter(segment => segment.timestamp !== null || segment.paragraphs.length > 0);
+}
+
+/**
+ * SRT subtitles as transcript text, each cue under a "[hh:mm:ss]" line. Cue start times
+ * ("00:01:35,120 --> ...") are truncated to the second.
+ */
+function srtToTranscript(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n\n').map(cue => {
+    const cueLines = cue.trim().split('\n');
+    const timing = cueLines.findIndex(line => line.includes('-->'));
+    if (timing === -1) return cue.trim();
+
+    const start = cueLines[timing].match(/(\d{1,2}):(\d{2}):(\d{2})/);
+    const timestamp = start ? `[${start[1].padStart(2, '0')}:${start[2]}:${start[3]}]` : '';
+    return `${timestamp}\n${cueLines.slice(timing + 1).join(' ')}`;
+  });
+
+  return lines.join('\n\n');
+}
+
+/**
+ * Split an SRT subtitle file into the same segments as a transcript, one per cue
+ */
+function parseSrt(text) {
+  return parseTranscript(srtToTranscript(text));
+}
+
+/**
+ * The transcript of every lecture in `dir`: { file, title, htmlFilename, content }, with
+ * SRT subtitles converted to transcript text. A lecture with both an .srt and a .txt
+ * uses the .srt. build.js (transcript pages, quote links, search) and
+ * analyze_transcript_quotes.js both read transcripts here, so they use the same file.
+ */
+function loadTranscripts(dir) {
+  const files = new Map();
+  fs.readdirSync(dir).sort().forEach(file => {
+    const extension = path.extname(file);
+    if (extension !== '.srt' && extension !== '.txt') return;
+
+    const lecture = QuizManifest.lectureNumber(file) || path.basename(file, extension);
+    const chosen = files.get(lecture);
+    if (!chosen || (extension === '.srt' && path.extname(chosen) === '.txt')) {
+      files.set(lecture, file);
+    }
+  });
+
+  return Array.from(files.values())
+    .sort()
+    .map(file => {
+      const text = fs.readFileSync(path.join(dir, file), 'utf8');
+      const title = path.basename(file, path.extname(file));
+      return {
+        file,
+        title,
+        htmlFilename: `${title}.html`,
+        content: path.extname(file) === '.srt' ? srtToTranscript(text) : text
+      };
+    })
+    .filter(transcript => transcript.content);
+}
+
+/**
+ * Plain text of a segment, paragraphs joined by blank lines
+ */
+function segmentText(segment) {
+  return segment.paragraphs.join('\n\n');
+}
+
+/**
+ * First sentence of a segment without the ">>" speaker marker, cut at `maxLength`
+ */
+function firstSentence(segment, maxLength = 100) {
+  const text = segmentText(segment).replace(/^>>\s*/, '').replace(/\s+/g, ' ').trim();
+  const sentence = (text.match(/^.*?[.?!](?=\s|$)/) || [text])[0];
+  if (sentence.length <= maxLength) return sentence;
+
+  const cut = sentence.lastIndexOf(' ', maxLength);
+  return `${sentence.slice(0, cut > 0 ? cut : maxLength)}…`;
+}
+
+/**
+ * Table of contents entries, one per minute of the lecture: the first segment that
+ * starts in that minute, with its first sentence
+ */
+function minuteContents(segments) {
+  const entries = [];
+  let lastMinute = -1;
+
+  segments.forEach(segment => {
+    if (segment.timestamp === null) return;
+    const minute = Math.floor(segment.seconds / 60);
+    if (minute === lastMinute) return;
+
+    lastMinute = minute;
+    entries.push({ timestamp: segment.timestamp, id: segment.id, text: firstSentence(segment) });
+  });
+
+  return entries;
+}
+
+module.exports = {
+  segmentId,
+  parseTranscript,
+  srtToTranscript,
+  parseSrt,
+  loadTranscripts,
+  segmentText,
+  firstSentence,
+  minuteContents
+};